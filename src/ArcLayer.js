@@ -0,0 +1,387 @@
+/**
+ * ArcLayer.js
+ *
+ * Renders animated great-circle connections between geographic locations.
+ * Each arc is an independent THREE.Line so arcs can be added, updated and
+ * removed without touching the globe's dot geometry.
+ *
+ * Arcs follow the great circle between their endpoints and lift off the
+ * surface with a sine profile whose peak height grows with the distance
+ * travelled.
+ *
+ * @module ArcLayer
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import { latLonToCartesian, greatCircleDistance, greatCircleArc } from './utils/coordinates.js';
+import { parseColor } from './utils/colors.js';
+import { arcShader } from './shaders/index.js';
+
+/**
+ * Arc definition
+ * @typedef {Object} ArcOptions
+ * @property {string} [id] - Unique identifier (generated when omitted)
+ * @property {{lat: number, lon: number}} from - Start coordinate
+ * @property {{lat: number, lon: number}} to - End coordinate
+ * @property {string|number} [color='#FFFFFF'] - Arc color
+ * @property {number} [opacity=1.0] - Arc opacity (0-1)
+ * @property {number} [altitude] - Peak height above the surface in globe radii
+ *                                 (defaults to distance-proportional height)
+ * @property {number} [altitudeScale=0.25] - Peak height per radian of distance when altitude is omitted
+ * @property {number} [dashLength=1.0] - Dash length as a fraction of the arc
+ * @property {number} [gapLength=0] - Gap length as a fraction of the arc (0 = solid line)
+ * @property {number} [dashSpeed=0] - Dash travel speed in arc-lengths per second; arcs with a
+ *                                    speed but no gapLength get the MOVING_DASH pattern
+ * @property {number} [trailOpacity=0] - Opacity of the gaps, > 0 gives a travelling-pulse look
+ * @property {number} [segments] - Number of line segments (defaults to distance-based)
+ */
+
+/**
+ * Default arc values
+ * @private
+ */
+const DEFAULT_ARC = {
+  color: '#FFFFFF',
+  opacity: 1.0,
+  altitudeScale: 0.25,
+  dashLength: 1.0,
+  gapLength: 0,
+  dashSpeed: 0,
+  trailOpacity: 0
+};
+
+/**
+ * Dash pattern of arcs given a dashSpeed but no gap, so the motion shows
+ * @private
+ */
+const MOVING_DASH = { dashLength: 0.1, gapLength: 0.05 };
+
+/**
+ * Arc properties that require the line geometry to be rebuilt
+ * @private
+ */
+const GEOMETRY_KEYS = ['from', 'to', 'altitude', 'altitudeScale', 'segments'];
+
+/**
+ * Gives a moving arc without gaps the moving dash pattern, since a solid
+ * line cannot show motion
+ * @private
+ * @param {ArcOptions} options - Merged arc options
+ * @param {Object} given - Properties the caller set
+ * @returns {ArcOptions} Options with a visible dash pattern where needed
+ */
+function withMovingDash(options, given) {
+  if (!options.dashSpeed || options.gapLength > 0) return options;
+
+  if (given.gapLength !== undefined) {
+    console.warn('ArcLayer: dashSpeed has no effect on a solid arc (gapLength 0)', options.id);
+    return options;
+  }
+
+  return {
+    ...options,
+    dashLength: given.dashLength !== undefined ? options.dashLength : MOVING_DASH.dashLength,
+    gapLength: MOVING_DASH.gapLength
+  };
+}
+
+/**
+ * Validates a {lat, lon} coordinate
+ * @private
+ */
+function isValidCoordinate(coord) {
+  return !!coord && typeof coord.lat === 'number' && typeof coord.lon === 'number';
+}
+
+/**
+ * Layer of animated great-circle arcs attached to a globe
+ *
+ * @class ArcLayer
+ *
+ * @example
+ * const arcs = new ArcLayer({ radius: 100 });
+ * globeGroup.add(arcs.group);
+ * arcs.addArc({
+ *   from: { lat: 40.7128, lon: -74.0060 },
+ *   to: { lat: 51.5074, lon: -0.1278 },
+ *   color: '#FF6B35',
+ *   gapLength: 0.05,
+ *   dashLength: 0.1,
+ *   dashSpeed: 0.5
+ * });
+ */
+export class ArcLayer {
+  /**
+   * Creates a new arc layer
+   * @param {Object} options - Layer options
+   * @param {number} options.radius - Globe surface radius in world units
+   */
+  constructor({ radius }) {
+    this.radius = radius;
+    this.group = new THREE.Group();
+    this.group.name = 'arcs';
+
+    // Map of id -> { options, line }
+    this.arcs = new Map();
+
+    // Shared time uniform so every arc animates in lockstep
+    this.timeUniform = { value: 0 };
+
+    this._nextId = 1;
+  }
+
+  /**
+   * Replaces all arcs with a new set
+   *
+   * @param {Array<ArcOptions>} arcs - Arc definitions
+   * @returns {Array<string>} Ids of the created arcs
+   */
+  setArcs(arcs) {
+    if (!Array.isArray(arcs)) {
+      console.warn('ArcLayer: setArcs expects an array');
+      return [];
+    }
+
+    this.clearArcs();
+    return arcs.map(arc => this.addArc(arc)).filter(id => id !== null);
+  }
+
+  /**
+   * Adds a single arc
+   *
+   * @param {ArcOptions} arc - Arc definition
+   * @returns {string|null} Arc id, or null if the definition is invalid
+   */
+  addArc(arc) {
+    if (!arc || !isValidCoordinate(arc.from) || !isValidCoordinate(arc.to)) {
+      console.warn('ArcLayer: arc requires numeric from/to coordinates', arc);
+      return null;
+    }
+
+    const id = arc.id !== undefined ? String(arc.id) : `arc-${this._nextId++}`;
+    if (this.arcs.has(id)) {
+      this.removeArc(id);
+    }
+
+    const options = withMovingDash({ ...DEFAULT_ARC, ...arc, id }, arc);
+    const material = this._createMaterial();
+    const line = new THREE.Line(this._createGeometry(options), material);
+    line.name = id;
+
+    this.arcs.set(id, { options, line });
+    this._applyUniforms(id);
+    this.group.add(line);
+
+    return id;
+  }
+
+  /**
+   * Updates an existing arc in place
+   *
+   * Style changes only touch shader uniforms; endpoint or altitude changes
+   * rebuild that arc's geometry.
+   *
+   * @param {string} id - Arc id
+   * @param {Partial<ArcOptions>} changes - Properties to change
+   * @returns {boolean} True if the arc exists and was updated
+   */
+  updateArc(id, changes = {}) {
+    const entry = this.arcs.get(String(id));
+    if (!entry) {
+      console.warn('ArcLayer: unknown arc id', id);
+      return false;
+    }
+
+    const next = withMovingDash({ ...entry.options, ...changes, id: entry.options.id }, changes);
+    if (!isValidCoordinate(next.from) || !isValidCoordinate(next.to)) {
+      console.warn('ArcLayer: arc requires numeric from/to coordinates', changes);
+      return false;
+    }
+
+    entry.options = next;
+
+    if (GEOMETRY_KEYS.some(key => key in changes)) {
+      entry.line.geometry.dispose();
+      entry.line.geometry = this._createGeometry(next);
+    }
+
+    this._applyUniforms(entry.options.id);
+    return true;
+  }
+
+  /**
+   * Removes an arc
+   *
+   * @param {string} id - Arc id
+   * @returns {boolean} True if an arc was removed
+   */
+  removeArc(id) {
+    const entry = this.arcs.get(String(id));
+    if (!entry) return false;
+
+    this.group.remove(entry.line);
+    entry.line.geometry.dispose();
+    entry.line.material.dispose();
+    this.arcs.delete(String(id));
+
+    return true;
+  }
+
+  /**
+   * Removes all arcs
+   */
+  clearArcs() {
+    Array.from(this.arcs.keys()).forEach(id => this.removeArc(id));
+  }
+
+  /**
+   * Gets the current arc definitions
+   *
+   * @returns {Array<ArcOptions>} Copies of the arc definitions
+   */
+  getArcs() {
+    return Array.from(this.arcs.values()).map(entry => ({ ...entry.options }));
+  }
+
+  /**
+   * Whether any arc has a moving dash pattern
+   *
+   * @returns {boolean}
+   */
+  isAnimated() {
+    for (const entry of this.arcs.values()) {
+      if (entry.options.dashSpeed !== 0 && entry.options.gapLength > 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Advances the dash animation clock
+   *
+   * @param {number} deltaMs - Elapsed time since the last update in milliseconds
+   */
+  update(deltaMs) {
+    this.timeUniform.value += deltaMs / 1000;
+  }
+
+  /**
+   * Changes the globe surface radius and rebuilds all arc geometry
+   *
+   * @param {number} radius - New surface radius in world units
+   */
+  setRadius(radius) {
+    this.radius = radius;
+    this.arcs.forEach(entry => {
+      entry.line.geometry.dispose();
+      entry.line.geometry = this._createGeometry(entry.options);
+    });
+  }
+
+  /**
+   * Disposes all arc resources
+   */
+  dispose() {
+    this.clearArcs();
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+  }
+
+  /**
+   * Builds the great-circle line geometry for an arc
+   * @private
+   * @param {ArcOptions} options - Arc definition
+   * @returns {THREE.BufferGeometry}
+   */
+  _createGeometry(options) {
+    const { from, to } = options;
+
+    // Angular distance in radians (unit sphere)
+    const angle = greatCircleDistance(from.lat, from.lon, to.lat, to.lon, 1);
+
+    const altitude = typeof options.altitude === 'number'
+      ? options.altitude
+      : angle * options.altitudeScale;
+
+    const segments = options.segments || Math.max(16, Math.ceil((angle / Math.PI) * 128));
+
+    const points = greatCircleArc(
+      latLonToCartesian(from.lat, from.lon, 1),
+      latLonToCartesian(to.lat, to.lon, 1),
+      segments
+    );
+
+    const positions = new Float32Array((segments + 1) * 3);
+    const progress = new Float32Array(segments + 1);
+
+    points.forEach((point, i) => {
+      const t = i / segments;
+
+      // Sine profile lifts the middle of the arc off the surface
+      const height = this.radius * (1 + altitude * Math.sin(Math.PI * t));
+
+      positions[i * 3] = point.x * height;
+      positions[i * 3 + 1] = point.y * height;
+      positions[i * 3 + 2] = point.z * height;
+      progress[i] = t;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('arcProgress', new THREE.BufferAttribute(progress, 1));
+
+    return geometry;
+  }
+
+  /**
+   * Creates the arc shader material
+   * @private
+   * @returns {THREE.ShaderMaterial}
+   */
+  _createMaterial() {
+    const uniforms = THREE.UniformsUtils.clone(arcShader.uniforms);
+    uniforms.u_color.value = new THREE.Color();
+    uniforms.u_time = this.timeUniform;
+
+    return new THREE.ShaderMaterial({
+      vertexShader: arcShader.vertexShader,
+      fragmentShader: arcShader.fragmentShader,
+      uniforms,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.NormalBlending
+    });
+  }
+
+  /**
+   * Copies an arc's style options into its shader uniforms
+   * @private
+   * @param {string} id - Arc id
+   */
+  _applyUniforms(id) {
+    const { options, line } = this.arcs.get(id);
+    const uniforms = line.material.uniforms;
+
+    const color = parseColor(options.color);
+    if (color) {
+      uniforms.u_color.value.copy(color);
+    } else {
+      console.warn('ArcLayer: invalid arc color', options.color);
+    }
+
+    uniforms.u_opacity.value = options.opacity;
+    uniforms.u_dashLength.value = options.dashLength;
+    uniforms.u_gapLength.value = options.gapLength;
+    uniforms.u_dashSpeed.value = options.dashSpeed;
+    uniforms.u_trailOpacity.value = options.trailOpacity;
+  }
+}
+
+/**
+ * Default export
+ */
+export default ArcLayer;
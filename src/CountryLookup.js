@@ -0,0 +1,294 @@
+/**
+ * CountryLookup.js
+ *
+ * Offline reverse geocoding: finds the country containing a coordinate from
+ * a GeoJSON set of country boundaries, by default the bundled low-resolution
+ * Natural Earth data (see data/countries.js).
+ *
+ * Generalized boundaries cut off some coastline and miss small islands, so
+ * lookups can accept points within a tolerance of the nearest boundary.
+ * Whole dot sets are matched in one pass (see lookupDots), which the globe
+ * does once per dot generation so hit-testing only reads an array.
+ *
+ * @module CountryLookup
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import { getFeatures, getPolygons, preparePolygon, pointInPolygon, withinBounds } from './utils/geojson.js';
+import { latLonToCartesian, EARTH_RADIUS_KM } from './utils/coordinates.js';
+
+/**
+ * Country information, as the properties of its boundary feature
+ * @typedef {Object} CountryInfo
+ * @property {string} name - Country name
+ * @property {string|null} iso2 - ISO 3166-1 alpha-2 code
+ * @property {string|null} iso3 - ISO 3166-1 alpha-3 code
+ * @property {string|null} isoNumeric - ISO 3166-1 numeric code
+ */
+
+/**
+ * Angular distance from a unit vector to a great-circle edge between two
+ * vertices of a ring
+ * @private
+ */
+function edgeAngle(ring, i, j, px, py, pz) {
+  const ax = ring[i * 3];
+  const ay = ring[i * 3 + 1];
+  const az = ring[i * 3 + 2];
+  const bx = ring[j * 3];
+  const by = ring[j * 3 + 1];
+  const bz = ring[j * 3 + 2];
+
+  // Normal of the edge's great circle
+  const nx = ay * bz - az * by;
+  const ny = az * bx - ax * bz;
+  const nz = ax * by - ay * bx;
+  const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+  // The closest point lies inside the edge when the point is on the inner
+  // side of both planes through the normal and an endpoint
+  if (length > 1e-12) {
+    const afterStart = nx * (ay * pz - az * py) + ny * (az * px - ax * pz) + nz * (ax * py - ay * px);
+    const beforeEnd = nx * (py * bz - pz * by) + ny * (pz * bx - px * bz) + nz * (px * by - py * bx);
+    if (afterStart > 0 && beforeEnd > 0) {
+      const sin = Math.abs(px * nx + py * ny + pz * nz) / length;
+      return Math.asin(Math.min(1, sin));
+    }
+  }
+
+  const toA = Math.acos(Math.max(-1, Math.min(1, px * ax + py * ay + pz * az)));
+  const toB = Math.acos(Math.max(-1, Math.min(1, px * bx + py * by + pz * bz)));
+  return Math.min(toA, toB);
+}
+
+/**
+ * Widens a bounding box by an angular distance
+ * @private
+ */
+function expandBounds(bounds, angle) {
+  const degrees = angle * (180 / Math.PI);
+  const north = bounds.north + degrees;
+  const south = bounds.south - degrees;
+  if (north >= 90 || south <= -90) {
+    return { north: Math.min(north, 90), south: Math.max(south, -90), west: -180, east: 180 };
+  }
+
+  // Longitude degrees shrink towards the poles
+  const latitude = Math.max(Math.abs(north), Math.abs(south)) * (Math.PI / 180);
+  const lonDegrees = degrees / Math.cos(latitude);
+  const span = bounds.west > bounds.east
+    ? bounds.east - bounds.west + 360
+    : bounds.east - bounds.west;
+  if (span + 2 * lonDegrees >= 360) {
+    return { north, south, west: -180, east: 180 };
+  }
+
+  const wrap = (lon) => ((lon + 540) % 360) - 180;
+  return { north, south, west: wrap(bounds.west - lonDegrees), east: wrap(bounds.east + lonDegrees) };
+}
+
+/**
+ * Point-in-country lookups against a set of boundary polygons
+ *
+ * @class CountryLookup
+ *
+ * @example
+ * import { COUNTRIES } from './data/countries.js';
+ * const countries = new CountryLookup(COUNTRIES);
+ * countries.lookup(48.8566, 2.3522); // { name: 'France', iso2: 'FR', iso3: 'FRA', isoNumeric: '250' }
+ *
+ * @example
+ * // Country of every dot, tolerating 25 km of coastline generalization
+ * const countryIndices = countries.lookupDots(dotData.latLongs, spatialIndex, 25);
+ * countries.getCountry(countryIndices[dotIndex]);
+ */
+export class CountryLookup {
+  /**
+   * Creates a lookup over the Polygon and MultiPolygon features of a GeoJSON object
+   *
+   * @param {Object} geojson - FeatureCollection, Feature or geometry of country boundaries
+   */
+  constructor(geojson) {
+    // Country properties, in feature order
+    this.countries = [];
+
+    // Prepared polygons with the index of their country
+    this.polygons = [];
+
+    // Upper-case ISO code (alpha-2, alpha-3 or numeric) -> country index
+    this.codes = new Map();
+
+    const features = getFeatures(geojson);
+    if (!features) {
+      console.warn('CountryLookup: expected GeoJSON country boundaries', geojson);
+      return;
+    }
+
+    features.forEach(feature => {
+      const polygons = (getPolygons(feature.geometry) || [])
+        .map(coordinates => preparePolygon(coordinates))
+        .filter(Boolean);
+      if (polygons.length === 0) return;
+
+      const country = this.countries.length;
+      const properties = { ...(feature.properties || {}) };
+      this.countries.push(properties);
+      polygons.forEach(polygon => this.polygons.push({ polygon, country }));
+
+      ['iso2', 'iso3', 'isoNumeric'].forEach(key => {
+        if (typeof properties[key] === 'string' && !this.codes.has(properties[key].toUpperCase())) {
+          this.codes.set(properties[key].toUpperCase(), country);
+        }
+      });
+    });
+  }
+
+  /**
+   * Gets a country by index
+   *
+   * @param {number} index - Country index (as returned by lookupIndex, lookupDots and getCountryIndex)
+   * @returns {CountryInfo|null} Copy of the country's properties, or null if there is none
+   */
+  getCountry(index) {
+    const country = this.countries[index];
+    return country ? { ...country } : null;
+  }
+
+  /**
+   * Finds a country by ISO 3166-1 code
+   *
+   * @param {string|number} code - Alpha-2 or alpha-3 code (any case), or numeric code
+   *        as a string or number
+   * @returns {number} Country index, or -1 if no country has the code
+   *
+   * @example
+   * countries.getCountry(countries.getCountryIndex('fr')); // { name: 'France', ... }
+   * countries.getCountryIndex(36) === countries.getCountryIndex('AUS'); // true
+   */
+  getCountryIndex(code) {
+    const key = typeof code === 'number'
+      ? String(code).padStart(3, '0')
+      : String(code).trim().toUpperCase();
+    return this.codes.has(key) ? this.codes.get(key) : -1;
+  }
+
+  /**
+   * Finds the country containing a coordinate
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} [toleranceKm=0] - Also accept the country whose boundary is
+   *        nearest, if it is at most this far away
+   * @returns {CountryInfo|null} Country, or null if the point is in none
+   */
+  lookup(lat, lon, toleranceKm = 0) {
+    return this.getCountry(this.lookupIndex(lat, lon, toleranceKm));
+  }
+
+  /**
+   * Finds the index of the country containing a coordinate
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} [toleranceKm=0] - Also accept the country whose boundary is
+   *        nearest, if it is at most this far away
+   * @returns {number} Country index, or -1 if the point is in none
+   */
+  lookupIndex(lat, lon, toleranceKm = 0) {
+    const inside = this.polygons.find(entry => pointInPolygon(lat, lon, entry.polygon));
+    if (inside) return inside.country;
+    if (!(toleranceKm > 0)) return -1;
+
+    const tolerance = toleranceKm / EARTH_RADIUS_KM;
+    const { x, y, z } = latLonToCartesian(lat, lon, 1);
+    let best = -1;
+    let bestAngle = tolerance;
+
+    this.polygons.forEach(({ polygon, country }) => {
+      if (!withinBounds(expandBounds(polygon.bounds, tolerance), lat, lon)) return;
+
+      polygon.rings.forEach(ring => {
+        const count = ring.length / 3;
+        for (let i = 0; i < count; i++) {
+          const angle = edgeAngle(ring, i, (i + 1) % count, x, y, z);
+          if (angle <= bestAngle) {
+            bestAngle = angle;
+            best = country;
+          }
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Finds the country of every dot in one pass
+   *
+   * @param {Array<{lat: number, lon: number}>} latLongs - Dot coordinates
+   * @param {import('./SpatialIndex.js').SpatialIndex} spatialIndex - Index over the same dots
+   * @param {number} [toleranceKm=0] - Also match dots this close to a boundary
+   * @returns {Int16Array} Country index per dot (-1 for none)
+   */
+  lookupDots(latLongs, spatialIndex, toleranceKm = 0) {
+    const countries = new Int16Array(latLongs.length).fill(-1);
+
+    this.polygons.forEach(({ polygon, country }) => {
+      spatialIndex.inBounds(polygon.bounds).forEach(index => {
+        if (countries[index] !== -1) return;
+        const { lat, lon } = latLongs[index];
+        if (pointInPolygon(lat, lon, polygon)) {
+          countries[index] = country;
+        }
+      });
+    });
+
+    if (!(toleranceKm > 0)) return countries;
+
+    // Match the remaining dots to the nearest edge within the tolerance,
+    // querying only the dots around each edge
+    const tolerance = toleranceKm / EARTH_RADIUS_KM;
+    const toDeg = 180 / Math.PI;
+    const nearest = new Map();  // dot index -> { angle, country }
+
+    this.polygons.forEach(({ polygon, country }) => {
+      polygon.rings.forEach(ring => {
+        const count = ring.length / 3;
+        for (let i = 0; i < count; i++) {
+          const j = (i + 1) % count;
+          const mx = ring[i * 3] + ring[j * 3];
+          const my = ring[i * 3 + 1] + ring[j * 3 + 1];
+          const mz = ring[i * 3 + 2] + ring[j * 3 + 2];
+          const length = Math.sqrt(mx * mx + my * my + mz * mz);
+          if (length < 1e-12) continue;
+
+          const halfEdge = Math.acos(Math.min(1, length / 2));
+          const lat = Math.asin(Math.max(-1, Math.min(1, my / length))) * toDeg;
+          const lon = Math.atan2(mx, mz) * toDeg;
+
+          spatialIndex.withinAngle(lat, lon, halfEdge + tolerance).forEach(index => {
+            if (countries[index] !== -1) return;
+            const dot = latLonToCartesian(latLongs[index].lat, latLongs[index].lon, 1);
+            const angle = edgeAngle(ring, i, j, dot.x, dot.y, dot.z);
+            const match = nearest.get(index);
+            if (angle <= tolerance && (!match || angle < match.angle)) {
+              nearest.set(index, { angle, country });
+            }
+          });
+        }
+      });
+    });
+
+    nearest.forEach(({ country }, index) => {
+      countries[index] = country;
+    });
+
+    return countries;
+  }
+}
+
+/**
+ * Default export
+ */
+export default CountryLookup;
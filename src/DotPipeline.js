@@ -0,0 +1,225 @@
+/**
+ * DotPipeline.js
+ *
+ * Dot generation and continent masking pipeline shared by the main thread
+ * and the dot worker (DotWorker.js). It takes plain data and returns typed
+ * arrays, with no DOM or Three.js dependencies, so the same code runs inside
+ * a Web Worker or synchronously as a fallback.
+ *
+ * Dots are masked by the latitude/longitude used everywhere else on the globe
+ * (utils/coordinates.js), so continents line up with markers, arcs and
+ * spatial queries. Masks are either binary (brightness above a threshold is
+ * land) or classified, where each dot takes the class with the closest key
+ * colour and hidden classes are dropped.
+ *
+ * @module DotPipeline
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import { generateDotsBuffer } from './DotGenerator.js';
+import { cartesianToLatLon, latLonToUV } from './utils/coordinates.js';
+
+/**
+ * Default brightness threshold for land detection (0-255)
+ * @private
+ */
+const DEFAULT_BRIGHTNESS_THRESHOLD = 128;
+
+/**
+ * Number of dots processed between progress reports
+ * @private
+ */
+const PROGRESS_INTERVAL = 5000;
+
+/**
+ * Land mask pixels passed to the pipeline
+ * @typedef {Object} DotMask
+ * @property {Uint8ClampedArray} data - Raw RGBA pixel data
+ * @property {number} width - Mask width in pixels
+ * @property {number} height - Mask height in pixels
+ * @property {number} [brightnessThreshold=128] - Brightness above which a pixel is land
+ * @property {Array<{r: number, g: number, b: number, visible: boolean}>} [classes] - Key
+ *           colours (0-255) of a classified mask; replaces the threshold when set
+ */
+
+/**
+ * Pipeline input
+ * @typedef {Object} DotPipelineRequest
+ * @property {string} distribution - Dot distribution name (see DOT_DISTRIBUTIONS)
+ * @property {number} dotCount - Number of dots to generate before masking
+ * @property {number} radius - Sphere radius in world units
+ * @property {DotMask|null} [mask] - Land mask (all dots are kept without one)
+ */
+
+/**
+ * Pipeline output
+ * @typedef {Object} DotPipelineResult
+ * @property {Float32Array} positions - Kept dot positions [x1, y1, z1, x2, ...]
+ * @property {Float32Array} latLons - Kept dot coordinates [lat1, lon1, lat2, ...]
+ * @property {Uint8Array|null} classes - Mask class index of each kept dot (null without classes)
+ */
+
+/**
+ * Gets the offset of the mask pixel at given UV coordinates
+ *
+ * The one pixel lookup shared with TextureSampler, so masked dots and
+ * sampled coordinates read the same pixel.
+ *
+ * @param {number} u - Horizontal texture coordinate (0-1, clamped)
+ * @param {number} v - Vertical texture coordinate (0-1, clamped)
+ * @param {number} width - Mask width in pixels
+ * @param {number} height - Mask height in pixels
+ * @returns {number} Index of the pixel's red channel in the RGBA data
+ */
+export function maskPixelOffset(u, v, width, height) {
+  const pixelX = Math.floor(Math.max(0, Math.min(1, u)) * (width - 1));
+  const pixelY = Math.floor(Math.max(0, Math.min(1, v)) * (height - 1));
+  return (pixelY * width + pixelX) * 4;
+}
+
+/**
+ * Gets the mask class of a pixel: the class whose key is closest to the
+ * pixel colour, so smoothing and compression artefacts between classes
+ * still classify
+ *
+ * The one classifier shared with TextureSampler.getClassIndexAtUV.
+ *
+ * @param {Uint8ClampedArray} data - Raw RGBA pixel data
+ * @param {number} offset - Index of the pixel's red channel (see maskPixelOffset)
+ * @param {Array<{r: number, g: number, b: number}>} classes - Key colours (0-255)
+ * @returns {number} Index into classes, or -1 if there are none
+ */
+export function nearestMaskClass(data, offset, classes) {
+  const r = data[offset];
+  const g = data[offset + 1];
+  const b = data[offset + 2];
+
+  let best = -1;
+  let bestDistance = Infinity;
+  for (let i = 0; i < classes.length; i++) {
+    const dr = r - classes[i].r;
+    const dg = g - classes[i].g;
+    const db = b - classes[i].b;
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Gets the offset of the mask pixel under a coordinate
+ * @private
+ */
+function pixelOffset(lat, lon, mask) {
+  const { u, v } = latLonToUV(lat, lon);
+  return maskPixelOffset(u, v, mask.width, mask.height);
+}
+
+/**
+ * Checks whether a coordinate is land in the mask
+ *
+ * Compares the average of the pixel's RGB channels with the threshold.
+ * @private
+ */
+function isLand(lat, lon, mask) {
+  const index = pixelOffset(lat, lon, mask);
+  const brightness = (mask.data[index] + mask.data[index + 1] + mask.data[index + 2]) / 3;
+  const threshold = typeof mask.brightnessThreshold === 'number'
+    ? mask.brightnessThreshold
+    : DEFAULT_BRIGHTNESS_THRESHOLD;
+  return brightness > threshold;
+}
+
+/**
+ * Generates dots and removes those that fall on water (or in hidden classes)
+ *
+ * @param {DotPipelineRequest} request - Generation parameters
+ * @param {Function} [onProgress] - Called with the fraction of dots processed (0-1)
+ * @returns {DotPipelineResult} Positions, coordinates and classes of the kept dots
+ *
+ * @throws {RangeError} If the distribution is unknown or the count/radius are invalid
+ *
+ * @example
+ * const { positions, latLons } = buildDots({
+ *   distribution: 'fibonacci',
+ *   dotCount: 20000,
+ *   radius: 100,
+ *   mask: { data: imageData.data, width: imageData.width, height: imageData.height }
+ * });
+ *
+ * @example
+ * // Classified mask: black ocean (dropped), grey land, white ice
+ * const { classes } = buildDots({
+ *   distribution: 'fibonacci',
+ *   dotCount: 20000,
+ *   radius: 100,
+ *   mask: {
+ *     data: imageData.data,
+ *     width: imageData.width,
+ *     height: imageData.height,
+ *     classes: [
+ *       { r: 0, g: 0, b: 0, visible: false },
+ *       { r: 128, g: 128, b: 128, visible: true },
+ *       { r: 255, g: 255, b: 255, visible: true }
+ *     ]
+ *   }
+ * });
+ */
+export function buildDots({ distribution, dotCount, radius, mask = null }, onProgress = null) {
+  const all = generateDotsBuffer(distribution, dotCount, radius);
+  const total = all.length / 3;
+
+  const positions = new Float32Array(all.length);
+  const latLons = new Float32Array(total * 2);
+  const classified = !!(mask && mask.classes && mask.classes.length > 0);
+  const classes = classified ? new Uint8Array(total) : null;
+  let kept = 0;
+
+  for (let i = 0; i < total; i++) {
+    const x = all[i * 3];
+    const y = all[i * 3 + 1];
+    const z = all[i * 3 + 2];
+    const { lat, lon } = cartesianToLatLon(x, y, z, radius);
+
+    let keep = true;
+    if (classified) {
+      const maskClass = nearestMaskClass(mask.data, pixelOffset(lat, lon, mask), mask.classes);
+      keep = mask.classes[maskClass].visible !== false;
+      classes[kept] = maskClass;
+    } else if (mask) {
+      keep = isLand(lat, lon, mask);
+    }
+
+    if (keep) {
+      positions[kept * 3] = x;
+      positions[kept * 3 + 1] = y;
+      positions[kept * 3 + 2] = z;
+      latLons[kept * 2] = lat;
+      latLons[kept * 2 + 1] = lon;
+      kept++;
+    }
+
+    if (onProgress && (i + 1) % PROGRESS_INTERVAL === 0 && i + 1 < total) {
+      onProgress((i + 1) / total);
+    }
+  }
+
+  if (onProgress) {
+    onProgress(1);
+  }
+
+  return {
+    positions: positions.slice(0, kept * 3),
+    latLons: latLons.slice(0, kept * 2),
+    classes: classes ? classes.slice(0, kept) : null
+  };
+}
+
+/**
+ * Default export
+ */
+export default buildDots;
@@ -0,0 +1,39 @@
+/**
+ * DotWorker.js
+ *
+ * Web Worker entry point that runs the dot pipeline (DotPipeline.js) off the
+ * main thread. Globe creates it as a module worker and posts one message per
+ * generation request.
+ *
+ * Messages received:
+ * - { id, distribution, dotCount, radius, mask } (mask pixels are transferred)
+ *
+ * Messages posted:
+ * - { id, type: 'progress', progress } while masking
+ * - { id, type: 'result', positions, latLons, classes } with the buffers transferred
+ *   (classes is null unless the mask is classified)
+ * - { id, type: 'error', message } if generation throws
+ *
+ * @module DotWorker
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import { buildDots } from './DotPipeline.js';
+
+self.addEventListener('message', (event) => {
+  const { id, ...request } = event.data;
+
+  try {
+    const { positions, latLons, classes } = buildDots(request, (progress) => {
+      self.postMessage({ id, type: 'progress', progress });
+    });
+
+    const buffers = [positions.buffer, latLons.buffer];
+    if (classes) buffers.push(classes.buffer);
+
+    self.postMessage({ id, type: 'result', positions, latLons, classes }, buffers);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
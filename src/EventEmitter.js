@@ -0,0 +1,193 @@
+/**
+ * EventEmitter.js
+ *
+ * Minimal event emitter with a fixed set of event names. Subscribing to an
+ * unknown event warns instead of failing silently, which catches typos such
+ * as 'dotClick' for 'dotclick'.
+ *
+ * A handler that throws is logged and does not stop the remaining handlers
+ * or the emitting code.
+ *
+ * @module EventEmitter
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Event emitter restricted to a known list of event names
+ *
+ * @class EventEmitter
+ *
+ * @example
+ * class Player extends EventEmitter {
+ *   constructor() {
+ *     super(['play', 'pause']);
+ *   }
+ * }
+ *
+ * const player = new Player();
+ * const unsubscribe = player.on('play', (track) => console.log(track));
+ * player.emit('play', 'Intro');
+ * unsubscribe();
+ */
+export class EventEmitter {
+  /**
+   * Creates a new emitter
+   * @param {Array<string>} events - Event names that can be subscribed to
+   */
+  constructor(events) {
+    // Map of event name -> array of { handler, once }
+    this._listeners = new Map();
+    events.forEach(event => this._listeners.set(event, []));
+  }
+
+  /**
+   * Subscribes to an event
+   *
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Function that removes this subscription
+   */
+  on(event, handler) {
+    return this._addListener(event, handler, false);
+  }
+
+  /**
+   * Subscribes to the next occurrence of an event only
+   *
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Function that removes this subscription
+   */
+  once(event, handler) {
+    return this._addListener(event, handler, true);
+  }
+
+  /**
+   * Unsubscribes from an event
+   *
+   * @param {string} event - Event name
+   * @param {Function} [handler] - Handler to remove, from every subscription of it
+   *        (removes all handlers when omitted)
+   * @returns {boolean} True if any handler was removed
+   */
+  off(event, handler) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) {
+      console.warn(`${this.constructor.name}: unknown event`, event);
+      return false;
+    }
+
+    const remaining = handler
+      ? listeners.filter(listener => listener.handler !== handler)
+      : [];
+    const removed = remaining.length !== listeners.length;
+
+    this._listeners.set(event, remaining);
+    if (removed) {
+      this._listenersChanged(event);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Calls every handler subscribed to an event
+   *
+   * @param {string} event - Event name
+   * @param {*} [payload] - Value passed to the handlers
+   */
+  emit(event, payload) {
+    const listeners = this._listeners.get(event);
+    if (!listeners || listeners.length === 0) return;
+
+    // Drop one-time handlers before calling, so re-emitting from a handler is safe
+    if (listeners.some(listener => listener.once)) {
+      this._listeners.set(event, listeners.filter(listener => !listener.once));
+      this._listenersChanged(event);
+    }
+
+    listeners.forEach(({ handler }) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`${this.constructor.name}: error in '${event}' handler`, error);
+      }
+    });
+  }
+
+  /**
+   * Counts the handlers subscribed to an event
+   *
+   * @param {string} event - Event name
+   * @returns {number}
+   */
+  listenerCount(event) {
+    const listeners = this._listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+
+  /**
+   * Removes every handler from every event
+   */
+  removeAllListeners() {
+    this._listeners.forEach((listeners, event) => {
+      if (listeners.length > 0) {
+        this._listeners.set(event, []);
+        this._listenersChanged(event);
+      }
+    });
+  }
+
+  /**
+   * Called whenever handlers are added to or removed from an event.
+   * Subclasses override this to attach DOM listeners lazily.
+   * @protected
+   * @param {string} event - Event name
+   */
+  _listenersChanged() {}
+
+  /**
+   * Adds a handler
+   * @private
+   */
+  _addListener(event, handler, once) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) {
+      console.warn(`${this.constructor.name}: unknown event`, event);
+      return () => false;
+    }
+
+    if (typeof handler !== 'function') {
+      console.warn(`${this.constructor.name}: handler for '${event}' must be a function`);
+      return () => false;
+    }
+
+    // The unsubscribe function removes this record only, not other
+    // subscriptions of the same handler
+    const listener = { handler, once };
+    listeners.push(listener);
+    this._listenersChanged(event);
+
+    return () => this._removeListener(event, listener);
+  }
+
+  /**
+   * Removes one subscription record
+   * @private
+   * @returns {boolean} True if it was still subscribed
+   */
+  _removeListener(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners.includes(listener)) return false;
+
+    this._listeners.set(event, listeners.filter(entry => entry !== listener));
+    this._listenersChanged(event);
+    return true;
+  }
+}
+
+/**
+ * Default export
+ */
+export default EventEmitter;
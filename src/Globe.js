@@ -13,14 +13,241 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { generateFibonacciSphereBuffer } from './DotGenerator.js';
-import {
-  loadEarthTexture,
-  isLandAtPosition,
-  disposeTextureData
-} from './TextureSampler.js';
-import { cartesianToLatLon, latLonToCartesian } from './utils/coordinates.js';
-import { parseColor } from './utils/colors.js';
+import { DOT_DISTRIBUTIONS } from './DotGenerator.js';
+import { buildDots } from './DotPipeline.js';
+import { ArcLayer } from './ArcLayer.js';
+import { MarkerLayer } from './MarkerLayer.js';
+import { LabelLayer } from './LabelLayer.js';
+import { PolygonLayer } from './PolygonLayer.js';
+import { PathLayer } from './PathLayer.js';
+import { CountryLookup } from './CountryLookup.js';
+import { SpatialIndex } from './SpatialIndex.js';
+import { renderSnapshot, MAX_SNAPSHOT_SIZE } from './Snapshot.js';
+import { WebMWriter, WEBM_CODECS } from './WebMWriter.js';
+import { QualityController, QUALITY_LEVELS } from './QualityController.js';
+import { EventEmitter } from './EventEmitter.js';
+import { loadEarthTexture, disposeTextureData, resolveMaskClasses, getClassAtLatLong } from './TextureSampler.js';
+import { cartesianToLatLon, latLonToCartesian, formatLatLon, EARTH_RADIUS_KM } from './utils/coordinates.js';
+import { parseColor, createColorRamp } from './utils/colors.js';
+import { getFeatures } from './utils/geojson.js';
+import { resolveEasing } from './utils/easing.js';
+import { getSunPosition, getSolarElevation } from './utils/solar.js';
+import { dotShader, atmosphereShader } from './shaders/index.js';
+
+/**
+ * Supported render modes
+ * @private
+ */
+const RENDER_MODES = ['continuous', 'onDemand'];
+
+/**
+ * Supported motion modes (see the motion option)
+ * @private
+ */
+const MOTION_MODES = ['auto', 'full', 'reduced'];
+
+/**
+ * Slack allowed when comparing frame times against the maxFps interval, so
+ * a 60 Hz display is not throttled to 30 fps by timer jitter
+ * @private
+ */
+const FRAME_TOLERANCE_MS = 2;
+
+/**
+ * Highest device pixel ratio rendered at; denser screens gain little for the
+ * extra fill cost
+ * @private
+ */
+const MAX_PIXEL_RATIO = 2;
+
+/**
+ * Configuration keys whose change requires the dots to be regenerated
+ * @private
+ */
+const REBUILD_KEYS = ['dotCount', 'dotDistribution', 'globeRadius', 'texturePath', 'maskClasses'];
+
+/**
+ * Cells per side of the grid densityOrder walks with a Hilbert curve
+ * @private
+ */
+const DENSITY_GRID_SIZE = 1 << 16;
+
+/**
+ * Gets the distance of a grid cell along the Hilbert curve that fills the grid
+ * @private
+ * @param {number} x - Column (0 to DENSITY_GRID_SIZE - 1)
+ * @param {number} y - Row (0 to DENSITY_GRID_SIZE - 1)
+ * @returns {number} Position along the curve
+ */
+function hilbertIndex(x, y) {
+  let index = 0;
+  for (let size = DENSITY_GRID_SIZE >> 1; size > 0; size >>= 1) {
+    const rx = (x & size) > 0 ? 1 : 0;
+    const ry = (y & size) > 0 ? 1 : 0;
+    index += size * size * ((3 * rx) ^ ry);
+
+    // Rotate the quadrant so the curve stays continuous
+    if (ry === 0) {
+      if (rx === 1) {
+        x = size - 1 - x;
+        y = size - 1 - y;
+      }
+      [x, y] = [y, x];
+    }
+  }
+  return index;
+}
+
+/**
+ * Orders dots so that every prefix of the order covers the whole globe
+ *
+ * Generators emit dots in their own order (poisson by growth front,
+ * geodesic by face), so the dots are first sorted along a Hilbert curve over
+ * an equal-area map of the sphere (longitude against height), which keeps
+ * neighbours on the globe close in the order. Bit reversal then picks from
+ * that order so every prefix is spread evenly over the curve, and with it
+ * over the globe.
+ * @private
+ * @param {Float32Array} positions - Dot positions [x1, y1, z1, x2, ...]
+ * @returns {Uint32Array} Permutation of the dot indices
+ */
+function densityOrder(positions) {
+  const count = positions.length / 3;
+  const last = DENSITY_GRID_SIZE - 1;
+  const keys = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    const length = Math.sqrt(x * x + y * y + z * z) || 1;
+    const u = (Math.atan2(x, z) + Math.PI) / (2 * Math.PI);
+    const v = (y / length + 1) / 2;
+    keys[i] = hilbertIndex(
+      Math.min(last, Math.floor(u * DENSITY_GRID_SIZE)),
+      Math.min(last, Math.floor(v * DENSITY_GRID_SIZE))
+    );
+  }
+  const alongCurve = Array.from({ length: count }, (_, i) => i).sort((a, b) => keys[a] - keys[b]);
+
+  const order = new Uint32Array(count);
+  let bits = 0;
+  while ((1 << bits) < count) bits++;
+
+  let next = 0;
+  for (let i = 0; next < count; i++) {
+    let reversed = 0;
+    for (let bit = 0; bit < bits; bit++) {
+      reversed = (reversed << 1) | ((i >> bit) & 1);
+    }
+    if (reversed < count) order[next++] = alongCurve[reversed];
+  }
+  return order;
+}
+
+/**
+ * Heatmap kernels, weighting a sample by normalized distance d (0 at the
+ * sample, 1 at radiusKm)
+ * @private
+ */
+const HEATMAP_KERNELS = {
+  gaussian: (d) => Math.exp(-4.5 * d * d), // sigma = radiusKm / 3
+  linear: (d) => 1 - d,
+  uniform: () => 1
+};
+
+/**
+ * Heatmap aggregations: kernel-weighted sum, or the nearest sample's weight
+ * @private
+ */
+const HEATMAP_AGGREGATIONS = ['kernel', 'nearest'];
+
+/**
+ * Number of entries in the lookup table a colour ramp is sampled into
+ * @private
+ */
+const RAMP_LUT_SIZE = 256;
+
+/**
+ * Choropleth scales: continuous ('linear', 'log') or classed into equal
+ * intervals ('quantize') or classes with equal numbers of countries ('quantile')
+ * @private
+ */
+const CHOROPLETH_SCALES = ['linear', 'log', 'quantize', 'quantile'];
+
+/**
+ * Computes the class breaks of a choropleth scale, from min to max
+ * @private
+ * @param {string} scale - Choropleth scale
+ * @param {Array<number>} sorted - Data values in ascending order
+ * @param {number} min - Low end of the domain
+ * @param {number} max - High end of the domain
+ * @param {number} count - Number of classes
+ * @returns {Array<number>} count + 1 breaks
+ */
+function choroplethBreaks(scale, sorted, min, max, count) {
+  const breaks = [];
+  for (let i = 0; i <= count; i++) {
+    const t = i / count;
+    if (i === count && scale !== 'quantile') {
+      breaks.push(max);
+    } else if (scale === 'log') {
+      breaks.push(min * Math.pow(max / min, t));
+    } else if (scale === 'quantile' && sorted.length > 0) {
+      // Linear interpolation between the closest ranks
+      const rank = t * (sorted.length - 1);
+      const lower = Math.floor(rank);
+      const upper = Math.min(lower + 1, sorted.length - 1);
+      breaks.push(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+    } else {
+      breaks.push(min + (max - min) * t);
+    }
+  }
+  return breaks;
+}
+
+/**
+ * Half-width of the day/night terminator in degrees of sun elevation
+ * (civil twilight)
+ * @private
+ */
+const TWILIGHT_DEGREES = 6;
+
+/**
+ * Simulated time per live sun clock update: the Earth turns 0.1 degrees in
+ * 24 seconds, below what the terminator can visibly move
+ * @private
+ */
+const SUN_CLOCK_STEP_MS = 24000;
+
+/**
+ * Keyboard navigation: rotation step, zoom factor per key press, animation
+ * lengths and the latitude limit that keeps the camera off the poles
+ * @private
+ */
+const KEY_ROTATE_DEGREES = 10;
+const KEY_ZOOM_FACTOR = 1.25;
+const KEY_MOVE_MS = 250;
+const KEY_FOCUS_MS = 600;
+const KEY_MAX_LATITUDE = 80;
+
+/**
+ * Radius of the focus ring around a focused dot, relative to the globe radius
+ * @private
+ */
+const FOCUS_RING_SCALE = 0.02;
+
+/**
+ * Hides an element visually while keeping it available to screen readers
+ * @private
+ */
+const VISUALLY_HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+  'border:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;';
+
+/**
+ * Counter for unique ids of the accessibility elements
+ * @private
+ */
+let nextAccessibilityId = 1;
 
 /**
  * Configuration options for the Globe
@@ -34,6 +261,8 @@ import { parseColor } from './utils/colors.js';
  * @property {string|number} [activeDotColor='#FF6B35'] - Active dot highlight color
  * @property {string|number} [glowColor='#000000'] - Edge glow color
  * @property {number} [glowIntensity=0.5] - Glow intensity (0-1)
+ * @property {boolean} [showAtmosphere=false] - Render the fresnel atmosphere halo
+ * @property {number} [atmosphereScale=1.15] - Atmosphere halo radius relative to the globe radius
  * @property {boolean} [autoRotate=true] - Enable auto-rotation
  * @property {number} [rotationSpeed=1.0] - Rotation speed in degrees per second
  * @property {number} [phi=0] - Initial rotation around X-axis (degrees)
@@ -42,12 +271,55 @@ import { parseColor } from './utils/colors.js';
  * @property {boolean} [enableZoom=false] - Allow zoom control
  * @property {boolean} [enablePan=false] - Allow pan control
  * @property {number} [dotCount=20000] - Number of dots to generate
+ * @property {string} [dotDistribution='fibonacci'] - Dot layout: 'fibonacci', 'grid', 'geodesic',
+ *           'hexagonal' or 'poisson'
+ * @property {boolean} [useWorker=true] - Generate and mask dots in a Web Worker when available
+ * @property {string} [renderMode='continuous'] - 'continuous' renders every frame; 'onDemand'
+ *           renders only when something changed or is animating
+ * @property {number} [maxFps=0] - Frame rate cap (0 = display refresh rate)
+ * @property {boolean} [pauseWhenOffscreen=true] - Stop rendering while the canvas is scrolled out of view
+ * @property {string} [motion='auto'] - 'auto' follows the prefers-reduced-motion media query;
+ *           'reduced' stops auto-rotation, sphere rotation and arc dashes and makes camera moves
+ *           instant; 'full' animates regardless of the preference
+ * @property {boolean} [showDayNight=false] - Shade the night side of the globe (see setSunPosition)
+ * @property {number} [nightBrightness=0.25] - Dot brightness multiplier on the night side
+ * @property {string|number} [nightColor='#000000'] - Tint added to dots on the night side
+ * @property {number} [cityLights=0] - Fraction of night-side dots lit as city lights (0-1)
+ * @property {string|number} [cityLightsColor='#FFCC66'] - City light color
+ * @property {boolean} [countryLookup=false] - Load the bundled country boundaries (a separate
+ *           183 KB chunk) and resolve the country of every dot (see getCountryAt);
+ *           setChoropleth turns it on
+ * @property {boolean} [keyboardNavigation=true] - Make the canvas focusable: arrow keys rotate, +/- zoom,
+ *           Tab moves between markers and active dots, Enter selects
+ * @property {string} [ariaLabel='Interactive globe'] - Accessible name of the canvas
+ * @property {string} [ariaDescription] - Text alternative describing the data shown (a summary of
+ *           the markers, active dots, arcs and heatmap is generated when omitted)
+ * @property {string|number} [focusRingColor='#FFFFFF'] - Color of the keyboard focus ring
  * @property {boolean} [antialias=false] - WebGL antialiasing
+ * @property {boolean} [adaptiveQuality=false] - Lower and raise quality to hold targetFps (see setQuality)
+ * @property {number} [targetFps=60] - Frame rate adaptive quality aims for (capped by maxFps)
+ * @property {Array<Object>} [qualityLevels] - Quality levels from best to cheapest, as
+ *           {name, pixelRatio, antialias, dotDensity, effects} (defaults to QUALITY_LEVELS)
+ * @property {boolean} [qualityAntialias=false] - Let quality levels turn antialiasing off. The
+ *           WebGL context is recreated (and the canvas element replaced) when they do, so this is
+ *           off by default and antialiasing stays as the renderer was created
  * @property {number} [scale=1.0] - Globe size multiplier
  * @property {string} [texturePath] - Path to Earth mask texture
+ * @property {Array<Object>} [maskClasses] - Classes of a classified mask texture, as
+ *           {name, key, color, size, visible}: key is the grey level (0-255) or RGB colour of the
+ *           class's pixels, color and size (a dotSize multiplier) style its dots and visible: false
+ *           drops them. Replaces the land/ocean brightness threshold (see setMaskClassStyle)
  * @property {Function} [onDotClick] - Click handler (dot) => {}
  * @property {Function} [onDotHover] - Hover handler (dot) => {}
+ * @property {Function} [onMarkerClick] - Marker click handler (marker) => {}
+ * @property {Function} [onMarkerHover] - Marker hover handler (marker|null) => {}
+ * @property {Object} [polygons] - Initial GeoJSON FeatureCollection of Polygon/MultiPolygon features
+ * @property {Object|Function} [polygonStyle] - Style for the initial polygons, or (feature) => style
  * @property {Array} [activeDots] - Initial active dots [{lat, lon, color}, ...]
+ * @property {Array} [arcs] - Initial arcs [{from, to, color, altitude, dashSpeed}, ...]
+ * @property {Array} [markers] - Initial markers [{id, lat, lon, color, size, label, data}, ...]
+ * @property {Array} [paths] - Initial paths [{id, points, color, width, opacity}, ...]
+ * @property {Array} [labels] - Initial labels [{id, lat, lon, text, className, anchor, priority}, ...]
  */
 
 /**
@@ -61,6 +333,8 @@ const DEFAULT_CONFIG = {
   activeDotColor: '#FF6B35',
   glowColor: '#000000',
   glowIntensity: 0.5,
+  showAtmosphere: false,
+  atmosphereScale: 1.15,
   autoRotate: true,
   rotationSpeed: 1.0,
   phi: 0,
@@ -69,7 +343,27 @@ const DEFAULT_CONFIG = {
   enableZoom: false,
   enablePan: false,
   dotCount: 20000,
+  dotDistribution: 'fibonacci',
+  useWorker: true,
+  renderMode: 'continuous',
+  maxFps: 0,
+  pauseWhenOffscreen: true,
+  motion: 'auto',
+  showDayNight: false,
+  nightBrightness: 0.25,
+  nightColor: '#000000',
+  cityLights: 0,
+  cityLightsColor: '#FFCC66',
+  countryLookup: false,
+  keyboardNavigation: true,
+  ariaLabel: 'Interactive globe',
+  ariaDescription: null,
+  focusRingColor: '#FFFFFF',
   antialias: false,
+  adaptiveQuality: false,
+  targetFps: 60,
+  qualityLevels: QUALITY_LEVELS,
+  qualityAntialias: false,
   scale: 1.0,
   globeRadius: 100,
   sphereColor: '#1a1a2e',
@@ -77,10 +371,108 @@ const DEFAULT_CONFIG = {
   sphereRotationSpeed: 0.5
 };
 
+/**
+ * Events emitted by the Globe (see on/off/once)
+ *
+ * | Event           | Payload                                            |
+ * |-----------------|----------------------------------------------------|
+ * | `ready`         | `{dotCount}` once init() has finished              |
+ * | `dotclick`      | Dot info (see getDotInfo)                          |
+ * | `dothover`      | Dot info when the pointer enters a dot             |
+ * | `dotleave`      | Dot info when the pointer leaves a dot             |
+ * | `markerclick`   | Marker definition                                  |
+ * | `markerhover`   | Marker definition, or null when the pointer leaves |
+ * | `polygonclick`  | `{id, properties, feature, style, dotCount}` (see getPolygons) |
+ * | `polygonhover`  | Polygon as for polygonclick, or null when the pointer leaves |
+ * | `rotationstart` | `{source}`: 'user' (drag) or 'auto' (startRotation)|
+ * | `rotationend`   | `{source}`: 'user' (drag) or 'auto' (stopRotation) |
+ * | `cameramove`    | `{lat, lon, altitude, distance}` (see getCameraPosition) |
+ * | `resize`        | `{width, height}`                                  |
+ * | `contextlost`   | `{event}` the webglcontextlost DOM event           |
+ * | `contextrestored` | `{event}` after GPU resources have been restored |
+ * | `qualitychange` | `{level, name, previous, reason, fps}`; reason is 'down', 'up' or 'manual' |
+ * | `dispose`       | none, emitted before resources are released        |
+ *
+ * @constant {Array<string>}
+ * @private
+ */
+const GLOBE_EVENTS = [
+  'ready',
+  'dotclick',
+  'dothover',
+  'dotleave',
+  'markerclick',
+  'markerhover',
+  'polygonclick',
+  'polygonhover',
+  'rotationstart',
+  'rotationend',
+  'cameramove',
+  'resize',
+  'contextlost',
+  'contextrestored',
+  'qualitychange',
+  'dispose'
+];
+
+/**
+ * Events that need pointer tracking on the canvas
+ * @private
+ */
+const HOVER_EVENTS = ['dothover', 'dotleave', 'markerhover', 'polygonhover'];
+const CLICK_EVENTS = ['dotclick', 'markerclick', 'polygonclick'];
+
+/**
+ * Distance from the generalized country boundaries within which dots and
+ * coordinates still resolve to the nearest country, so coastal dots and
+ * small islands missing from the 1:110m data are not left without one
+ * @private
+ */
+const COUNTRY_TOLERANCE_KM = 25;
+
+/**
+ * Feature style properties loadGeoJSON passes on to markers and paths
+ * @private
+ */
+const GEOJSON_MARKER_STYLE = ['color', 'size', 'altitude', 'label'];
+const GEOJSON_PATH_STYLE = ['color', 'width', 'opacity', 'altitude'];
+
+/**
+ * Mask class properties setMaskClassStyle can change
+ * @private
+ */
+const MASK_CLASS_STYLE = ['color', 'size', 'visible'];
+
+/**
+ * Copies the given properties of an object that are not undefined
+ * @private
+ */
+function pickDefined(object, keys) {
+  return keys.reduce((result, key) => {
+    if (object[key] !== undefined) {
+      result[key] = object[key];
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Result formats supported by toImage
+ * @private
+ */
+const IMAGE_OUTPUTS = ['blob', 'dataURL'];
+
+/**
+ * Result formats supported by record
+ * @private
+ */
+const RECORDING_OUTPUTS = ['blob', 'bitmap', 'webm'];
+
 /**
  * Interactive 3D Globe component
  *
  * @class Globe
+ * @extends EventEmitter
  *
  * @example
  * // Basic usage
@@ -101,12 +493,14 @@ const DEFAULT_CONFIG = {
  *   { lat: 51.5074, lon: -0.1278 }   // London
  * ]);
  */
-export class Globe {
+export class Globe extends EventEmitter {
   /**
    * Creates a new Globe instance
    * @param {GlobeOptions} options - Configuration options
    */
   constructor(options = {}) {
+    super(GLOBE_EVENTS);
+
     // Validate container
     if (!options.container || !(options.container instanceof HTMLElement)) {
       throw new Error('Globe: container must be a valid HTMLElement');
@@ -116,9 +510,15 @@ export class Globe {
     this.config = { ...DEFAULT_CONFIG, ...options };
     this.container = options.container;
 
-    // Set canvas dimensions
+    // Set canvas dimensions (explicit dimensions stay fixed, see resize)
+    this._fixedSize = {
+      width: options.width || null,
+      height: options.height || null
+    };
     this.width = options.width || this.container.clientWidth;
     this.height = options.height || this.container.clientHeight;
+    this._resizeObserver = null;
+    this._pixelRatioQuery = null;
 
     // Phase 1: Scene Foundation - Initialize core Three.js components
     this.scene = null;
@@ -131,49 +531,172 @@ export class Globe {
     this.dotsGeometry = null;
     this.dotsMaterial = null;
     this.dotsPoints = null;
+    this.atmosphereGeometry = null;
+    this.atmosphereMaterial = null;
+    this.atmosphereMesh = null;
+
+    // Layers
+    this.polygonLayer = null;
+    this.pathLayer = null;
+    this.arcLayer = null;
+    this.markerLayer = null;
+    this.labelLayer = null;
+
+    // Markers and paths created per GeoJSON source (see loadGeoJSON)
+    this._geoJSONSources = new Map();  // source id -> { markers, paths }
+    this._nextGeoJSONId = 1;
 
     // Data structures
     this.dotData = {
       positions: null,    // Float32Array of x, y, z coordinates
       colors: null,       // Float32Array of r, g, b colors
+      sizes: null,        // Float32Array of per-dot size multipliers
       latLongs: [],       // Array of {lat, lon} for each dot
-      indices: new Map()  // Map of "lat,lon" -> dot index for lookups
+      countries: null,    // Int16Array of country indices (-1 for none, see countryLookup)
+      classes: null       // Uint8Array of mask class indices (see maskClasses)
     };
 
-    // Texture data
+    // Mask classes of the current dots, with resolved keys and styles
+    this._maskClasses = null;
+
+    // Spatial index over dot positions (see _buildSpatialIndex)
+    this.spatialIndex = null;
+
+    // Offline reverse geocoder over the bundled country boundaries
+    this.countryLookup = null;
+
+    // Colour layers composited by _refreshDotColors
+    this.activeDots = new Map();  // dot index -> THREE.Color
+    this.dotColors = new Map();   // dot index -> THREE.Color set with updateDotColor
+    this.choropleth = null;
+    this.heatmap = null;
+
+    // Texture data (and the path it was loaded from)
     this.textureData = null;
+    this._texturePath = null;
+
+    // Incremented per rebuild so stale texture loads can be discarded
+    this._rebuildToken = 0;
+
+    // Dot generation worker (null = not created yet, false = unavailable)
+    this._dotWorker = null;
+    this._dotJobs = new Map();  // job id -> { request, resolve, reject, onProgress }
+    this._nextDotJobId = 1;
 
     // Animation state
     this.animationFrameId = null;
     this.isAnimating = false;
     this.lastFrameTime = 0;
+    this.lastRenderTime = 0;
+
+    // Render-on-demand state (see requestRender)
+    this._needsRender = true;
+    this._isOffscreen = false;
+    this._intersectionObserver = null;
+
+    // True between webglcontextlost and webglcontextrestored
+    this._contextLost = false;
+
+    // Reduced motion, from the motion option or the user's preference
+    this._reducedMotion = false;
+    this._reducedMotionQuery = null;
+
+    // Quality level applied on top of the options, and the controller that
+    // picks it from measured frame rates (see setQuality)
+    this._qualityLevel = 0;
+    this._quality = null;
+    this._frameChained = false;
+    this._rendererAntialias = false;
+
+    // Sun position and live clock (see setSunPosition / startSunClock)
+    this._sun = null;
+    this._sunClock = null;
+
+    // Fixed-clock recording state (see record)
+    this._recording = null;
+
+    // Camera fly-to state (see flyTo)
+    this._flight = null;
+    this._flightQuaternion = new THREE.Quaternion();
+    this._flightDirection = new THREE.Vector3();
+
+    // Keyboard and screen-reader access (see _setupAccessibility)
+    this.focusRing = null;
+    this._focusTarget = null;   // { type: 'marker', id } or { type: 'dot', index }
+    this._descriptionElement = null;
+    this._liveRegion = null;
 
     // Raycasting for interaction
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     this.hoveredDot = null;
+    this.hoveredMarker = null;
+    this.hoveredPolygon = null;
 
     // Event handlers (bound for proper cleanup)
     this._boundHandleResize = this._handleResize.bind(this);
+    this._boundUpdateSize = this._updateSize.bind(this);
+    this._boundHandlePixelRatioChange = this._handlePixelRatioChange.bind(this);
+    this._boundUpdateMotion = this._updateMotion.bind(this);
     this._boundHandleMouseMove = this._handleMouseMove.bind(this);
     this._boundHandleClick = this._handleClick.bind(this);
     this._boundHandleVisibilityChange = this._handleVisibilityChange.bind(this);
+    this._boundHandleControlsStart = this._handleControlsStart.bind(this);
+    this._boundHandleControlsEnd = this._handleControlsEnd.bind(this);
+    this._boundHandleControlsChange = this._handleControlsChange.bind(this);
+    this._boundHandleContextLost = this._handleContextLost.bind(this);
+    this._boundHandleContextRestored = this._handleContextRestored.bind(this);
+    this._boundHandleIntersection = this._handleIntersection.bind(this);
+    this._boundHandleKeyDown = this._handleKeyDown.bind(this);
+    this._boundHandleFocus = this._handleFocus.bind(this);
+    this._boundHandleBlur = this._handleBlur.bind(this);
+    this._boundAnimate = this._animate.bind(this);
+    this._boundHandleDotWorkerMessage = this._handleDotWorkerMessage.bind(this);
+    this._boundHandleDotWorkerError = this._handleDotWorkerError.bind(this);
 
     // Initialization flag
     this._initialized = false;
+
+    // Constructor callbacks are shorthand for event subscriptions
+    if (options.onDotClick) {
+      this.on('dotclick', options.onDotClick);
+    }
+    if (options.onDotHover) {
+      this.on('dothover', options.onDotHover);
+      // Report null only when the pointer leaves the dots entirely
+      this.on('dotleave', () => {
+        if (this.hoveredDot === null) options.onDotHover(null);
+      });
+    }
+    if (options.onMarkerClick) {
+      this.on('markerclick', options.onMarkerClick);
+    }
+    if (options.onMarkerHover) {
+      this.on('markerhover', options.onMarkerHover);
+    }
   }
 
   /**
-   * Initializes the globe (async due to texture loading)
+   * Initializes the globe (async due to texture loading and dot generation)
+   *
+   * Dots are generated and masked in a Web Worker when available, so the page
+   * stays responsive at high dot counts.
+   *
    * @async
    * @param {string} [texturePath] - Path to Earth mask texture
+   * @param {Object} [options] - Initialization options
+   * @param {Function} [options.onProgress] - Called with {stage, progress}: stage is
+   *        'texture' while the mask downloads and 'dots' while dots are generated;
+   *        progress is 0-1 within the stage
    * @returns {Promise<void>}
    *
    * @example
    * const globe = new Globe({ container });
-   * await globe.init('/assets/earth-mask.png');
+   * await globe.init('/assets/earth-mask.png', {
+   *   onProgress: ({ stage, progress }) => console.log(stage, Math.round(progress * 100) + '%')
+   * });
    */
-  async init(texturePath) {
+  async init(texturePath, { onProgress } = {}) {
     if (this._initialized) {
       console.warn('Globe: already initialized');
       return;
@@ -186,17 +709,34 @@ export class Globe {
       this._setupRenderer();
       this._setupLights();
       this._setupSphere();
+      this._setupAtmosphere();
 
       // Phase 3: Load texture for continent masking (if provided)
-      if (texturePath || this.config.texturePath) {
-        this.textureData = await loadEarthTexture(
-          texturePath || this.config.texturePath,
-          { enableLogging: false }
-        );
+      this.config.texturePath = texturePath || this.config.texturePath;
+      if (this.config.texturePath) {
+        this.textureData = await loadEarthTexture(this.config.texturePath, {
+          enableLogging: false,
+          onProgress: onProgress
+            ? (loaded, total) => onProgress({ stage: 'texture', progress: loaded / total })
+            : null
+        });
+        this._texturePath = this.config.texturePath;
+      }
+
+      // Country boundaries, needed before dots are generated
+      if (this.config.countryLookup) {
+        await this._loadCountries();
       }
 
       // Phase 2 & 3: Generate dots with continent masking
-      await this._generateDots();
+      await this._generateDots(onProgress);
+
+      // Data layers rendered on top of the dots
+      this._setupPolygons();
+      this._setupPaths();
+      this._setupArcs();
+      this._setupMarkers();
+      this._setupLabels();
 
       // Phase 4: Setup rotation and controls
       this._setupControls();
@@ -204,6 +744,12 @@ export class Globe {
       // Setup event listeners
       this._setupEventListeners();
 
+      // Keyboard navigation and screen-reader support
+      this._setupAccessibility();
+
+      // Phase 8: Adaptive quality (if enabled)
+      this._updateAdaptiveQuality();
+
       // Start animation loop
       this.start();
 
@@ -212,7 +758,33 @@ export class Globe {
         this.setActiveDots(this.config.activeDots);
       }
 
+      // Set initial polygons if provided
+      if (this.config.polygons) {
+        this.setPolygons(this.config.polygons, this.config.polygonStyle);
+      }
+
+      // Set initial arcs if provided
+      if (this.config.arcs && this.config.arcs.length > 0) {
+        this.setArcs(this.config.arcs);
+      }
+
+      // Add initial markers if provided
+      if (this.config.markers && this.config.markers.length > 0) {
+        this.config.markers.forEach(marker => this.addMarker(marker));
+      }
+
+      // Add initial paths if provided
+      if (this.config.paths && this.config.paths.length > 0) {
+        this.config.paths.forEach(path => this.addPath(path));
+      }
+
+      // Add initial labels if provided
+      if (this.config.labels && this.config.labels.length > 0) {
+        this.config.labels.forEach(label => this.addLabel(label));
+      }
+
       this._initialized = true;
+      this.emit('ready', { dotCount: this.dotData.latLongs.length });
     } catch (error) {
       console.error('Globe: initialization failed', error);
       throw error;
@@ -259,13 +831,14 @@ export class Globe {
    * @private
    */
   _setupRenderer() {
+    this._rendererAntialias = this._getTargetAntialias();
     this.renderer = new THREE.WebGLRenderer({
       alpha: true,
-      antialias: this.config.antialias
+      antialias: this._rendererAntialias
     });
 
     this.renderer.setSize(this.width, this.height);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer.setPixelRatio(this._getTargetPixelRatio());
 
     // Append to container
     this.container.appendChild(this.renderer.domElement);
@@ -277,13 +850,13 @@ export class Globe {
    */
   _setupLights() {
     // Ambient light for overall illumination
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
-    this.scene.add(ambientLight);
+    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
+    this.scene.add(this.ambientLight);
 
-    // Directional light for depth
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.6);
-    directionalLight.position.set(5, 3, 5);
-    this.scene.add(directionalLight);
+    // Directional light for depth (moved to the real sun by setSunPosition)
+    this.sunLight = new THREE.DirectionalLight(0xffffff, 0.6);
+    this.sunLight.position.set(5, 3, 5);
+    this.scene.add(this.sunLight);
   }
 
   /**
@@ -313,501 +886,4493 @@ export class Globe {
   }
 
   /**
-   * Phase 2 & 3: Generates dots using Fibonacci sphere with continent masking
+   * Phase 7: Sets up the fresnel atmosphere halo around the globe
    * @private
-   * @async
    */
-  async _generateDots() {
-    // Generate all positions using Fibonacci sphere algorithm
-    const allPositions = generateFibonacciSphereBuffer(
-      this.config.dotCount,
-      this.config.globeRadius
-    );
-
-    // Filter dots to only show on land if texture is available
-    const filteredPositions = [];
-    const filteredLatLongs = [];
-
-    for (let i = 0; i < allPositions.length; i += 3) {
-      const x = allPositions[i];
-      const y = allPositions[i + 1];
-      const z = allPositions[i + 2];
-
-      let isLand = true;
-
-      // Phase 3: Check if position is on land using texture
-      if (this.textureData) {
-        isLand = isLandAtPosition(x, y, z, this.config.globeRadius, this.textureData);
-      }
-
-      if (isLand) {
-        filteredPositions.push(x, y, z);
-
-        // Calculate and store lat/long for this dot
-        const { lat, lon } = cartesianToLatLon(x, y, z, this.config.globeRadius);
-        filteredLatLongs.push({ lat, lon, index: filteredLatLongs.length });
-      }
-    }
-
-    // Store final dot count
-    const finalDotCount = filteredPositions.length / 3;
-
-    // Create Float32Arrays for positions and colors
-    this.dotData.positions = new Float32Array(filteredPositions);
-    this.dotData.colors = new Float32Array(finalDotCount * 3);
-    this.dotData.latLongs = filteredLatLongs;
-
-    // Initialize all dots with default color
-    const defaultColor = parseColor(this.config.dotColor);
-    for (let i = 0; i < finalDotCount; i++) {
-      this.dotData.colors[i * 3] = defaultColor.r;
-      this.dotData.colors[i * 3 + 1] = defaultColor.g;
-      this.dotData.colors[i * 3 + 2] = defaultColor.b;
-    }
-
-    // Build spatial index for lat/long lookups
-    this._buildSpatialIndex();
+  _setupAtmosphere() {
+    this.atmosphereGeometry = new THREE.SphereGeometry(this.config.globeRadius, 64, 64);
 
-    // Create BufferGeometry and add attributes
-    this.dotsGeometry = new THREE.BufferGeometry();
-    this.dotsGeometry.setAttribute(
-      'position',
-      new THREE.BufferAttribute(this.dotData.positions, 3)
-    );
-    this.dotsGeometry.setAttribute(
-      'color',
-      new THREE.BufferAttribute(this.dotData.colors, 3)
-    );
-
-    // Create PointsMaterial
-    this.dotsMaterial = new THREE.PointsMaterial({
-      size: this.config.dotSize,
-      vertexColors: true,
-      sizeAttenuation: false,
+    this.atmosphereMaterial = new THREE.ShaderMaterial({
+      vertexShader: atmosphereShader.vertexShader,
+      fragmentShader: atmosphereShader.fragmentShader,
+      uniforms: THREE.UniformsUtils.clone(atmosphereShader.uniforms),
       transparent: true,
-      opacity: 1.0
+      side: THREE.BackSide,
+      depthWrite: false,
+      blending: THREE.NormalBlending
     });
 
-    // Create Points mesh and add to scene
-    this.dotsPoints = new THREE.Points(this.dotsGeometry, this.dotsMaterial);
-    this.globeGroup.add(this.dotsPoints);
+    // Seen from behind, the shell's fresnel term is highest at the globe limb
+    // and zero at the halo rim, so the opacity range is inverted to fade outwards
+    const uniforms = this.atmosphereMaterial.uniforms;
+    uniforms.u_atmosphereColor.value = new THREE.Color();
+    uniforms.u_minOpacity.value = 0.8;
+    uniforms.u_maxOpacity.value = 0.0;
+    uniforms.u_falloffEnd.value = 0.35;
+    uniforms.u_power.value = 1.0;
+
+    this.atmosphereMesh = new THREE.Mesh(this.atmosphereGeometry, this.atmosphereMaterial);
+    this.atmosphereMesh.scale.setScalar(this.config.atmosphereScale);
+    this.atmosphereMesh.visible = this.config.showAtmosphere && this._getQualitySettings().effects;
+    this.globeGroup.add(this.atmosphereMesh);
+
+    this._updateGlowUniforms();
   }
 
   /**
-   * Phase 6: Builds spatial index for efficient lat/long lookups
+   * Creates the shader material used to render the dots
    * @private
+   * @returns {THREE.ShaderMaterial}
    */
-  _buildSpatialIndex() {
-    this.dotData.indices.clear();
+  _createDotMaterial() {
+    const material = new THREE.ShaderMaterial({
+      vertexShader: dotShader.vertexShader,
+      fragmentShader: dotShader.fragmentShader,
+      uniforms: THREE.UniformsUtils.clone(dotShader.uniforms),
+      transparent: true,
+      depthWrite: false,
+      // Normal blending keeps highlight colours exact against the opaque sphere
+      blending: THREE.NormalBlending
+    });
 
-    this.dotData.latLongs.forEach((coord, index) => {
-      // Create key with rounded coordinates for approximate matching
-      const latKey = Math.round(coord.lat * 10) / 10;
-      const lonKey = Math.round(coord.lon * 10) / 10;
-      const key = `${latKey},${lonKey}`;
+    material.uniforms.u_glowColor.value = new THREE.Color();
+    material.uniforms.u_pointSize.value = this._getPointSize();
+    material.uniforms.u_sunDirection.value = new THREE.Vector3(0, 0, 1);
+    material.uniforms.u_nightColor.value = new THREE.Color();
+    material.uniforms.u_cityLightsColor.value = new THREE.Color();
+    material.uniforms.u_twilight.value = Math.sin(TWILIGHT_DEGREES * (Math.PI / 180));
 
-      // Store index in map (multiple dots may share same key)
-      if (!this.dotData.indices.has(key)) {
-        this.dotData.indices.set(key, []);
-      }
-      this.dotData.indices.get(key).push(index);
-    });
+    return material;
   }
 
   /**
-   * Phase 4: Sets up OrbitControls for rotation and interaction
+   * Gets the dot size in device pixels (matches PointsMaterial sizing)
    * @private
+   * @returns {number}
    */
-  _setupControls() {
-    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+  _getPointSize() {
+    return this.config.dotSize * this.renderer.getPixelRatio();
+  }
 
-    // Configure controls
-    this.controls.enableDamping = true;
-    this.controls.dampingFactor = 0.05;
-    this.controls.rotateSpeed = 0.5;
-    this.controls.enableZoom = this.config.enableZoom;
-    this.controls.enablePan = this.config.enablePan;
-    this.controls.autoRotate = this.config.autoRotate;
-    this.controls.autoRotateSpeed = this.config.rotationSpeed;
-    this.controls.enabled = this.config.enableMouseDrag;
+  /**
+   * Pushes glowColor/glowIntensity into the dot and atmosphere shaders
+   * @private
+   */
+  _updateGlowUniforms() {
+    const glowColor = parseColor(this.config.glowColor);
+    if (!glowColor) {
+      console.warn('Globe: invalid glow color', this.config.glowColor);
+      return;
+    }
 
-    // Set initial rotation
-    if (this.config.phi !== 0 || this.config.theta !== 0) {
-      this.setRotation(this.config.phi, this.config.theta);
+    const intensity = Math.max(0, Math.min(1, this.config.glowIntensity));
+
+    if (this.dotsMaterial) {
+      this.dotsMaterial.uniforms.u_glowColor.value.copy(glowColor);
+      this.dotsMaterial.uniforms.u_glowIntensity.value = intensity;
+    }
+
+    if (this.atmosphereMaterial) {
+      this.atmosphereMaterial.uniforms.u_atmosphereColor.value.copy(glowColor);
+      this.atmosphereMaterial.uniforms.u_glowIntensity.value = intensity;
     }
   }
 
   /**
-   * Sets up event listeners for interaction and responsiveness
+   * Pushes the day/night options and sun direction into the dot shader
+   *
+   * Uses the current time when day/night shading is on but no sun position
+   * has been set.
    * @private
    */
-  _setupEventListeners() {
-    // Resize handler (debounced)
-    window.addEventListener('resize', this._boundHandleResize);
+  _updateDayNightUniforms() {
+    if (this.config.showDayNight && !this._sun) {
+      this._setSun(Date.now());
+      return;
+    }
 
-    // Mouse interaction handlers
-    if (this.config.onDotHover) {
-      this.renderer.domElement.addEventListener('mousemove', this._boundHandleMouseMove);
+    if (!this.dotsMaterial) return;
+
+    const uniforms = this.dotsMaterial.uniforms;
+    uniforms.u_dayNight.value = this.config.showDayNight ? 1 : 0;
+    uniforms.u_nightBrightness.value = this.config.nightBrightness;
+    uniforms.u_cityLights.value = Math.max(0, Math.min(1, this.config.cityLights));
+
+    if (this._sun) {
+      const { x, y, z } = latLonToCartesian(this._sun.lat, this._sun.lon, 1);
+      uniforms.u_sunDirection.value.set(x, y, z);
     }
 
-    if (this.config.onDotClick) {
-      this.renderer.domElement.addEventListener('click', this._boundHandleClick);
+    const nightColor = parseColor(this.config.nightColor);
+    if (nightColor) {
+      uniforms.u_nightColor.value.copy(nightColor);
+    } else {
+      console.warn('Globe: invalid night color', this.config.nightColor);
     }
 
-    // Phase 8: Visibility change detection for performance
-    document.addEventListener('visibilitychange', this._boundHandleVisibilityChange);
+    const cityLightsColor = parseColor(this.config.cityLightsColor);
+    if (cityLightsColor) {
+      uniforms.u_cityLightsColor.value.copy(cityLightsColor);
+    } else {
+      console.warn('Globe: invalid city lights color', this.config.cityLightsColor);
+    }
   }
 
   /**
-   * Handles window resize events
+   * Places the sun for a date: moves the directional light to the sun
+   * direction and updates the shader
    * @private
+   * @param {number} time - Timestamp in milliseconds (UTC)
+   * @returns {Object|null} Sun position with its date, or null for an invalid date
    */
-  _handleResize() {
-    // Debounce resize events
-    if (this._resizeTimeout) {
-      clearTimeout(this._resizeTimeout);
+  _setSun(time) {
+    const position = getSunPosition(time);
+    if (!position) return null;
+
+    this._sun = { ...position, date: new Date(time) };
+
+    // The light lives in the globe group so the sun stays fixed over the
+    // same geography however the globe or camera turn
+    if (this.sunLight) {
+      const { x, y, z } = latLonToCartesian(position.lat, position.lon, this.config.globeRadius * 5);
+      this.sunLight.position.set(x, y, z);
+      if (this.sunLight.parent !== this.globeGroup && this.globeGroup) {
+        this.globeGroup.add(this.sunLight);
+      }
     }
 
-    this._resizeTimeout = setTimeout(() => {
-      this.width = this.container.clientWidth;
-      this.height = this.container.clientHeight;
-
-      this.camera.aspect = this.width / this.height;
-      this.camera.updateProjectionMatrix();
+    this._updateDayNightUniforms();
+    this.requestRender();
 
-      this.renderer.setSize(this.width, this.height);
-    }, 150);
+    return this._sun;
   }
 
   /**
-   * Phase 6: Handles mouse move for hover interactions
+   * Phase 2 & 3: Generates dots using the configured distribution with continent masking
    * @private
+   * @async
+   * @param {Function} [onProgress] - Progress callback ({stage, progress})
    */
-  _handleMouseMove(event) {
-    const rect = this.renderer.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  async _generateDots(onProgress = null) {
+    this._applyDots(await this._computeDots(onProgress));
+  }
 
-    this._checkHover();
+  /**
+   * Runs the dot pipeline in the worker, or on the main thread as a fallback
+   * @private
+   * @param {Function} [onProgress] - Progress callback ({stage, progress})
+   * @returns {Promise<import('./DotPipeline.js').DotPipelineResult>}
+   */
+  _computeDots(onProgress = null) {
+    let distribution = this.config.dotDistribution;
+    if (!DOT_DISTRIBUTIONS[distribution]) {
+      console.warn('Globe: unknown dotDistribution, using fibonacci:', distribution);
+      distribution = 'fibonacci';
+    }
+
+    const texture = this.textureData;
+    const maskClasses = texture ? this._resolveMaskClasses() : null;
+    if (texture) {
+      // Keep the texture's classes in step with maskClasses, so
+      // getMaskClassAt (and getClassAtLatLong on textureData) agree with the dots
+      texture.classes = maskClasses ? maskClasses.map(({ name, r, g, b }) => ({ name, r, g, b })) : null;
+    }
+    const request = {
+      distribution,
+      dotCount: this.config.dotCount,
+      radius: this.config.globeRadius,
+      mask: texture
+        ? {
+            data: texture.data,
+            width: texture.width,
+            height: texture.height,
+            brightnessThreshold: texture.brightnessThreshold,
+            classes: texture.classes
+              ? texture.classes.map((key, i) => ({ ...key, visible: maskClasses[i].visible }))
+              : null
+          }
+        : null
+    };
+    const reportProgress = onProgress
+      ? (progress) => onProgress({ stage: 'dots', progress })
+      : null;
+
+    const worker = this.config.useWorker ? this._getDotWorker() : null;
+    if (!worker) {
+      return Promise.resolve(buildDots(request, reportProgress));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this._nextDotJobId++;
+      this._dotJobs.set(id, { request, resolve, reject, onProgress: reportProgress });
+
+      // Transfer a copy of the pixels so the main thread keeps its own for sampling
+      const pixels = request.mask ? request.mask.data.slice() : null;
+      worker.postMessage(
+        { id, ...request, mask: pixels ? { ...request.mask, data: pixels } : null },
+        pixels ? [pixels.buffer] : []
+      );
+    });
   }
 
   /**
-   * Phase 6: Checks for dot hover using raycasting
+   * Gets the dot generation worker, creating it on first use
    * @private
+   * @returns {Worker|null} The worker, or null if workers are unavailable
    */
-  _checkHover() {
-    if (!this.dotsPoints || !this.config.onDotHover) return;
+  _getDotWorker() {
+    if (this._dotWorker === null) {
+      try {
+        if (typeof Worker === 'undefined') {
+          throw new Error('Web Workers are not supported');
+        }
+        this._dotWorker = new Worker(new URL('./DotWorker.js', import.meta.url), { type: 'module' });
+        this._dotWorker.addEventListener('message', this._boundHandleDotWorkerMessage);
+        this._dotWorker.addEventListener('error', this._boundHandleDotWorkerError);
+      } catch (error) {
+        console.warn('Globe: dot worker unavailable, generating dots on the main thread', error);
+        this._dotWorker = false;
+      }
+    }
 
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    const intersects = this.raycaster.intersectObject(this.dotsPoints);
+    return this._dotWorker || null;
+  }
 
-    if (intersects.length > 0) {
-      const index = intersects[0].index;
-      if (this.hoveredDot !== index) {
-        this.hoveredDot = index;
-        const dotInfo = this._getDotInfo(index);
-        this.config.onDotHover(dotInfo);
+  /**
+   * Routes dot worker messages to their pending jobs
+   * @private
+   */
+  _handleDotWorkerMessage(event) {
+    const { id, type } = event.data;
+    const job = this._dotJobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      if (job.onProgress) job.onProgress(event.data.progress);
+      return;
+    }
+
+    this._dotJobs.delete(id);
+
+    if (type === 'result') {
+      const { positions, latLons, classes } = event.data;
+      job.resolve({ positions, latLons, classes });
+    } else {
+      job.reject(new Error(`Globe: dot generation failed - ${event.data.message}`));
+    }
+  }
+
+  /**
+   * Falls back to main-thread generation when the worker fails to load or crashes
+   * @private
+   */
+  _handleDotWorkerError(event) {
+    console.warn('Globe: dot worker failed, generating dots on the main thread', event.message);
+    this._terminateDotWorker();
+    this._dotWorker = false;
+
+    const jobs = Array.from(this._dotJobs.values());
+    this._dotJobs.clear();
+    jobs.forEach(job => {
+      try {
+        job.resolve(buildDots(job.request, job.onProgress));
+      } catch (error) {
+        job.reject(error);
       }
-    } else if (this.hoveredDot !== null) {
-      this.hoveredDot = null;
-      this.config.onDotHover(null);
+    });
+  }
+
+  /**
+   * Stops the dot worker
+   * @private
+   */
+  _terminateDotWorker() {
+    if (this._dotWorker) {
+      this._dotWorker.removeEventListener('message', this._boundHandleDotWorkerMessage);
+      this._dotWorker.removeEventListener('error', this._boundHandleDotWorkerError);
+      this._dotWorker.terminate();
     }
+    this._dotWorker = null;
   }
 
   /**
-   * Phase 6: Handles click events on dots
+   * Stores generated dots and creates their geometry and material
    * @private
+   * @param {import('./DotPipeline.js').DotPipelineResult} dots - Pipeline output
    */
-  _handleClick(event) {
-    if (!this.dotsPoints || !this.config.onDotClick) return;
+  _applyDots({ positions, latLons, classes = null }) {
+    const finalDotCount = positions.length / 3;
 
-    const rect = this.renderer.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    const latLongs = new Array(finalDotCount);
+    for (let i = 0; i < finalDotCount; i++) {
+      latLongs[i] = { lat: latLons[i * 2], lon: latLons[i * 2 + 1], index: i };
+    }
 
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    const intersects = this.raycaster.intersectObject(this.dotsPoints);
+    // Create Float32Arrays for colors and sizes
+    this.dotData.positions = positions;
+    this.dotData.colors = new Float32Array(finalDotCount * 3);
+    this.dotData.sizes = new Float32Array(finalDotCount).fill(1);
+    this.dotData.latLongs = latLongs;
+    this.dotData.classes = classes;
+    this._maskClasses = classes ? this._resolveMaskClasses() : null;
 
-    if (intersects.length > 0) {
-      const index = intersects[0].index;
-      const dotInfo = this._getDotInfo(index);
-      this.config.onDotClick(dotInfo);
+    // Initialize all dots with default color (or their mask class's color and size)
+    const defaultColor = parseColor(this.config.dotColor);
+    for (let i = 0; i < finalDotCount; i++) {
+      const maskClass = classes ? this._maskClasses[classes[i]] : null;
+      const color = maskClass && maskClass.color ? maskClass.color : defaultColor;
+      this.dotData.colors[i * 3] = color.r;
+      this.dotData.colors[i * 3 + 1] = color.g;
+      this.dotData.colors[i * 3 + 2] = color.b;
+      if (maskClass) {
+        this.dotData.sizes[i] = maskClass.size;
+      }
     }
+
+    // Build spatial index for lat/long lookups
+    this._buildSpatialIndex();
+
+    // Resolve each dot's country once, so hit-testing only reads it back
+    this.dotData.countries = this.countryLookup
+      ? this.countryLookup.lookupDots(latLongs, this.spatialIndex, COUNTRY_TOLERANCE_KM)
+      : null;
+
+    // Unit normals let the dot shader compute its fresnel edge glow
+    const normals = new Float32Array(this.dotData.positions.length);
+    for (let i = 0; i < normals.length; i++) {
+      normals[i] = this.dotData.positions[i] / this.config.globeRadius;
+    }
+
+    // Create BufferGeometry and add attributes
+    this.dotsGeometry = new THREE.BufferGeometry();
+    this.dotsGeometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(this.dotData.positions, 3)
+    );
+    this.dotsGeometry.setAttribute(
+      'normal',
+      new THREE.BufferAttribute(normals, 3)
+    );
+    this.dotsGeometry.setAttribute(
+      'customColor',
+      new THREE.BufferAttribute(this.dotData.colors, 3)
+    );
+    this.dotsGeometry.setAttribute(
+      'customSize',
+      new THREE.BufferAttribute(this.dotData.sizes, 1)
+    );
+
+    // Dots are drawn in an order whose every prefix covers the whole globe,
+    // so lower quality levels draw fewer dots without regenerating them
+    this.dotsGeometry.setIndex(new THREE.BufferAttribute(densityOrder(this.dotData.positions), 1));
+    this._applyDotDensity();
+
+    // Create fresnel dot shader material
+    this.dotsMaterial = this._createDotMaterial();
+    this._updateGlowUniforms();
+    this._updateDayNightUniforms();
+
+    // Create Points mesh and add to scene
+    this.dotsPoints = new THREE.Points(this.dotsGeometry, this.dotsMaterial);
+    this.globeGroup.add(this.dotsPoints);
   }
 
   /**
-   * Gets information about a dot by index
+   * Resizes the sphere, atmosphere and data layers after a radius change
    * @private
+   * @param {number} previousRadius - Globe radius before the change
+   * @param {boolean} sphereRadiusSet - Whether sphereRadius was set explicitly
    */
-  _getDotInfo(index) {
-    if (index < 0 || index >= this.dotData.latLongs.length) {
-      return null;
+  _applyGlobeRadius(previousRadius, sphereRadiusSet) {
+    const radius = this.config.globeRadius;
+
+    // Keep the sphere the same proportion of the globe unless told otherwise
+    if (!sphereRadiusSet) {
+      this.config.sphereRadius *= radius / previousRadius;
     }
 
-    const coord = this.dotData.latLongs[index];
-    const colorOffset = index * 3;
+    if (this.sphereMesh) {
+      this.sphereGeometry.dispose();
+      this.sphereGeometry = new THREE.SphereGeometry(this.config.sphereRadius, 64, 64);
+      this.sphereMesh.geometry = this.sphereGeometry;
+    }
 
-    return {
-      index,
-      lat: coord.lat,
-      lon: coord.lon,
-      color: {
-        r: this.dotData.colors[colorOffset],
-        g: this.dotData.colors[colorOffset + 1],
-        b: this.dotData.colors[colorOffset + 2]
+    if (this.atmosphereMesh) {
+      this.atmosphereGeometry.dispose();
+      this.atmosphereGeometry = new THREE.SphereGeometry(radius, 64, 64);
+      this.atmosphereMesh.geometry = this.atmosphereGeometry;
+    }
+
+    if (this.polygonLayer) {
+      this.polygonLayer.setRadius(radius);
+    }
+    if (this.pathLayer) {
+      this.pathLayer.setRadius(radius);
+    }
+    if (this.arcLayer) {
+      this.arcLayer.setRadius(radius);
+    }
+    if (this.markerLayer) {
+      this.markerLayer.setRadius(radius);
+    }
+    if (this.labelLayer) {
+      this.labelLayer.setRadius(radius);
+    }
+  }
+
+  /**
+   * Swaps in newly generated dots, carrying colour layers over to them
+   *
+   * Active dots are re-matched to the nearest new dot, polygons are matched
+   * against the new dots and the heatmap is recomputed from its samples.
+   * @private
+   * @param {import('./DotPipeline.js').DotPipelineResult} dots - Pipeline output
+   */
+  _rebuildDots(dots) {
+    if (!this.dotsPoints) return;
+
+    // Remember active dots and dot colours by coordinate, since indices change
+    const byCoordinate = (colorsByIndex) => Array.from(colorsByIndex, ([index, color]) => {
+      const { lat, lon } = this.dotData.latLongs[index];
+      return { lat, lon, color };
+    });
+    const activeCoords = byCoordinate(this.activeDots);
+    const colorCoords = byCoordinate(this.dotColors);
+    const heatmap = this.heatmap;
+
+    this.globeGroup.remove(this.dotsPoints);
+    this.dotsGeometry.dispose();
+    this.dotsMaterial.dispose();
+    this.dotsPoints = null;
+    this.hoveredDot = null;
+    this.activeDots.clear();
+    this.dotColors.clear();
+    this.heatmap = null;
+
+    this._applyDots(dots);
+
+    if (this.polygonLayer) {
+      this.polygonLayer.setDots(this.dotData.latLongs, this.spatialIndex);
+    }
+
+    activeCoords.forEach(({ lat, lon, color }) => {
+      const index = this._findNearestDotIndex(lat, lon);
+      if (index !== -1) {
+        this.activeDots.set(index, color);
       }
-    };
+    });
+    colorCoords.forEach(({ lat, lon, color }) => {
+      const index = this._findNearestDotIndex(lat, lon);
+      if (index !== -1) {
+        this.dotColors.set(index, color);
+      }
+    });
+
+    if (heatmap) {
+      this.setHeatmap(heatmap.points, heatmap.options);
+    } else {
+      this._refreshDotColors();
+    }
+    this._syncFocus();
+  }
+
+  /**
+   * Phase 6: Sets up the GeoJSON polygon layer
+   * @private
+   */
+  _setupPolygons() {
+    this.polygonLayer = new PolygonLayer({ radius: this.config.globeRadius });
+    this.polygonLayer.setDots(this.dotData.latLongs, this.spatialIndex);
+    this.globeGroup.add(this.polygonLayer.group);
+  }
+
+  /**
+   * Phase 6: Sets up the surface path layer
+   * @private
+   */
+  _setupPaths() {
+    this.pathLayer = new PathLayer({ radius: this.config.globeRadius });
+    this.pathLayer.setResolution(this.width, this.height);
+    this.globeGroup.add(this.pathLayer.group);
+  }
+
+  /**
+   * Phase 6: Sets up the great-circle arc layer
+   * @private
+   */
+  _setupArcs() {
+    this.arcLayer = new ArcLayer({ radius: this.config.globeRadius });
+    this.globeGroup.add(this.arcLayer.group);
+  }
+
+  /**
+   * Phase 6: Sets up the marker sprite layer
+   * @private
+   */
+  _setupMarkers() {
+    this.markerLayer = new MarkerLayer({ radius: this.config.globeRadius });
+    this.globeGroup.add(this.markerLayer.group);
+  }
+
+  /**
+   * Phase 6: Sets up the HTML label overlay
+   * @private
+   */
+  _setupLabels() {
+    this.labelLayer = new LabelLayer({ radius: this.config.globeRadius });
+    this.globeGroup.add(this.labelLayer.group);
+    this.container.appendChild(this.labelLayer.element);
+  }
+
+  /**
+   * Phase 6: Builds spatial index for efficient lat/long lookups
+   * @private
+   */
+  _buildSpatialIndex() {
+    // k-d tree over unit vectors gives great-circle-correct lookups
+    this.spatialIndex = SpatialIndex.fromLatLongs(this.dotData.latLongs);
+  }
+
+  /**
+   * Phase 6: Loads the bundled country boundaries for reverse geocoding
+   *
+   * The boundaries are a separate chunk, so globes without countryLookup
+   * never download them. Countries are optional: if the chunk fails to
+   * load, the globe carries on without them.
+   * @private
+   * @async
+   */
+  async _loadCountries() {
+    try {
+      const { COUNTRIES } = await import('./data/countries.js');
+      this.countryLookup = new CountryLookup(COUNTRIES);
+    } catch (error) {
+      console.warn('Globe: failed to load country boundaries, continuing without countries', error);
+    }
+  }
+
+  /**
+   * Phase 6: Loads or drops the country boundaries to match the countryLookup
+   * option, and resolves the countries of the current dots
+   * @private
+   * @async
+   * @returns {Promise<boolean>} True if dot countries match the option, false if the
+   *          boundaries failed to load
+   */
+  async _updateCountryLookup() {
+    if (this.config.countryLookup && !this.countryLookup) {
+      await this._loadCountries();
+    }
+
+    if (!this.globeGroup) return false;
+
+    // Off, or turned off while loading
+    if (!this.config.countryLookup) {
+      this.countryLookup = null;
+      this.dotData.countries = null;
+      this.clearChoropleth();
+      return true;
+    }
+
+    if (!this.countryLookup) return false;
+    if (!this.dotData.countries && this.spatialIndex) {
+      this.dotData.countries = this.countryLookup.lookupDots(
+        this.dotData.latLongs,
+        this.spatialIndex,
+        COUNTRY_TOLERANCE_KM
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Phase 3: Resolves the maskClasses option to keys and dot styles
+   * @private
+   * @returns {Array<Object>|null} Classes as {name, r, g, b, color, size, visible}, or null
+   *          without (or with invalid) mask classes
+   */
+  _resolveMaskClasses() {
+    const definitions = this.config.maskClasses;
+    if (!definitions) return null;
+
+    const keys = resolveMaskClasses(definitions);
+    if (!keys) return null;
+
+    return keys.map((key, i) => {
+      const { color, size, visible } = definitions[i];
+      const parsed = color === undefined || color === null ? null : parseColor(color);
+      if (color !== undefined && color !== null && !parsed) {
+        console.warn('Globe: invalid mask class color', color);
+      }
+      return {
+        ...key,
+        color: parsed,
+        size: typeof size === 'number' && size >= 0 ? size : 1,
+        visible: visible !== false
+      };
+    });
+  }
+
+  /**
+   * Phase 4: Sets up OrbitControls for rotation and interaction
+   * @private
+   */
+  _setupControls() {
+    this._createControls();
+
+    // Set initial rotation
+    if (this.config.phi !== 0 || this.config.theta !== 0) {
+      this.setRotation(this.config.phi, this.config.theta);
+    }
+  }
+
+  /**
+   * Creates OrbitControls on the current canvas
+   * @private
+   */
+  _createControls() {
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+
+    // Configure controls (damping glides on after a drag, unless motion is reduced)
+    this.controls.enableDamping = !this._reducedMotion;
+    this.controls.dampingFactor = 0.05;
+    this.controls.rotateSpeed = 0.5;
+    this.controls.enableZoom = this.config.enableZoom;
+    this.controls.enablePan = this.config.enablePan;
+    this.controls.autoRotate = this.config.autoRotate;
+    this.controls.autoRotateSpeed = this.config.rotationSpeed;
+    this.controls.enabled = this.config.enableMouseDrag;
+
+    // User interaction cancels any camera flight in progress
+    this.controls.addEventListener('start', this._boundHandleControlsStart);
+    this.controls.addEventListener('end', this._boundHandleControlsEnd);
+    this.controls.addEventListener('change', this._boundHandleControlsChange);
+  }
+
+  /**
+   * Sets up event listeners for interaction and responsiveness
+   * @private
+   */
+  _setupEventListeners() {
+    // Follow the container's size (window resizes as a fallback, debounced)
+    if (typeof ResizeObserver !== 'undefined') {
+      this._resizeObserver = new ResizeObserver(this._boundUpdateSize);
+      this._resizeObserver.observe(this.container);
+    } else {
+      window.addEventListener('resize', this._boundHandleResize);
+    }
+
+    // Re-render sharply when the window moves to a screen with another pixel density
+    this._watchPixelRatio();
+
+    // Follow the user's reduced-motion preference as it changes
+    if (typeof window.matchMedia === 'function') {
+      this._reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      this._reducedMotionQuery.addEventListener('change', this._boundUpdateMotion);
+    }
+    this._updateMotion();
+
+    // Mouse interaction handlers (attached while someone is listening)
+    this._updatePointerListeners();
+
+    // WebGL context loss and recovery
+    this.renderer.domElement.addEventListener('webglcontextlost', this._boundHandleContextLost);
+    this.renderer.domElement.addEventListener('webglcontextrestored', this._boundHandleContextRestored);
+
+    // Phase 8: Visibility change detection for performance
+    document.addEventListener('visibilitychange', this._boundHandleVisibilityChange);
+
+    // Phase 8: Pause rendering while the canvas is scrolled off-screen
+    if (this.config.pauseWhenOffscreen && typeof IntersectionObserver !== 'undefined') {
+      this._intersectionObserver = new IntersectionObserver(this._boundHandleIntersection);
+      this._intersectionObserver.observe(this.renderer.domElement);
+    }
+  }
+
+  /**
+   * Attaches the canvas mouse listeners only while hover or click events have
+   * subscribers, so idle globes skip raycasting on every mouse move
+   * @private
+   */
+  _updatePointerListeners() {
+    const canvas = this.renderer && this.renderer.domElement;
+    if (!canvas) return;
+
+    if (HOVER_EVENTS.some(event => this.listenerCount(event) > 0)) {
+      canvas.addEventListener('mousemove', this._boundHandleMouseMove);
+    } else {
+      canvas.removeEventListener('mousemove', this._boundHandleMouseMove);
+      this.hoveredDot = null;
+      this.hoveredMarker = null;
+      this.hoveredPolygon = null;
+    }
+
+    if (CLICK_EVENTS.some(event => this.listenerCount(event) > 0)) {
+      canvas.addEventListener('click', this._boundHandleClick);
+    } else {
+      canvas.removeEventListener('click', this._boundHandleClick);
+    }
+  }
+
+  /**
+   * Keeps the canvas listeners in step with event subscriptions
+   * @protected
+   */
+  _listenersChanged(event) {
+    if (HOVER_EVENTS.includes(event) || CLICK_EVENTS.includes(event)) {
+      this._updatePointerListeners();
+    }
+  }
+
+  /**
+   * Sets up the screen-reader description, the live region and the focus ring
+   * @private
+   */
+  _setupAccessibility() {
+    const id = `globe-${nextAccessibilityId++}`;
+
+    this._descriptionElement = document.createElement('div');
+    this._descriptionElement.id = `${id}-description`;
+    this._descriptionElement.style.cssText = VISUALLY_HIDDEN_STYLE;
+    this.container.appendChild(this._descriptionElement);
+
+    // Focused locations are announced here
+    this._liveRegion = document.createElement('div');
+    this._liveRegion.setAttribute('aria-live', 'polite');
+    this._liveRegion.setAttribute('aria-atomic', 'true');
+    this._liveRegion.style.cssText = VISUALLY_HIDDEN_STYLE;
+    this.container.appendChild(this._liveRegion);
+
+    // Flat ring on the surface around the focused marker or dot
+    this.focusRing = new THREE.Mesh(
+      new THREE.RingGeometry(0.8, 1, 48),
+      new THREE.MeshBasicMaterial({
+        color: parseColor(this.config.focusRingColor) || new THREE.Color(0xffffff),
+        side: THREE.DoubleSide,
+        transparent: true,
+        depthWrite: false
+      })
+    );
+    this.focusRing.renderOrder = 2;
+    this.focusRing.visible = false;
+    this.globeGroup.add(this.focusRing);
+
+    this._attachCanvasAccessibility(this.renderer.domElement);
+  }
+
+  /**
+   * Adds the ARIA attributes and keyboard listeners to a canvas
+   * @private
+   * @param {HTMLCanvasElement} canvas - Renderer canvas
+   */
+  _attachCanvasAccessibility(canvas) {
+    canvas.addEventListener('keydown', this._boundHandleKeyDown);
+    canvas.addEventListener('focus', this._boundHandleFocus);
+    canvas.addEventListener('blur', this._boundHandleBlur);
+    this._updateCanvasAccessibility();
+  }
+
+  /**
+   * Removes the keyboard listeners from a canvas
+   * @private
+   * @param {HTMLCanvasElement} canvas - Renderer canvas
+   */
+  _detachCanvasAccessibility(canvas) {
+    canvas.removeEventListener('keydown', this._boundHandleKeyDown);
+    canvas.removeEventListener('focus', this._boundHandleFocus);
+    canvas.removeEventListener('blur', this._boundHandleBlur);
+  }
+
+  /**
+   * Applies the accessibility options to the canvas
+   *
+   * A keyboard-navigable globe is an application (screen readers pass the
+   * keys through); otherwise it is an image.
+   * @private
+   */
+  _updateCanvasAccessibility() {
+    const canvas = this.renderer && this.renderer.domElement;
+    if (!canvas || !this._descriptionElement) return;
+
+    if (this.config.keyboardNavigation) {
+      canvas.setAttribute('role', 'application');
+      canvas.setAttribute('aria-roledescription', 'globe');
+      canvas.tabIndex = 0;
+    } else {
+      canvas.setAttribute('role', 'img');
+      canvas.removeAttribute('aria-roledescription');
+      canvas.removeAttribute('tabindex');
+      this._setFocusTarget(null);
+    }
+
+    canvas.setAttribute('aria-label', this.config.ariaLabel);
+    canvas.setAttribute('aria-describedby', this._descriptionElement.id);
+    this._updateDescription();
+  }
+
+  /**
+   * Writes the text alternative: the ariaDescription option, or a summary of
+   * the data on the globe plus keyboard help
+   * @private
+   */
+  _updateDescription() {
+    if (!this._descriptionElement) return;
+
+    let description = this.config.ariaDescription;
+    if (!description) {
+      const count = (value, noun) => `${value} ${noun}${value === 1 ? '' : 's'}`;
+      const contents = [];
+
+      const markers = this.getMarkers().length;
+      const arcs = this.getArcs().length;
+      const paths = this.getPaths().length;
+      if (markers > 0) contents.push(count(markers, 'marker'));
+      if (this.activeDots.size > 0) contents.push(count(this.activeDots.size, 'highlighted location'));
+      const regions = this.polygonLayer ? this.polygonLayer.features.size : 0;
+      if (regions > 0) contents.push(count(regions, 'region'));
+      if (paths > 0) contents.push(count(paths, 'path'));
+      if (arcs > 0) contents.push(count(arcs, 'arc'));
+      if (this.choropleth) contents.push('a country choropleth');
+      if (this.heatmap) contents.push('a heatmap');
+
+      description = contents.length > 0
+        ? `Globe showing ${contents.slice(0, -1).join(', ')}${contents.length > 1 ? ' and ' : ''}${contents[contents.length - 1]}.`
+        : 'Globe.';
+    }
+
+    if (this.config.keyboardNavigation) {
+      description += ' Use the arrow keys to rotate' +
+        (this.config.enableZoom ? ', plus and minus to zoom' : '') +
+        ', Tab to move between locations and Enter to select.';
+    }
+
+    this._descriptionElement.textContent = description;
+  }
+
+  /**
+   * Handles keyboard navigation on the focused canvas
+   *
+   * Tab past the last location (or Shift+Tab before the first) leaves the
+   * globe, so keyboard focus is never trapped.
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (!this.config.keyboardNavigation || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    let handled;
+    switch (event.key) {
+      case 'ArrowLeft':
+        handled = this._rotateByKey(0, -KEY_ROTATE_DEGREES);
+        break;
+      case 'ArrowRight':
+        handled = this._rotateByKey(0, KEY_ROTATE_DEGREES);
+        break;
+      case 'ArrowUp':
+        handled = this._rotateByKey(KEY_ROTATE_DEGREES, 0);
+        break;
+      case 'ArrowDown':
+        handled = this._rotateByKey(-KEY_ROTATE_DEGREES, 0);
+        break;
+      case '+':
+      case '=':
+        handled = this._zoomByKey(1 / KEY_ZOOM_FACTOR);
+        break;
+      case '-':
+      case '_':
+        handled = this._zoomByKey(KEY_ZOOM_FACTOR);
+        break;
+      case 'Tab':
+        handled = this._moveFocus(event.shiftKey ? -1 : 1);
+        break;
+      case 'Enter':
+      case ' ':
+        handled = this._activateFocus();
+        break;
+      case 'Escape':
+        handled = !!this._focusTarget;
+        this._setFocusTarget(null);
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Shows the focus ring and refreshes the description when the canvas gains focus
+   * @private
+   */
+  _handleFocus() {
+    this._updateDescription();
+    this._syncFocus();
+  }
+
+  /**
+   * Hides the focus ring while the canvas does not have focus
+   * @private
+   */
+  _handleBlur() {
+    this._syncFocus();
+  }
+
+  /**
+   * Moves the camera by a step in latitude and longitude
+   * @private
+   * @returns {boolean} True if the camera moved
+   */
+  _rotateByKey(latStep, lonStep) {
+    const position = this.getCameraPosition();
+    if (!position) return false;
+
+    const lat = Math.max(-KEY_MAX_LATITUDE, Math.min(KEY_MAX_LATITUDE, position.lat + latStep));
+    this.flyTo({ lat, lon: position.lon + lonStep, duration: KEY_MOVE_MS, easing: 'easeOutCubic' });
+    return true;
+  }
+
+  /**
+   * Moves the camera closer or further by a factor (when zoom is enabled)
+   * @private
+   * @returns {boolean} True if the camera moved
+   */
+  _zoomByKey(factor) {
+    const position = this.getCameraPosition();
+    if (!position || !this.config.enableZoom) return false;
+
+    const distance = Math.max(this.controls.minDistance,
+      Math.min(this.controls.maxDistance, position.distance * factor));
+    const radius = this.config.globeRadius * this.globeGroup.scale.x;
+
+    this.flyTo({
+      lat: position.lat,
+      lon: position.lon,
+      altitude: distance / radius - 1,
+      duration: KEY_MOVE_MS,
+      easing: 'easeOutCubic'
+    });
+    return true;
+  }
+
+  /**
+   * Lists the locations Tab moves between: markers, then active dots
+   * @private
+   * @returns {Array<Object>} Focus targets
+   */
+  _getFocusTargets() {
+    const markers = this.getMarkers().map(marker => ({ type: 'marker', id: marker.id }));
+    const dots = Array.from(this.activeDots.keys()).map(index => ({ type: 'dot', index }));
+    return markers.concat(dots);
+  }
+
+  /**
+   * Looks up where a focus target is
+   * @private
+   * @param {Object} target - Focus target
+   * @returns {{lat: number, lon: number, altitude: number, radius: number, label: string,
+   *           marker: Object|null}|null} Location, or null if the target is gone
+   */
+  _resolveFocusTarget(target) {
+    const dotRadius = this.config.globeRadius * FOCUS_RING_SCALE;
+
+    if (target.type === 'marker') {
+      const marker = this.markerLayer ? this.markerLayer.getMarker(target.id) : null;
+      if (!marker) return null;
+      return {
+        lat: marker.lat,
+        lon: marker.lon,
+        altitude: marker.altitude,
+        radius: Math.max(marker.size, dotRadius),
+        label: marker.label || 'Marker',
+        marker
+      };
+    }
+
+    if (!this.activeDots.has(target.index)) return null;
+    const { lat, lon } = this.dotData.latLongs[target.index];
+    const country = this.dotData.countries
+      ? this.countryLookup.getCountry(this.dotData.countries[target.index])
+      : null;
+    const label = country ? country.name : 'Location';
+    return { lat, lon, altitude: 0, radius: dotRadius, label, marker: null };
+  }
+
+  /**
+   * Focuses the next or previous location
+   * @private
+   * @param {number} step - 1 for next, -1 for previous
+   * @returns {boolean} False when focus should leave the globe
+   */
+  _moveFocus(step) {
+    const targets = this._getFocusTargets();
+    const current = this._focusTarget
+      ? targets.findIndex(target => target.type === this._focusTarget.type &&
+          target.id === this._focusTarget.id && target.index === this._focusTarget.index)
+      : -1;
+
+    const next = current === -1
+      ? (step > 0 ? 0 : targets.length - 1)
+      : current + step;
+
+    if (next < 0 || next >= targets.length) {
+      this._setFocusTarget(null);
+      return false;
+    }
+
+    this._setFocusTarget(targets[next]);
+
+    const location = this._resolveFocusTarget(targets[next]);
+    this.rotateToPoint(location.lat, location.lon, KEY_FOCUS_MS);
+    this.announce(`${location.label}, ${formatLatLon(location.lat, location.lon)} (${next + 1} of ${targets.length})`);
+    return true;
+  }
+
+  /**
+   * Fires the click event for the focused location
+   * @private
+   * @returns {boolean} True if a location was focused
+   */
+  _activateFocus() {
+    const location = this._focusTarget && this._resolveFocusTarget(this._focusTarget);
+    if (!location) return false;
+
+    if (location.marker) {
+      this.emit('markerclick', location.marker);
+    } else {
+      this.emit('dotclick', this._getDotInfo(this._focusTarget.index));
+    }
+    return true;
+  }
+
+  /**
+   * Changes the focused location
+   * @private
+   * @param {Object|null} target - Focus target, or null to clear focus
+   */
+  _setFocusTarget(target) {
+    this._focusTarget = target;
+    this._syncFocus();
+  }
+
+  /**
+   * Drops a focused location that no longer exists and moves the focus ring
+   * to the current one
+   * @private
+   */
+  _syncFocus() {
+    if (!this.focusRing) return;
+
+    const location = this._focusTarget && this._resolveFocusTarget(this._focusTarget);
+    if (!location) {
+      this._focusTarget = null;
+    }
+
+    const visible = !!location && document.activeElement === this.renderer.domElement;
+    if (visible) {
+      const normal = latLonToCartesian(location.lat, location.lon, 1);
+      const height = this.config.globeRadius * (1 + location.altitude) + 0.1;
+
+      this.focusRing.position.set(normal.x * height, normal.y * height, normal.z * height);
+      this.focusRing.quaternion.setFromUnitVectors(
+        new THREE.Vector3(0, 0, 1),
+        new THREE.Vector3(normal.x, normal.y, normal.z)
+      );
+      this.focusRing.scale.setScalar(location.radius);
+    }
+
+    if (visible || this.focusRing.visible) {
+      this.focusRing.visible = visible;
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Handles window resize events
+   * @private
+   */
+  _handleResize() {
+    // Debounce resize events
+    if (this._resizeTimeout) {
+      clearTimeout(this._resizeTimeout);
+    }
+
+    this._resizeTimeout = setTimeout(this._boundUpdateSize, 150);
+  }
+
+  /**
+   * Matches the canvas to the container (or the fixed size) and the current
+   * device pixel ratio
+   * @private
+   */
+  _updateSize() {
+    const width = this._fixedSize.width || this.container.clientWidth;
+    const height = this._fixedSize.height || this.container.clientHeight;
+    const pixelRatio = this._getTargetPixelRatio();
+
+    // A collapsed container has no size to render at; keep the last one
+    if (width <= 0 || height <= 0) return;
+
+    const sizeChanged = width !== this.width || height !== this.height;
+    if (!sizeChanged && pixelRatio === this.renderer.getPixelRatio()) return;
+
+    this.width = width;
+    this.height = height;
+
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.setSize(width, height);
+
+    // Dots are sized in device pixels
+    if (this.dotsMaterial) {
+      this.dotsMaterial.uniforms.u_pointSize.value = this._getPointSize();
+    }
+
+    // Path widths are in CSS pixels
+    if (this.pathLayer) {
+      this.pathLayer.setResolution(width, height);
+    }
+
+    this.requestRender();
+    if (sizeChanged) {
+      this.emit('resize', { width, height });
+    }
+  }
+
+  /**
+   * Gets the pixel ratio to render at
+   * @private
+   * @returns {number}
+   */
+  _getTargetPixelRatio() {
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+    return pixelRatio * this._getQualitySettings().pixelRatio;
+  }
+
+  /**
+   * Listens for the next change of device pixel ratio
+   *
+   * A resolution media query only reports leaving its exact ratio, so a new
+   * query is armed after every change.
+   * @private
+   */
+  _watchPixelRatio() {
+    if (this._pixelRatioQuery) {
+      this._pixelRatioQuery.removeEventListener('change', this._boundHandlePixelRatioChange);
+      this._pixelRatioQuery = null;
+    }
+
+    if (typeof window.matchMedia !== 'function') return;
+
+    this._pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    this._pixelRatioQuery.addEventListener('change', this._boundHandlePixelRatioChange);
+  }
+
+  /**
+   * Handles a device pixel ratio change (moving between monitors, browser zoom)
+   * @private
+   */
+  _handlePixelRatioChange() {
+    this._watchPixelRatio();
+    this._updateSize();
+  }
+
+  /**
+   * Works out whether motion is reduced from the motion option and the
+   * prefers-reduced-motion media query
+   * @private
+   */
+  _updateMotion() {
+    const mode = this.config.motion;
+    this._reducedMotion = mode === 'reduced' ||
+      (mode === 'auto' && !!this._reducedMotionQuery && this._reducedMotionQuery.matches);
+
+    if (this.controls) {
+      this.controls.enableDamping = !this._reducedMotion;
+    }
+
+    this.requestRender();
+  }
+
+  /**
+   * Whether animations should be skipped right now
+   *
+   * Recordings are unaffected: they are rendered offline, not watched live.
+   * @private
+   * @returns {boolean}
+   */
+  _isMotionReduced() {
+    return this._reducedMotion && !this._recording;
+  }
+
+  /**
+   * Gets the settings of the current quality level
+   * @private
+   * @returns {import('./QualityController.js').QualityLevel}
+   */
+  _getQualitySettings() {
+    return this.config.qualityLevels[this._qualityLevel] || QUALITY_LEVELS[0];
+  }
+
+  /**
+   * Whether the renderer should antialias at the current quality level
+   * @private
+   * @returns {boolean}
+   */
+  _getTargetAntialias() {
+    if (!this.config.antialias) return false;
+    return !this.config.qualityAntialias || this._getQualitySettings().antialias !== false;
+  }
+
+  /**
+   * Draws the current quality level's share of the dots
+   * @private
+   */
+  _applyDotDensity() {
+    if (!this.dotsGeometry || !this.dotsGeometry.index) return;
+    const count = this.dotsGeometry.index.count;
+    const density = this._getQualitySettings().dotDensity;
+    this.dotsGeometry.setDrawRange(0, density >= 1 ? count : Math.max(1, Math.round(count * density)));
+  }
+
+  /**
+   * Creates, retargets or removes the adaptive quality controller to match the options
+   *
+   * Turning adaptive quality off returns to the best level.
+   * @private
+   */
+  _updateAdaptiveQuality() {
+    if (!this.config.adaptiveQuality) {
+      if (this._quality) {
+        this._quality = null;
+        this._setQualityLevel(0, 'manual');
+      }
+      return;
+    }
+
+    if (!this._quality) {
+      this._quality = new QualityController({
+        levels: this.config.qualityLevels,
+        level: this._qualityLevel
+      });
+    }
+
+    // Frames capped by maxFps cannot run faster than the cap
+    const maxFps = this.config.maxFps;
+    this._quality.targetFps = maxFps > 0 ? Math.min(this.config.targetFps, maxFps) : this.config.targetFps;
+  }
+
+  /**
+   * Switches to a quality level and reports the change
+   * @private
+   * @param {number} level - Level index
+   * @param {string} reason - 'down', 'up' or 'manual'
+   */
+  _setQualityLevel(level, reason) {
+    const previous = this._qualityLevel;
+    if (level === previous) return;
+
+    const previousSettings = this._getQualitySettings();
+    this._qualityLevel = level;
+    this._applyQualitySettings(previousSettings);
+
+    this.emit('qualitychange', {
+      level,
+      name: this._getQualitySettings().name,
+      previous,
+      reason,
+      fps: this._quality ? this._quality.fps : null
+    });
+  }
+
+  /**
+   * Applies the current quality level to the renderer, dots and effects
+   * @private
+   * @param {import('./QualityController.js').QualityLevel} previous - Settings applied until now
+   */
+  _applyQualitySettings(previous) {
+    if (!this.renderer) return;
+
+    const settings = this._getQualitySettings();
+
+    // Antialiasing is fixed when the WebGL context is created, so it only
+    // changes when qualityAntialias allows replacing the context
+    if (this._getTargetAntialias() !== this._rendererAntialias) {
+      this._replaceRenderer();
+    }
+
+    this._updateSize();
+
+    if (this.atmosphereMesh) {
+      this.atmosphereMesh.visible = this.config.showAtmosphere && settings.effects;
+    }
+
+    if (settings.dotDensity !== previous.dotDensity) {
+      this._applyDotDensity();
+    }
+
+    this.requestRender();
+  }
+
+  /**
+   * Swaps in a new renderer and canvas (to change antialiasing, see qualityAntialias)
+   *
+   * The scene, camera and data are kept; the new renderer uploads GPU
+   * resources on its first frame. The controls are recreated on the new
+   * canvas with the same target and rotation settings.
+   * @private
+   */
+  _replaceRenderer() {
+    const oldRenderer = this.renderer;
+    const oldCanvas = oldRenderer.domElement;
+
+    oldCanvas.removeEventListener('mousemove', this._boundHandleMouseMove);
+    oldCanvas.removeEventListener('click', this._boundHandleClick);
+    oldCanvas.removeEventListener('webglcontextlost', this._boundHandleContextLost);
+    oldCanvas.removeEventListener('webglcontextrestored', this._boundHandleContextRestored);
+    this._detachCanvasAccessibility(oldCanvas);
+    if (this._intersectionObserver) {
+      this._intersectionObserver.unobserve(oldCanvas);
+    }
+    const hadFocus = document.activeElement === oldCanvas;
+
+    this._setupRenderer();
+    const canvas = this.renderer.domElement;
+    canvas.className = oldCanvas.className;
+    canvas.style.cssText = oldCanvas.style.cssText;
+    oldCanvas.replaceWith(canvas);
+
+    oldRenderer.dispose();
+    oldRenderer.forceContextLoss();
+
+    // The new context starts out intact
+    this._contextLost = false;
+
+    if (this.controls) {
+      const controls = this.controls;
+      controls.removeEventListener('start', this._boundHandleControlsStart);
+      controls.removeEventListener('end', this._boundHandleControlsEnd);
+      controls.removeEventListener('change', this._boundHandleControlsChange);
+      controls.dispose();
+
+      this._createControls();
+      this.controls.target.copy(controls.target);
+      ['autoRotate', 'autoRotateSpeed', 'enabled', 'enableZoom', 'enablePan'].forEach(key => {
+        this.controls[key] = controls[key];
+      });
+    }
+
+    if (this.dotsMaterial) {
+      this.dotsMaterial.uniforms.u_pointSize.value = this._getPointSize();
+    }
+
+    canvas.addEventListener('webglcontextlost', this._boundHandleContextLost);
+    canvas.addEventListener('webglcontextrestored', this._boundHandleContextRestored);
+    this._updatePointerListeners();
+    if (this._intersectionObserver) {
+      this._intersectionObserver.observe(canvas);
+    }
+    if (this._descriptionElement) {
+      this._attachCanvasAccessibility(canvas);
+    }
+    if (hadFocus) {
+      canvas.focus();
+    }
+
+    this.requestRender();
+  }
+
+  /**
+   * Phase 6: Handles mouse move for hover interactions
+   * @private
+   */
+  _handleMouseMove(event) {
+    this._updatePointer(event);
+    this._checkHover();
+  }
+
+  /**
+   * Updates the normalized pointer position and aims the raycaster at it
+   * @private
+   */
+  _updatePointer(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+  }
+
+  /**
+   * Phase 6: Finds the front-most marker under the pointer
+   * @private
+   * @returns {Object|null} Marker definition or null
+   */
+  _pickMarker() {
+    if (!this.markerLayer || this.markerLayer.order.length === 0) return null;
+
+    const hits = this.raycaster.intersectObject(this.markerLayer.mesh);
+    if (hits.length === 0) return null;
+
+    // Ignore markers hidden behind the globe
+    const surface = this.raycaster.intersectObject(this.sphereMesh);
+    if (surface.length > 0 && hits[0].distance > surface[0].distance) {
+      return null;
+    }
+
+    return this.markerLayer.getMarkerAtInstance(hits[0].instanceId);
+  }
+
+  /**
+   * Phase 6: Finds the top-most polygon under the pointer
+   *
+   * Tests where the pointer meets the globe surface rather than the dot it
+   * is over, so the gaps between dots belong to their polygon too.
+   * @private
+   * @returns {Object|null} Polygon description or null
+   */
+  _pickPolygon() {
+    if (!this.polygonLayer || this.polygonLayer.features.size === 0 || !this.sphereMesh) return null;
+
+    const hits = this.raycaster.intersectObject(this.sphereMesh);
+    if (hits.length === 0) return null;
+
+    // The sphere turns on its own; coordinates are in the globe group's space
+    const point = this.globeGroup.worldToLocal(hits[0].point.clone());
+    const { lat, lon } = cartesianToLatLon(point.x, point.y, point.z, point.length());
+
+    return this.polygonLayer.featureAt(lat, lon);
+  }
+
+  /**
+   * Phase 6: Checks for marker, polygon and dot hover using raycasting
+   * @private
+   */
+  _checkHover() {
+    if (this.listenerCount('markerhover') > 0) {
+      const marker = this._pickMarker();
+      const markerId = marker ? marker.id : null;
+
+      if (markerId !== this.hoveredMarker) {
+        this.hoveredMarker = markerId;
+        this.emit('markerhover', marker);
+      }
+    }
+
+    if (this.listenerCount('polygonhover') > 0) {
+      const polygon = this._pickPolygon();
+      const polygonId = polygon ? polygon.id : null;
+
+      if (polygonId !== this.hoveredPolygon) {
+        this.hoveredPolygon = polygonId;
+        this.emit('polygonhover', polygon);
+      }
+    }
+
+    if (!this.dotsPoints) return;
+    if (this.listenerCount('dothover') === 0 && this.listenerCount('dotleave') === 0) return;
+
+    const intersects = this.raycaster.intersectObject(this.dotsPoints);
+    const index = intersects.length > 0 ? intersects[0].index : null;
+    if (index === this.hoveredDot) return;
+
+    // Leave the previous dot before entering the next one
+    const previous = this.hoveredDot;
+    this.hoveredDot = index;
+
+    if (previous !== null) {
+      this.emit('dotleave', this._getDotInfo(previous));
+    }
+    if (index !== null) {
+      this.emit('dothover', this._getDotInfo(index));
+    }
+  }
+
+  /**
+   * Phase 6: Handles click events on markers, polygons and dots
+   *
+   * A click on a polygon also reaches the dot under the pointer.
+   * @private
+   */
+  _handleClick(event) {
+    this._updatePointer(event);
+
+    // Markers sit on top of the dots and take precedence
+    if (this.listenerCount('markerclick') > 0) {
+      const marker = this._pickMarker();
+      if (marker) {
+        this.emit('markerclick', marker);
+        return;
+      }
+    }
+
+    if (this.listenerCount('polygonclick') > 0) {
+      const polygon = this._pickPolygon();
+      if (polygon) {
+        this.emit('polygonclick', polygon);
+      }
+    }
+
+    if (!this.dotsPoints || this.listenerCount('dotclick') === 0) return;
+
+    const intersects = this.raycaster.intersectObject(this.dotsPoints);
+
+    if (intersects.length > 0) {
+      const index = intersects[0].index;
+      const dotInfo = this._getDotInfo(index);
+      this.emit('dotclick', dotInfo);
+    }
+  }
+
+  /**
+   * Gets information about a dot by index
+   * @private
+   */
+  _getDotInfo(index) {
+    if (index < 0 || index >= this.dotData.latLongs.length) {
+      return null;
+    }
+
+    const coord = this.dotData.latLongs[index];
+    const colorOffset = index * 3;
+
+    const info = {
+      index,
+      lat: coord.lat,
+      lon: coord.lon,
+      color: {
+        r: this.dotData.colors[colorOffset],
+        g: this.dotData.colors[colorOffset + 1],
+        b: this.dotData.colors[colorOffset + 2]
+      }
+    };
+
+    if (this.dotData.countries) {
+      info.country = this.countryLookup.getCountry(this.dotData.countries[index]);
+    }
+
+    if (this.dotData.classes) {
+      info.maskClass = this._maskClasses[this.dotData.classes[index]].name;
+    }
+
+    if (this.choropleth) {
+      info.choroplethValue = this.getChoroplethValue(index);
+    }
+
+    if (this.heatmap) {
+      info.heatmapValue = this.getHeatmapValue(index);
+    }
+
+    if (this._sun) {
+      info.solarElevation = getSolarElevation(coord.lat, coord.lon, this._sun);
+    }
+
+    return info;
+  }
+
+  /**
+   * Recomputes dot colours from the colour layers and uploads the buffer
+   *
+   * Layers are applied bottom to top: base dot colour (or the dot's mask
+   * class colour), choropleth (replacing the base on dots in a country), heatmap (blended over the result),
+   * polygon fills (blended by their fillOpacity), colours set with
+   * updateDotColor and active dot highlights.
+   * @private
+   * @param {Array<number>} [indices] - Dots to refresh (defaults to all)
+   */
+  _refreshDotColors(indices = null) {
+    if (!this.dotData || !this.dotData.colors) return;
+
+    const colors = this.dotData.colors;
+    const base = parseColor(this.config.dotColor) || new THREE.Color(1, 1, 1);
+    const maskClasses = this.dotData.classes ? this._maskClasses : null;
+    const choropleth = this.choropleth;
+    const countries = this.dotData.countries;
+    const heatmap = this.heatmap;
+    const polygons = this.polygonLayer;
+
+    const apply = (index) => {
+      const offset = index * 3;
+      const active = this.activeDots.get(index);
+
+      const override = active || this.dotColors.get(index);
+      if (override) {
+        colors[offset] = override.r;
+        colors[offset + 1] = override.g;
+        colors[offset + 2] = override.b;
+        return;
+      }
+
+      const maskClass = maskClasses ? maskClasses[this.dotData.classes[index]] : null;
+      const dotColor = maskClass && maskClass.color ? maskClass.color : base;
+      let r = dotColor.r;
+      let g = dotColor.g;
+      let b = dotColor.b;
+
+      const country = choropleth && countries ? countries[index] : -1;
+      if (country !== -1 && choropleth.colors[country]) {
+        r = choropleth.colors[country].r;
+        g = choropleth.colors[country].g;
+        b = choropleth.colors[country].b;
+      }
+
+      if (heatmap && !Number.isNaN(heatmap.values[index])) {
+        r += (heatmap.colors[offset] - r) * heatmap.blend;
+        g += (heatmap.colors[offset + 1] - g) * heatmap.blend;
+        b += (heatmap.colors[offset + 2] - b) * heatmap.blend;
+      }
+
+      const fill = polygons ? polygons.getDotFill(index) : null;
+      if (fill) {
+        r += (fill.color.r - r) * fill.opacity;
+        g += (fill.color.g - g) * fill.opacity;
+        b += (fill.color.b - b) * fill.opacity;
+      }
+
+      colors[offset] = r;
+      colors[offset + 1] = g;
+      colors[offset + 2] = b;
+    };
+
+    if (indices) {
+      indices.forEach(apply);
+    } else {
+      const count = colors.length / 3;
+      for (let i = 0; i < count; i++) {
+        apply(i);
+      }
+    }
+
+    if (this.dotsGeometry) {
+      this.dotsGeometry.attributes.customColor.needsUpdate = true;
+    }
+    this.requestRender();
+  }
+
+  /**
+   * Sums kernel-weighted samples onto every dot within radiusKm
+   * @private
+   * @returns {Float32Array} Per-dot values (NaN where no sample reaches)
+   */
+  _aggregateKernel(samples, radiusKm, kernel) {
+    const count = this.dotData.latLongs.length;
+    const values = new Float32Array(count).fill(NaN);
+    const vectors = this.spatialIndex.vectors;
+    const maxAngle = radiusKm / EARTH_RADIUS_KM;
+    const weightAt = HEATMAP_KERNELS[kernel];
+
+    samples.forEach(({ lat, lon, weight }) => {
+      const { x, y, z } = latLonToCartesian(lat, lon, 1);
+
+      this.spatialIndex.withinAngle(lat, lon, maxAngle).forEach(index => {
+        const o = index * 3;
+        const cos = x * vectors[o] + y * vectors[o + 1] + z * vectors[o + 2];
+        const d = maxAngle > 0 ? Math.acos(Math.min(1, Math.max(-1, cos))) / maxAngle : 0;
+        const value = Number.isNaN(values[index]) ? 0 : values[index];
+        values[index] = value + weight * weightAt(Math.min(d, 1));
+      });
+    });
+
+    return values;
+  }
+
+  /**
+   * Gives every dot the weight of its nearest sample within radiusKm
+   * @private
+   * @returns {Float32Array} Per-dot values (NaN where no sample is in range)
+   */
+  _aggregateNearest(samples, radiusKm) {
+    const count = this.dotData.latLongs.length;
+    const values = new Float32Array(count).fill(NaN);
+    if (samples.length === 0) return values;
+
+    const sampleIndex = SpatialIndex.fromLatLongs(samples);
+    const vectors = this.spatialIndex.vectors;
+    const minCos = Math.cos(Math.min(radiusKm / EARTH_RADIUS_KM, Math.PI));
+
+    for (let i = 0; i < count; i++) {
+      const { lat, lon } = this.dotData.latLongs[i];
+      const nearest = sampleIndex.nearest(lat, lon);
+      const s = nearest * 3;
+      const o = i * 3;
+      const cos = sampleIndex.vectors[s] * vectors[o] +
+        sampleIndex.vectors[s + 1] * vectors[o + 1] +
+        sampleIndex.vectors[s + 2] * vectors[o + 2];
+
+      if (cos >= minCos) {
+        values[i] = samples[nearest].weight;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Cancels an in-progress camera flight when the user starts dragging
+   * @private
+   */
+  _handleControlsStart() {
+    if (this._flight) {
+      this._endFlight(false);
+    }
+    this.emit('rotationstart', { source: 'user' });
+  }
+
+  /**
+   * Reports the end of a user drag
+   * @private
+   */
+  _handleControlsEnd() {
+    this.emit('rotationend', { source: 'user' });
+  }
+
+  /**
+   * Reports camera movement from dragging, damping, auto-rotation and flights
+   * @private
+   */
+  _handleControlsChange() {
+    this.requestRender();
+
+    if (this.listenerCount('cameramove') > 0) {
+      this.emit('cameramove', this.getCameraPosition());
+    }
+  }
+
+  /**
+   * Pauses rendering when the WebGL context is lost
+   *
+   * Cancelling the event tells the browser the globe will handle a restore.
+   * @private
+   */
+  _handleContextLost(event) {
+    event.preventDefault();
+    this._contextLost = true;
+
+    // Frames rendered from here on would be blank
+    this.cancelRecording();
+
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    this.emit('contextlost', { event });
+  }
+
+  /**
+   * Restores GPU resources and resumes rendering when the context comes back
+   * @private
+   */
+  _handleContextRestored(event) {
+    this._contextLost = false;
+    this._restoreGraphics();
+    this.emit('contextrestored', { event });
+    this.requestRender();
+  }
+
+  /**
+   * Re-uploads every GPU resource from the state the globe keeps in memory
+   *
+   * Three.js recreates its WebGL objects lazily after a restore; this marks
+   * every buffer and texture for upload and re-applies the dot colour layers
+   * (heatmap, active highlights) and shader uniforms, so nothing depends on
+   * what the lost context held.
+   * @private
+   */
+  _restoreGraphics() {
+    this.scene.traverse(object => {
+      const geometry = object.geometry;
+      if (geometry) {
+        Object.values(geometry.attributes).forEach(attribute => {
+          attribute.needsUpdate = true;
+        });
+        if (geometry.index) {
+          geometry.index.needsUpdate = true;
+        }
+      }
+
+      if (object.isInstancedMesh) {
+        object.instanceMatrix.needsUpdate = true;
+        if (object.instanceColor) {
+          object.instanceColor.needsUpdate = true;
+        }
+      }
+
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach(material => {
+        if (!material) return;
+        Object.values(material).forEach(value => {
+          if (value && value.isTexture) {
+            value.needsUpdate = true;
+          }
+        });
+        material.needsUpdate = true;
+      });
+    });
+
+    if (this.dotsMaterial) {
+      this.dotsMaterial.uniforms.u_pointSize.value = this._getPointSize();
+    }
+    this._updateGlowUniforms();
+    this._updateDayNightUniforms();
+    this._refreshDotColors();
+  }
+
+  /**
+   * Phase 8: Handles visibility change for performance optimization
+   * @private
+   */
+  _handleVisibilityChange() {
+    if (document.hidden) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  /**
+   * Phase 8: Pauses and resumes rendering as the canvas leaves and enters the viewport
+   * @private
+   */
+  _handleIntersection(entries) {
+    const entry = entries[entries.length - 1];
+    this._isOffscreen = !entry.isIntersecting;
+    this._frameChained = false;
+
+    if (this._isOffscreen) {
+      if (this.animationFrameId) {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+      }
+    } else {
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Schedules the next animation frame unless one is already pending
+   * @private
+   */
+  _scheduleFrame() {
+    if (this.isAnimating && !this._isOffscreen && !this._recording && !this._contextLost &&
+        !this.animationFrameId) {
+      this.animationFrameId = requestAnimationFrame(this._boundAnimate);
+    }
+  }
+
+  /**
+   * Animation loop
+   *
+   * In 'continuous' mode every frame is rendered. In 'onDemand' mode a frame
+   * is rendered only when requestRender() was called or something is moving
+   * (camera flight, damping, auto-rotation, animated arcs); otherwise the
+   * loop stops until the next requestRender().
+   * @private
+   */
+  _animate() {
+    this.animationFrameId = null;
+    if (!this.isAnimating || this._isOffscreen || this._recording || this._contextLost) return;
+
+    const now = performance.now();
+
+    // Phase 8: Skip frames that come sooner than the maxFps interval allows
+    const maxFps = this.config.maxFps;
+    if (maxFps > 0 && now - this.lastRenderTime < 1000 / maxFps - FRAME_TOLERANCE_MS) {
+      this._scheduleFrame();
+      return;
+    }
+
+    // Clamp the step so layers do not jump after the loop was paused
+    const delta = Math.min(now - (this.lastFrameTime || now), 100);
+    this.lastFrameTime = now;
+
+    const moving = this._advance(now, delta, 1);
+    const onDemand = this.config.renderMode === 'onDemand';
+
+    // Nothing changed: idle until requestRender()
+    if (onDemand && !this._needsRender && !moving) {
+      this._frameChained = false;
+      return;
+    }
+
+    // Render scene
+    this.renderer.render(this.scene, this.camera);
+    this._needsRender = false;
+
+    // Move the HTML labels to match the frame
+    if (this.labelLayer) {
+      this.labelLayer.update(this.camera, this.renderer.domElement);
+    }
+
+    // Adaptive quality: only back-to-back frames measure rendering speed
+    if (this._quality && this._frameChained) {
+      const change = this._quality.sample(now - this.lastRenderTime);
+      if (change) {
+        this._setQualityLevel(change.level, change.reason);
+      }
+    }
+    this.lastRenderTime = now;
+
+    this._frameChained = !onDemand || moving;
+    if (this._frameChained) {
+      this._scheduleFrame();
+    }
+  }
+
+  /**
+   * Advances everything that moves by one frame
+   *
+   * Auto-rotation, damping and sphere rotation step by a fixed amount per
+   * frame; frameScale scales those steps (1 = one 60 fps frame).
+   * @private
+   * @param {number} now - Current time in milliseconds (see _now)
+   * @param {number} delta - Time since the previous frame in milliseconds
+   * @param {number} frameScale - Frame length relative to a 60 fps frame
+   * @returns {boolean} True if anything is still moving
+   */
+  _advance(now, delta, frameScale) {
+    // Advance camera flight before controls apply damping/auto-rotation
+    const flying = !!this._flight;
+    if (flying) {
+      this._updateFlight(now);
+    }
+
+    // Reduced motion holds auto-rotation, the sphere spin and arc dashes still
+    const reducedMotion = this._isMotionReduced();
+
+    // Update controls (includes auto-rotation); true when the camera moved
+    let cameraMoved = false;
+    if (this.controls) {
+      const autoRotateSpeed = this.controls.autoRotateSpeed;
+      this.controls.autoRotateSpeed = reducedMotion ? 0 : autoRotateSpeed * frameScale;
+      cameraMoved = this.controls.update();
+      this.controls.autoRotateSpeed = autoRotateSpeed;
+    }
+
+    // Rotate sphere independently
+    const sphereRotating = !!this.sphereMesh && this.config.sphereRotationSpeed !== 0 && !reducedMotion;
+    if (sphereRotating) {
+      this.sphereMesh.rotation.y += this.config.sphereRotationSpeed * 0.001 * frameScale;
+    }
+
+    // Advance arc dash animation
+    const arcsAnimated = !!this.arcLayer && this.arcLayer.isAnimated() && !reducedMotion;
+    if (arcsAnimated) {
+      this.arcLayer.update(delta);
+    }
+
+    // Keep marker sprites facing the camera
+    if (this.markerLayer) {
+      this.markerLayer.update(this.camera);
+    }
+
+    return flying || cameraMoved || sphereRotating || arcsAnimated;
+  }
+
+  /**
+   * Gets the animation clock time: real time, or the recording clock while
+   * recording (see record)
+   * @private
+   * @returns {number} Time in milliseconds
+   */
+  _now() {
+    return this._recording ? this._recording.time : performance.now();
+  }
+
+  /**
+   * Advances the active camera flight
+   * @private
+   */
+  _updateFlight(now) {
+    const flight = this._flight;
+    const t = Math.min(1, (now - flight.startTime) / flight.duration);
+    const eased = flight.easing(t);
+
+    // Slerp the view direction along the great circle between start and end
+    this._flightQuaternion.identity().slerp(flight.rotation, eased);
+    const direction = this._flightDirection
+      .copy(flight.startDirection)
+      .applyQuaternion(this._flightQuaternion);
+    const distance = flight.startDistance + (flight.endDistance - flight.startDistance) * eased;
+
+    this.camera.position
+      .copy(this.controls.target)
+      .addScaledVector(direction, distance);
+
+    if (t >= 1) {
+      this._endFlight(true);
+    }
+  }
+
+  /**
+   * Finishes the active camera flight and settles its promise
+   * @private
+   * @param {boolean} arrived - True if the camera reached its destination
+   */
+  _endFlight(arrived) {
+    const flight = this._flight;
+    if (!flight) return;
+
+    this._flight = null;
+
+    if (this.controls) {
+      this.controls.autoRotate = flight.autoRotate;
+    }
+
+    flight.resolve(arrived);
+  }
+
+  /**
+   * Phase 4: Animates the camera to face a geographic coordinate
+   *
+   * The camera travels along the great circle between its current view
+   * direction and the target, keeping the OrbitControls target fixed.
+   * Auto-rotation is paused during the flight and restored afterwards.
+   * Starting a drag, calling flyTo again or calling cancelFlyTo() cancels
+   * the flight in progress.
+   *
+   * @param {Object} options - Flight options
+   * @param {number} options.lat - Target latitude in degrees
+   * @param {number} options.lon - Target longitude in degrees
+   * @param {number} [options.altitude] - Camera height above the surface in globe radii
+   *                                      (defaults to the current camera distance)
+   * @param {number} [options.duration=1000] - Flight duration in milliseconds
+   * @param {string|Function} [options.easing='easeInOutCubic'] - Easing name or function
+   * @returns {Promise<boolean>} Resolves true on arrival, false if cancelled
+   *
+   * @example
+   * await globe.flyTo({ lat: 48.8566, lon: 2.3522, duration: 1500 });
+   *
+   * @example
+   * // Zoom in close to Tokyo
+   * globe.flyTo({ lat: 35.6762, lon: 139.6503, altitude: 0.5, easing: 'easeOutCubic' });
+   */
+  flyTo({ lat, lon, altitude, duration = 1000, easing = 'easeInOutCubic' } = {}) {
+    if (typeof lat !== 'number' || typeof lon !== 'number') {
+      console.warn('Globe: flyTo expects numeric lat and lon', { lat, lon });
+      return Promise.resolve(false);
+    }
+
+    if (!this.camera || !this.controls) {
+      console.warn('Globe: flyTo called before init');
+      return Promise.resolve(false);
+    }
+
+    // Cancel any flight already in progress
+    this._endFlight(false);
+
+    // Direction of the coordinate in world space (respects globe rotation)
+    const local = latLonToCartesian(lat, lon, 1);
+    const endDirection = new THREE.Vector3(local.x, local.y, local.z)
+      .applyQuaternion(this.globeGroup.getWorldQuaternion(new THREE.Quaternion()))
+      .normalize();
+
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    const startDistance = offset.length();
+    const startDirection = offset.normalize();
+
+    const endDistance = typeof altitude === 'number'
+      ? this.config.globeRadius * this.globeGroup.scale.x * (1 + Math.max(0, altitude))
+      : startDistance;
+
+    return new Promise((resolve) => {
+      this._flight = {
+        startDirection,
+        rotation: new THREE.Quaternion().setFromUnitVectors(startDirection, endDirection),
+        startDistance,
+        endDistance,
+        startTime: this._now(),
+        duration: this._isMotionReduced() ? 0 : Math.max(0, duration),
+        easing: resolveEasing(easing),
+        autoRotate: this.controls.autoRotate,
+        resolve
+      };
+
+      this.controls.autoRotate = false;
+      this.requestRender();
+
+      // Zero-length flights jump straight to the destination
+      if (this._flight.duration === 0) {
+        this._updateFlight(Infinity);
+        this.controls.update();
+      }
+    });
+  }
+
+  /**
+   * Phase 4: Rotates the globe to face a coordinate (shorthand for flyTo)
+   *
+   * @param {number} lat - Target latitude in degrees
+   * @param {number} lon - Target longitude in degrees
+   * @param {number} [duration=1000] - Animation duration in milliseconds
+   * @returns {Promise<boolean>} Resolves true on arrival, false if cancelled
+   *
+   * @example
+   * globe.rotateToPoint(51.5074, -0.1278, 1000); // London
+   */
+  rotateToPoint(lat, lon, duration = 1000) {
+    return this.flyTo({ lat, lon, duration });
+  }
+
+  /**
+   * Phase 4: Cancels the camera flight in progress, if any
+   *
+   * @example
+   * globe.cancelFlyTo();
+   */
+  cancelFlyTo() {
+    this._endFlight(false);
+  }
+
+  /**
+   * Phase 4: Gets the coordinate the camera is looking down on
+   *
+   * The inverse of flyTo: feeding the result back into flyTo() returns the
+   * camera to the same view.
+   *
+   * @returns {{lat: number, lon: number, altitude: number, distance: number}|null}
+   *          Coordinate under the camera, altitude in globe radii and distance in
+   *          world units, or null before init
+   *
+   * @example
+   * const { lat, lon, altitude } = globe.getCameraPosition();
+   */
+  getCameraPosition() {
+    if (!this.camera || !this.globeGroup) return null;
+
+    const offset = this.camera.position.clone().sub(this.controls ? this.controls.target : new THREE.Vector3());
+    const distance = offset.length();
+
+    // Express the view direction in the globe's own (rotating) frame
+    const inverse = this.globeGroup.getWorldQuaternion(new THREE.Quaternion()).invert();
+    const direction = offset.normalize().applyQuaternion(inverse);
+    const { lat, lon } = cartesianToLatLon(direction.x, direction.y, direction.z);
+
+    return {
+      lat,
+      lon,
+      altitude: distance / (this.config.globeRadius * this.globeGroup.scale.x) - 1,
+      distance
+    };
+  }
+
+  /**
+   * Phase 6: Sets active dots by coordinates
+   *
+   * @param {Array<{lat: number, lon: number, color?: string}>} coordinates - Array of coordinates
+   *
+   * @example
+   * globe.setActiveDots([
+   *   { lat: 40.7128, lon: -74.0060, color: '#FF0000' },
+   *   { lat: 51.5074, lon: -0.1278 }
+   * ]);
+   */
+  setActiveDots(coordinates) {
+    if (!Array.isArray(coordinates)) {
+      console.warn('Globe: setActiveDots expects an array');
+      return;
+    }
+
+    const activeColor = parseColor(this.config.activeDotColor);
+    console.log('Globe: setActiveDots called with', coordinates.length, 'coordinates');
+    console.log('Globe: Active color:', activeColor);
+
+    let successCount = 0;
+    coordinates.forEach(coord => {
+      if (typeof coord.lat !== 'number' || typeof coord.lon !== 'number') {
+        console.warn('Globe: invalid coordinate', coord);
+        return;
+      }
+
+      // Find nearest dot index
+      const index = this._findNearestDotIndex(coord.lat, coord.lon);
+      console.log(`Globe: Coord (${coord.lat}, ${coord.lon}) -> index ${index}`);
+
+      if (index !== -1) {
+        // Use custom color if provided, otherwise use default active color
+        let color = coord.color ? parseColor(coord.color) : activeColor;
+        if (!color) {
+          console.warn('Globe: invalid active dot color, using activeDotColor', coord.color);
+          color = activeColor;
+        }
+        // Remembered so the highlight survives heatmap and dot colour changes
+        this.activeDots.set(index, color);
+        this._refreshDotColors([index]);
+        successCount++;
+      }
+    });
+
+    console.log(`Globe: Successfully highlighted ${successCount} of ${coordinates.length} cities`);
+  }
+
+  /**
+   * Phase 6: Removes all active dot highlights
+   *
+   * @example
+   * globe.clearActiveDots();
+   */
+  clearActiveDots() {
+    const indices = Array.from(this.activeDots.keys());
+    this.activeDots.clear();
+    this._refreshDotColors(indices);
+    this._syncFocus();
+  }
+
+  /**
+   * Phase 6: Finds the nearest dot index for given coordinates
+   * @private
+   */
+  _findNearestDotIndex(lat, lon) {
+    return this.spatialIndex ? this.spatialIndex.nearest(lat, lon) : -1;
+  }
+
+  /**
+   * Phase 6: Finds the dot closest to a coordinate (great-circle distance)
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {number} Dot index, or -1 if there are no dots
+   *
+   * @example
+   * const index = globe.findNearestDot(40.7128, -74.0060);
+   * globe.updateDotColor(index, '#FF0000');
+   */
+  findNearestDot(lat, lon) {
+    if (typeof lat !== 'number' || typeof lon !== 'number') {
+      console.warn('Globe: findNearestDot expects numeric lat and lon', { lat, lon });
+      return -1;
+    }
+    return this._findNearestDotIndex(lat, lon);
+  }
+
+  /**
+   * Phase 6: Finds all dots within a surface distance of a coordinate
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} km - Radius in kilometres (measured on the Earth's surface)
+   * @returns {Array<number>} Dot indices (unordered)
+   *
+   * @example
+   * const nearby = globe.findDotsWithinRadius(51.5074, -0.1278, 500);
+   * nearby.forEach(index => globe.updateDotColor(index, '#FFD700'));
+   */
+  findDotsWithinRadius(lat, lon, km) {
+    if (typeof lat !== 'number' || typeof lon !== 'number' || typeof km !== 'number') {
+      console.warn('Globe: findDotsWithinRadius expects numeric lat, lon and km', { lat, lon, km });
+      return [];
+    }
+    return this.spatialIndex ? this.spatialIndex.withinRadius(lat, lon, km) : [];
+  }
+
+  /**
+   * Phase 6: Finds all dots inside a latitude/longitude bounding box
+   *
+   * Boxes whose west edge is greater than their east edge wrap across the
+   * antimeridian.
+   *
+   * @param {{north: number, south: number, east: number, west: number}|Array<number>} bbox -
+   *        Bounds object or GeoJSON-style [west, south, east, north] array
+   * @returns {Array<number>} Dot indices (unordered)
+   *
+   * @example
+   * // Pacific band crossing the antimeridian
+   * const indices = globe.findDotsInBounds({ north: 10, south: -10, west: 170, east: -170 });
+   */
+  findDotsInBounds(bbox) {
+    return this.spatialIndex ? this.spatialIndex.inBounds(bbox) : [];
+  }
+
+  /**
+   * Phase 6: Finds the country containing a coordinate
+   *
+   * Uses the bundled Natural Earth 1:110m boundaries. Coordinates just
+   * outside the generalized coastline (within 25 km) resolve to the nearest
+   * country, matching the country reported for dots.
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {{name: string, iso2: string|null, iso3: string|null, isoNumeric: string|null}|null}
+   *          Country with its ISO 3166-1 codes, or null over the ocean (or when
+   *          countryLookup is disabled)
+   *
+   * @example
+   * globe.getCountryAt(48.8566, 2.3522);
+   * // { name: 'France', iso2: 'FR', iso3: 'FRA', isoNumeric: '250' }
+   */
+  getCountryAt(lat, lon) {
+    if (typeof lat !== 'number' || typeof lon !== 'number') {
+      console.warn('Globe: getCountryAt expects numeric lat and lon', { lat, lon });
+      return null;
+    }
+    if (!this.countryLookup) {
+      console.warn('Globe: getCountryAt needs the countryLookup option and an initialized globe');
+      return null;
+    }
+    return this.countryLookup.lookup(lat, lon, COUNTRY_TOLERANCE_KM);
+  }
+
+  /**
+   * Phase 3: Finds the mask class under a coordinate
+   *
+   * Classifies the mask pixel exactly as the dots were, so it also answers
+   * for hidden classes and coordinates between dots.
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {string|null} Class name, or null without a classified mask
+   *
+   * @example
+   * globe.getMaskClassAt(-80, 0); // 'ice'
+   */
+  getMaskClassAt(lat, lon) {
+    if (typeof lat !== 'number' || typeof lon !== 'number') {
+      console.warn('Globe: getMaskClassAt expects numeric lat and lon', { lat, lon });
+      return null;
+    }
+    return getClassAtLatLong(lat, lon, this.textureData);
+  }
+
+  /**
+   * Phase 6: Gets information about a dot
+   *
+   * The country (see getCountryAt) is resolved when the dots are generated,
+   * and is null for dots outside every country.
+   *
+   * @param {number} index - Dot index
+   * @returns {{index: number, lat: number, lon: number, color: {r: number, g: number, b: number},
+   *          country: Object|null}|null} Dot information, or null for an invalid index
+   *
+   * @example
+   * const dot = globe.getDotInfo(globe.findNearestDot(0, 0));
+   */
+  getDotInfo(index) {
+    return this._getDotInfo(index);
+  }
+
+  /**
+   * Phase 3: Changes the style of a mask class
+   *
+   * Colour and size apply to the class's dots in place. Hidden classes are
+   * not generated at all, so changing visibility regenerates the dots (see
+   * rebuild).
+   *
+   * @param {string} name - Class name (see the maskClasses option)
+   * @param {Object} style - Properties to change
+   * @param {string|number} [style.color] - Dot color (null for the dotColor)
+   * @param {number} [style.size] - Dot size multiplier
+   * @param {boolean} [style.visible] - Whether the class has dots
+   * @returns {boolean} True if the class exists
+   *
+   * @example
+   * globe.setMaskClassStyle('ice', { color: '#E0F7FF', size: 0.8 });
+   * globe.setMaskClassStyle('ocean', { visible: true });
+   */
+  setMaskClassStyle(name, style = {}) {
+    const definitions = Array.isArray(this.config.maskClasses) ? this.config.maskClasses : [];
+    const index = definitions.findIndex(definition => definition && definition.name === name);
+    if (index === -1) {
+      console.warn('Globe: unknown mask class', name);
+      return false;
+    }
+
+    const previous = definitions[index];
+    const next = { ...previous, ...pickDefined(style || {}, MASK_CLASS_STYLE) };
+    this.config.maskClasses = definitions.map((definition, i) => (i === index ? next : definition));
+    if (!this.globeGroup) return true;
+
+    if ((next.visible !== false) !== (previous.visible !== false)) {
+      this.rebuild();
+      return true;
+    }
+
+    if (this.dotData.classes) {
+      this._maskClasses = this._resolveMaskClasses();
+      const { classes, sizes } = this.dotData;
+      for (let i = 0; i < classes.length; i++) {
+        sizes[i] = this._maskClasses[classes[i]].size;
+      }
+      this.dotsGeometry.attributes.customSize.needsUpdate = true;
+      this._refreshDotColors();
+    }
+    return true;
+  }
+
+  /**
+   * Phase 3: Gets the mask classes and how many dots each has
+   *
+   * @returns {Array<{name: string, color: string|null, size: number, visible: boolean,
+   *          dotCount: number}>} Classes in maskClasses order (empty without a classified mask)
+   *
+   * @example
+   * globe.getMaskClasses();
+   * // [{ name: 'ocean', color: null, size: 1, visible: false, dotCount: 0 }, ...]
+   */
+  getMaskClasses() {
+    const maskClasses = this.dotData && this.dotData.classes ? this._maskClasses : this._resolveMaskClasses();
+    if (!maskClasses) return [];
+
+    const counts = new Array(maskClasses.length).fill(0);
+    if (this.dotData && this.dotData.classes) {
+      this.dotData.classes.forEach(index => {
+        counts[index]++;
+      });
+    }
+
+    return maskClasses.map((maskClass, i) => ({
+      name: maskClass.name,
+      color: maskClass.color ? `#${maskClass.color.getHexString()}` : null,
+      size: maskClass.size,
+      visible: maskClass.visible,
+      dotCount: counts[i]
+    }));
+  }
+
+  /**
+   * Phase 6: Updates the color of a specific dot
+   *
+   * The colour is kept as its own layer above the heatmap, choropleth and
+   * polygon fills (active dot highlights stay on top), so later changes to
+   * those layers do not wipe it. setDotColor resets all dot colours.
+   *
+   * @param {number} index - Dot index
+   * @param {THREE.Color|string|number|null} color - New color, or null to remove the dot's colour
+   *
+   * @example
+   * globe.updateDotColor(100, '#FF0000');
+   * globe.updateDotColor(100, null);
+   */
+  updateDotColor(index, color) {
+    if (index < 0 || index >= this.dotData.latLongs.length) {
+      console.warn('Globe: invalid dot index', index);
+      return;
+    }
+
+    if (color === null) {
+      this.dotColors.delete(index);
+      this._refreshDotColors([index]);
+      return;
+    }
+
+    const threeColor = color instanceof THREE.Color ? color.clone() : parseColor(color);
+    if (!threeColor) {
+      console.warn('Globe: invalid color', color);
+      return;
+    }
+
+    this.dotColors.set(index, threeColor);
+    this._refreshDotColors([index]);
+  }
+
+  /**
+   * Phase 6: Colours dots from a weighted dataset
+   *
+   * Each dot's value is either the kernel-weighted sum of the samples within
+   * radiusKm ('kernel') or the weight of the nearest sample within radiusKm
+   * ('nearest'). Values are mapped through the colour ramp over the domain and
+   * blended over the dot colour. Dots no sample reaches keep their colour.
+   * Only the colour buffer is rewritten; active dots stay highlighted.
+   *
+   * @param {Array<{lat: number, lon: number, weight?: number}>} points - Weighted samples (weight defaults to 1)
+   * @param {Object} [options] - Heatmap options
+   * @param {number} [options.radiusKm=500] - Influence radius of each sample in kilometres
+   * @param {string|Array|THREE.Color|number} [options.ramp='heat'] - Ramp name, array of color stops
+   *        or single base color (see createColorRamp)
+   * @param {Array<number>} [options.domain] - [min, max] value mapped to the ends of the ramp
+   *        (defaults to the data range, from 0 for kernel aggregation)
+   * @param {number} [options.blend=1] - Heatmap opacity over the dot color (0-1)
+   * @param {string} [options.aggregation='kernel'] - 'kernel' or 'nearest'
+   * @param {string} [options.kernel='gaussian'] - Kernel falloff: 'gaussian', 'linear' or 'uniform'
+   * @returns {Array<number>|null} The [min, max] domain used, or null if the heatmap was rejected
+   *
+   * @example
+   * globe.setHeatmap(
+   *   [{ lat: 40.7, lon: -74.0, weight: 8 }, { lat: 51.5, lon: -0.1, weight: 5 }],
+   *   { radiusKm: 800, ramp: 'viridis', blend: 0.9 }
+   * );
+   */
+  setHeatmap(points, options = {}) {
+    if (!Array.isArray(points)) {
+      console.warn('Globe: setHeatmap expects an array');
+      return null;
+    }
+
+    if (!this.spatialIndex) {
+      console.warn('Globe: setHeatmap called before init');
+      return null;
+    }
+
+    const {
+      radiusKm = 500,
+      ramp = 'heat',
+      domain,
+      blend = 1,
+      aggregation = 'kernel',
+      kernel = 'gaussian'
+    } = options;
+
+    const rampFn = createColorRamp(ramp);
+    if (!rampFn) {
+      console.warn('Globe: invalid heatmap ramp', ramp);
+      return null;
+    }
+
+    if (!HEATMAP_AGGREGATIONS.includes(aggregation)) {
+      console.warn('Globe: unknown heatmap aggregation', aggregation);
+      return null;
+    }
+
+    if (!HEATMAP_KERNELS[kernel]) {
+      console.warn('Globe: unknown heatmap kernel', kernel);
+      return null;
+    }
+
+    const samples = [];
+    points.forEach(point => {
+      if (!point || typeof point.lat !== 'number' || typeof point.lon !== 'number') {
+        console.warn('Globe: invalid heatmap point', point);
+        return;
+      }
+      const weight = typeof point.weight === 'number' ? point.weight : 1;
+      samples.push({ lat: point.lat, lon: point.lon, weight });
+    });
+
+    const values = aggregation === 'nearest'
+      ? this._aggregateNearest(samples, radiusKm)
+      : this._aggregateKernel(samples, radiusKm, kernel);
+
+    // Resolve the domain from the data unless one was given
+    let min = Infinity;
+    let max = -Infinity;
+    if (Array.isArray(domain) && domain.length === 2) {
+      [min, max] = domain;
+    } else {
+      for (let i = 0; i < values.length; i++) {
+        if (Number.isNaN(values[i])) continue;
+        if (values[i] < min) min = values[i];
+        if (values[i] > max) max = values[i];
+      }
+      if (aggregation !== 'nearest') min = Math.min(0, min);
+      if (!Number.isFinite(min)) {
+        min = 0;
+        max = 1;
+      }
+    }
+    const range = max - min || 1;
+
+    // Sample the ramp once into a lookup table, then colour each dot from it
+    const lut = new Float32Array(RAMP_LUT_SIZE * 3);
+    for (let i = 0; i < RAMP_LUT_SIZE; i++) {
+      const color = rampFn(i / (RAMP_LUT_SIZE - 1));
+      lut[i * 3] = color.r;
+      lut[i * 3 + 1] = color.g;
+      lut[i * 3 + 2] = color.b;
+    }
+
+    const colors = new Float32Array(values.length * 3);
+    for (let i = 0; i < values.length; i++) {
+      if (Number.isNaN(values[i])) continue;
+      const t = Math.max(0, Math.min(1, (values[i] - min) / range));
+      const entry = Math.round(t * (RAMP_LUT_SIZE - 1)) * 3;
+      colors[i * 3] = lut[entry];
+      colors[i * 3 + 1] = lut[entry + 1];
+      colors[i * 3 + 2] = lut[entry + 2];
+    }
+
+    this.heatmap = {
+      points,
+      options,
+      values,
+      colors,
+      domain: [min, max],
+      ramp: rampFn,
+      blend: Math.max(0, Math.min(1, blend))
+    };
+
+    this._refreshDotColors();
+    return [min, max];
+  }
+
+  /**
+   * Phase 6: Removes the heatmap and restores dot colours
+   *
+   * @example
+   * globe.clearHeatmap();
+   */
+  clearHeatmap() {
+    if (!this.heatmap) return;
+    this.heatmap = null;
+    this._refreshDotColors();
+  }
+
+  /**
+   * Phase 6: Gets the heatmap value computed for a dot
+   *
+   * @param {number} index - Dot index
+   * @returns {number|null} Dot value, or null if no heatmap is set or no sample reaches the dot
+   *
+   * @example
+   * const value = globe.getHeatmapValue(globe.findNearestDot(40.7, -74.0));
+   */
+  getHeatmapValue(index) {
+    if (!this.heatmap || index < 0 || index >= this.heatmap.values.length) {
+      return null;
+    }
+    const value = this.heatmap.values[index];
+    return Number.isNaN(value) ? null : value;
+  }
+
+  /**
+   * Phase 6: Gets the heatmap values of all dots
+   *
+   * @returns {Float32Array|null} Copy of the per-dot values (NaN where no sample reaches),
+   *          or null if no heatmap is set
+   */
+  getHeatmapValues() {
+    return this.heatmap ? this.heatmap.values.slice() : null;
+  }
+
+  /**
+   * Phase 6: Gets evenly spaced legend entries for the current heatmap
+   *
+   * @param {number} [steps=5] - Number of entries (at least 2)
+   * @returns {Array<{value: number, color: string}>} Entries from the low to the high end of the domain
+   *
+   * @example
+   * globe.getHeatmapLegend(3);
+   * // [{ value: 0, color: '#0d0887' }, { value: 4, color: '#cc4778' }, { value: 8, color: '#f0f921' }]
+   */
+  getHeatmapLegend(steps = 5) {
+    if (!this.heatmap) return [];
+
+    const [min, max] = this.heatmap.domain;
+    const count = Math.max(2, Math.floor(steps));
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      const t = i / (count - 1);
+      entries.push({
+        value: min + (max - min) * t,
+        color: `#${this.heatmap.ramp(t).getHexString()}`
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Phase 6: Colours the dots of each country from per-country values
+   *
+   * Values are joined to countries by ISO 3166-1 code (alpha-2, alpha-3 or
+   * numeric) and each country's dots, as resolved from the bundled boundaries
+   * (see getCountryAt), take the ramp colour of its value. Countries without
+   * a value take missingColor, or keep the dot colour when it is not set;
+   * dots outside every country are left alone. The heatmap, polygon fills and
+   * active dots are drawn over the choropleth.
+   *
+   * The country boundaries are loaded on first use, turning the countryLookup
+   * option on.
+   *
+   * @param {Object} options - Choropleth options
+   * @param {Object|Map} options.data - Values keyed by ISO code, e.g. { US: 12, FR: 4 }
+   * @param {string} [options.scale='linear'] - 'linear' or 'log' for a continuous ramp,
+   *        'quantize' for equal intervals or 'quantile' for classes with equal numbers of countries
+   * @param {string|Array|THREE.Color|number} [options.ramp='blues'] - Ramp name, array of color
+   *        stops or single base color (see createColorRamp)
+   * @param {string|number|THREE.Color} [options.missingColor] - Color of countries without a value
+   * @param {Array<number>} [options.domain] - [min, max] value mapped to the ends of the ramp
+   *        (defaults to the data range; not used by 'quantile')
+   * @param {number} [options.classes=5] - Number of classes (legend intervals for continuous scales)
+   * @returns {Promise<{scale: string, domain: Array<number>, breaks: Array<number>, colors: Array<string>,
+   *          missingColor: string|null}|null>} The legend (see getChoroplethLegend), or null if the
+   *          choropleth was rejected or the boundaries failed to load
+   *
+   * @example
+   * const legend = await globe.setChoropleth({
+   *   data: { US: 12, FR: 4, DEU: 7, '392': 9 },
+   *   scale: 'quantile',
+   *   ramp: 'viridis',
+   *   missingColor: '#333333',
+   *   classes: 4
+   * });
+   */
+  async setChoropleth(options = {}) {
+    const { data } = options || {};
+    if (!data || typeof data !== 'object') {
+      console.warn('Globe: setChoropleth expects a data object keyed by ISO country code');
+      return null;
+    }
+
+    if (!this.globeGroup) {
+      console.warn('Globe: setChoropleth called before init');
+      return null;
+    }
+
+    // Load the country boundaries on first use
+    if (!this.dotData.countries) {
+      this.config.countryLookup = true;
+      const loaded = await this._updateCountryLookup();
+      if (!loaded || !this.dotData || !this.dotData.countries) {
+        console.warn('Globe: setChoropleth could not resolve dot countries (countryLookup)');
+        return null;
+      }
+    }
+
+    const {
+      scale = 'linear',
+      ramp = 'blues',
+      missingColor = null,
+      domain,
+      classes = 5
+    } = options;
+
+    if (!CHOROPLETH_SCALES.includes(scale)) {
+      console.warn('Globe: invalid choropleth scale', scale);
+      return null;
+    }
+
+    const rampFn = createColorRamp(ramp);
+    if (!rampFn) {
+      console.warn('Globe: invalid choropleth ramp', ramp);
+      return null;
+    }
+
+    const missing = missingColor === null || missingColor === undefined ? null : parseColor(missingColor);
+    if (missingColor !== null && missingColor !== undefined && !missing) {
+      console.warn('Globe: invalid choropleth missingColor', missingColor);
+      return null;
+    }
+
+    // Join the values to countries by code
+    const lookup = this.countryLookup;
+    const values = new Float64Array(lookup.countries.length).fill(NaN);
+    const unknown = [];
+    const entries = data instanceof Map ? Array.from(data.entries()) : Object.entries(data);
+    entries.forEach(([code, value]) => {
+      const country = lookup.getCountryIndex(code);
+      if (country === -1) {
+        unknown.push(code);
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || (scale === 'log' && value <= 0)) {
+        console.warn('Globe: invalid choropleth value for', code, value);
+      } else {
+        values[country] = value;
+      }
+    });
+    if (unknown.length > 0) {
+      console.warn('Globe: unknown country codes in choropleth data', unknown);
+    }
+
+    // Resolve the domain from the data unless one was given
+    const sorted = Array.from(values).filter(value => !Number.isNaN(value)).sort((a, b) => a - b);
+    let min = sorted.length > 0 ? sorted[0] : 0;
+    let max = sorted.length > 0 ? sorted[sorted.length - 1] : 1;
+    if (scale !== 'quantile' && Array.isArray(domain) && domain.length === 2) {
+      [min, max] = domain;
+    }
+    if (scale === 'log' && !(min > 0 && max > 0)) {
+      console.warn('Globe: a log choropleth needs a positive domain', [min, max]);
+      return null;
+    }
+
+    const count = Math.max(1, Math.floor(classes));
+    const breaks = choroplethBreaks(scale, sorted, min, max, count);
+    const classed = scale === 'quantize' || scale === 'quantile';
+
+    // Classes take evenly spaced ramp colours; continuous scales sample the ramp at the value
+    const classColors = [];
+    for (let i = 0; i < count; i++) {
+      classColors.push(rampFn(count === 1 ? 0.5 : i / (count - 1)));
+    }
+    const colorOf = (value) => {
+      if (classed) {
+        let index = 0;
+        while (index < count - 1 && value >= breaks[index + 1]) index++;
+        return classColors[index];
+      }
+      const t = scale === 'log'
+        ? (Math.log(value) - Math.log(min)) / (Math.log(max) - Math.log(min) || 1)
+        : (value - min) / (max - min || 1);
+      return rampFn(t);
+    };
+
+    const colors = Array.from(values, value => (Number.isNaN(value) ? missing : colorOf(value)));
+
+    this.choropleth = {
+      options,
+      values,
+      colors,
+      legend: {
+        scale,
+        domain: [min, max],
+        breaks,
+        colors: (classed ? classColors : breaks.map(colorOf)).map(color => `#${color.getHexString()}`),
+        missingColor: missing ? `#${missing.getHexString()}` : null
+      }
+    };
+
+    this._refreshDotColors();
+    return this.getChoroplethLegend();
+  }
+
+  /**
+   * Phase 6: Removes the choropleth and restores dot colours
+   *
+   * @example
+   * globe.clearChoropleth();
+   */
+  clearChoropleth() {
+    if (!this.choropleth) return;
+    this.choropleth = null;
+    this._refreshDotColors();
+  }
+
+  /**
+   * Phase 6: Gets the choropleth value of a dot's country
+   *
+   * @param {number} index - Dot index
+   * @returns {number|null} Value, or null if no choropleth is set, the dot is outside
+   *          every country or its country has no value
+   *
+   * @example
+   * const value = globe.getChoroplethValue(globe.findNearestDot(48.86, 2.35));
+   */
+  getChoroplethValue(index) {
+    if (!this.choropleth || index < 0 || index >= this.dotData.latLongs.length) {
+      return null;
+    }
+    const value = this.choropleth.values[this.dotData.countries[index]];
+    return value === undefined || Number.isNaN(value) ? null : value;
+  }
+
+  /**
+   * Phase 6: Gets a description of the current choropleth's colours for drawing a legend
+   *
+   * For classed scales ('quantize', 'quantile') colors[i] fills the values from
+   * breaks[i] up to breaks[i + 1]; for continuous scales ('linear', 'log')
+   * colors[i] is the colour at breaks[i].
+   *
+   * @returns {{scale: string, domain: Array<number>, breaks: Array<number>, colors: Array<string>,
+   *          missingColor: string|null}|null} Legend, or null if no choropleth is set
+   *
+   * @example
+   * globe.getChoroplethLegend();
+   * // { scale: 'quantize', domain: [0, 10], breaks: [0, 5, 10],
+   * //   colors: ['#deebf7', '#08306b'], missingColor: null }
+   */
+  getChoroplethLegend() {
+    if (!this.choropleth) return null;
+    const { legend } = this.choropleth;
+    return { ...legend, domain: legend.domain.slice(), breaks: legend.breaks.slice(), colors: legend.colors.slice() };
+  }
+
+  /**
+   * Phase 6: Replaces all polygons with the features of a GeoJSON object
+   *
+   * Every dot inside a feature is recoloured with the feature's fill, using
+   * a spherical point-in-polygon test (the most recently added feature wins
+   * where features overlap). Outlines are drawn as great-circle segments just
+   * above the surface. Features without Polygon or MultiPolygon geometry are
+   * skipped. A feature's id is its GeoJSON `id` when it has one.
+   *
+   * @param {Object} geojson - FeatureCollection, Feature or Polygon/MultiPolygon geometry
+   * @param {import('./PolygonLayer.js').PolygonStyle|Function} [style] - Style for every
+   *        feature, or a function (feature) => style
+   * @returns {Array<string>} Ids of the added polygons
+   *
+   * @example
+   * globe.setPolygons(regions, feature => ({
+   *   fillColor: feature.properties.color,
+   *   fillOpacity: 0.8,
+   *   outline: true,
+   *   outlineColor: '#FFFFFF'
+   * }));
+   */
+  setPolygons(geojson, style = {}) {
+    if (!this.polygonLayer) {
+      console.warn('Globe: setPolygons called before init');
+      return [];
+    }
+    const result = this.polygonLayer.setFeatures(geojson, style);
+    this._refreshPolygonDots();
+    return result;
+  }
+
+  /**
+   * Phase 6: Adds a single polygon feature on top of the others
+   *
+   * @param {Object} feature - GeoJSON Feature with Polygon or MultiPolygon geometry
+   * @param {import('./PolygonLayer.js').PolygonStyle|Function} [style] - Feature style
+   * @returns {string|null} Polygon id, or null if invalid
+   *
+   * @example
+   * const id = globe.addPolygon({
+   *   type: 'Feature',
+   *   properties: { name: 'Zone A' },
+   *   geometry: {
+   *     type: 'Polygon',
+   *     coordinates: [[[-10, 40], [10, 40], [10, 55], [-10, 55], [-10, 40]]]
+   *   }
+   * }, { fillColor: '#4B9FBF' });
+   */
+  addPolygon(feature, style = {}) {
+    if (!this.polygonLayer) {
+      console.warn('Globe: addPolygon called before init');
+      return null;
+    }
+    const result = this.polygonLayer.addFeature(feature, style);
+    this._refreshPolygonDots();
+    return result;
+  }
+
+  /**
+   * Phase 6: Changes a polygon's style
+   *
+   * Only the dots inside the polygon are recoloured.
+   *
+   * @param {string} id - Polygon id
+   * @param {Object} style - Style properties to change
+   * @returns {boolean} True if the polygon was updated
+   *
+   * @example
+   * globe.on('polygonhover', (polygon) => {
+   *   if (polygon) globe.updatePolygon(polygon.id, { fillOpacity: 1 });
+   * });
+   */
+  updatePolygon(id, style) {
+    if (!this.polygonLayer) return false;
+    const changed = this.polygonLayer.updateStyle(id, style);
+    this._refreshPolygonDots();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes a polygon
+   *
+   * @param {string} id - Polygon id
+   * @returns {boolean} True if a polygon was removed
+   *
+   * @example
+   * globe.removePolygon(id);
+   */
+  removePolygon(id) {
+    if (!this.polygonLayer) return false;
+    const changed = this.polygonLayer.removeFeature(id);
+    this._refreshPolygonDots();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes all polygons
+   *
+   * @example
+   * globe.clearPolygons();
+   */
+  clearPolygons() {
+    if (this.polygonLayer) {
+      this.polygonLayer.clear();
+      this._refreshPolygonDots();
+    }
+  }
+
+  /**
+   * Phase 6: Gets the current polygons, bottom to top
+   *
+   * @returns {Array<{id: string, properties: Object, feature: Object, style: Object, dotCount: number}>}
+   *          Polygon descriptions
+   */
+  getPolygons() {
+    return this.polygonLayer ? this.polygonLayer.getFeatures() : [];
+  }
+
+  /**
+   * Recolours the dots whose polygon fill changed
+   * @private
+   */
+  _refreshPolygonDots() {
+    const indices = this.polygonLayer.takeChangedDots();
+    if (indices.length > 0) {
+      this._refreshDotColors(indices);
+    } else {
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Phase 6: Replaces all arcs with a new set
+   *
+   * Arcs follow the great circle between their endpoints and rise off the
+   * surface in proportion to the distance covered. Dash and pulse effects
+   * are animated in the arc shader without rebuilding geometry.
+   *
+   * @param {Array<import('./ArcLayer.js').ArcOptions>} arcs - Arc definitions
+   * @returns {Array<string>} Ids of the created arcs
+   *
+   * @example
+   * globe.setArcs([
+   *   {
+   *     from: { lat: 40.7128, lon: -74.0060 },
+   *     to: { lat: 51.5074, lon: -0.1278 },
+   *     color: '#FF6B35',
+   *     dashLength: 0.1,
+   *     gapLength: 0.05,
+   *     dashSpeed: 0.5
+   *   }
+   * ]);
+   */
+  setArcs(arcs) {
+    if (!this.arcLayer) {
+      console.warn('Globe: setArcs called before init');
+      return [];
+    }
+    const result = this.arcLayer.setArcs(arcs);
+    this.requestRender();
+    return result;
+  }
+
+  /**
+   * Phase 6: Adds a single arc
+   *
+   * @param {import('./ArcLayer.js').ArcOptions} arc - Arc definition
+   * @returns {string|null} Arc id, or null if invalid
+   *
+   * @example
+   * const id = globe.addArc({
+   *   from: { lat: 35.6762, lon: 139.6503 },
+   *   to: { lat: -33.8688, lon: 151.2093 },
+   *   dashLength: 0.2,
+   *   gapLength: 0.8,
+   *   dashSpeed: 0.4,
+   *   trailOpacity: 0.15  // travelling pulse over a faint trail
+   * });
+   */
+  addArc(arc) {
+    if (!this.arcLayer) {
+      console.warn('Globe: addArc called before init');
+      return null;
+    }
+    const result = this.arcLayer.addArc(arc);
+    this.requestRender();
+    return result;
+  }
+
+  /**
+   * Phase 6: Updates an existing arc
+   *
+   * @param {string} id - Arc id
+   * @param {Object} changes - Arc properties to change
+   * @returns {boolean} True if the arc was updated
+   *
+   * @example
+   * globe.updateArc(id, { color: '#00FF00', dashSpeed: 1.0 });
+   */
+  updateArc(id, changes) {
+    if (!this.arcLayer) return false;
+    const changed = this.arcLayer.updateArc(id, changes);
+    this.requestRender();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes an arc
+   *
+   * @param {string} id - Arc id
+   * @returns {boolean} True if an arc was removed
+   *
+   * @example
+   * globe.removeArc(id);
+   */
+  removeArc(id) {
+    if (!this.arcLayer) return false;
+    const changed = this.arcLayer.removeArc(id);
+    this.requestRender();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes all arcs
+   *
+   * @example
+   * globe.clearArcs();
+   */
+  clearArcs() {
+    if (this.arcLayer) {
+      this.arcLayer.clearArcs();
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Phase 6: Gets the current arc definitions
+   *
+   * @returns {Array<Object>} Copies of the arc definitions
+   */
+  getArcs() {
+    return this.arcLayer ? this.arcLayer.getArcs() : [];
+  }
+
+  /**
+   * Phase 6: Adds a persistent marker at an exact coordinate
+   *
+   * Markers are rendered as camera-facing sprites in their own layer, so they
+   * are not snapped to the nearest land dot and survive dot colour changes.
+   * Adding a marker with an existing id replaces it.
+   *
+   * @param {import('./MarkerLayer.js').MarkerOptions} marker - Marker definition
+   * @returns {string|null} Marker id, or null if invalid
+   *
+   * @example
+   * globe.addMarker({
+   *   id: 'nyc',
+   *   lat: 40.7128,
+   *   lon: -74.0060,
+   *   color: '#FF6B35',
+   *   size: 3,
+   *   label: 'New York',
+   *   data: { users: 1200 }
+   * });
+   */
+  addMarker(marker) {
+    if (!this.markerLayer) {
+      console.warn('Globe: addMarker called before init');
+      return null;
+    }
+    const result = this.markerLayer.addMarker(marker);
+    this.requestRender();
+    return result;
+  }
+
+  /**
+   * Phase 6: Updates an existing marker
+   *
+   * @param {string} id - Marker id
+   * @param {Object} changes - Marker properties to change
+   * @returns {boolean} True if the marker was updated
+   *
+   * @example
+   * globe.updateMarker('nyc', { color: '#00FF00', data: { users: 1300 } });
+   */
+  updateMarker(id, changes) {
+    if (!this.markerLayer) return false;
+    const changed = this.markerLayer.updateMarker(id, changes);
+    this._syncFocus();
+    this.requestRender();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes a marker
+   *
+   * @param {string} id - Marker id
+   * @returns {boolean} True if a marker was removed
+   *
+   * @example
+   * globe.removeMarker('nyc');
+   */
+  removeMarker(id) {
+    if (!this.markerLayer) return false;
+    const changed = this.markerLayer.removeMarker(id);
+    this._syncFocus();
+    this.requestRender();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes all markers
+   *
+   * @example
+   * globe.clearMarkers();
+   */
+  clearMarkers() {
+    if (this.markerLayer) {
+      this.markerLayer.clearMarkers();
+      this._syncFocus();
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Phase 6: Gets all marker definitions
+   *
+   * @returns {Array<Object>} Copies of the marker definitions
+   */
+  getMarkers() {
+    return this.markerLayer ? this.markerLayer.getMarkers() : [];
+  }
+
+  /**
+   * Phase 6: Adds a polyline that hugs the globe surface
+   *
+   * Points are joined by great-circle segments, so a path crossing the
+   * antimeridian takes the short way round. Widths are in pixels. Adding a
+   * path with an existing id replaces it.
+   *
+   * @param {import('./PathLayer.js').PathOptions} path - Path definition
+   * @returns {string|null} Path id, or null if invalid
+   *
+   * @example
+   * globe.addPath({
+   *   id: 'route',
+   *   points: [
+   *     { lat: 51.5074, lon: -0.1278 },
+   *     { lat: 40.7128, lon: -74.0060 },
+   *     { lat: 34.0522, lon: -118.2437 }
+   *   ],
+   *   color: '#4B9FBF',
+   *   width: 2
+   * });
+   */
+  addPath(path) {
+    if (!this.pathLayer) {
+      console.warn('Globe: addPath called before init');
+      return null;
+    }
+    const result = this.pathLayer.addPath(path);
+    this.requestRender();
+    return result;
+  }
+
+  /**
+   * Phase 6: Updates an existing path
+   *
+   * @param {string} id - Path id
+   * @param {Object} changes - Path properties to change
+   * @returns {boolean} True if the path was updated
+   *
+   * @example
+   * globe.updatePath('route', { color: '#FF6B35', width: 3 });
+   */
+  updatePath(id, changes) {
+    if (!this.pathLayer) return false;
+    const changed = this.pathLayer.updatePath(id, changes);
+    this.requestRender();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes a path
+   *
+   * @param {string} id - Path id
+   * @returns {boolean} True if a path was removed
+   *
+   * @example
+   * globe.removePath('route');
+   */
+  removePath(id) {
+    if (!this.pathLayer) return false;
+    const changed = this.pathLayer.removePath(id);
+    this.requestRender();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes all paths
+   *
+   * @example
+   * globe.clearPaths();
+   */
+  clearPaths() {
+    if (this.pathLayer) {
+      this.pathLayer.clearPaths();
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Phase 6: Gets the current path definitions
+   *
+   * @returns {Array<Object>} Copies of the path definitions
+   */
+  getPaths() {
+    return this.pathLayer ? this.pathLayer.getPaths() : [];
+  }
+
+  /**
+   * Phase 6: Loads GeoJSON points and lines as markers and paths
+   *
+   * Point and MultiPoint features become markers (one per position) whose
+   * `data` is the feature's properties and whose label defaults to
+   * `properties.name`; LineString and MultiLineString features become paths.
+   * Other geometry types are skipped (see setPolygons for polygons).
+   *
+   * Everything created is remembered under the source id so removeGeoJSON
+   * can take it all away again; loading a source id again replaces it.
+   * Marker and path ids are `<source>/<feature id or index>`, with
+   * `/<position index>` added for MultiPoint features.
+   *
+   * @param {Object|string} source - GeoJSON object, or a URL to fetch it from
+   * @param {Object} [options] - Load options
+   * @param {string} [options.id] - Source id (defaults to the URL, or a generated id)
+   * @param {Object|Function} [options.style] - Style for every feature, or a function
+   *        (feature) => style, with marker properties (color, size, altitude, label)
+   *        and path properties (color, width, opacity, altitude)
+   * @returns {Promise<{id: string, markers: Array<string>, paths: Array<string>}|null>}
+   *          Source id and the ids created, or null if the source could not be loaded
+   *
+   * @example
+   * const { id } = await globe.loadGeoJSON('/data/flights.geojson', {
+   *   style: (feature) => ({
+   *     color: feature.properties.delayed ? '#FF6B35' : '#4B9FBF',
+   *     size: 3,
+   *     width: 2
+   *   })
+   * });
+   *
+   * // Later
+   * globe.removeGeoJSON(id);
+   */
+  async loadGeoJSON(source, { id, style = {} } = {}) {
+    if (!this.markerLayer || !this.pathLayer) {
+      console.warn('Globe: loadGeoJSON called before init');
+      return null;
+    }
+
+    let geojson = source;
+    if (typeof source === 'string') {
+      try {
+        const response = await fetch(source);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        geojson = await response.json();
+      } catch (error) {
+        console.warn('Globe: could not load GeoJSON from', source, error);
+        return null;
+      }
+
+      // Disposed while the request was in flight
+      if (!this.markerLayer) return null;
+    }
+
+    const features = getFeatures(geojson);
+    if (!features) {
+      console.warn('Globe: expected a GeoJSON FeatureCollection, Feature or geometry', geojson);
+      return null;
+    }
+
+    let sourceId;
+    if (id !== undefined) {
+      sourceId = String(id);
+    } else {
+      sourceId = typeof source === 'string' ? source : `geojson-${this._nextGeoJSONId++}`;
+    }
+    this.removeGeoJSON(sourceId);
+
+    const created = { markers: [], paths: [] };
+    const toCoordinate = (position) => (Array.isArray(position) ? { lat: position[1], lon: position[0] } : null);
+
+    features.forEach((feature, index) => {
+      const geometry = feature.geometry;
+      if (!geometry || !Array.isArray(geometry.coordinates)) return;
+
+      const featureStyle = (typeof style === 'function' ? style(feature) : style) || {};
+      const properties = feature.properties || {};
+      const featureId = `${sourceId}/${feature.id !== undefined && feature.id !== null ? feature.id : index}`;
+
+      if (geometry.type === 'Point' || geometry.type === 'MultiPoint') {
+        const positions = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+        const markerStyle = pickDefined(featureStyle, GEOJSON_MARKER_STYLE);
+        if (markerStyle.label === undefined && properties.name !== undefined) {
+          markerStyle.label = String(properties.name);
+        }
+
+        positions.forEach((position, i) => {
+          const coordinate = toCoordinate(position);
+          const markerId = this.markerLayer.addMarker({
+            ...markerStyle,
+            ...coordinate,
+            id: geometry.type === 'Point' ? featureId : `${featureId}/${i}`,
+            data: properties
+          });
+          if (markerId !== null) {
+            created.markers.push(markerId);
+          }
+        });
+      } else if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+        const pathId = this.pathLayer.addPath({
+          ...pickDefined(featureStyle, GEOJSON_PATH_STYLE),
+          id: featureId,
+          points: lines.filter(Array.isArray).map(line => line.map(toCoordinate)),
+          data: properties
+        });
+        if (pathId !== null) {
+          created.paths.push(pathId);
+        }
+      }
+    });
+
+    this._geoJSONSources.set(sourceId, created);
+    this._syncFocus();
+    this.requestRender();
+
+    return { id: sourceId, markers: created.markers.slice(), paths: created.paths.slice() };
+  }
+
+  /**
+   * Phase 6: Removes every marker and path created from a GeoJSON source
+   *
+   * @param {string} id - Source id returned by loadGeoJSON
+   * @returns {boolean} True if the source was loaded
+   *
+   * @example
+   * globe.removeGeoJSON('/data/flights.geojson');
+   */
+  removeGeoJSON(id) {
+    const key = String(id);
+    const created = this._geoJSONSources.get(key);
+    if (!created) return false;
+
+    this._geoJSONSources.delete(key);
+    if (this.markerLayer) {
+      created.markers.forEach(markerId => this.markerLayer.removeMarker(markerId));
+    }
+    if (this.pathLayer) {
+      created.paths.forEach(pathId => this.pathLayer.removePath(pathId));
+    }
+    this._syncFocus();
+    this.requestRender();
+
+    return true;
+  }
+
+  /**
+   * Phase 6: Gets the loaded GeoJSON sources
+   *
+   * @returns {Array<{id: string, markers: Array<string>, paths: Array<string>}>}
+   *          Source ids and the marker and path ids created from them
+   */
+  getGeoJSONSources() {
+    return Array.from(this._geoJSONSources, ([id, created]) => ({
+      id,
+      markers: created.markers.slice(),
+      paths: created.paths.slice()
+    }));
+  }
+
+  /**
+   * Phase 6: Adds an HTML text label anchored to a coordinate
+   *
+   * Labels are DOM elements in an overlay above the canvas, with the CSS
+   * class `globe-label` plus any className given. They fade out towards the
+   * far side of the globe, and a label that would overlap another with a
+   * higher priority (or, at equal priority, one nearer the centre of the
+   * view) is hidden. Adding a label with an existing id replaces it.
+   *
+   * @param {import('./LabelLayer.js').LabelOptions} label - Label definition
+   * @returns {string|null} Label id, or null if invalid
+   *
+   * @example
+   * globe.addLabel({
+   *   id: 'nyc',
+   *   lat: 40.7128,
+   *   lon: -74.0060,
+   *   text: 'New York',
+   *   className: 'city-label',
+   *   priority: 2
+   * });
+   */
+  addLabel(label) {
+    if (!this.labelLayer) {
+      console.warn('Globe: addLabel called before init');
+      return null;
+    }
+    const result = this.labelLayer.addLabel(label);
+    this.requestRender();
+    return result;
+  }
+
+  /**
+   * Phase 6: Updates an existing label
+   *
+   * @param {string} id - Label id
+   * @param {Object} changes - Label properties to change
+   * @returns {boolean} True if the label was updated
+   *
+   * @example
+   * globe.updateLabel('nyc', { text: 'New York (1,300)' });
+   */
+  updateLabel(id, changes) {
+    if (!this.labelLayer) return false;
+    const changed = this.labelLayer.updateLabel(id, changes);
+    this.requestRender();
+    return changed;
+  }
+
+  /**
+   * Phase 6: Removes a label
+   *
+   * @param {string} id - Label id
+   * @returns {boolean} True if a label was removed
+   *
+   * @example
+   * globe.removeLabel('nyc');
+   */
+  removeLabel(id) {
+    if (!this.labelLayer) return false;
+    return this.labelLayer.removeLabel(id);
+  }
+
+  /**
+   * Phase 6: Removes all labels
+   *
+   * @example
+   * globe.clearLabels();
+   */
+  clearLabels() {
+    if (this.labelLayer) {
+      this.labelLayer.clearLabels();
+    }
+  }
+
+  /**
+   * Phase 6: Gets all label definitions
+   *
+   * @returns {Array<Object>} Copies of the label definitions
+   */
+  getLabels() {
+    return this.labelLayer ? this.labelLayer.getLabels() : [];
+  }
+
+  /**
+   * Phase 2 & 3: Regenerates the dots in place from the current configuration
+   *
+   * Reloads the mask texture when texturePath changed, then builds new dot
+   * geometry and disposes the old buffers. Active dots are re-matched by
+   * coordinate and the heatmap is recomputed; markers, arcs, the camera,
+   * controls and event listeners are left untouched. configure() calls this
+   * automatically when dotCount, dotDistribution, globeRadius, texturePath or
+   * maskClasses change. The current dots stay on screen until the new ones are ready.
+   *
+   * @async
+   * @param {Object} [options] - Rebuild options
+   * @param {Function} [options.onProgress] - Progress callback, as for init()
+   * @returns {Promise<boolean>} True once rebuilt, false if the texture or dots failed to load
+   *          or a newer rebuild started first
+   *
+   * @example
+   * globe.config.dotCount = 30000;
+   * await globe.rebuild();
+   */
+  async rebuild({ onProgress } = {}) {
+    if (!this.globeGroup) {
+      console.warn('Globe: rebuild called before init');
+      return false;
+    }
+
+    const token = ++this._rebuildToken;
+    const texturePath = this.config.texturePath || null;
+
+    if (texturePath !== this._texturePath) {
+      let textureData = null;
+
+      if (texturePath) {
+        try {
+          textureData = await loadEarthTexture(texturePath, {
+            enableLogging: false,
+            onProgress: onProgress
+              ? (loaded, total) => onProgress({ stage: 'texture', progress: loaded / total })
+              : null
+          });
+        } catch (error) {
+          console.error('Globe: failed to load texture', error);
+          return false;
+        }
+      }
+
+      // A newer rebuild (or dispose) started while the texture was loading
+      if (token !== this._rebuildToken || !this.globeGroup) {
+        if (textureData) disposeTextureData(textureData);
+        return false;
+      }
+
+      if (this.textureData) {
+        disposeTextureData(this.textureData);
+      }
+      this.textureData = textureData;
+      this._texturePath = texturePath;
+    }
+
+    let dots;
+    try {
+      dots = await this._computeDots(onProgress);
+    } catch (error) {
+      if (this.globeGroup) {
+        console.error('Globe: failed to generate dots', error);
+      }
+      return false;
+    }
+
+    // Only the latest rebuild swaps its dots in
+    if (token !== this._rebuildToken || !this.globeGroup) {
+      return false;
+    }
+
+    this._rebuildDots(dots);
+    return true;
+  }
+
+  /**
+   * Phase 7: Updates globe configuration
+   *
+   * Changing dotCount, dotDistribution, globeRadius, texturePath or
+   * maskClasses regenerates the dots in place (see rebuild()). Before init()
+   * the options are only stored, for init() to use.
+   *
+   * @param {Object} options - Configuration options to update
+   * @returns {Promise<boolean>} The pending rebuild (resolving as rebuild() does) and
+   *          country lookup loading, or a promise resolved with true when there was neither
+   *
+   * @example
+   * globe.configure({
+   *   dotColor: '#00FF00',
+   *   rotationSpeed: 2.0,
+   *   scale: 1.5
+   * });
+   *
+   * @example
+   * // Wait for the new dots
+   * await globe.configure({ dotCount: 40000 });
+   */
+  configure(options) {
+    options = { ...options };
+
+    if (options.dotDistribution !== undefined && !DOT_DISTRIBUTIONS[options.dotDistribution]) {
+      console.warn('Globe: unknown dotDistribution', options.dotDistribution);
+      delete options.dotDistribution;
+    }
+
+    if (options.dotColor !== undefined && !parseColor(options.dotColor)) {
+      console.warn('Globe: invalid color', options.dotColor);
+      delete options.dotColor;
+    }
+
+    if (options.renderMode !== undefined && !RENDER_MODES.includes(options.renderMode)) {
+      console.warn('Globe: unknown renderMode', options.renderMode);
+      delete options.renderMode;
+    }
+
+    if (options.motion !== undefined && !MOTION_MODES.includes(options.motion)) {
+      console.warn('Globe: unknown motion mode', options.motion);
+      delete options.motion;
+    }
+
+    if (options.maxFps !== undefined && !(typeof options.maxFps === 'number' && options.maxFps >= 0)) {
+      console.warn('Globe: invalid maxFps', options.maxFps);
+      delete options.maxFps;
+    }
+
+    if (options.nightBrightness !== undefined &&
+        !(typeof options.nightBrightness === 'number' && options.nightBrightness >= 0)) {
+      console.warn('Globe: invalid nightBrightness', options.nightBrightness);
+      delete options.nightBrightness;
+    }
+
+    if (options.cityLights !== undefined &&
+        !(typeof options.cityLights === 'number' && options.cityLights >= 0 && options.cityLights <= 1)) {
+      console.warn('Globe: cityLights must be a number between 0 and 1', options.cityLights);
+      delete options.cityLights;
+    }
+
+    if (options.targetFps !== undefined && !(typeof options.targetFps === 'number' && options.targetFps > 0)) {
+      console.warn('Globe: invalid targetFps', options.targetFps);
+      delete options.targetFps;
+    }
+
+    if (options.qualityLevels !== undefined &&
+        !(Array.isArray(options.qualityLevels) && options.qualityLevels.length > 0)) {
+      console.warn('Globe: qualityLevels must be a non-empty array', options.qualityLevels);
+      delete options.qualityLevels;
+    }
+
+    for (const key of ['dotCount', 'globeRadius', 'sphereRadius']) {
+      if (options[key] !== undefined && !(typeof options[key] === 'number' && options[key] > 0)) {
+        console.warn(`Globe: invalid ${key}`, options[key]);
+        delete options[key];
+      }
+    }
+
+    const previousRadius = this.config.globeRadius;
+    const previousQuality = this._getQualitySettings();
+    const needsRebuild = REBUILD_KEYS.some(
+      key => options[key] !== undefined && options[key] !== this.config[key]
+    );
+
+    Object.assign(this.config, options);
+
+    // Resize the sphere, atmosphere and layers to a new globe radius
+    if (this.config.globeRadius !== previousRadius || options.sphereRadius !== undefined) {
+      this._applyGlobeRadius(previousRadius, options.sphereRadius !== undefined);
+    }
+
+    // Regenerate dots in place (count, layout, radius or mask changed)
+    let rebuilt = Promise.resolve(true);
+    if (needsRebuild && this.globeGroup) {
+      rebuilt = this.rebuild();
+    } else if (options.dotColor !== undefined) {
+      this._refreshDotColors();
+    }
+
+    // Load or drop the country boundaries
+    if (options.countryLookup !== undefined && this.globeGroup) {
+      const countries = this._updateCountryLookup();
+      rebuilt = Promise.all([rebuilt, countries]).then(results => results.every(Boolean));
+    }
+
+    // Update background color (init() applies it to a new scene)
+    if (options.backgroundColor !== undefined && this.scene) {
+      if (options.backgroundColor === 'transparent') {
+        this.scene.background = null;
+      } else {
+        const color = parseColor(options.backgroundColor);
+        if (color) this.scene.background = color;
+      }
+    }
+
+    // Update dot size
+    if (options.dotSize !== undefined && this.dotsMaterial) {
+      this.dotsMaterial.uniforms.u_pointSize.value = this._getPointSize();
+    }
+
+    // Update glow shader uniforms
+    if (options.glowColor !== undefined || options.glowIntensity !== undefined) {
+      this._updateGlowUniforms();
+    }
+
+    // Update day/night shading
+    if (['showDayNight', 'nightBrightness', 'nightColor', 'cityLights', 'cityLightsColor']
+      .some(key => options[key] !== undefined)) {
+      this._updateDayNightUniforms();
+    }
+
+    // Update accessibility attributes and description
+    if (['keyboardNavigation', 'ariaLabel', 'ariaDescription', 'enableZoom']
+      .some(key => options[key] !== undefined)) {
+      this._updateCanvasAccessibility();
+    }
+
+    if (options.focusRingColor !== undefined && this.focusRing) {
+      const color = parseColor(options.focusRingColor);
+      if (color) this.focusRing.material.color.copy(color);
+    }
+
+    // Update atmosphere halo
+    if (options.showAtmosphere !== undefined && this.atmosphereMesh) {
+      this.atmosphereMesh.visible = options.showAtmosphere && this._getQualitySettings().effects;
+    }
+
+    // Apply the current level of new quality levels
+    if (options.qualityLevels !== undefined || options.qualityAntialias !== undefined) {
+      if (options.qualityLevels !== undefined) {
+        this._qualityLevel = Math.min(this._qualityLevel, options.qualityLevels.length - 1);
+        this._quality = null;
+      }
+      this._applyQualitySettings(previousQuality);
+    }
+
+    // Start, stop or retarget adaptive quality
+    if (['adaptiveQuality', 'targetFps', 'maxFps', 'qualityLevels'].some(key => options[key] !== undefined)) {
+      this._updateAdaptiveQuality();
+    }
+
+    if (options.atmosphereScale !== undefined && this.atmosphereMesh) {
+      this.atmosphereMesh.scale.setScalar(options.atmosphereScale);
+    }
+
+    // Update reduced motion
+    if (options.motion !== undefined) {
+      this._updateMotion();
+    }
+
+    // Update rotation speed
+    if (options.rotationSpeed !== undefined && this.controls) {
+      this.controls.autoRotateSpeed = options.rotationSpeed;
+    }
+
+    // Update auto-rotation
+    if (options.autoRotate !== undefined && this.controls) {
+      this.controls.autoRotate = options.autoRotate;
+    }
+
+    // Update scale
+    if (options.scale !== undefined && this.globeGroup) {
+      this.globeGroup.scale.setScalar(options.scale);
+    }
+
+    // Update zoom/pan settings
+    if (options.enableZoom !== undefined && this.controls) {
+      this.controls.enableZoom = options.enableZoom;
+    }
+
+    if (options.enablePan !== undefined && this.controls) {
+      this.controls.enablePan = options.enablePan;
+    }
+
+    this.requestRender();
+    return rebuilt;
+  }
+
+  /**
+   * Phase 4: Sets rotation angles
+   *
+   * @param {number} phi - Rotation around X-axis (degrees)
+   * @param {number} theta - Rotation around Y-axis (degrees)
+   *
+   * @example
+   * globe.setRotation(15, 30);
+   */
+  setRotation(phi, theta) {
+    if (this.globeGroup) {
+      this.globeGroup.rotation.x = phi * (Math.PI / 180);
+      this.globeGroup.rotation.y = theta * (Math.PI / 180);
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Places the sun for a date and stops the live sun clock
+   *
+   * Moves the directional light to the real sun direction (computed from the
+   * solar declination and equation of time) and, with showDayNight enabled,
+   * shades the dots on the night side.
+   *
+   * @param {Date|number} [date=new Date()] - Date or timestamp in milliseconds (UTC)
+   * @returns {Object|null} Subsolar point {lat, lon, declination, equationOfTime, date},
+   *          or null for an invalid date
+   *
+   * @example
+   * globe.configure({ showDayNight: true, cityLights: 0.2 });
+   * globe.setSunPosition(new Date('2024-12-21T18:00:00Z'));
+   */
+  setSunPosition(date = new Date()) {
+    const time = date instanceof Date ? date.getTime() : date;
+    if (typeof time !== 'number' || !Number.isFinite(time)) {
+      console.warn('Globe: invalid sun date', date);
+      return null;
+    }
+
+    this.stopSunClock();
+    return this._setSun(time);
+  }
+
+  /**
+   * Gets the current sun position
+   *
+   * @returns {Object|null} Subsolar point {lat, lon, declination, equationOfTime, date},
+   *          or null if the sun has not been placed
+   */
+  getSunPosition() {
+    return this._sun ? { ...this._sun, date: new Date(this._sun.date) } : null;
+  }
+
+  /**
+   * Starts a live sun clock that keeps the sun position up to date
+   *
+   * @param {Object} [options] - Clock options
+   * @param {Date|number} [options.from=new Date()] - Simulated start date
+   * @param {number} [options.speed=1] - Simulated seconds per real second (e.g. 3600 for an hour per second)
+   *
+   * @example
+   * // Real time
+   * globe.startSunClock();
+   *
+   * // One simulated day every 24 seconds
+   * globe.startSunClock({ speed: 3600 });
+   */
+  startSunClock({ from = new Date(), speed = 1 } = {}) {
+    const startDate = from instanceof Date ? from.getTime() : from;
+    if (typeof startDate !== 'number' || !Number.isFinite(startDate)) {
+      console.warn('Globe: invalid sun clock start date', from);
+      return;
+    }
+    if (typeof speed !== 'number' || !(speed > 0)) {
+      console.warn('Globe: sun clock speed must be a positive number', speed);
+      return;
+    }
+
+    this.stopSunClock();
+    this._sunClock = { startDate, speed, startTime: this._now(), timeoutId: null };
+    this._tickSunClock();
+  }
+
+  /**
+   * Stops the live sun clock, leaving the sun where it is
+   */
+  stopSunClock() {
+    if (this._sunClock) {
+      clearTimeout(this._sunClock.timeoutId);
+      this._sunClock = null;
+    }
+  }
+
+  /**
+   * Moves the sun to the live clock's current date
+   * @private
+   */
+  _updateSunClock() {
+    const clock = this._sunClock;
+    this._setSun(clock.startDate + (this._now() - clock.startTime) * clock.speed);
+  }
+
+  /**
+   * Advances the live sun clock and schedules its next update
+   * @private
+   */
+  _tickSunClock() {
+    const clock = this._sunClock;
+    this._updateSunClock();
+
+    // Update as often as the terminator visibly moves, at most once per frame
+    const delay = Math.max(16, SUN_CLOCK_STEP_MS / clock.speed);
+    clock.timeoutId = setTimeout(() => this._tickSunClock(), delay);
+  }
+
+  /**
+   * Phase 4: Starts auto-rotation
+   *
+   * @example
+   * globe.startRotation();
+   */
+  startRotation() {
+    if (this.controls && !this.controls.autoRotate) {
+      this.controls.autoRotate = true;
+      this.requestRender();
+      this.emit('rotationstart', { source: 'auto' });
+    }
+  }
+
+  /**
+   * Phase 4: Stops auto-rotation
+   *
+   * @example
+   * globe.stopRotation();
+   */
+  stopRotation() {
+    if (this.controls && this.controls.autoRotate) {
+      this.controls.autoRotate = false;
+      this.emit('rotationend', { source: 'auto' });
+    }
   }
 
   /**
-   * Phase 8: Handles visibility change for performance optimization
-   * @private
+   * Starts the animation loop
+   *
+   * @example
+   * globe.start();
    */
-  _handleVisibilityChange() {
-    if (document.hidden) {
-      this.stop();
-    } else {
-      this.start();
+  start() {
+    if (!this.isAnimating) {
+      this.isAnimating = true;
+      this._needsRender = true;
+      this._frameChained = false;
+      this._animate();
     }
   }
 
   /**
-   * Animation loop
-   * @private
+   * Phase 8: Requests a new frame
+   *
+   * In 'onDemand' render mode the globe only renders after a change. Globe's
+   * own methods request frames automatically; call this after changing the
+   * scene, camera or materials directly.
+   *
+   * @example
+   * globe.scene.add(myMesh);
+   * globe.requestRender();
    */
-  _animate() {
-    if (!this.isAnimating) return;
-
-    this.animationFrameId = requestAnimationFrame(this._animate.bind(this));
+  requestRender() {
+    this._needsRender = true;
+    this._scheduleFrame();
+  }
 
-    // Update controls (includes auto-rotation)
-    if (this.controls) {
-      this.controls.update();
+  /**
+   * Resizes the globe
+   *
+   * With a width and height the globe keeps that size, ignoring its
+   * container, until resize() is called without arguments, which returns to
+   * following the container. Globes created with explicit width/height
+   * options start in fixed-size mode.
+   *
+   * @param {number} [width] - Width in CSS pixels
+   * @param {number} [height] - Height in CSS pixels
+   *
+   * @example
+   * globe.resize(800, 600);  // fixed size
+   * globe.resize();          // follow the container again
+   */
+  resize(width, height) {
+    if (width === undefined && height === undefined) {
+      this._fixedSize = { width: null, height: null };
+    } else if ([width, height].every(value => typeof value === 'number' && value > 0)) {
+      this._fixedSize = { width, height };
+    } else {
+      console.warn('Globe: resize width and height must be positive numbers', width, height);
+      return;
     }
 
-    // Rotate sphere independently
-    if (this.sphereMesh && this.config.sphereRotationSpeed !== 0) {
-      this.sphereMesh.rotation.y += this.config.sphereRotationSpeed * 0.001;
+    if (this.renderer) {
+      this._updateSize();
     }
-
-    // Render scene
-    this.renderer.render(this.scene, this.camera);
   }
 
   /**
-   * Phase 6: Sets active dots by coordinates
+   * Announces a message to screen readers
    *
-   * @param {Array<{lat: number, lon: number, color?: string}>} coordinates - Array of coordinates
+   * The globe announces locations focused with the keyboard itself; use
+   * this for changes made by the application, such as new data.
+   *
+   * @param {string} message - Text to announce
    *
    * @example
-   * globe.setActiveDots([
-   *   { lat: 40.7128, lon: -74.0060, color: '#FF0000' },
-   *   { lat: 51.5074, lon: -0.1278 }
-   * ]);
+   * globe.setArcs(routes);
+   * globe.announce(`${routes.length} flight routes shown`);
    */
-  setActiveDots(coordinates) {
-    if (!Array.isArray(coordinates)) {
-      console.warn('Globe: setActiveDots expects an array');
-      return;
+  announce(message) {
+    if (this._liveRegion) {
+      this._liveRegion.textContent = String(message);
     }
-
-    const activeColor = parseColor(this.config.activeDotColor);
-    console.log('Globe: setActiveDots called with', coordinates.length, 'coordinates');
-    console.log('Globe: Active color:', activeColor);
-
-    let successCount = 0;
-    coordinates.forEach(coord => {
-      if (typeof coord.lat !== 'number' || typeof coord.lon !== 'number') {
-        console.warn('Globe: invalid coordinate', coord);
-        return;
-      }
-
-      // Find nearest dot index
-      const index = this._findNearestDotIndex(coord.lat, coord.lon);
-      console.log(`Globe: Coord (${coord.lat}, ${coord.lon}) -> index ${index}`);
-
-      if (index !== -1) {
-        // Use custom color if provided, otherwise use default active color
-        const color = coord.color ? parseColor(coord.color) : activeColor;
-        this.updateDotColor(index, color);
-        successCount++;
-      }
-    });
-
-    console.log(`Globe: Successfully highlighted ${successCount} of ${coordinates.length} cities`);
   }
 
   /**
-   * Phase 6: Finds the nearest dot index for given coordinates
-   * @private
+   * Phase 8: Gets the current quality level
+   *
+   * @returns {{level: number, name: string, pixelRatio: number, antialias: boolean,
+   *           dotDensity: number, effects: boolean, adaptive: boolean, fps: number|null}}
+   *          Level index and settings, whether adaptive quality is on, and the
+   *          frame rate it last measured
+   *
+   * @example
+   * globe.on('qualitychange', () => {
+   *   const { name, fps } = globe.getQuality();
+   *   console.log(`quality ${name} at ${Math.round(fps)} fps`);
+   * });
    */
-  _findNearestDotIndex(lat, lon) {
-    // Try exact match first (with rounding)
-    const latKey = Math.round(lat * 10) / 10;
-    const lonKey = Math.round(lon * 10) / 10;
-    const key = `${latKey},${lonKey}`;
+  getQuality() {
+    return {
+      level: this._qualityLevel,
+      ...this._getQualitySettings(),
+      adaptive: !!this._quality,
+      fps: this._quality ? this._quality.fps : null
+    };
+  }
 
-    const indices = this.dotData.indices.get(key);
-    if (indices && indices.length > 0) {
-      return indices[0];
+  /**
+   * Phase 8: Sets the quality level
+   *
+   * With adaptiveQuality on, the globe carries on adjusting from this level.
+   * Antialiasing only changes with the qualityAntialias option, which
+   * replaces the canvas element when it does.
+   *
+   * @param {number|string} level - Level index (0 = best) or name ('high', 'medium', 'low', 'minimal')
+   * @returns {boolean} True if the level was applied
+   *
+   * @example
+   * globe.setQuality('low');
+   */
+  setQuality(level) {
+    const levels = this.config.qualityLevels;
+    const index = typeof level === 'string'
+      ? levels.findIndex(settings => settings.name === level)
+      : level;
+
+    if (!Number.isInteger(index) || index < 0 || index >= levels.length) {
+      console.warn('Globe: unknown quality level', level);
+      return false;
     }
 
-    // If no exact match, find nearest dot
-    let minDistance = Infinity;
-    let nearestIndex = -1;
-
-    this.dotData.latLongs.forEach((coord, index) => {
-      const distance = Math.sqrt(
-        Math.pow(coord.lat - lat, 2) +
-        Math.pow(coord.lon - lon, 2)
-      );
-
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestIndex = index;
-      }
-    });
+    if (this._recording) {
+      console.warn('Globe: cannot change quality while recording');
+      return false;
+    }
 
-    return nearestIndex;
+    if (this._quality) {
+      this._quality.setLevel(index);
+    }
+    this._setQualityLevel(index, 'manual');
+    return true;
   }
 
   /**
-   * Phase 6: Updates the color of a specific dot
+   * Renders the current camera view to an image
    *
-   * @param {number} index - Dot index
-   * @param {THREE.Color|string|number} color - New color
+   * The image is rendered offscreen, so its size does not depend on the
+   * on-screen canvas. Dots are scaled with the image height, so a larger
+   * image looks like an enlarged copy of the view rather than a sparser one.
+   *
+   * @param {Object} [options] - Image options
+   * @param {number} [options.width] - Image width in CSS pixels (defaults to the canvas width)
+   * @param {number} [options.height] - Image height in CSS pixels (defaults to the canvas height)
+   * @param {number} [options.pixelRatio] - Device pixels per CSS pixel (defaults to the renderer's)
+   * @param {string} [options.type='image/png'] - MIME type: 'image/png', 'image/webp' or 'image/jpeg'
+   * @param {number} [options.quality] - Quality (0-1) for WebP and JPEG
+   * @param {boolean} [options.transparent] - Keep the background transparent
+   *        (defaults to true when backgroundColor is 'transparent'; ignored for JPEG)
+   * @param {string} [options.output='blob'] - 'blob' or 'dataURL'
+   * @returns {Promise<Blob|string|null>} Image, or null if the options are invalid
    *
    * @example
-   * globe.updateDotColor(100, '#FF0000');
+   * const blob = await globe.toImage({ width: 1920, height: 1080, pixelRatio: 2 });
+   * const url = await globe.toImage({ type: 'image/webp', quality: 0.9, output: 'dataURL' });
    */
-  updateDotColor(index, color) {
-    if (index < 0 || index >= this.dotData.latLongs.length) {
-      console.warn('Globe: invalid dot index', index);
-      return;
+  async toImage({
+    width = this.width,
+    height = this.height,
+    pixelRatio = this.renderer ? this.renderer.getPixelRatio() : 1,
+    type = 'image/png',
+    quality,
+    transparent = this.config.backgroundColor === 'transparent',
+    output = 'blob'
+  } = {}) {
+    if (!this._initialized) {
+      console.warn('Globe: toImage called before init');
+      return null;
     }
 
-    const threeColor = color instanceof THREE.Color ? color : parseColor(color);
-    if (!threeColor) {
-      console.warn('Globe: invalid color', color);
-      return;
+    if (this._contextLost) {
+      console.warn('Globe: cannot render an image while the WebGL context is lost');
+      return null;
     }
 
-    const colorOffset = index * 3;
-    this.dotData.colors[colorOffset] = threeColor.r;
-    this.dotData.colors[colorOffset + 1] = threeColor.g;
-    this.dotData.colors[colorOffset + 2] = threeColor.b;
+    if (!IMAGE_OUTPUTS.includes(output)) {
+      console.warn('Globe: unknown toImage output', output);
+      return null;
+    }
+
+    const size = this._getImageSize(width, height, pixelRatio);
+    if (!size) return null;
+
+    // JPEG has no alpha channel
+    const canvas = this._renderImage(size.width, size.height, transparent && type !== 'image/jpeg');
 
-    console.log(`Globe: Updated dot ${index} to color (${threeColor.r.toFixed(2)}, ${threeColor.g.toFixed(2)}, ${threeColor.b.toFixed(2)})`);
+    if (output === 'dataURL') {
+      return canvas.toDataURL(type, quality);
+    }
 
-    // Update geometry attribute
-    this.dotsGeometry.attributes.color.needsUpdate = true;
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
   }
 
   /**
-   * Phase 7: Updates globe configuration
+   * Records the globe frame by frame on a fixed clock
    *
-   * @param {Object} options - Configuration options to update
+   * While recording, the globe's clock is driven by the recorder instead of
+   * the display: every frame advances auto-rotation, sphere rotation, camera
+   * flights, arc animations and the sun clock by exactly 1/fps seconds, so a
+   * recording is identical across runs and machines however long each frame
+   * takes to render. The on-screen view is frozen until recording ends, and
+   * flights and the sun clock then carry on from the last recorded frame.
+   *
+   * Frames are returned as PNG/WebP/JPEG Blobs or ImageBitmaps, or encoded
+   * into a WebM video with WebCodecs.
+   *
+   * @param {Object} options - Recording options
+   * @param {number} [options.fps=60] - Frames per second
+   * @param {number} [options.duration] - Length in milliseconds
+   * @param {number} [options.frames] - Number of frames (instead of duration)
+   * @param {number} [options.width] - Frame width in CSS pixels (defaults to the canvas width)
+   * @param {number} [options.height] - Frame height in CSS pixels (defaults to the canvas height)
+   * @param {number} [options.pixelRatio=1] - Device pixels per CSS pixel
+   * @param {string} [options.output='blob'] - 'blob', 'bitmap' or 'webm'
+   * @param {string} [options.type='image/png'] - Frame MIME type for 'blob' output
+   * @param {number} [options.quality] - Frame quality (0-1) for WebP and JPEG
+   * @param {boolean} [options.transparent] - Keep the background transparent in frames
+   *        (defaults to true when backgroundColor is 'transparent'; not supported by 'webm')
+   * @param {string} [options.codec='vp8'] - 'vp8' or 'vp9' for 'webm' output
+   * @param {number} [options.bitrate=8000000] - Video bitrate in bits per second
+   * @param {number} [options.keyFrameInterval=2] - Seconds between video keyframes
+   * @param {Function} [options.onFrame] - Called with (frame, index) for 'blob' and 'bitmap'
+   *        output; may return a Promise. Frames are not kept when set.
+   * @param {Function} [options.onProgress] - Called with progress (0-1) after each frame
+   * @returns {Promise<Object|null>} {frameCount, frames, video, cancelled}, or null
+   *          if the options are invalid or the video codec is unsupported. Rejects
+   *          if the globe is disposed or loses its WebGL context while recording.
    *
    * @example
-   * globe.configure({
-   *   dotColor: '#00FF00',
-   *   rotationSpeed: 2.0,
-   *   scale: 1.5
+   * // Five seconds of rotation as a 1080p WebM
+   * const { video } = await globe.record({
+   *   duration: 5000, width: 1920, height: 1080, output: 'webm'
    * });
+   *
+   * // PNG frame sequence, uploaded as it is rendered
+   * await globe.record({ frames: 120, onFrame: (blob, i) => upload(`frame-${i}.png`, blob) });
    */
-  configure(options) {
-    Object.assign(this.config, options);
+  async record({
+    fps = 60,
+    duration,
+    frames,
+    width = this.width,
+    height = this.height,
+    pixelRatio = 1,
+    output = 'blob',
+    type = 'image/png',
+    quality,
+    transparent = this.config.backgroundColor === 'transparent',
+    codec = 'vp8',
+    bitrate = 8000000,
+    keyFrameInterval = 2,
+    onFrame,
+    onProgress
+  } = {}) {
+    if (!this._initialized) {
+      console.warn('Globe: record called before init');
+      return null;
+    }
 
-    // Update background color
-    if (options.backgroundColor !== undefined) {
-      if (options.backgroundColor === 'transparent') {
-        this.scene.background = null;
-      } else {
-        const color = parseColor(options.backgroundColor);
-        if (color) this.scene.background = color;
-      }
+    if (this._recording) {
+      console.warn('Globe: already recording');
+      return null;
     }
 
-    // Update dot size
-    if (options.dotSize !== undefined && this.dotsMaterial) {
-      this.dotsMaterial.size = options.dotSize;
+    if (this._contextLost) {
+      console.warn('Globe: cannot record while the WebGL context is lost');
+      return null;
     }
 
-    // Update rotation speed
-    if (options.rotationSpeed !== undefined && this.controls) {
-      this.controls.autoRotateSpeed = options.rotationSpeed;
+    if (!RECORDING_OUTPUTS.includes(output)) {
+      console.warn('Globe: unknown record output', output);
+      return null;
     }
 
-    // Update auto-rotation
-    if (options.autoRotate !== undefined && this.controls) {
-      this.controls.autoRotate = options.autoRotate;
+    if (typeof fps !== 'number' || !(fps > 0)) {
+      console.warn('Globe: record fps must be a positive number', fps);
+      return null;
     }
 
-    // Update scale
-    if (options.scale !== undefined && this.globeGroup) {
-      this.globeGroup.scale.setScalar(options.scale);
+    const frameCount = frames !== undefined ? frames : Math.round((duration / 1000) * fps);
+    if (!Number.isInteger(frameCount) || frameCount < 1) {
+      console.warn('Globe: record needs a positive frame count or duration', frames, duration);
+      return null;
     }
 
-    // Update zoom/pan settings
-    if (options.enableZoom !== undefined && this.controls) {
-      this.controls.enableZoom = options.enableZoom;
+    const size = this._getImageSize(width, height, pixelRatio);
+    if (!size) return null;
+
+    // Set up the video encoder
+    let writer = null;
+    let encoder = null;
+    let encoderError = null;
+    if (output === 'webm') {
+      if (typeof VideoEncoder === 'undefined') {
+        console.warn('Globe: WebM recording requires WebCodecs (VideoEncoder)');
+        return null;
+      }
+      if (!WEBM_CODECS[codec]) {
+        console.warn('Globe: unknown record codec', codec);
+        return null;
+      }
+
+      const encoderConfig = {
+        codec: WEBM_CODECS[codec].codec,
+        width: size.width,
+        height: size.height,
+        bitrate,
+        framerate: fps
+      };
+      const support = await VideoEncoder.isConfigSupported(encoderConfig);
+      this._assertCanRecord();
+      if (!support.supported) {
+        console.warn('Globe: video encoding not supported', encoderConfig);
+        return null;
+      }
+
+      writer = new WebMWriter({ width: size.width, height: size.height, codec, frameRate: fps });
+      encoder = new VideoEncoder({
+        output: (chunk) => writer.addChunk(chunk),
+        error: (error) => { encoderError = error; }
+      });
+      encoder.configure(encoderConfig);
     }
 
-    if (options.enablePan !== undefined && this.controls) {
-      this.controls.enablePan = options.enablePan;
+    // Take over the clock from the display
+    this._recording = { time: performance.now(), cancelled: false };
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    const frameDuration = 1000 / fps;
+    const keyFrameEvery = Math.max(1, Math.round(keyFrameInterval * fps));
+    const keepAlpha = output !== 'webm' && transparent && type !== 'image/jpeg';
+    const collected = onFrame || output === 'webm' ? null : [];
+    let recorded = 0;
+    let cancelled = false;
+
+    try {
+      for (let i = 0; i < frameCount; i++) {
+        this._assertCanRecord();
+        if (this._recording.cancelled) {
+          cancelled = true;
+          break;
+        }
+
+        // The first frame shows the globe as it is now
+        if (i > 0) {
+          this._recording.time += frameDuration;
+          this._advance(this._recording.time, frameDuration, 60 / fps);
+        }
+        if (this._sunClock) {
+          this._updateSunClock();
+        }
+
+        const canvas = this._renderImage(size.width, size.height, keepAlpha);
+
+        if (encoder) {
+          const frame = new VideoFrame(canvas, {
+            timestamp: Math.round(i * 1e6 / fps),
+            duration: Math.round(1e6 / fps)
+          });
+          encoder.encode(frame, { keyFrame: i % keyFrameEvery === 0 });
+          frame.close();
+
+          // Let the encoder catch up so frames do not pile up in memory
+          while (encoder.encodeQueueSize > 2 && !encoderError) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            this._assertCanRecord();
+          }
+          if (encoderError) throw encoderError;
+        } else {
+          const frame = output === 'bitmap'
+            ? await createImageBitmap(canvas)
+            : await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+          this._assertCanRecord();
+
+          if (onFrame) {
+            await onFrame(frame, i);
+          } else {
+            collected.push(frame);
+          }
+        }
+
+        recorded++;
+        if (onProgress) {
+          onProgress(recorded / frameCount);
+        }
+      }
+
+      if (encoder) {
+        await encoder.flush();
+        this._assertCanRecord();
+        if (encoderError) throw encoderError;
+      }
+    } finally {
+      if (encoder && encoder.state !== 'closed') {
+        encoder.close();
+      }
+
+      // Hand the clock back to the display. Clock-driven animations carry on
+      // from the last recorded frame rather than jumping by the time the
+      // recording took.
+      const gap = performance.now() - this._recording.time;
+      if (this._flight) {
+        this._flight.startTime += gap;
+      }
+      if (this._sunClock) {
+        this._sunClock.startTime += gap;
+      }
+      this._recording = null;
+      this.lastFrameTime = 0;
+      if (this._initialized) {
+        this.requestRender();
+      }
     }
+
+    return {
+      frameCount: recorded,
+      frames: collected,
+      video: writer ? writer.finalize() : null,
+      cancelled
+    };
   }
 
   /**
-   * Phase 4: Sets rotation angles
-   *
-   * @param {number} phi - Rotation around X-axis (degrees)
-   * @param {number} theta - Rotation around Y-axis (degrees)
-   *
-   * @example
-   * globe.setRotation(15, 30);
+   * Checks that a recording can still render
+   * @private
+   * @throws {Error} If the globe was disposed or lost its WebGL context
    */
-  setRotation(phi, theta) {
-    if (this.globeGroup) {
-      this.globeGroup.rotation.x = phi * (Math.PI / 180);
-      this.globeGroup.rotation.y = theta * (Math.PI / 180);
+  _assertCanRecord() {
+    if (!this._initialized) {
+      throw new Error('Globe: disposed while recording');
+    }
+    if (this._contextLost) {
+      throw new Error('Globe: WebGL context lost while recording');
     }
   }
 
   /**
-   * Phase 4: Starts auto-rotation
+   * Stops a recording in progress after the current frame
    *
-   * @example
-   * globe.startRotation();
+   * The record() promise resolves with the frames recorded so far and
+   * cancelled set to true.
+   *
+   * @returns {boolean} True if a recording was in progress
    */
-  startRotation() {
-    if (this.controls) {
-      this.controls.autoRotate = true;
-    }
+  cancelRecording() {
+    if (!this._recording) return false;
+    this._recording.cancelled = true;
+    return true;
   }
 
   /**
-   * Phase 4: Stops auto-rotation
-   *
-   * @example
-   * globe.stopRotation();
+   * Validates an image size and converts it to device pixels
+   * @private
+   * @returns {{width: number, height: number}|null}
    */
-  stopRotation() {
-    if (this.controls) {
-      this.controls.autoRotate = false;
+  _getImageSize(width, height, pixelRatio) {
+    if (![width, height, pixelRatio].every(value => typeof value === 'number' && value > 0)) {
+      console.warn('Globe: image width, height and pixelRatio must be positive numbers');
+      return null;
+    }
+
+    const size = {
+      width: Math.round(width * pixelRatio),
+      height: Math.round(height * pixelRatio)
+    };
+    if (Math.max(size.width, size.height) > MAX_SNAPSHOT_SIZE) {
+      console.warn(`Globe: images are limited to ${MAX_SNAPSHOT_SIZE}px per side`, size.width, size.height);
+      return null;
     }
+
+    return size;
   }
 
   /**
-   * Starts the animation loop
+   * Renders the current view offscreen into a 2D canvas
    *
-   * @example
-   * globe.start();
+   * Dots are sized in pixels, so they are scaled with the image height to
+   * keep the image looking like an enlarged copy of the on-screen view.
+   * @private
+   * @param {number} width - Image width in device pixels
+   * @param {number} height - Image height in device pixels
+   * @param {boolean} transparent - Keep the background transparent
+   * @returns {HTMLCanvasElement}
    */
-  start() {
-    if (!this.isAnimating) {
-      this.isAnimating = true;
-      this._animate();
+  _renderImage(width, height, transparent) {
+    const uniforms = this.dotsMaterial ? this.dotsMaterial.uniforms : null;
+    const pointSize = uniforms ? uniforms.u_pointSize.value : 0;
+    const background = this.scene.background;
+
+    try {
+      if (uniforms) {
+        uniforms.u_pointSize.value = this.config.dotSize * (height / this.height);
+      }
+      if (transparent) {
+        this.scene.background = null;
+      }
+
+      return renderSnapshot({
+        renderer: this.renderer,
+        scene: this.scene,
+        camera: this.camera,
+        width,
+        height,
+        transparent,
+        samples: this.config.antialias ? 4 : 0
+      });
+    } finally {
+      if (uniforms) {
+        uniforms.u_pointSize.value = pointSize;
+      }
+      this.scene.background = background;
     }
   }
 
@@ -840,6 +5405,10 @@ export class Globe {
   /**
    * Phase 7: Sets the default dot color
    *
+   * Resets every dot to the new colour, removing colours set with
+   * updateDotColor. Active dot highlights, the heatmap, choropleth, polygon
+   * fills and mask class colours stay on top of it.
+   *
    * @param {string|number} color - New dot color
    *
    * @example
@@ -853,18 +5422,10 @@ export class Globe {
     }
 
     this.config.dotColor = color;
+    this.dotColors.clear();
 
-    // Update all dots to new color
-    for (let i = 0; i < this.dotData.latLongs.length; i++) {
-      const colorOffset = i * 3;
-      this.dotData.colors[colorOffset] = threeColor.r;
-      this.dotData.colors[colorOffset + 1] = threeColor.g;
-      this.dotData.colors[colorOffset + 2] = threeColor.b;
-    }
-
-    if (this.dotsGeometry) {
-      this.dotsGeometry.attributes.color.needsUpdate = true;
-    }
+    // Update all dots to new color (other colour layers stay on top)
+    this._refreshDotColors();
   }
 
   /**
@@ -900,6 +5461,7 @@ export class Globe {
     // Update sphere material color
     if (this.sphereMaterial) {
       this.sphereMaterial.color.setRGB(threeColor.r, threeColor.g, threeColor.b);
+      this.requestRender();
     }
   }
 
@@ -921,6 +5483,7 @@ export class Globe {
     // Update sphere mesh scale
     if (this.sphereMesh) {
       this.sphereMesh.scale.set(scale, scale, scale);
+      this.requestRender();
     }
   }
 
@@ -950,16 +5513,49 @@ export class Globe {
    * globe.dispose();
    */
   dispose() {
-    // Stop animation
+    this.emit('dispose');
+
+    // Stop animation (and abandon any pending rebuild)
     this.stop();
+    this._rebuildToken++;
+
+    // Stop dot generation
+    this._terminateDotWorker();
+    const pendingJobs = Array.from(this._dotJobs.values());
+    this._dotJobs.clear();
+    pendingJobs.forEach(job => job.reject(new Error('Globe: disposed')));
+    this._endFlight(false);
+    this.stopSunClock();
+    this.cancelRecording();
+    this._quality = null;
 
     // Remove event listeners
     window.removeEventListener('resize', this._boundHandleResize);
+    clearTimeout(this._resizeTimeout);
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    if (this._pixelRatioQuery) {
+      this._pixelRatioQuery.removeEventListener('change', this._boundHandlePixelRatioChange);
+      this._pixelRatioQuery = null;
+    }
+    if (this._reducedMotionQuery) {
+      this._reducedMotionQuery.removeEventListener('change', this._boundUpdateMotion);
+      this._reducedMotionQuery = null;
+    }
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
     document.removeEventListener('visibilitychange', this._boundHandleVisibilityChange);
 
     if (this.renderer && this.renderer.domElement) {
+      this._detachCanvasAccessibility(this.renderer.domElement);
       this.renderer.domElement.removeEventListener('mousemove', this._boundHandleMouseMove);
       this.renderer.domElement.removeEventListener('click', this._boundHandleClick);
+      this.renderer.domElement.removeEventListener('webglcontextlost', this._boundHandleContextLost);
+      this.renderer.domElement.removeEventListener('webglcontextrestored', this._boundHandleContextRestored);
     }
 
     // Dispose geometries
@@ -969,6 +5565,9 @@ export class Globe {
     if (this.sphereGeometry) {
       this.sphereGeometry.dispose();
     }
+    if (this.atmosphereGeometry) {
+      this.atmosphereGeometry.dispose();
+    }
 
     // Dispose materials
     if (this.dotsMaterial) {
@@ -977,6 +5576,37 @@ export class Globe {
     if (this.sphereMaterial) {
       this.sphereMaterial.dispose();
     }
+    if (this.atmosphereMaterial) {
+      this.atmosphereMaterial.dispose();
+    }
+    if (this.focusRing) {
+      this.focusRing.geometry.dispose();
+      this.focusRing.material.dispose();
+    }
+
+    // Remove the screen-reader elements
+    [this._descriptionElement, this._liveRegion].forEach(element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+
+    // Dispose layers
+    if (this.polygonLayer) {
+      this.polygonLayer.dispose();
+    }
+    if (this.pathLayer) {
+      this.pathLayer.dispose();
+    }
+    if (this.arcLayer) {
+      this.arcLayer.dispose();
+    }
+    if (this.markerLayer) {
+      this.markerLayer.dispose();
+    }
+    if (this.labelLayer) {
+      this.labelLayer.dispose();
+    }
 
     // Dispose texture data
     if (this.textureData) {
@@ -985,6 +5615,9 @@ export class Globe {
 
     // Dispose controls
     if (this.controls) {
+      this.controls.removeEventListener('start', this._boundHandleControlsStart);
+      this.controls.removeEventListener('end', this._boundHandleControlsEnd);
+      this.controls.removeEventListener('change', this._boundHandleControlsChange);
       this.controls.dispose();
     }
 
@@ -1005,10 +5638,31 @@ export class Globe {
     this.dotsGeometry = null;
     this.dotsMaterial = null;
     this.dotsPoints = null;
+    this.atmosphereGeometry = null;
+    this.atmosphereMaterial = null;
+    this.atmosphereMesh = null;
+    this.focusRing = null;
+    this._focusTarget = null;
+    this._descriptionElement = null;
+    this._liveRegion = null;
+    this.polygonLayer = null;
+    this.pathLayer = null;
+    this.arcLayer = null;
+    this.markerLayer = null;
+    this.labelLayer = null;
+    this._geoJSONSources.clear();
     this.dotData = null;
+    this.spatialIndex = null;
+    this.countryLookup = null;
+    this._maskClasses = null;
+    this.activeDots.clear();
+    this.dotColors.clear();
+    this.choropleth = null;
+    this.heatmap = null;
     this.textureData = null;
 
     this._initialized = false;
+    this.removeAllListeners();
   }
 }
 
@@ -0,0 +1,417 @@
+/**
+ * LabelLayer.js
+ *
+ * Renders text labels as HTML elements in an overlay above the globe
+ * canvas, anchored to lat/lon coordinates. Each frame the anchors are
+ * projected through the camera; labels fade out as their anchor turns
+ * towards the far side of the globe, and labels that would overlap a
+ * higher-priority label are hidden.
+ *
+ * Labels are ordinary DOM elements, so they are styled with CSS classes
+ * (every label has the class `globe-label`) and stay sharp at any zoom.
+ *
+ * @module LabelLayer
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import { latLonToCartesian } from './utils/coordinates.js';
+
+/**
+ * Label definition
+ * @typedef {Object} LabelOptions
+ * @property {string} [id] - Unique identifier (generated when omitted)
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lon - Longitude in degrees
+ * @property {number} [altitude=0.01] - Height above the surface in globe radii
+ * @property {string} [text] - Label text
+ * @property {HTMLElement} [element] - Custom element to show instead of text
+ * @property {string} [className] - Extra CSS classes
+ * @property {string} [anchor='right'] - Side of the coordinate the label sits on:
+ *           'right', 'left', 'top', 'bottom' or 'center'
+ * @property {number} [offset=6] - Gap between the coordinate and the label in pixels
+ * @property {number} [priority=0] - Labels with higher priority win overlaps
+ * @property {*} [data] - Arbitrary payload
+ */
+
+/**
+ * Default label values
+ * @private
+ */
+const DEFAULT_LABEL = {
+  altitude: 0.01,
+  anchor: 'right',
+  offset: 6,
+  priority: 0
+};
+
+/**
+ * Supported anchors
+ * @private
+ */
+const ANCHORS = ['right', 'left', 'top', 'bottom', 'center'];
+
+/**
+ * Labels fade out as the angle between their surface normal and the view
+ * direction approaches 90 degrees; this is the cosine where fading starts
+ * @private
+ */
+const FADE_START = 0.25;
+
+/**
+ * Minimum space kept between labels, in pixels
+ * @private
+ */
+const COLLISION_PADDING = 2;
+
+/**
+ * CSS class given to every label element
+ */
+export const LABEL_CLASS_NAME = 'globe-label';
+
+/**
+ * Layer of HTML labels attached to a globe
+ *
+ * @class LabelLayer
+ *
+ * @example
+ * const labels = new LabelLayer({ radius: 100 });
+ * globeGroup.add(labels.group);
+ * container.appendChild(labels.element);
+ * labels.addLabel({ id: 'nyc', lat: 40.7128, lon: -74.0060, text: 'New York' });
+ *
+ * // Each frame, after rendering
+ * labels.update(camera, renderer.domElement);
+ */
+export class LabelLayer {
+  /**
+   * Creates a new label layer
+   * @param {Object} options - Layer options
+   * @param {number} options.radius - Globe surface radius in world units
+   */
+  constructor({ radius }) {
+    this.radius = radius;
+
+    // Follows the globe's transform; label anchors are in its local space
+    this.group = new THREE.Group();
+    this.group.name = 'labels';
+
+    // Overlay the labels are positioned in (placed over the canvas by update)
+    this.element = document.createElement('div');
+    this.element.className = 'globe-labels';
+    this.element.style.cssText = 'position:absolute;left:0;top:0;overflow:hidden;pointer-events:none;';
+    this._overlayStyle = {};
+
+    // Map of id -> { options, element, ownsElement, size, style, visible }
+    this.labels = new Map();
+
+    // Scratch objects
+    this._anchor = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+    this._center = new THREE.Vector3();
+    this._toCamera = new THREE.Vector3();
+
+    this._nextId = 1;
+  }
+
+  /**
+   * Adds a label (replaces an existing label with the same id)
+   *
+   * @param {LabelOptions} label - Label definition
+   * @returns {string|null} Label id, or null if the definition is invalid
+   */
+  addLabel(label) {
+    if (!label || typeof label.lat !== 'number' || typeof label.lon !== 'number') {
+      console.warn('LabelLayer: label requires numeric lat and lon', label);
+      return null;
+    }
+
+    const id = label.id !== undefined ? String(label.id) : `label-${this._nextId++}`;
+    if (this.labels.has(id)) {
+      this.removeLabel(id);
+    }
+
+    const entry = { options: null, element: null, ownsElement: false, size: null, style: null, visible: false };
+    this.labels.set(id, entry);
+    this._applyOptions(entry, { ...DEFAULT_LABEL, ...label, id });
+
+    return id;
+  }
+
+  /**
+   * Updates an existing label in place
+   *
+   * @param {string} id - Label id
+   * @param {Partial<LabelOptions>} changes - Properties to change
+   * @returns {boolean} True if the label exists and was updated
+   */
+  updateLabel(id, changes = {}) {
+    const key = String(id);
+    const entry = this.labels.get(key);
+    if (!entry) {
+      console.warn('LabelLayer: unknown label id', id);
+      return false;
+    }
+
+    const next = { ...entry.options, ...changes, id: key };
+    if (typeof next.lat !== 'number' || typeof next.lon !== 'number') {
+      console.warn('LabelLayer: label requires numeric lat and lon', changes);
+      return false;
+    }
+
+    this._applyOptions(entry, next);
+    return true;
+  }
+
+  /**
+   * Removes a label
+   *
+   * @param {string} id - Label id
+   * @returns {boolean} True if a label was removed
+   */
+  removeLabel(id) {
+    const key = String(id);
+    const entry = this.labels.get(key);
+    if (!entry) return false;
+
+    entry.element.remove();
+    this.labels.delete(key);
+    return true;
+  }
+
+  /**
+   * Removes all labels
+   */
+  clearLabels() {
+    this.labels.forEach(entry => entry.element.remove());
+    this.labels.clear();
+  }
+
+  /**
+   * Gets a label definition by id
+   *
+   * @param {string} id - Label id
+   * @returns {LabelOptions|null} Copy of the label definition
+   */
+  getLabel(id) {
+    const entry = this.labels.get(String(id));
+    return entry ? { ...entry.options } : null;
+  }
+
+  /**
+   * Gets all label definitions
+   *
+   * @returns {Array<LabelOptions>} Copies of the label definitions
+   */
+  getLabels() {
+    return Array.from(this.labels.values(), entry => ({ ...entry.options }));
+  }
+
+  /**
+   * Positions every label for the current camera
+   *
+   * Call after rendering, so the globe's world matrices are current. Layout
+   * is read before any label is moved, so the browser lays out once per call.
+   *
+   * @param {THREE.Camera} camera - Camera the globe is rendered with
+   * @param {HTMLCanvasElement} canvas - Canvas the overlay should cover
+   */
+  update(camera, canvas) {
+    if (this.labels.size === 0) return;
+
+    // Read phase: canvas placement and the size of new or changed labels
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const left = canvas.offsetLeft;
+    const top = canvas.offsetTop;
+    this.labels.forEach(entry => {
+      if (!entry.size) {
+        const size = { width: entry.element.offsetWidth, height: entry.element.offsetHeight };
+        // An element measured while hidden (display: none) is measured again later
+        entry.size = size.width > 0 ? size : null;
+      }
+    });
+
+    this.group.getWorldPosition(this._center);
+
+    // Project the anchors; keep those on the near side
+    const candidates = [];
+    this.labels.forEach(entry => {
+      const { lat, lon, altitude } = entry.options;
+      const local = latLonToCartesian(lat, lon, this.radius * (1 + altitude));
+      this._anchor.set(local.x, local.y, local.z);
+      this.group.localToWorld(this._anchor);
+
+      // How directly the surface under the label faces the camera
+      this._normal.copy(this._anchor).sub(this._center).normalize();
+      this._toCamera.copy(camera.position).sub(this._anchor).normalize();
+      const facing = this._normal.dot(this._toCamera);
+      const opacity = Math.max(0, Math.min(1, facing / FADE_START));
+
+      this._anchor.project(camera);
+      if (opacity <= 0 || this._anchor.z > 1 || !entry.size) return;
+
+      const x = (this._anchor.x + 1) / 2 * width;
+      const y = (1 - this._anchor.y) / 2 * height;
+      candidates.push({ entry, facing, opacity, box: this._placeBox(entry, x, y) });
+    });
+
+    // Greedy collision avoidance: higher priority, then more central labels first
+    candidates.sort((a, b) =>
+      (b.entry.options.priority - a.entry.options.priority) || (b.facing - a.facing));
+
+    const placed = [];
+    this.labels.forEach(entry => {
+      entry.visible = false;
+    });
+    candidates.forEach(candidate => {
+      const { box } = candidate;
+      const overlaps = placed.some(other =>
+        box.left < other.right + COLLISION_PADDING && other.left < box.right + COLLISION_PADDING &&
+        box.top < other.bottom + COLLISION_PADDING && other.top < box.bottom + COLLISION_PADDING);
+      if (overlaps) return;
+
+      placed.push(box);
+      candidate.entry.visible = true;
+      this._writeStyle(candidate.entry.element, candidate.entry.style, {
+        transform: `translate(${Math.round(box.left)}px, ${Math.round(box.top)}px)`,
+        opacity: candidate.opacity.toFixed(2),
+        visibility: 'visible'
+      });
+    });
+
+    this.labels.forEach(entry => {
+      if (!entry.visible) {
+        this._writeStyle(entry.element, entry.style, { visibility: 'hidden' });
+      }
+    });
+
+    // Cover the canvas
+    this._writeStyle(this.element, this._overlayStyle, {
+      left: `${left}px`,
+      top: `${top}px`,
+      width: `${width}px`,
+      height: `${height}px`
+    });
+  }
+
+  /**
+   * Changes the globe surface radius
+   *
+   * @param {number} radius - New surface radius in world units
+   */
+  setRadius(radius) {
+    this.radius = radius;
+  }
+
+  /**
+   * Removes all labels and the overlay element
+   */
+  dispose() {
+    this.clearLabels();
+    this.element.remove();
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+  }
+
+  /**
+   * Stores a label's options and (re)builds its element
+   * @private
+   */
+  _applyOptions(entry, options) {
+    if (!ANCHORS.includes(options.anchor)) {
+      console.warn('LabelLayer: unknown anchor, using right:', options.anchor);
+      options.anchor = 'right';
+    }
+
+    // Custom elements keep their own classes; generated ones are rebuilt
+    const custom = options.element instanceof HTMLElement ? options.element : null;
+    const element = custom || (entry.ownsElement ? entry.element : document.createElement('div'));
+    const classes = options.className ? options.className.split(/\s+/).filter(Boolean) : [];
+
+    if (custom) {
+      element.classList.add(LABEL_CLASS_NAME, ...classes);
+    } else {
+      element.textContent = options.text !== undefined ? String(options.text) : '';
+      element.className = [LABEL_CLASS_NAME, ...classes].join(' ');
+    }
+
+    // New elements stay hidden until update() has placed them
+    if (element !== entry.element) {
+      element.style.position = 'absolute';
+      element.style.left = '0';
+      element.style.top = '0';
+      element.style.whiteSpace = 'nowrap';
+      element.style.visibility = 'hidden';
+      entry.style = { visibility: 'hidden' };
+
+      if (entry.element) {
+        entry.element.remove();
+      }
+      this.element.appendChild(element);
+    }
+
+    entry.options = options;
+    entry.element = element;
+    entry.ownsElement = !custom;
+    entry.size = null;
+  }
+
+  /**
+   * Works out a label's box in overlay pixels from its anchor
+   * @private
+   */
+  _placeBox(entry, x, y) {
+    const { anchor, offset } = entry.options;
+    const { width, height } = entry.size;
+
+    let left;
+    let top;
+    switch (anchor) {
+      case 'left':
+        left = x - offset - width;
+        top = y - height / 2;
+        break;
+      case 'top':
+        left = x - width / 2;
+        top = y - offset - height;
+        break;
+      case 'bottom':
+        left = x - width / 2;
+        top = y + offset;
+        break;
+      case 'center':
+        left = x - width / 2;
+        top = y - height / 2;
+        break;
+      default:
+        left = x + offset;
+        top = y - height / 2;
+    }
+
+    return { left, top, right: left + width, bottom: top + height };
+  }
+
+  /**
+   * Sets style properties that changed since the last write
+   * @private
+   * @param {HTMLElement} element - Element to style
+   * @param {Object} written - Values last written to the element (updated)
+   * @param {Object} styles - Style values by property name
+   */
+  _writeStyle(element, written, styles) {
+    Object.keys(styles).forEach(property => {
+      if (written[property] !== styles[property]) {
+        written[property] = styles[property];
+        element.style[property] = styles[property];
+      }
+    });
+  }
+}
+
+/**
+ * Default export
+ */
+export default LabelLayer;
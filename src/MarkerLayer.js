@@ -0,0 +1,360 @@
+/**
+ * MarkerLayer.js
+ *
+ * Renders persistent location markers as camera-facing instanced sprites.
+ * Markers sit at their exact coordinate (rather than snapping to the nearest
+ * land dot) and are independent of dot colours, so theme and colour changes
+ * never remove them.
+ *
+ * All markers share one THREE.InstancedMesh, which keeps draw calls constant
+ * and lets the raycaster report the hit marker through its instanceId.
+ *
+ * @module MarkerLayer
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import { latLonToCartesian } from './utils/coordinates.js';
+import { parseColor } from './utils/colors.js';
+
+/**
+ * Marker definition
+ * @typedef {Object} MarkerOptions
+ * @property {string} [id] - Unique identifier (generated when omitted)
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lon - Longitude in degrees
+ * @property {string|number} [color='#FF6B35'] - Marker color
+ * @property {number} [size=2] - Marker diameter in world units (globe radius is 100 by default)
+ * @property {number} [altitude=0.005] - Height above the surface in globe radii
+ * @property {string} [label] - Human-readable label
+ * @property {*} [data] - Arbitrary payload returned from hit-testing
+ */
+
+/**
+ * Default marker values
+ * @private
+ */
+const DEFAULT_MARKER = {
+  color: '#FF6B35',
+  size: 2,
+  altitude: 0.005
+};
+
+/**
+ * Initial instance capacity (grows by doubling)
+ * @private
+ */
+const INITIAL_CAPACITY = 64;
+
+/**
+ * Layer of camera-facing marker sprites attached to a globe
+ *
+ * @class MarkerLayer
+ *
+ * @example
+ * const markers = new MarkerLayer({ radius: 100 });
+ * globeGroup.add(markers.group);
+ * markers.addMarker({ id: 'nyc', lat: 40.7128, lon: -74.0060, data: { users: 1200 } });
+ *
+ * // Each frame
+ * markers.update(camera);
+ */
+export class MarkerLayer {
+  /**
+   * Creates a new marker layer
+   * @param {Object} options - Layer options
+   * @param {number} options.radius - Globe surface radius in world units
+   */
+  constructor({ radius }) {
+    this.radius = radius;
+    this.group = new THREE.Group();
+    this.group.name = 'markers';
+
+    // Map of id -> marker options, plus instance order (index -> id) and
+    // its inverse (id -> index)
+    this.markers = new Map();
+    this.order = [];
+    this.indices = new Map();
+
+    this.geometry = new THREE.CircleGeometry(0.5, 24);
+    this.material = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      side: THREE.DoubleSide
+    });
+    this.mesh = null;
+    this._createMesh(INITIAL_CAPACITY);
+
+    // Billboard orientation state
+    this._billboard = new THREE.Quaternion();
+    this._lastCameraQuaternion = new THREE.Quaternion(NaN, NaN, NaN, NaN);
+    this._lastGroupQuaternion = new THREE.Quaternion(NaN, NaN, NaN, NaN);
+    this._needsLayout = true;
+
+    // Scratch objects
+    this._position = new THREE.Vector3();
+    this._scale = new THREE.Vector3();
+    this._matrix = new THREE.Matrix4();
+    this._groupQuaternion = new THREE.Quaternion();
+
+    this._nextId = 1;
+  }
+
+  /**
+   * Adds a marker (replaces an existing marker with the same id)
+   *
+   * @param {MarkerOptions} marker - Marker definition
+   * @returns {string|null} Marker id, or null if the definition is invalid
+   */
+  addMarker(marker) {
+    if (!marker || typeof marker.lat !== 'number' || typeof marker.lon !== 'number') {
+      console.warn('MarkerLayer: marker requires numeric lat and lon', marker);
+      return null;
+    }
+
+    const id = marker.id !== undefined ? String(marker.id) : `marker-${this._nextId++}`;
+    const options = { ...DEFAULT_MARKER, ...marker, id };
+
+    if (!this.markers.has(id)) {
+      if (this.order.length >= this.mesh.instanceMatrix.count) {
+        this._createMesh(this.mesh.instanceMatrix.count * 2);
+      }
+      this.indices.set(id, this.order.length);
+      this.order.push(id);
+    }
+
+    this.markers.set(id, options);
+    this._writeInstance(this.indices.get(id));
+
+    return id;
+  }
+
+  /**
+   * Updates an existing marker in place
+   *
+   * @param {string} id - Marker id
+   * @param {Partial<MarkerOptions>} changes - Properties to change
+   * @returns {boolean} True if the marker exists and was updated
+   */
+  updateMarker(id, changes = {}) {
+    const key = String(id);
+    const current = this.markers.get(key);
+    if (!current) {
+      console.warn('MarkerLayer: unknown marker id', id);
+      return false;
+    }
+
+    const next = { ...current, ...changes, id: key };
+    if (typeof next.lat !== 'number' || typeof next.lon !== 'number') {
+      console.warn('MarkerLayer: marker requires numeric lat and lon', changes);
+      return false;
+    }
+
+    this.markers.set(key, next);
+    this._writeInstance(this.indices.get(key));
+
+    return true;
+  }
+
+  /**
+   * Removes a marker
+   *
+   * @param {string} id - Marker id
+   * @returns {boolean} True if a marker was removed
+   */
+  removeMarker(id) {
+    const key = String(id);
+    const index = this.indices.get(key);
+    if (index === undefined) return false;
+
+    // Move the last instance into the freed slot to keep instances packed
+    const lastIndex = this.order.length - 1;
+    if (index !== lastIndex) {
+      this.order[index] = this.order[lastIndex];
+      this.indices.set(this.order[index], index);
+    }
+    this.order.pop();
+    this.indices.delete(key);
+    this.markers.delete(key);
+
+    if (index < this.order.length) {
+      this._writeInstance(index);
+    }
+    this.mesh.count = this.order.length;
+
+    return true;
+  }
+
+  /**
+   * Removes all markers
+   */
+  clearMarkers() {
+    this.markers.clear();
+    this.order = [];
+    this.indices.clear();
+    this.mesh.count = 0;
+  }
+
+  /**
+   * Gets a marker definition by id
+   *
+   * @param {string} id - Marker id
+   * @returns {MarkerOptions|null} Copy of the marker definition
+   */
+  getMarker(id) {
+    const marker = this.markers.get(String(id));
+    return marker ? { ...marker } : null;
+  }
+
+  /**
+   * Gets all marker definitions
+   *
+   * @returns {Array<MarkerOptions>} Copies of the marker definitions
+   */
+  getMarkers() {
+    return this.order.map(id => ({ ...this.markers.get(id) }));
+  }
+
+  /**
+   * Gets the marker rendered by an instance of the mesh
+   *
+   * @param {number} instanceId - Instance index from a raycast intersection
+   * @returns {MarkerOptions|null} Copy of the marker definition
+   */
+  getMarkerAtInstance(instanceId) {
+    const id = this.order[instanceId];
+    return id !== undefined ? this.getMarker(id) : null;
+  }
+
+  /**
+   * Turns every marker to face the camera
+   *
+   * Only re-lays out the instances when the camera or globe orientation
+   * changed or markers were modified since the last call.
+   *
+   * @param {THREE.Camera} camera - Camera the markers should face
+   */
+  update(camera) {
+    if (this.order.length === 0) return;
+
+    // Rotating the globe (e.g. setRotation) turns the markers away from the camera too
+    this.group.getWorldQuaternion(this._groupQuaternion);
+    if (!this._groupQuaternion.equals(this._lastGroupQuaternion)) {
+      this._needsLayout = true;
+    }
+
+    if (!this._needsLayout && camera.quaternion.equals(this._lastCameraQuaternion)) {
+      return;
+    }
+
+    this._lastCameraQuaternion.copy(camera.quaternion);
+    this._lastGroupQuaternion.copy(this._groupQuaternion);
+
+    // Camera orientation expressed in the layer's local space
+    this._billboard.copy(this._groupQuaternion).invert().multiply(camera.quaternion);
+
+    for (let i = 0; i < this.order.length; i++) {
+      this._composeInstance(i);
+    }
+
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this._needsLayout = false;
+  }
+
+  /**
+   * Changes the globe surface radius and repositions all markers
+   *
+   * @param {number} radius - New surface radius in world units
+   */
+  setRadius(radius) {
+    this.radius = radius;
+    this._needsLayout = true;
+  }
+
+  /**
+   * Disposes all marker resources
+   */
+  dispose() {
+    this.clearMarkers();
+    if (this.mesh) {
+      this.group.remove(this.mesh);
+      this.mesh.dispose();
+    }
+    this.geometry.dispose();
+    this.material.dispose();
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+  }
+
+  /**
+   * Creates (or grows) the instanced mesh, copying existing instances
+   * @private
+   * @param {number} capacity - Maximum number of instances
+   */
+  _createMesh(capacity) {
+    const previous = this.mesh;
+
+    this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    this.mesh.name = 'marker-sprites';
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.instanceColor = new THREE.InstancedBufferAttribute(
+      new Float32Array(capacity * 3),
+      3
+    );
+    // Bounds change with every billboard update, so skip frustum culling
+    this.mesh.frustumCulled = false;
+    this.mesh.count = this.order.length;
+
+    if (previous) {
+      this.mesh.instanceMatrix.array.set(previous.instanceMatrix.array);
+      this.mesh.instanceColor.array.set(previous.instanceColor.array);
+      this.group.remove(previous);
+      previous.dispose();
+    }
+
+    this.group.add(this.mesh);
+  }
+
+  /**
+   * Writes a marker's transform and colour into its instance slot
+   * @private
+   * @param {number} index - Instance index
+   */
+  _writeInstance(index) {
+    const marker = this.markers.get(this.order[index]);
+
+    let color = parseColor(marker.color);
+    if (!color) {
+      console.warn('MarkerLayer: invalid marker color, using the default', marker.color);
+      color = parseColor(DEFAULT_MARKER.color);
+    }
+    this.mesh.setColorAt(index, color);
+    this.mesh.instanceColor.needsUpdate = true;
+
+    this._composeInstance(index);
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.count = this.order.length;
+  }
+
+  /**
+   * Composes the billboard matrix for one instance
+   * @private
+   * @param {number} index - Instance index
+   */
+  _composeInstance(index) {
+    const marker = this.markers.get(this.order[index]);
+    const height = this.radius * (1 + marker.altitude);
+    const { x, y, z } = latLonToCartesian(marker.lat, marker.lon, height);
+
+    this._position.set(x, y, z);
+    this._scale.setScalar(marker.size);
+    this._matrix.compose(this._position, this._billboard, this._scale);
+    this.mesh.setMatrixAt(index, this._matrix);
+  }
+}
+
+/**
+ * Default export
+ */
+export default MarkerLayer;
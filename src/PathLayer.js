@@ -0,0 +1,299 @@
+/**
+ * PathLayer.js
+ *
+ * Renders polylines that hug the globe surface, such as routes, tracks and
+ * borders. Each path is a list of coordinates joined by great-circle
+ * segments, drawn as screen-space lines so widths are in pixels rather than
+ * limited to the 1px of WebGL lines.
+ *
+ * Segments always take the shorter way round the globe, so paths that cross
+ * the antimeridian need no special handling, and lines already split at
+ * ±180° (as RFC 7946 asks of GeoJSON) join up without a gap.
+ *
+ * @module PathLayer
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/examples/jsm/lines/LineSegmentsGeometry.js';
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
+import { latLonToCartesian, greatCircleArc } from './utils/coordinates.js';
+import { parseColor } from './utils/colors.js';
+
+/**
+ * Path definition
+ * @typedef {Object} PathOptions
+ * @property {string} [id] - Unique identifier (generated when omitted)
+ * @property {Array<{lat: number, lon: number}>|Array<Array<{lat: number, lon: number}>>} points -
+ *           Coordinates of the line, or a list of lines drawn as one path
+ * @property {string|number} [color='#FFFFFF'] - Line color
+ * @property {number} [width=1.5] - Line width in pixels
+ * @property {number} [opacity=1.0] - Line opacity (0-1)
+ * @property {number} [altitude=0.003] - Height above the surface in globe radii
+ * @property {*} [data] - Arbitrary payload
+ */
+
+/**
+ * Default path values
+ * @private
+ */
+const DEFAULT_PATH = {
+  color: '#FFFFFF',
+  width: 1.5,
+  opacity: 1.0,
+  altitude: 0.003
+};
+
+/**
+ * Path properties that require the line geometry to be rebuilt
+ * @private
+ */
+const GEOMETRY_KEYS = ['points', 'altitude'];
+
+/**
+ * Longest drawn segment in radians; longer segments are subdivided so they
+ * follow the curve of the globe
+ * @private
+ */
+const MAX_SEGMENT_ANGLE = (2 * Math.PI) / 180;
+
+/**
+ * Validates a {lat, lon} coordinate
+ * @private
+ */
+function isValidCoordinate(coord) {
+  return !!coord && typeof coord.lat === 'number' && typeof coord.lon === 'number';
+}
+
+/**
+ * Normalizes the points option to a list of lines with at least two valid points
+ * @private
+ */
+function toLines(points) {
+  if (!Array.isArray(points) || points.length === 0) return [];
+  const lines = Array.isArray(points[0]) ? points : [points];
+  return lines
+    .map(line => (Array.isArray(line) ? line.filter(isValidCoordinate) : []))
+    .filter(line => line.length >= 2);
+}
+
+/**
+ * Layer of surface-hugging polylines attached to a globe
+ *
+ * @class PathLayer
+ *
+ * @example
+ * const paths = new PathLayer({ radius: 100 });
+ * globeGroup.add(paths.group);
+ * paths.setResolution(800, 600);
+ * paths.addPath({
+ *   points: [{ lat: 51.5074, lon: -0.1278 }, { lat: 40.7128, lon: -74.0060 }],
+ *   color: '#4B9FBF',
+ *   width: 2
+ * });
+ */
+export class PathLayer {
+  /**
+   * Creates a new path layer
+   * @param {Object} options - Layer options
+   * @param {number} options.radius - Globe surface radius in world units
+   */
+  constructor({ radius }) {
+    this.radius = radius;
+    this.group = new THREE.Group();
+    this.group.name = 'paths';
+
+    // Map of id -> { options, line }
+    this.paths = new Map();
+
+    // Viewport size in CSS pixels, shared by every line material
+    this.resolution = new THREE.Vector2(1, 1);
+
+    this._nextId = 1;
+  }
+
+  /**
+   * Adds a path (replaces an existing path with the same id)
+   *
+   * @param {PathOptions} path - Path definition
+   * @returns {string|null} Path id, or null if the definition is invalid
+   */
+  addPath(path) {
+    if (!path || toLines(path.points).length === 0) {
+      console.warn('PathLayer: path requires at least two {lat, lon} points', path);
+      return null;
+    }
+
+    const id = path.id !== undefined ? String(path.id) : `path-${this._nextId++}`;
+    if (this.paths.has(id)) {
+      this.removePath(id);
+    }
+
+    const options = { ...DEFAULT_PATH, ...path, id };
+    const material = new LineMaterial({ transparent: true, depthWrite: false });
+    material.uniforms.resolution.value = this.resolution;
+    const line = new LineSegments2(this._createGeometry(options), material);
+    line.name = `path-${id}`;
+
+    this._applyMaterial(material, options);
+    this.group.add(line);
+    this.paths.set(id, { options, line });
+
+    return id;
+  }
+
+  /**
+   * Updates an existing path in place
+   *
+   * @param {string} id - Path id
+   * @param {Partial<PathOptions>} changes - Properties to change
+   * @returns {boolean} True if the path exists and was updated
+   */
+  updatePath(id, changes = {}) {
+    const entry = this.paths.get(String(id));
+    if (!entry) {
+      console.warn('PathLayer: unknown path id', id);
+      return false;
+    }
+
+    const next = { ...entry.options, ...changes, id: entry.options.id };
+    if (toLines(next.points).length === 0) {
+      console.warn('PathLayer: path requires at least two {lat, lon} points', changes);
+      return false;
+    }
+
+    if (GEOMETRY_KEYS.some(key => key in changes)) {
+      entry.line.geometry.dispose();
+      entry.line.geometry = this._createGeometry(next);
+    }
+
+    this._applyMaterial(entry.line.material, next);
+    entry.options = next;
+    return true;
+  }
+
+  /**
+   * Removes a path
+   *
+   * @param {string} id - Path id
+   * @returns {boolean} True if a path was removed
+   */
+  removePath(id) {
+    const entry = this.paths.get(String(id));
+    if (!entry) return false;
+
+    this.group.remove(entry.line);
+    entry.line.geometry.dispose();
+    entry.line.material.dispose();
+    this.paths.delete(String(id));
+
+    return true;
+  }
+
+  /**
+   * Removes all paths
+   */
+  clearPaths() {
+    Array.from(this.paths.keys()).forEach(id => this.removePath(id));
+  }
+
+  /**
+   * Gets the current path definitions
+   *
+   * @returns {Array<PathOptions>} Copies of the path definitions
+   */
+  getPaths() {
+    return Array.from(this.paths.values()).map(entry => ({ ...entry.options }));
+  }
+
+  /**
+   * Sets the viewport size line widths are measured against
+   *
+   * @param {number} width - Viewport width in CSS pixels
+   * @param {number} height - Viewport height in CSS pixels
+   */
+  setResolution(width, height) {
+    this.resolution.set(width, height);
+  }
+
+  /**
+   * Changes the globe surface radius and rebuilds all path geometry
+   *
+   * @param {number} radius - New surface radius in world units
+   */
+  setRadius(radius) {
+    this.radius = radius;
+    this.paths.forEach(entry => {
+      entry.line.geometry.dispose();
+      entry.line.geometry = this._createGeometry(entry.options);
+    });
+  }
+
+  /**
+   * Disposes all path resources
+   */
+  dispose() {
+    this.clearPaths();
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+  }
+
+  /**
+   * Builds the line geometry: every segment as a subdivided great-circle arc
+   * @private
+   * @param {PathOptions} options - Path definition
+   * @returns {LineSegmentsGeometry}
+   */
+  _createGeometry(options) {
+    const height = this.radius * (1 + options.altitude);
+    const positions = [];
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+
+    toLines(options.points).forEach(line => {
+      for (let i = 1; i < line.length; i++) {
+        const a = latLonToCartesian(line[i - 1].lat, line[i - 1].lon, 1);
+        const b = latLonToCartesian(line[i].lat, line[i].lon, 1);
+        start.set(a.x, a.y, a.z);
+        end.set(b.x, b.y, b.z);
+
+        const segments = Math.max(1, Math.ceil(start.angleTo(end) / MAX_SEGMENT_ANGLE));
+        const points = greatCircleArc(start, end, segments);
+        for (let s = 1; s <= segments; s++) {
+          const previous = points[s - 1];
+          const point = points[s];
+          positions.push(
+            previous.x * height, previous.y * height, previous.z * height,
+            point.x * height, point.y * height, point.z * height
+          );
+        }
+      }
+    });
+
+    const geometry = new LineSegmentsGeometry();
+    geometry.setPositions(positions);
+    return geometry;
+  }
+
+  /**
+   * Applies color, width and opacity to a path's material
+   * @private
+   */
+  _applyMaterial(material, options) {
+    const color = parseColor(options.color);
+    if (!color) {
+      console.warn('PathLayer: invalid color, using default:', options.color);
+    }
+    material.color.copy(color || parseColor(DEFAULT_PATH.color));
+    material.linewidth = options.width;
+    material.opacity = options.opacity;
+  }
+}
+
+/**
+ * Default export
+ */
+export default PathLayer;
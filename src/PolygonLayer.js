@@ -0,0 +1,463 @@
+/**
+ * PolygonLayer.js
+ *
+ * Fills and outlines GeoJSON Polygon and MultiPolygon features on the dot
+ * globe. Fills recolour the dots that fall inside each feature rather than
+ * drawing geometry, so regions read as part of the dot pattern; outlines are
+ * great-circle line segments just above the surface.
+ *
+ * The layer works out which dots each feature covers and which feature a
+ * dot shows (the most recently added filled feature wins overlaps). The
+ * globe owns the dot colour buffer and asks the layer for the dots whose
+ * fill changed (see takeChangedDots), so edits only touch those dots.
+ *
+ * @module PolygonLayer
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import { parseColor } from './utils/colors.js';
+import { greatCircleArc } from './utils/coordinates.js';
+import { getFeatures, getPolygons, preparePolygon, pointInPolygon } from './utils/geojson.js';
+
+/**
+ * Feature style
+ * @typedef {Object} PolygonStyle
+ * @property {boolean} [fill=true] - Recolour the dots inside the feature
+ * @property {string|number} [fillColor='#FF6B35'] - Fill color
+ * @property {number} [fillOpacity=1.0] - How far the fill replaces the dot color (0-1)
+ * @property {boolean} [outline=false] - Draw the feature's boundary
+ * @property {string|number} [outlineColor] - Outline color (defaults to fillColor)
+ * @property {number} [outlineOpacity=1.0] - Outline opacity (0-1)
+ * @property {number} [altitude=0.005] - Outline height above the surface in globe radii
+ */
+
+/**
+ * Default style values
+ * @private
+ */
+const DEFAULT_STYLE = {
+  fill: true,
+  fillColor: '#FF6B35',
+  fillOpacity: 1.0,
+  outline: false,
+  outlineOpacity: 1.0,
+  altitude: 0.005
+};
+
+/**
+ * Longest outline segment in radians; longer polygon edges are subdivided
+ * so they follow the curve of the globe
+ * @private
+ */
+const MAX_SEGMENT_ANGLE = (2 * Math.PI) / 180;
+
+/**
+ * Resolves a style option (object or function of the feature) against the defaults
+ * @private
+ */
+function resolveStyle(style, feature) {
+  const resolved = typeof style === 'function' ? style(feature) : style;
+  return { ...DEFAULT_STYLE, ...(resolved || {}) };
+}
+
+/**
+ * Layer of filled and outlined GeoJSON polygons attached to a globe
+ *
+ * @class PolygonLayer
+ *
+ * @example
+ * const polygons = new PolygonLayer({ radius: 100 });
+ * globeGroup.add(polygons.group);
+ * polygons.setDots(dotData.latLongs, spatialIndex);
+ * polygons.setFeatures(countries, feature => ({
+ *   fillColor: feature.properties.color,
+ *   outline: true
+ * }));
+ * refreshDotColors(polygons.takeChangedDots());
+ */
+export class PolygonLayer {
+  /**
+   * Creates a new polygon layer
+   * @param {Object} options - Layer options
+   * @param {number} options.radius - Globe surface radius in world units
+   */
+  constructor({ radius }) {
+    this.radius = radius;
+    this.group = new THREE.Group();
+    this.group.name = 'polygons';
+
+    // Map of id -> { id, feature, style, fillColor, polygons, dots, dotSet, outline }
+    this.features = new Map();
+
+    // Dots the features are matched against, and the feature each dot shows
+    this.latLongs = [];
+    this.spatialIndex = null;
+    this.owners = [];
+
+    // Dots whose fill changed since the last takeChangedDots()
+    this._changedDots = new Set();
+
+    this._nextId = 1;
+  }
+
+  /**
+   * Sets the dots features are matched against and re-matches every feature
+   *
+   * @param {Array<{lat: number, lon: number}>} latLongs - Dot coordinates
+   * @param {import('./SpatialIndex.js').SpatialIndex} spatialIndex - Index over the same dots
+   */
+  setDots(latLongs, spatialIndex) {
+    this.latLongs = latLongs;
+    this.spatialIndex = spatialIndex;
+    this.owners = new Array(latLongs.length).fill(null);
+    this._changedDots.clear();
+
+    // Later features are assigned last, so they win overlaps
+    this.features.forEach(entry => {
+      this._matchDots(entry);
+      if (entry.style.fill) {
+        entry.dots.forEach(index => {
+          this.owners[index] = entry;
+        });
+      }
+    });
+  }
+
+  /**
+   * Replaces all features with those of a GeoJSON object
+   *
+   * @param {Object} geojson - FeatureCollection, Feature or Polygon/MultiPolygon geometry
+   * @param {PolygonStyle|Function} [style] - Style, or a function (feature) => style
+   * @returns {Array<string>} Ids of the added features
+   */
+  setFeatures(geojson, style = {}) {
+    const features = getFeatures(geojson);
+    if (!features) {
+      console.warn('PolygonLayer: expected a GeoJSON FeatureCollection, Feature or geometry', geojson);
+      return [];
+    }
+
+    this.clear();
+    return features
+      .filter(feature => getPolygons(feature.geometry))
+      .map(feature => this.addFeature(feature, style))
+      .filter(id => id !== null);
+  }
+
+  /**
+   * Adds a feature on top of the others (replaces an existing feature with the same id)
+   *
+   * The id is the feature's own `id` when it has one.
+   *
+   * @param {Object} feature - GeoJSON Feature with Polygon or MultiPolygon geometry
+   * @param {PolygonStyle|Function} [style] - Style, or a function (feature) => style
+   * @returns {string|null} Feature id, or null if the feature has no valid polygons
+   */
+  addFeature(feature, style = {}) {
+    const coordinates = feature ? getPolygons(feature.geometry) : null;
+    const polygons = coordinates ? coordinates.map(preparePolygon).filter(Boolean) : [];
+    if (polygons.length === 0) {
+      console.warn('PolygonLayer: feature requires Polygon or MultiPolygon geometry', feature);
+      return null;
+    }
+
+    const id = feature.id !== undefined && feature.id !== null
+      ? String(feature.id)
+      : `polygon-${this._nextId++}`;
+    if (this.features.has(id)) {
+      this.removeFeature(id);
+    }
+
+    const entry = {
+      id,
+      feature,
+      style: null,
+      fillColor: null,
+      polygons,
+      dots: [],
+      dotSet: new Set(),
+      outline: null
+    };
+    this.features.set(id, entry);
+    this._applyStyle(entry, resolveStyle(style, feature));
+    this._matchDots(entry);
+    this._assignDots(entry.dots);
+
+    return id;
+  }
+
+  /**
+   * Changes a feature's style
+   *
+   * @param {string} id - Feature id
+   * @param {Partial<PolygonStyle>} changes - Style properties to change
+   * @returns {boolean} True if the feature exists and was updated
+   */
+  updateStyle(id, changes = {}) {
+    const entry = this.features.get(String(id));
+    if (!entry) {
+      console.warn('PolygonLayer: unknown feature id', id);
+      return false;
+    }
+
+    this._applyStyle(entry, { ...entry.style, ...changes });
+    this._assignDots(entry.dots);
+    return true;
+  }
+
+  /**
+   * Removes a feature
+   *
+   * @param {string} id - Feature id
+   * @returns {boolean} True if a feature was removed
+   */
+  removeFeature(id) {
+    const entry = this.features.get(String(id));
+    if (!entry) return false;
+
+    this._disposeOutline(entry);
+    this.features.delete(entry.id);
+    this._assignDots(entry.dots);
+
+    return true;
+  }
+
+  /**
+   * Removes all features
+   */
+  clear() {
+    this.features.forEach(entry => {
+      this._disposeOutline(entry);
+      entry.dots.forEach(index => this._changedDots.add(index));
+    });
+    this.features.clear();
+    this.owners.fill(null);
+  }
+
+  /**
+   * Gets a feature by id
+   *
+   * @param {string} id - Feature id
+   * @returns {{id: string, properties: Object, feature: Object, style: PolygonStyle, dotCount: number}|null}
+   */
+  getFeature(id) {
+    const entry = this.features.get(String(id));
+    return entry ? this._describe(entry) : null;
+  }
+
+  /**
+   * Gets all features, bottom to top
+   *
+   * @returns {Array<Object>} Feature descriptions (see getFeature)
+   */
+  getFeatures() {
+    return Array.from(this.features.values(), entry => this._describe(entry));
+  }
+
+  /**
+   * Finds the top-most feature containing a coordinate
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {Object|null} Feature description (see getFeature), or null
+   */
+  featureAt(lat, lon) {
+    const entries = Array.from(this.features.values());
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].polygons.some(polygon => pointInPolygon(lat, lon, polygon))) {
+        return this._describe(entries[i]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets the fill a dot shows
+   *
+   * @param {number} index - Dot index
+   * @returns {{color: THREE.Color, opacity: number, id: string}|null} Fill, or null if no
+   *          filled feature covers the dot
+   */
+  getDotFill(index) {
+    const entry = this.owners[index];
+    if (!entry) return null;
+    return { color: entry.fillColor, opacity: entry.style.fillOpacity, id: entry.id };
+  }
+
+  /**
+   * Gets the dots whose fill changed since the last call, and forgets them
+   *
+   * @returns {Array<number>} Dot indices
+   */
+  takeChangedDots() {
+    const indices = Array.from(this._changedDots);
+    this._changedDots.clear();
+    return indices;
+  }
+
+  /**
+   * Changes the globe surface radius and rebuilds the outlines
+   *
+   * @param {number} radius - New surface radius in world units
+   */
+  setRadius(radius) {
+    this.radius = radius;
+    this.features.forEach(entry => {
+      if (entry.outline) {
+        entry.outline.geometry.dispose();
+        entry.outline.geometry = this._createOutlineGeometry(entry);
+      }
+    });
+  }
+
+  /**
+   * Disposes all polygon resources
+   */
+  dispose() {
+    this.clear();
+    this._changedDots.clear();
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+  }
+
+  /**
+   * Stores a feature's style and creates, updates or removes its outline
+   * @private
+   */
+  _applyStyle(entry, style) {
+    const fillColor = parseColor(style.fillColor);
+    if (!fillColor) {
+      console.warn('PolygonLayer: invalid fill color, using default:', style.fillColor);
+      style.fillColor = DEFAULT_STYLE.fillColor;
+    }
+
+    const previous = entry.style;
+    entry.style = style;
+    entry.fillColor = fillColor || parseColor(DEFAULT_STYLE.fillColor);
+
+    if (!style.outline) {
+      this._disposeOutline(entry);
+      return;
+    }
+
+    if (!entry.outline) {
+      const material = new THREE.LineBasicMaterial({ transparent: true, depthWrite: false });
+      entry.outline = new THREE.LineSegments(this._createOutlineGeometry(entry), material);
+      entry.outline.name = `polygon-${entry.id}`;
+      this.group.add(entry.outline);
+    } else if (previous.altitude !== style.altitude) {
+      entry.outline.geometry.dispose();
+      entry.outline.geometry = this._createOutlineGeometry(entry);
+    }
+
+    const outlineColor = style.outlineColor !== undefined ? parseColor(style.outlineColor) : null;
+    entry.outline.material.color.copy(outlineColor || entry.fillColor);
+    entry.outline.material.opacity = style.outlineOpacity;
+  }
+
+  /**
+   * Finds the dots inside a feature
+   * @private
+   */
+  _matchDots(entry) {
+    entry.dotSet = new Set();
+    if (this.spatialIndex) {
+      entry.polygons.forEach(polygon => {
+        this.spatialIndex.inBounds(polygon.bounds).forEach(index => {
+          if (entry.dotSet.has(index)) return;
+          const { lat, lon } = this.latLongs[index];
+          if (pointInPolygon(lat, lon, polygon)) {
+            entry.dotSet.add(index);
+          }
+        });
+      });
+    }
+    entry.dots = Array.from(entry.dotSet);
+  }
+
+  /**
+   * Works out which feature the given dots show, recording the ones that changed
+   * @private
+   */
+  _assignDots(indices) {
+    const entries = Array.from(this.features.values()).reverse();
+
+    indices.forEach(index => {
+      const owner = entries.find(entry => entry.style.fill && entry.dotSet.has(index)) || null;
+      // A style change on the owner changes the dot even if the owner stays
+      this.owners[index] = owner;
+      this._changedDots.add(index);
+    });
+  }
+
+  /**
+   * Builds the outline geometry: every ring as great-circle segments
+   * @private
+   */
+  _createOutlineGeometry(entry) {
+    const height = this.radius * (1 + entry.style.altitude);
+    const positions = [];
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+
+    entry.polygons.forEach(polygon => {
+      polygon.rings.forEach(ring => {
+        const count = ring.length / 3;
+        for (let i = 0; i < count; i++) {
+          const j = (i + 1) % count;
+          start.fromArray(ring, i * 3);
+          end.fromArray(ring, j * 3);
+
+          const segments = Math.max(1, Math.ceil(start.angleTo(end) / MAX_SEGMENT_ANGLE));
+          const points = greatCircleArc(start, end, segments);
+          for (let s = 1; s <= segments; s++) {
+            const previous = points[s - 1];
+            const point = points[s];
+            positions.push(
+              previous.x * height, previous.y * height, previous.z * height,
+              point.x * height, point.y * height, point.z * height
+            );
+          }
+        }
+      });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+  }
+
+  /**
+   * Removes a feature's outline
+   * @private
+   */
+  _disposeOutline(entry) {
+    if (!entry.outline) return;
+    this.group.remove(entry.outline);
+    entry.outline.geometry.dispose();
+    entry.outline.material.dispose();
+    entry.outline = null;
+  }
+
+  /**
+   * Public description of a feature
+   * @private
+   */
+  _describe(entry) {
+    return {
+      id: entry.id,
+      properties: entry.feature.properties || {},
+      feature: entry.feature,
+      style: { ...entry.style },
+      dotCount: entry.dots.length
+    };
+  }
+}
+
+/**
+ * Default export
+ */
+export default PolygonLayer;
@@ -0,0 +1,194 @@
+/**
+ * QualityController.js
+ *
+ * Decides when to lower or raise rendering quality from measured frame
+ * times. Frame times are averaged over one-second windows; quality steps
+ * down as soon as a window falls clearly below the target frame rate, and
+ * steps back up only after several windows at the target. An upgrade that
+ * immediately has to be undone doubles the wait before the next attempt, so
+ * quality settles instead of flip-flopping.
+ *
+ * The controller only picks a level; applying it is up to the owner.
+ *
+ * @module QualityController
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Quality level settings
+ * @typedef {Object} QualityLevel
+ * @property {string} name - Level name
+ * @property {number} pixelRatio - Multiplier on the device pixel ratio
+ * @property {boolean} antialias - Allow antialiasing (only with the qualityAntialias option,
+ *           since turning it off needs a new WebGL context)
+ * @property {number} dotDensity - Fraction of the dots drawn
+ * @property {boolean} effects - Render the atmosphere halo (when enabled in the options)
+ */
+
+/**
+ * Built-in quality levels, from best to cheapest. Resolution and effects go
+ * first, then dots; antialiasing is only given up at the last level.
+ */
+export const QUALITY_LEVELS = [
+  { name: 'high', pixelRatio: 1, antialias: true, dotDensity: 1, effects: true },
+  { name: 'medium', pixelRatio: 0.75, antialias: true, dotDensity: 1, effects: false },
+  { name: 'low', pixelRatio: 0.5, antialias: true, dotDensity: 0.6, effects: false },
+  { name: 'minimal', pixelRatio: 0.5, antialias: false, dotDensity: 0.35, effects: false }
+];
+
+/**
+ * Length of a measurement window in milliseconds of frame time
+ * @private
+ */
+const WINDOW_MS = 1000;
+
+/**
+ * Frame gaps longer than this are pauses (hidden tab, idle render loop), not slow frames
+ * @private
+ */
+const MAX_FRAME_MS = 250;
+
+/**
+ * Quality drops when a window runs below this fraction of the target frame rate
+ * @private
+ */
+const DOWNGRADE_RATIO = 0.8;
+
+/**
+ * A window counts towards an upgrade at or above this fraction of the target
+ * @private
+ */
+const UPGRADE_RATIO = 0.95;
+
+/**
+ * Good windows needed before the first upgrade attempt, and the most ever needed
+ * @private
+ */
+const UPGRADE_WINDOWS = 5;
+const MAX_UPGRADE_WINDOWS = 60;
+
+/**
+ * A downgrade within this many windows of an upgrade means the upgrade failed
+ * @private
+ */
+const FAILED_UPGRADE_WINDOWS = 3;
+
+/**
+ * Chooses a quality level from measured frame times
+ *
+ * @class QualityController
+ *
+ * @example
+ * const quality = new QualityController({ targetFps: 60 });
+ * // Each frame
+ * const change = quality.sample(frameTime);
+ * if (change) applyLevel(quality.levels[change.level]);
+ */
+export class QualityController {
+  /**
+   * Creates a new controller
+   * @param {Object} [options] - Controller options
+   * @param {Array<QualityLevel>} [options.levels=QUALITY_LEVELS] - Levels from best to cheapest
+   * @param {number} [options.targetFps=60] - Frame rate to aim for
+   * @param {number} [options.level=0] - Starting level index
+   */
+  constructor({ levels = QUALITY_LEVELS, targetFps = 60, level = 0 } = {}) {
+    this.levels = levels;
+    this.targetFps = targetFps;
+    this.level = Math.max(0, Math.min(levels.length - 1, level));
+
+    // Frame rate of the last complete window
+    this.fps = null;
+
+    this._upgradeWindows = UPGRADE_WINDOWS;
+    this._windowsSinceUpgrade = Infinity;
+    this.reset();
+  }
+
+  /**
+   * Records one frame time
+   *
+   * @param {number} frameTime - Time since the previous frame in milliseconds
+   * @returns {{level: number, previous: number, reason: string, fps: number}|null}
+   *          The level change this frame caused ('down' or 'up'), if any
+   */
+  sample(frameTime) {
+    if (!(frameTime > 0) || frameTime > MAX_FRAME_MS) return null;
+
+    this._total += frameTime;
+    this._count++;
+    if (this._total < WINDOW_MS) return null;
+
+    const fps = (this._count * 1000) / this._total;
+    this._total = 0;
+    this._count = 0;
+    this.fps = fps;
+    this._windowsSinceUpgrade++;
+
+    // Let the frame rate settle after a change before judging it
+    if (this._cooldown > 0) {
+      this._cooldown--;
+      return null;
+    }
+
+    if (fps < this.targetFps * DOWNGRADE_RATIO) {
+      this._goodWindows = 0;
+      if (this.level >= this.levels.length - 1) return null;
+
+      if (this._windowsSinceUpgrade <= FAILED_UPGRADE_WINDOWS) {
+        this._upgradeWindows = Math.min(this._upgradeWindows * 2, MAX_UPGRADE_WINDOWS);
+      }
+      return this._change(this.level + 1, 'down', fps);
+    }
+
+    if (fps >= this.targetFps * UPGRADE_RATIO) {
+      this._goodWindows++;
+      if (this.level > 0 && this._goodWindows >= this._upgradeWindows) {
+        this._windowsSinceUpgrade = 0;
+        return this._change(this.level - 1, 'up', fps);
+      }
+    } else {
+      this._goodWindows = 0;
+    }
+
+    return null;
+  }
+
+  /**
+   * Moves to a level without waiting for measurements
+   *
+   * @param {number} level - Level index
+   */
+  setLevel(level) {
+    this.level = Math.max(0, Math.min(this.levels.length - 1, level));
+    this.reset();
+  }
+
+  /**
+   * Discards the current measurements (e.g. after the loop was paused)
+   */
+  reset() {
+    this._total = 0;
+    this._count = 0;
+    this._goodWindows = 0;
+    this._cooldown = 1;
+  }
+
+  /**
+   * Switches level and starts settling
+   * @private
+   */
+  _change(level, reason, fps) {
+    const previous = this.level;
+    this.level = level;
+    this._goodWindows = 0;
+    this._cooldown = 1;
+    return { level, previous, reason, fps };
+  }
+}
+
+/**
+ * Default export
+ */
+export default QualityController;
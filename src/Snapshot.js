@@ -0,0 +1,133 @@
+/**
+ * Snapshot.js
+ *
+ * Renders a scene offscreen into a 2D canvas at any resolution, independent
+ * of the size of the on-screen canvas. Images larger than the GPU's maximum
+ * render target are rendered as tiles (via PerspectiveCamera.setViewOffset)
+ * and stitched together, so the only size limit is the browser's canvas limit.
+ *
+ * @module Snapshot
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Largest tile rendered in one pass, in pixels per side
+ * @private
+ */
+const MAX_TILE_SIZE = 4096;
+
+/**
+ * Largest image side supported by browsers' 2D canvases, in pixels
+ */
+export const MAX_SNAPSHOT_SIZE = 16384;
+
+/**
+ * Snapshot input
+ * @typedef {Object} SnapshotRequest
+ * @property {THREE.WebGLRenderer} renderer - Renderer to draw with
+ * @property {THREE.Scene} scene - Scene to draw
+ * @property {THREE.PerspectiveCamera} camera - Camera to draw from (not modified)
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {boolean} [transparent=false] - Keep transparent pixels (otherwise
+ *           the clear colour is opaque)
+ * @property {number} [samples=0] - MSAA samples per pixel (WebGL 2 only)
+ */
+
+/**
+ * Converts premultiplied RGBA pixels to the straight alpha canvases expect
+ * @private
+ */
+function unpremultiply(pixels) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = pixels[i + 3];
+    if (alpha > 0 && alpha < 255) {
+      const scale = 255 / alpha;
+      pixels[i] = Math.min(255, Math.round(pixels[i] * scale));
+      pixels[i + 1] = Math.min(255, Math.round(pixels[i + 1] * scale));
+      pixels[i + 2] = Math.min(255, Math.round(pixels[i + 2] * scale));
+    }
+  }
+}
+
+/**
+ * Renders a scene into a new 2D canvas
+ *
+ * The renderer's render target and clear colour are restored afterwards, so
+ * this can run between regular frames.
+ *
+ * @param {SnapshotRequest} request - What to render and at which size
+ * @returns {HTMLCanvasElement} Canvas holding the image
+ *
+ * @example
+ * const canvas = renderSnapshot({ renderer, scene, camera, width: 3840, height: 2160 });
+ * canvas.toBlob(blob => download(blob), 'image/png');
+ */
+export function renderSnapshot({ renderer, scene, camera, width, height, transparent = false, samples = 0 }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  // Render from a copy so the live camera's projection is untouched
+  const snapshotCamera = camera.clone();
+  snapshotCamera.aspect = width / height;
+
+  const tileSize = Math.min(MAX_TILE_SIZE, renderer.capabilities.maxTextureSize);
+  const target = new THREE.WebGLRenderTarget(Math.min(width, tileSize), Math.min(height, tileSize), {
+    samples: renderer.capabilities.isWebGL2 ? samples : 0
+  });
+  target.texture.encoding = renderer.outputEncoding;
+
+  const previousTarget = renderer.getRenderTarget();
+  const previousClearColor = renderer.getClearColor(new THREE.Color());
+  const previousClearAlpha = renderer.getClearAlpha();
+
+  renderer.setClearColor(previousClearColor, transparent ? 0 : 1);
+
+  try {
+    for (let y = 0; y < height; y += tileSize) {
+      for (let x = 0; x < width; x += tileSize) {
+        const tileWidth = Math.min(tileSize, width - x);
+        const tileHeight = Math.min(tileSize, height - y);
+
+        target.setSize(tileWidth, tileHeight);
+        snapshotCamera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+        snapshotCamera.updateProjectionMatrix();
+
+        renderer.setRenderTarget(target);
+        renderer.render(scene, snapshotCamera);
+
+        const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+        renderer.readRenderTargetPixels(target, 0, 0, tileWidth, tileHeight, pixels);
+
+        if (transparent) {
+          unpremultiply(pixels);
+        }
+
+        // WebGL rows run bottom to top; canvas rows run top to bottom
+        const image = context.createImageData(tileWidth, tileHeight);
+        const rowBytes = tileWidth * 4;
+        for (let row = 0; row < tileHeight; row++) {
+          const source = (tileHeight - 1 - row) * rowBytes;
+          image.data.set(pixels.subarray(source, source + rowBytes), row * rowBytes);
+        }
+        context.putImageData(image, x, y);
+      }
+    }
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    target.dispose();
+  }
+
+  return canvas;
+}
+
+/**
+ * Default export
+ */
+export default renderSnapshot;
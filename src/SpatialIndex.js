@@ -0,0 +1,363 @@
+/**
+ * SpatialIndex.js
+ *
+ * Spatial index for fast lookups of dots by geographic coordinate.
+ * Points are stored as unit vectors in a static 3D k-d tree. Because the
+ * straight-line (chord) distance between two unit vectors grows monotonically
+ * with their great-circle distance, nearest-neighbour and radius queries in
+ * 3D are exact on the sphere, with no special cases at the poles or the
+ * antimeridian.
+ *
+ * Performance:
+ * - Build: O(n log n)
+ * - Nearest neighbour: ~O(log n)
+ * - Radius / bounds queries: ~O(log n + k) for k results
+ *
+ * @module SpatialIndex
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+import { latLonToCartesian, EARTH_RADIUS_KM } from './utils/coordinates.js';
+
+/**
+ * Geographic bounding box
+ * @typedef {Object} GeoBounds
+ * @property {number} north - Northern latitude limit in degrees
+ * @property {number} south - Southern latitude limit in degrees
+ * @property {number} east - Eastern longitude limit in degrees
+ * @property {number} west - Western longitude limit in degrees
+ *                          (west > east means the box crosses the antimeridian)
+ */
+
+/**
+ * Converts an angular distance to the squared chord length on the unit sphere
+ * @private
+ */
+function angleToChordSq(angle) {
+  const clamped = Math.min(Math.max(angle, 0), Math.PI);
+  return 2 - 2 * Math.cos(clamped);
+}
+
+/**
+ * Normalizes a bounding box given as an object or GeoJSON-style array
+ * @private
+ * @param {GeoBounds|Array<number>} bounds - Bounds object or [west, south, east, north]
+ * @returns {GeoBounds|null}
+ */
+function normalizeBounds(bounds) {
+  if (Array.isArray(bounds) && bounds.length === 4) {
+    const [west, south, east, north] = bounds;
+    return { north, south, east, west };
+  }
+
+  if (bounds && ['north', 'south', 'east', 'west'].every(key => typeof bounds[key] === 'number')) {
+    return bounds;
+  }
+
+  return null;
+}
+
+/**
+ * Static k-d tree over points on the unit sphere
+ *
+ * @class SpatialIndex
+ *
+ * @example
+ * const index = SpatialIndex.fromLatLongs(globe.dotData.latLongs);
+ * const nearest = index.nearest(40.7128, -74.0060);
+ * const nearby = index.withinRadius(40.7128, -74.0060, 500); // km
+ */
+export class SpatialIndex {
+  /**
+   * Builds an index over unit vectors
+   *
+   * @param {Float32Array} vectors - Flat array of unit vectors [x1, y1, z1, x2, ...]
+   * @param {Float32Array} [latLons] - Flat array of [lat1, lon1, lat2, ...] for bounds queries
+   */
+  constructor(vectors, latLons = null) {
+    this.vectors = vectors;
+    this.latLons = latLons;
+    this.size = vectors.length / 3;
+
+    // Tree is stored implicitly: the median of each range is its node
+    this.order = new Uint32Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      this.order[i] = i;
+    }
+
+    this._build(0, this.size, 0);
+  }
+
+  /**
+   * Builds an index from an array of {lat, lon} coordinates
+   *
+   * @param {Array<{lat: number, lon: number}>} latLongs - Coordinates in degrees
+   * @returns {SpatialIndex}
+   */
+  static fromLatLongs(latLongs) {
+    const vectors = new Float32Array(latLongs.length * 3);
+    const latLons = new Float32Array(latLongs.length * 2);
+
+    latLongs.forEach((coord, i) => {
+      const { x, y, z } = latLonToCartesian(coord.lat, coord.lon, 1);
+      vectors[i * 3] = x;
+      vectors[i * 3 + 1] = y;
+      vectors[i * 3 + 2] = z;
+      latLons[i * 2] = coord.lat;
+      latLons[i * 2 + 1] = coord.lon;
+    });
+
+    return new SpatialIndex(vectors, latLons);
+  }
+
+  /**
+   * Finds the point closest to a coordinate (great-circle distance)
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {number} Point index, or -1 if the index is empty
+   */
+  nearest(lat, lon) {
+    if (this.size === 0) return -1;
+
+    const { x, y, z } = latLonToCartesian(lat, lon, 1);
+    const best = { index: -1, distSq: Infinity };
+    this._nearest(0, this.size, 0, x, y, z, best);
+
+    return best.index;
+  }
+
+  /**
+   * Finds all points within an angular distance of a coordinate
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} angle - Angular radius in radians
+   * @returns {Array<number>} Point indices (unordered)
+   */
+  withinAngle(lat, lon, angle) {
+    const results = [];
+    if (this.size === 0 || !(angle >= 0)) return results;
+
+    const { x, y, z } = latLonToCartesian(lat, lon, 1);
+    this._within(0, this.size, 0, x, y, z, angleToChordSq(angle), results);
+
+    return results;
+  }
+
+  /**
+   * Finds all points within a surface distance of a coordinate
+   *
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} km - Radius in kilometres
+   * @param {number} [planetRadiusKm=EARTH_RADIUS_KM] - Planet radius in kilometres
+   * @returns {Array<number>} Point indices (unordered)
+   */
+  withinRadius(lat, lon, km, planetRadiusKm = EARTH_RADIUS_KM) {
+    return this.withinAngle(lat, lon, km / planetRadiusKm);
+  }
+
+  /**
+   * Finds all points inside a latitude/longitude bounding box
+   *
+   * Boxes whose west edge is greater than their east edge wrap across the
+   * antimeridian.
+   *
+   * @param {GeoBounds|Array<number>} bounds - Bounds object or [west, south, east, north]
+   * @returns {Array<number>} Point indices (unordered)
+   */
+  inBounds(bounds) {
+    const box = normalizeBounds(bounds);
+    if (!box) {
+      console.warn('SpatialIndex: invalid bounds', bounds);
+      return [];
+    }
+
+    const results = [];
+    if (this.size === 0) return results;
+
+    // A latitude band is a slab along the y axis of the unit sphere
+    const toRad = Math.PI / 180;
+    const min = [-1, Math.sin(Math.max(-90, box.south) * toRad), -1];
+    const max = [1, Math.sin(Math.min(90, box.north) * toRad), 1];
+
+    const candidates = [];
+    this._inBox(0, this.size, 0, min, max, candidates);
+
+    const wraps = box.west > box.east;
+    candidates.forEach(index => {
+      const lon = this._lonOf(index);
+      const inside = wraps
+        ? lon >= box.west || lon <= box.east
+        : lon >= box.west && lon <= box.east;
+      if (inside) {
+        results.push(index);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Gets the longitude of a point
+   * @private
+   */
+  _lonOf(index) {
+    if (this.latLons) {
+      return this.latLons[index * 2 + 1];
+    }
+    const x = this.vectors[index * 3];
+    const z = this.vectors[index * 3 + 2];
+    return Math.atan2(x, z) * (180 / Math.PI);
+  }
+
+  /**
+   * Recursively partitions a range around its median on the given axis
+   * @private
+   */
+  _build(lo, hi, axis) {
+    if (hi - lo <= 1) return;
+
+    const mid = (lo + hi) >> 1;
+    this._select(lo, hi - 1, mid, axis);
+
+    const nextAxis = (axis + 1) % 3;
+    this._build(lo, mid, nextAxis);
+    this._build(mid + 1, hi, nextAxis);
+  }
+
+  /**
+   * Quickselect: places the k-th smallest element (by axis) at position k
+   * @private
+   */
+  _select(left, right, k, axis) {
+    const order = this.order;
+    const vectors = this.vectors;
+
+    while (right > left) {
+      const pivot = vectors[order[k] * 3 + axis];
+
+      // Move pivot to the end
+      let tmp = order[k]; order[k] = order[right]; order[right] = tmp;
+
+      let store = left;
+      for (let i = left; i < right; i++) {
+        if (vectors[order[i] * 3 + axis] < pivot) {
+          tmp = order[store]; order[store] = order[i]; order[i] = tmp;
+          store++;
+        }
+      }
+      tmp = order[right]; order[right] = order[store]; order[store] = tmp;
+
+      if (store === k) return;
+      if (store < k) {
+        left = store + 1;
+      } else {
+        right = store - 1;
+      }
+    }
+  }
+
+  /**
+   * Squared distance from a query vector to a point
+   * @private
+   */
+  _distSq(index, x, y, z) {
+    const o = index * 3;
+    const dx = this.vectors[o] - x;
+    const dy = this.vectors[o + 1] - y;
+    const dz = this.vectors[o + 2] - z;
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  /**
+   * Recursive nearest-neighbour search
+   * @private
+   */
+  _nearest(lo, hi, axis, x, y, z, best) {
+    if (hi <= lo) return;
+
+    const mid = (lo + hi) >> 1;
+    const index = this.order[mid];
+
+    const distSq = this._distSq(index, x, y, z);
+    if (distSq < best.distSq) {
+      best.distSq = distSq;
+      best.index = index;
+    }
+
+    const diff = (axis === 0 ? x : axis === 1 ? y : z) - this.vectors[index * 3 + axis];
+    const nextAxis = (axis + 1) % 3;
+
+    // Search the side containing the query first, then the other if it can still win
+    if (diff < 0) {
+      this._nearest(lo, mid, nextAxis, x, y, z, best);
+      if (diff * diff < best.distSq) this._nearest(mid + 1, hi, nextAxis, x, y, z, best);
+    } else {
+      this._nearest(mid + 1, hi, nextAxis, x, y, z, best);
+      if (diff * diff < best.distSq) this._nearest(lo, mid, nextAxis, x, y, z, best);
+    }
+  }
+
+  /**
+   * Recursive radius search
+   * @private
+   */
+  _within(lo, hi, axis, x, y, z, maxDistSq, results) {
+    if (hi <= lo) return;
+
+    const mid = (lo + hi) >> 1;
+    const index = this.order[mid];
+
+    if (this._distSq(index, x, y, z) <= maxDistSq) {
+      results.push(index);
+    }
+
+    const diff = (axis === 0 ? x : axis === 1 ? y : z) - this.vectors[index * 3 + axis];
+    const nextAxis = (axis + 1) % 3;
+
+    if (diff <= 0 || diff * diff <= maxDistSq) {
+      this._within(lo, mid, nextAxis, x, y, z, maxDistSq, results);
+    }
+    if (diff >= 0 || diff * diff <= maxDistSq) {
+      this._within(mid + 1, hi, nextAxis, x, y, z, maxDistSq, results);
+    }
+  }
+
+  /**
+   * Recursive axis-aligned box search
+   * @private
+   */
+  _inBox(lo, hi, axis, min, max, results) {
+    if (hi <= lo) return;
+
+    const mid = (lo + hi) >> 1;
+    const index = this.order[mid];
+    const o = index * 3;
+
+    if (
+      this.vectors[o] >= min[0] && this.vectors[o] <= max[0] &&
+      this.vectors[o + 1] >= min[1] && this.vectors[o + 1] <= max[1] &&
+      this.vectors[o + 2] >= min[2] && this.vectors[o + 2] <= max[2]
+    ) {
+      results.push(index);
+    }
+
+    const value = this.vectors[o + axis];
+    const nextAxis = (axis + 1) % 3;
+
+    if (min[axis] <= value) {
+      this._inBox(lo, mid, nextAxis, min, max, results);
+    }
+    if (max[axis] >= value) {
+      this._inBox(mid + 1, hi, nextAxis, min, max, results);
+    }
+  }
+}
+
+/**
+ * Default export
+ */
+export default SpatialIndex;
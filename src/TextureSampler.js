@@ -4,6 +4,8 @@
  * Handles loading Earth textures and sampling pixel data for continent masking.
  * This module provides functionality to determine whether a given 3D position
  * on a sphere corresponds to land or ocean by sampling a grayscale texture.
+ * Classified masks, where distinct grey levels or RGB colours mark classes
+ * such as land, ice or desert, are sampled with getClassAtLatLong.
  *
  * @module TextureSampler
  * @author Interactive Globe Development Team
@@ -11,6 +13,8 @@
  */
 
 import * as THREE from 'three';
+import { parseColor } from './utils/colors.js';
+import { maskPixelOffset, nearestMaskClass } from './DotPipeline.js';
 
 /**
  * Texture data structure containing pixel information and metadata
@@ -20,12 +24,32 @@ import * as THREE from 'three';
  * @property {number} height - Texture height in pixels
  * @property {HTMLCanvasElement} canvas - Canvas element used for pixel extraction
  * @property {THREE.Texture} texture - Three.js texture object
+ * @property {Array<ResolvedMaskClass>|null} classes - Mask classes (see TextureLoadOptions)
+ */
+
+/**
+ * Class of a classified mask
+ * @typedef {Object} MaskClass
+ * @property {string} name - Class name, e.g. 'ice'
+ * @property {number|string|Array<number>} key - Grey level (0-255) of the class's pixels, or
+ *           their RGB colour as a color string ('#D2B48C') or [r, g, b] array (0-255)
+ */
+
+/**
+ * Mask class with its key as RGB channels
+ * @typedef {Object} ResolvedMaskClass
+ * @property {string} name - Class name
+ * @property {number} r - Red channel of the key (0-255)
+ * @property {number} g - Green channel of the key (0-255)
+ * @property {number} b - Blue channel of the key (0-255)
  */
 
 /**
  * Configuration options for texture loading
  * @typedef {Object} TextureLoadOptions
  * @property {number} [brightnessThreshold=128] - Threshold for land detection (0-255)
+ * @property {Array<MaskClass>} [classes] - Classes of a classified mask; pixels belong to
+ *           the class with the closest key
  * @property {boolean} [enableLogging=false] - Enable console logging for debugging
  * @property {Function} [onProgress] - Progress callback function (loaded, total)
  */
@@ -36,10 +60,17 @@ import * as THREE from 'three';
  */
 const DEFAULT_OPTIONS = {
   brightnessThreshold: 128,
+  classes: null,
   enableLogging: false,
   onProgress: null
 };
 
+/**
+ * Most classes a mask can have, so class indices fit in a byte
+ * @private
+ */
+const MAX_MASK_CLASSES = 255;
+
 /**
  * Loads an Earth texture and extracts pixel data for sampling.
  * Uses Three.js TextureLoader to load the texture and Canvas API to extract pixel data.
@@ -97,7 +128,8 @@ export async function loadEarthTexture(texturePath, options = {}) {
             height: imageData.height,
             canvas: imageData.canvas,
             texture: texture,
-            brightnessThreshold: config.brightnessThreshold
+            brightnessThreshold: config.brightnessThreshold,
+            classes: config.classes ? resolveMaskClasses(config.classes) : null
           };
 
           if (config.enableLogging) {
@@ -124,6 +156,20 @@ export async function loadEarthTexture(texturePath, options = {}) {
   });
 }
 
+/**
+ * Gets the land brightness threshold of texture data.
+ * A threshold of 0 is valid (every non-black pixel is land).
+ *
+ * @private
+ * @param {TextureData} textureData - Loaded texture data
+ * @returns {number} Threshold (0-255)
+ */
+function getThreshold(textureData) {
+  return typeof textureData.brightnessThreshold === 'number'
+    ? textureData.brightnessThreshold
+    : DEFAULT_OPTIONS.brightnessThreshold;
+}
+
 /**
  * Extracts pixel data from a loaded image using Canvas API.
  * Converts the image to a canvas and uses getImageData() to access raw pixels.
@@ -207,7 +253,7 @@ export function isLandAtPosition(x, y, z, radius, textureData) {
   const brightness = samplePixelAtUV(u, v, textureData);
 
   // Determine if land based on brightness threshold
-  const threshold = textureData.brightnessThreshold || DEFAULT_OPTIONS.brightnessThreshold;
+  const threshold = getThreshold(textureData);
   return brightness > threshold;
 }
 
@@ -404,10 +450,112 @@ export function getBrightnessAtLatLong(lat, lon, textureData) {
  */
 export function isLandAtLatLong(lat, lon, textureData) {
   const brightness = getBrightnessAtLatLong(lat, lon, textureData);
-  const threshold = textureData.brightnessThreshold || DEFAULT_OPTIONS.brightnessThreshold;
+  const threshold = getThreshold(textureData);
   return brightness > threshold;
 }
 
+/**
+ * Validates mask classes and converts their keys to RGB channels.
+ * Grey levels become equal channels, so grey and colour keys can be mixed.
+ *
+ * @param {Array<MaskClass>} classes - Class definitions
+ * @returns {Array<ResolvedMaskClass>|null} Resolved classes in the same order, or null
+ *          if any class is invalid
+ *
+ * @example
+ * const classes = resolveMaskClasses([
+ *   { name: 'ocean', key: 0 },
+ *   { name: 'land', key: 255 },
+ *   { name: 'desert', key: '#D2B48C' }
+ * ]);
+ * // [{ name: 'ocean', r: 0, g: 0, b: 0 }, { name: 'land', r: 255, ... }, ...]
+ */
+export function resolveMaskClasses(classes) {
+  if (!Array.isArray(classes) || classes.length === 0 || classes.length > MAX_MASK_CLASSES) {
+    console.warn(`TextureSampler: mask classes must be an array of 1 to ${MAX_MASK_CLASSES} classes`, classes);
+    return null;
+  }
+
+  const resolved = [];
+  for (const maskClass of classes) {
+    const key = maskClass ? maskClass.key : undefined;
+    let rgb = null;
+
+    if (typeof key === 'number' && key >= 0 && key <= 255) {
+      rgb = [key, key, key];
+    } else if (Array.isArray(key) && key.length === 3 && key.every(c => typeof c === 'number')) {
+      rgb = key;
+    } else if (typeof key === 'string') {
+      const color = parseColor(key);
+      if (color) rgb = [color.r * 255, color.g * 255, color.b * 255];
+    }
+
+    if (!rgb || typeof maskClass.name !== 'string') {
+      console.warn('TextureSampler: invalid mask class, expected {name, key}', maskClass);
+      return null;
+    }
+
+    resolved.push({
+      name: maskClass.name,
+      r: Math.round(rgb[0]),
+      g: Math.round(rgb[1]),
+      b: Math.round(rgb[2])
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Gets the mask class of the pixel at given UV coordinates.
+ * The pixel belongs to the class whose key is closest to its colour, so
+ * smoothing and compression artefacts between classes still classify.
+ * Uses the same classifier as the dot pipeline, so it always agrees with
+ * the class of the globe's dots.
+ *
+ * @param {number} u - Horizontal texture coordinate (0-1)
+ * @param {number} v - Vertical texture coordinate (0-1)
+ * @param {TextureData} textureData - Texture data loaded with classes
+ * @returns {number} Index into textureData.classes, or -1 if the texture has no classes
+ *
+ * @example
+ * const index = getClassIndexAtUV(0.5, 0.1, textureData);
+ * console.log(textureData.classes[index].name);
+ */
+export function getClassIndexAtUV(u, v, textureData) {
+  if (!textureData || !textureData.data || !textureData.classes) {
+    return -1;
+  }
+
+  const offset = maskPixelOffset(u, v, textureData.width, textureData.height);
+  return nearestMaskClass(textureData.data, offset, textureData.classes);
+}
+
+/**
+ * Gets the mask class at a lat/long coordinate.
+ * Convenience function combining coordinate conversion and classification.
+ *
+ * @param {number} lat - Latitude in degrees (-90 to 90)
+ * @param {number} lon - Longitude in degrees (-180 to 180)
+ * @param {TextureData} textureData - Texture data loaded with classes
+ * @returns {string|null} Class name, or null if the texture has no classes
+ *
+ * @example
+ * const textureData = await loadEarthTexture('/assets/textures/land-cover.png', {
+ *   classes: [
+ *     { name: 'ocean', key: 0 },
+ *     { name: 'land', key: 128 },
+ *     { name: 'ice', key: 255 }
+ *   ]
+ * });
+ * getClassAtLatLong(-80, 0, textureData); // 'ice'
+ */
+export function getClassAtLatLong(lat, lon, textureData) {
+  const { u, v } = latLongToUV(lat, lon);
+  const index = getClassIndexAtUV(u, v, textureData);
+  return index === -1 ? null : textureData.classes[index].name;
+}
+
 /**
  * Disposes of texture resources to free memory.
  * Should be called when texture data is no longer needed.
@@ -461,7 +609,7 @@ export function getTextureDebugInfo(textureData) {
   let oceanPixels = 0;
 
   // Sample threshold
-  const threshold = textureData.brightnessThreshold || DEFAULT_OPTIONS.brightnessThreshold;
+  const threshold = getThreshold(textureData);
 
   // Count land and ocean pixels (sample every 10th pixel for performance)
   for (let i = 0; i < textureData.data.length; i += 40) { // 40 = 4 channels * 10 pixels
@@ -508,6 +656,9 @@ export default {
   batchCheckLand,
   getBrightnessAtLatLong,
   isLandAtLatLong,
+  resolveMaskClasses,
+  getClassIndexAtUV,
+  getClassAtLatLong,
   disposeTextureData,
   getTextureDebugInfo
 };
@@ -0,0 +1,310 @@
+/**
+ * WebMWriter.js
+ *
+ * Minimal WebM muxer for video encoded with WebCodecs. It wraps VP8/VP9
+ * chunks from a VideoEncoder into a single-track WebM file with exact
+ * timestamps, so a recording plays back at its nominal frame rate however
+ * long each frame took to render.
+ *
+ * The file is assembled in memory: one cluster per keyframe, plus cues so
+ * players can seek.
+ *
+ * @module WebMWriter
+ * @author Interactive Globe Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Supported codecs: WebCodecs codec string and WebM codec id
+ */
+export const WEBM_CODECS = {
+  vp8: { codec: 'vp8', codecId: 'V_VP8' },
+  vp9: { codec: 'vp09.00.10.08', codecId: 'V_VP9' }
+};
+
+/**
+ * EBML element ids used by the writer
+ * @private
+ */
+const IDS = {
+  EBML: 0x1A45DFA3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42F7,
+  EBMLMaxIDLength: 0x42F2,
+  EBMLMaxSizeLength: 0x42F3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  MuxingApp: 0x4D80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackUID: 0x73C5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  DefaultDuration: 0x23E383,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3,
+  Cues: 0x1C53BB6B,
+  CuePoint: 0xBB,
+  CueTime: 0xB3,
+  CueTrackPositions: 0xB7,
+  CueTrack: 0xF7,
+  CueClusterPosition: 0xF1
+};
+
+/**
+ * Cluster timecodes are stored in milliseconds
+ * @private
+ */
+const TIMECODE_SCALE_NS = 1000000;
+
+/**
+ * Block timecodes are signed 16-bit offsets from their cluster
+ * @private
+ */
+const MAX_CLUSTER_SPAN_MS = 32767;
+
+/**
+ * Encodes an unsigned integer in as few big-endian bytes as possible
+ * @private
+ */
+function encodeUint(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Encodes an element size as an EBML variable-length integer
+ * @private
+ */
+function encodeSize(size) {
+  let length = 1;
+  while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+    length++;
+  }
+
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+
+  return bytes;
+}
+
+/**
+ * Joins byte arrays
+ * @private
+ */
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * Builds an EBML element
+ * @private
+ * @param {number} id - Element id
+ * @param {Uint8Array|Array<Uint8Array>|number|string} value - Payload, child
+ *        elements, unsigned integer or ASCII string
+ * @returns {Uint8Array}
+ */
+function element(id, value) {
+  let payload;
+  if (typeof value === 'number') {
+    payload = encodeUint(value);
+  } else if (typeof value === 'string') {
+    payload = Uint8Array.from(value, char => char.charCodeAt(0));
+  } else if (Array.isArray(value)) {
+    payload = concat(value);
+  } else {
+    payload = value;
+  }
+
+  return concat([encodeUint(id), encodeSize(payload.length), payload]);
+}
+
+/**
+ * Builds an EBML float element (64-bit)
+ * @private
+ */
+function floatElement(id, value) {
+  const payload = new Uint8Array(8);
+  new DataView(payload.buffer).setFloat64(0, value);
+  return element(id, payload);
+}
+
+/**
+ * Collects encoded video chunks and writes them as a WebM file
+ *
+ * @class WebMWriter
+ *
+ * @example
+ * const writer = new WebMWriter({ width: 1920, height: 1080, codec: 'vp9', frameRate: 60 });
+ * const encoder = new VideoEncoder({
+ *   output: (chunk) => writer.addChunk(chunk),
+ *   error: (error) => console.error(error)
+ * });
+ * // ... encode frames, then:
+ * await encoder.flush();
+ * const blob = writer.finalize();
+ */
+export class WebMWriter {
+  /**
+   * Creates a new writer
+   * @param {Object} options - Video options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {string} [options.codec='vp8'] - 'vp8' or 'vp9' (see WEBM_CODECS)
+   * @param {number} [options.frameRate] - Nominal frame rate
+   */
+  constructor({ width, height, codec = 'vp8', frameRate }) {
+    this.width = width;
+    this.height = height;
+    this.codecId = WEBM_CODECS[codec].codecId;
+    this.frameRate = frameRate;
+
+    // Completed clusters as { timecode, bytes }, plus the one being filled
+    this.clusters = [];
+    this._blocks = [];
+    this._clusterTimecode = 0;
+    this._duration = 0;
+  }
+
+  /**
+   * Adds an encoded chunk (chunks must arrive in presentation order)
+   *
+   * @param {EncodedVideoChunk} chunk - Chunk from a VideoEncoder
+   */
+  addChunk(chunk) {
+    const timecode = Math.round(chunk.timestamp / 1000);
+    const isKey = chunk.type === 'key';
+
+    // Start a cluster at every keyframe so each cluster can be seeked to
+    if (this._blocks.length > 0 && (isKey || timecode - this._clusterTimecode > MAX_CLUSTER_SPAN_MS)) {
+      this._closeCluster();
+    }
+    if (this._blocks.length === 0) {
+      this._clusterTimecode = timecode;
+    }
+
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+
+    // SimpleBlock header: track number, relative timecode, flags
+    const header = new Uint8Array(4);
+    const view = new DataView(header.buffer);
+    header[0] = 0x81;
+    view.setInt16(1, timecode - this._clusterTimecode);
+    header[3] = isKey ? 0x80 : 0x00;
+
+    this._blocks.push(element(IDS.SimpleBlock, concat([header, data])));
+    this._duration = Math.max(this._duration, (chunk.timestamp + (chunk.duration || 0)) / 1000);
+  }
+
+  /**
+   * Writes the file
+   *
+   * @returns {Blob} WebM video
+   */
+  finalize() {
+    if (this._blocks.length > 0) {
+      this._closeCluster();
+    }
+
+    const header = element(IDS.EBML, [
+      element(IDS.EBMLVersion, 1),
+      element(IDS.EBMLReadVersion, 1),
+      element(IDS.EBMLMaxIDLength, 4),
+      element(IDS.EBMLMaxSizeLength, 8),
+      element(IDS.DocType, 'webm'),
+      element(IDS.DocTypeVersion, 2),
+      element(IDS.DocTypeReadVersion, 2)
+    ]);
+
+    const info = element(IDS.Info, [
+      element(IDS.TimecodeScale, TIMECODE_SCALE_NS),
+      floatElement(IDS.Duration, this._duration),
+      element(IDS.MuxingApp, 'interactive-globe'),
+      element(IDS.WritingApp, 'interactive-globe')
+    ]);
+
+    const trackEntry = [
+      element(IDS.TrackNumber, 1),
+      element(IDS.TrackUID, 1),
+      element(IDS.TrackType, 1),
+      element(IDS.CodecID, this.codecId)
+    ];
+    if (this.frameRate) {
+      trackEntry.push(element(IDS.DefaultDuration, Math.round(1e9 / this.frameRate)));
+    }
+    trackEntry.push(element(IDS.Video, [
+      element(IDS.PixelWidth, this.width),
+      element(IDS.PixelHeight, this.height)
+    ]));
+    const tracks = element(IDS.Tracks, [element(IDS.TrackEntry, trackEntry)]);
+
+    // Cluster positions are relative to the start of the segment payload
+    let position = info.length + tracks.length;
+    const cuePoints = this.clusters.map(cluster => {
+      const cuePoint = element(IDS.CuePoint, [
+        element(IDS.CueTime, cluster.timecode),
+        element(IDS.CueTrackPositions, [
+          element(IDS.CueTrack, 1),
+          element(IDS.CueClusterPosition, position)
+        ])
+      ]);
+      position += cluster.bytes.length;
+      return cuePoint;
+    });
+    const cues = element(IDS.Cues, cuePoints);
+
+    const segment = element(IDS.Segment, [
+      info,
+      tracks,
+      ...this.clusters.map(cluster => cluster.bytes),
+      cues
+    ]);
+
+    return new Blob([header, segment], { type: 'video/webm' });
+  }
+
+  /**
+   * Wraps the pending blocks into a cluster
+   * @private
+   */
+  _closeCluster() {
+    this.clusters.push({
+      timecode: this._clusterTimecode,
+      bytes: element(IDS.Cluster, [element(IDS.Timecode, this._clusterTimecode), ...this._blocks])
+    });
+    this._blocks = [];
+  }
+}
+
+/**
+ * Default export
+ */
+export default WebMWriter;
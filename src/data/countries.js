@@ -0,0 +1,2141 @@
+/**
+ * Country boundaries for offline reverse geocoding
+ *
+ * Natural Earth 1:110m Admin 0 countries (public domain, naturalearthdata.com),
+ * via the world-atlas countries-110m TopoJSON. Coordinates are rounded to
+ * 0.01 degrees and long edges are subdivided to at most 1 degree, so the
+ * great-circle edges used by the polygon tests stay on the original lines.
+ *
+ * Codes are ISO 3166-1 alpha-2, alpha-3 and numeric; they are null for the
+ * few territories without an ISO code (Kosovo, Northern Cyprus, Somaliland).
+ *
+ * @module data/countries
+ */
+
+/**
+ * Countries as [name, iso2, iso3, isoNumeric, polygons]; each polygon is a
+ * list of rings, each ring a flat list of coordinates [lon1, lat1, lon2, lat2, ...]
+ * @private
+ */
+const COUNTRY_ROWS = [
+  ['Afghanistan', 'AF', 'AFG', '004',
+    [[[66.52,37.36,67.07,37.36,67.83,37.15,68.14,37.02,68.86,37.34,69.19,37.15,69.52,37.61,70.12,
+    37.59,70.27,37.73,70.38,38.14,70.81,38.49,71.35,38.26,71.24,37.95,71.54,37.91,71.45,37.07,
+    71.84,36.74,72.19,36.95,72.64,37.05,73.26,37.5,73.95,37.42,74.46,37.42,74.98,37.42,75.16,
+    37.13,74.58,37.02,74.07,36.84,73.49,36.78,72.92,36.72,72.38,36.62,71.85,36.51,71.26,36.07,
+    71.5,35.65,71.61,35.15,71.11,34.73,71.16,34.35,70.88,33.99,69.93,34.02,70.32,33.36,69.69,
+    33.11,69.26,32.5,69.32,31.9,68.93,31.62,68.56,31.71,67.79,31.58,67.68,31.3,66.94,31.3,66.38,
+    30.74,66.35,29.89,65.7,29.68,65.05,29.47,64.35,29.56,64.15,29.34,63.55,29.47,63.05,29.39,
+    62.55,29.32,61.71,29.57,60.87,29.83,61.78,30.74,61.7,31.38,60.94,31.55,60.86,32.18,60.54,
+    32.98,60.96,33.53,60.53,33.68,60.8,34.4,61.01,35.03,61.21,35.65,61.72,35.46,62.23,35.27,62.98,
+    35.4,63.19,35.86,63.98,36.01,64.55,36.31,64.74,37.11,65.59,37.3,65.75,37.66,66.22,37.39]]]],
+  ['Albania', 'AL', 'ALB', '008',
+    [[[21.02,40.84,21,40.58,20.67,40.44,20.62,40.11,20.15,39.63,19.98,39.69,19.96,39.91,19.41,
+    40.25,19.32,40.73,19.4,41.41,19.54,41.72,19.37,41.88,19.31,42.2,19.74,42.69,19.8,42.5,20.07,
+    42.59,20.28,42.32,20.52,42.22,20.59,41.86,20.46,41.52,20.6,41.09]]]],
+  ['Algeria', 'DZ', 'DZA', '012',
+    [[[-8.69,27.4,-8.66,27.59,-8.67,27.66,-8.67,28.25,-8.67,28.84,-7.87,29.21,-7.06,29.58,-6.06,
+    29.73,-5.24,30,-4.86,30.5,-4.28,30.7,-3.69,30.9,-3.65,31.64,-3.07,31.72,-2.62,32.09,-1.96,
+    32.18,-1.31,32.26,-1.13,32.65,-1.39,32.86,-1.56,33.39,-1.73,33.92,-1.79,34.53,-2.17,35.17,
+    -1.21,35.72,-0.67,35.8,-0.13,35.89,0.5,36.3,1.47,36.61,2.31,36.69,3.16,36.78,3.99,36.82,4.82,
+    36.86,5.32,36.72,6.26,37.11,6.8,37.11,7.33,37.12,7.74,36.89,8.42,36.95,8.22,36.43,8.38,35.48,
+    8.14,34.66,7.53,34.1,7.61,33.34,8.43,32.75,8.44,32.51,9.06,32.1,9.27,31.21,9.48,30.31,9.8,
+    29.42,9.86,28.96,9.68,28.14,9.76,27.69,9.63,27.14,9.71,26.51,9.32,26.09,9.91,25.37,9.95,24.94,
+    10.31,24.38,10.77,24.56,11.56,24.1,12,23.47,11.14,22.99,10.29,22.52,9.43,22.04,8.57,21.57,
+    7.61,20.91,6.64,20.26,5.68,19.6,4.97,19.38,4.27,19.16,3.71,19.11,3.16,19.06,3.15,19.69,2.68,
+    19.86,2.06,20.14,1.82,20.61,0.98,21.16,0.14,21.7,-0.71,22.25,-1.55,22.79,-2.39,23.34,-3.24,
+    23.88,-4.08,24.43,-4.92,24.97,-5.86,25.58,-6.8,26.19,-7.74,26.79]]]],
+  ['Angola', 'AO', 'AGO', '024',
+    [[[12.99,-4.78,12.63,-4.99,12.47,-5.25,12.44,-5.68,12.18,-5.79,11.91,-5.04,12.32,-4.61,12.62,
+    -4.44]],[[12.32,-6.1,12.74,-5.97,13.02,-5.98,13.38,-5.86,14.36,-5.87,15.34,-5.87,16.33,-5.88,
+    16.57,-6.62,16.86,-7.22,17.09,-7.54,17.47,-8.07,18.14,-7.99,18.46,-7.85,19.02,-7.99,19.17,
+    -7.74,19.42,-7.16,20.04,-7.12,20.09,-6.94,20.6,-6.94,20.51,-7.3,21.12,-7.3,21.73,-7.29,21.75,
+    -7.92,21.95,-8.31,21.8,-8.91,21.88,-9.52,22.21,-9.89,22.18,-10.49,22.16,-11.08,22.4,-10.99,
+    22.84,-11.02,23.46,-10.87,23.91,-10.93,24.02,-11.24,23.9,-11.72,24.08,-12.19,23.93,-12.57,
+    24.02,-12.91,23.32,-12.91,22.63,-12.9,21.93,-12.9,21.92,-13.69,21.91,-14.49,21.9,-15.28,21.89,
+    -16.08,22.56,-16.9,23.21,-17.52,22.3,-17.73,21.38,-17.93,20.57,-17.88,19.76,-17.84,18.96,
+    -17.79,18.26,-17.31,17.45,-17.32,16.64,-17.33,15.83,-17.34,15.02,-17.34,14.21,-17.35,14.06,
+    -17.42,13.46,-16.97,12.81,-16.94,12.22,-17.11,11.73,-17.3,11.64,-16.67,11.78,-15.79,12.12,
+    -14.88,12.18,-14.45,12.5,-13.55,12.74,-13.14,13.31,-12.48,13.64,-12.04,13.74,-11.3,13.69,
+    -10.73,13.39,-10.37,13.12,-9.77,12.88,-9.17,12.93,-8.96,13.24,-8.56,12.93,-7.6,12.73,-6.93,
+    12.23,-6.29]]]],
+  ['Antarctica', 'AQ', 'ATA', '010',
+    [[[-48.66,-78.05,-48.15,-78.05,-47.41,-77.94,-46.66,-77.83,-45.91,-77.94,-45.15,-78.05,-44.54,
+    -78.26,-43.92,-78.48,-43.49,-79.09,-43.37,-79.52,-43.33,-80.03,-44.11,-80.18,-44.88,-80.34,
+    -45.69,-80.47,-46.51,-80.59,-47.45,-80.71,-48.39,-80.83,-49.08,-80.89,-49.78,-80.96,-50.48,
+    -81.03,-51.27,-81.01,-52.06,-80.99,-52.85,-80.97,-53.51,-80.8,-54.16,-80.63,-53.99,-80.22,
+    -53.28,-80.13,-52.56,-80.04,-51.85,-79.95,-50.99,-79.61,-50.37,-79.18,-49.91,-78.81,-49.31,
+    -78.46]],[[-66.29,-80.26,-65.54,-80.27,-64.79,-80.28,-64.04,-80.29,-63.32,-80.33,-62.6,-80.36,
+    -61.88,-80.39,-61.14,-79.98,-60.61,-79.63,-60.09,-79.83,-59.57,-80.04,-59.87,-80.55,-60.16,
+    -81,-60.86,-80.95,-61.56,-80.91,-62.25,-80.86,-63,-80.88,-63.74,-80.9,-64.49,-80.92,-65.12,
+    -80.76,-65.74,-80.59,-65.74,-80.55]],[[-73.91,-71.27,-73.23,-71.15,-72.65,-71.17,-72.07,
+    -71.19,-71.78,-70.68,-71.72,-70.31,-71.74,-69.51,-71.17,-69.04,-70.25,-68.88,-69.72,-69.25,
+    -69.49,-69.62,-69.06,-70.07,-68.73,-70.5,-68.45,-70.96,-68.33,-71.41,-68.51,-71.8,-68.78,
+    -72.17,-69.37,-72.24,-69.96,-72.31,-70.52,-72.41,-71.08,-72.5,-71.73,-72.49,-72.39,-72.48,
+    -71.9,-72.09,-72.49,-72.16,-73.08,-72.23,-73.63,-72.3,-74.19,-72.37,-74.95,-72.07,-75.01,
+    -71.66,-74.46,-71.47]],[[-102.33,-71.89,-101.7,-71.72,-101.07,-71.79,-100.43,-71.86,-99.71,
+    -71.89,-98.98,-71.93,-98.43,-72,-97.88,-72.07,-97.34,-72.01,-96.79,-71.95,-96.2,-72.52,-96.98,
+    -72.44,-97.59,-72.46,-98.2,-72.48,-98.81,-72.46,-99.43,-72.44,-100.11,-72.47,-100.78,-72.5,
+    -101.29,-72.4,-101.8,-72.31]],[[-122.62,-73.66,-122.41,-73.32,-121.81,-73.41,-121.21,-73.5,
+    -120.57,-73.58,-119.92,-73.66,-119.32,-73.57,-118.72,-73.48,-119.29,-73.83,-120.23,-74.09,
+    -120.93,-74.05,-121.62,-74.01,-122.12,-73.83]],[[-127.28,-73.46,-126.56,-73.25,-125.56,-73.48,
+    -124.8,-73.68,-124.03,-73.87,-124.62,-73.83,-125.27,-73.78,-125.91,-73.74,-126.6,-73.6]],
+    [[-163.71,-78.6,-163.11,-78.22,-162.17,-78.3,-161.24,-78.38,-160.25,-78.69,-159.48,-79.05,
+    -159.21,-79.5,-160.17,-79.57,-161.13,-79.63,-161.78,-79.46,-162.44,-79.28,-163.03,-78.93,
+    -163.07,-78.87]],[[-180,-84.71,-179.94,-84.72,-179.06,-84.14,-178.16,-84.3,-177.26,-84.45,
+    -177.14,-84.42,-176.61,-84.26,-176.08,-84.1,-175.95,-84.11,-175.83,-84.12,-175.11,-84.33,
+    -174.38,-84.53,-173.75,-84.33,-173.12,-84.12,-172.89,-84.06,-171.91,-84,-170.93,-83.94,
+    -169.95,-83.88,-169,-84.12,-168.53,-84.24,-167.78,-84.4,-167.02,-84.57,-166.08,-84.65,-165.13,
+    -84.74,-164.18,-84.83,-163.43,-84.93,-162.68,-85.03,-161.93,-85.14,-160.97,-85.2,-160,-85.26,
+    -159.04,-85.31,-158.07,-85.37,-157.11,-85.28,-156.15,-85.19,-155.19,-85.1,-154.34,-85.14,
+    -153.49,-85.18,-152.64,-85.22,-151.79,-85.26,-150.94,-85.3,-150.14,-85.4,-149.33,-85.5,
+    -148.53,-85.61,-147.65,-85.51,-146.77,-85.41,-145.89,-85.31,-144.96,-85.22,-144.03,-85.13,
+    -143.11,-85.04,-142.89,-84.57,-143.88,-84.56,-144.86,-84.55,-145.84,-84.54,-146.83,-84.53,
+    -147.64,-84.47,-148.45,-84.41,-149.25,-84.35,-150.06,-84.3,-150.9,-83.9,-151.8,-83.83,-152.69,
+    -83.76,-153.59,-83.69,-153.41,-83.24,-153.04,-82.83,-152.66,-82.45,-152.86,-82.04,-153.69,
+    -81.91,-154.53,-81.77,-155.29,-81.41,-156.06,-81.26,-156.84,-81.1,-156.03,-81.12,-155.22,
+    -81.14,-154.41,-81.16,-153.64,-81.11,-152.87,-81.06,-152.1,-81,-151.37,-81.17,-150.65,-81.34,
+    -149.76,-81.19,-148.87,-81.04,-148.04,-80.86,-147.22,-80.67,-146.42,-80.34,-146.77,-79.93,
+    -147.42,-79.79,-148.06,-79.65,-148.8,-79.51,-149.53,-79.36,-150.22,-79.34,-150.9,-79.32,
+    -151.59,-79.3,-152.49,-79.23,-153.39,-79.16,-154.36,-79.11,-155.33,-79.06,-155.98,-78.69,
+    -156.62,-78.53,-157.27,-78.38,-158.05,-78.03,-158.21,-77.46,-158.36,-76.89,-157.87,-76.99,
+    -156.97,-77.3,-156.15,-77.25,-155.33,-77.2,-154.54,-77.13,-153.74,-77.07,-152.92,-77.5,
+    -152.13,-77.45,-151.33,-77.4,-150.67,-77.29,-150,-77.18,-149.37,-77.05,-148.75,-76.91,-148.18,
+    -76.74,-147.61,-76.58,-146.86,-76.53,-146.11,-76.48,-146.15,-76.11,-146.49,-75.73,-146.2,
+    -75.38,-145.56,-75.29,-144.91,-75.2,-144.32,-75.54,-143.56,-75.44,-142.79,-75.34,-142.22,
+    -75.21,-141.64,-75.09,-140.92,-75.08,-140.21,-75.07,-139.53,-75.02,-138.86,-74.97,-138.18,
+    -74.85,-137.51,-74.73,-136.97,-74.63,-136.43,-74.52,-135.82,-74.41,-135.22,-74.3,-134.43,
+    -74.36,-133.75,-74.44,-133,-74.37,-132.26,-74.3,-131.59,-74.39,-130.92,-74.48,-130.24,-74.47,
+    -129.55,-74.46,-128.9,-74.39,-128.24,-74.32,-127.57,-74.37,-126.89,-74.42,-126.15,-74.47,
+    -125.4,-74.52,-124.71,-74.5,-124.01,-74.48,-123.29,-74.49,-122.56,-74.5,-121.82,-74.51,
+    -121.07,-74.52,-120.39,-74.5,-119.7,-74.48,-119.19,-74.33,-118.68,-74.18,-118.08,-74.11,
+    -117.47,-74.03,-116.84,-74.14,-116.21,-74.24,-115.62,-74.16,-115.02,-74.07,-114.48,-73.89,
+    -113.94,-73.72,-113.3,-74.03,-112.95,-74.38,-112.3,-74.71,-111.78,-74.57,-111.26,-74.42,
+    -110.66,-74.61,-110.07,-74.79,-109.39,-74.85,-108.72,-74.91,-108.14,-75.05,-107.56,-75.18,
+    -106.85,-75.15,-106.15,-75.13,-105.51,-75.04,-104.87,-74.95,-104.12,-74.97,-103.37,-74.99,
+    -102.69,-75.06,-102.02,-75.13,-101.33,-75.21,-100.64,-75.3,-100.12,-74.87,-100.76,-74.54,
+    -101.25,-74.18,-101.9,-74.15,-102.55,-74.11,-103.11,-73.73,-103.33,-73.36,-103.68,-72.62,
+    -102.92,-72.75,-102.26,-72.78,-101.61,-72.81,-100.96,-72.78,-100.31,-72.75,-99.72,-72.83,
+    -99.14,-72.91,-98.63,-73.06,-98.12,-73.21,-97.69,-73.56,-97.01,-73.59,-96.34,-73.62,-95.69,
+    -73.55,-95.04,-73.48,-94.36,-73.38,-93.67,-73.28,-93.06,-73.22,-92.44,-73.17,-91.93,-73.28,
+    -91.42,-73.4,-90.76,-73.36,-90.09,-73.32,-89.23,-72.56,-88.42,-73.01,-87.84,-73.1,-87.27,
+    -73.19,-86.64,-73.14,-86.01,-73.09,-85.19,-73.48,-84.54,-73.5,-83.88,-73.52,-83.27,-73.58,
+    -82.67,-73.64,-82.07,-73.74,-81.47,-73.85,-80.69,-73.48,-80.3,-73.13,-79.8,-73.32,-79.3,
+    -73.52,-78.61,-73.47,-77.92,-73.42,-77.42,-73.53,-76.91,-73.64,-76.22,-73.97,-75.56,-73.92,
+    -74.89,-73.87,-74.37,-73.76,-73.85,-73.66,-73.34,-73.53,-72.83,-73.4,-72.23,-73.33,-71.62,
+    -73.26,-70.92,-73.21,-70.21,-73.15,-69.57,-73.08,-68.94,-73.01,-67.96,-72.79,-67.37,-72.48,
+    -67.14,-72.05,-67.25,-71.64,-67.56,-71.25,-67.92,-70.85,-68.23,-70.46,-68.49,-70.11,-68.54,
+    -69.72,-68.45,-69.32,-67.98,-68.95,-67.59,-68.54,-67.43,-68.15,-67.62,-67.72,-67.74,-67.33,
+    -67.25,-66.88,-66.7,-66.58,-66.06,-66.21,-65.37,-65.9,-64.57,-65.6,-64.18,-65.17,-63.63,-64.9,
+    -63,-64.64,-62.04,-64.58,-61.41,-64.27,-60.71,-64.07,-59.89,-63.96,-59.16,-63.7,-58.6,-63.39,
+    -57.81,-63.27,-57.22,-63.53,-57.6,-63.86,-58.1,-64.01,-58.61,-64.15,-59.05,-64.37,-59.79,
+    -64.21,-60.61,-64.31,-61.3,-64.55,-62.02,-64.8,-62.51,-65.09,-62.65,-65.48,-62.59,-65.86,
+    -62.12,-66.19,-62.8,-66.43,-63.74,-66.5,-64.29,-66.84,-64.88,-67.15,-65.51,-67.58,-65.67,
+    -67.95,-65.31,-68.37,-64.78,-68.68,-63.96,-68.91,-63.2,-69.23,-62.79,-69.62,-62.57,-69.99,
+    -62.28,-70.38,-61.81,-70.72,-61.51,-71.09,-61.38,-72.01,-61.08,-72.38,-61,-72.77,-60.69,
+    -73.17,-60.83,-73.7,-61.38,-74.11,-61.96,-74.44,-62.63,-74.51,-63.29,-74.58,-63.74,-74.93,
+    -64.35,-75.26,-65.11,-75.45,-65.86,-75.63,-66.53,-75.71,-67.19,-75.79,-67.82,-75.9,-68.45,
+    -76.01,-69.12,-76.12,-69.8,-76.22,-70.6,-76.64,-71.4,-76.65,-72.21,-76.67,-73.09,-76.65,
+    -73.97,-76.64,-74.76,-76.67,-75.56,-76.71,-76.4,-76.71,-77.24,-76.71,-76.93,-77.11,-76.16,
+    -77.19,-75.4,-77.28,-74.84,-77.42,-74.28,-77.56,-73.65,-77.91,-74.21,-78.06,-74.77,-78.22,
+    -75.63,-78.17,-76.5,-78.12,-77.21,-78.25,-77.92,-78.38,-77.99,-78.79,-78.03,-79.18,-77.44,
+    -79.35,-76.85,-79.51,-76.63,-79.89,-76,-80.07,-75.36,-80.26,-74.66,-80.31,-73.95,-80.36,
+    -73.24,-80.42,-72.34,-80.55,-71.44,-80.69,-70.73,-80.85,-70.01,-81,-69.1,-81.16,-68.19,-81.32,
+    -67.36,-81.37,-66.53,-81.42,-65.71,-81.47,-64.89,-81.57,-64.07,-81.66,-63.25,-81.75,-62.4,
+    -81.9,-61.55,-82.04,-60.62,-82.21,-59.69,-82.38,-58.71,-82.85,-58.22,-83.22,-57.61,-83.04,
+    -57.01,-82.87,-56.19,-82.72,-55.36,-82.57,-54.49,-82.42,-53.62,-82.26,-52.93,-82.17,-52.24,
+    -82.09,-51.54,-82,-50.65,-81.87,-49.76,-81.73,-48.93,-81.72,-48.1,-81.72,-47.27,-81.71,-46.46,
+    -81.76,-45.64,-81.8,-44.83,-81.85,-44.15,-81.92,-43.48,-82,-42.81,-82.08,-42.16,-81.65,-41.47,
+    -81.5,-40.77,-81.36,-39.93,-81.35,-39.09,-81.34,-38.24,-81.34,-37.25,-81.23,-36.26,-81.12,
+    -35.33,-81.01,-34.39,-80.91,-33.69,-80.86,-33,-80.81,-32.31,-80.77,-31.57,-80.71,-30.83,
+    -80.65,-30.1,-80.59,-29.32,-80.47,-28.55,-80.34,-29.26,-79.98,-29.68,-79.63,-29.68,-79.26,
+    -30.65,-79.28,-31.62,-79.3,-32.31,-79.35,-32.99,-79.4,-33.68,-79.46,-34.66,-79.46,-35.64,
+    -79.46,-35.92,-79.08,-35.78,-78.34,-35.33,-78.12,-34.61,-78.01,-33.9,-77.89,-33.05,-77.77,
+    -32.21,-77.65,-31.6,-77.51,-31,-77.36,-30.39,-77.21,-29.78,-77.07,-28.88,-76.67,-28.2,-76.59,
+    -27.51,-76.5,-26.84,-76.43,-26.16,-76.36,-25.48,-76.28,-24.7,-76.26,-23.93,-76.24,-23.19,
+    -76.17,-22.46,-76.11,-21.84,-76.01,-21.22,-75.91,-20.62,-75.79,-20.01,-75.67,-19.46,-75.56,
+    -18.91,-75.44,-18.22,-75.28,-17.52,-75.13,-16.64,-74.79,-15.7,-74.5,-15.41,-74.11,-15.94,
+    -73.99,-16.46,-73.87,-16.11,-73.46,-15.45,-73.15,-14.93,-73.05,-14.41,-72.95,-13.86,-72.83,
+    -13.31,-72.72,-12.8,-72.56,-12.29,-72.4,-11.51,-72.01,-11.02,-71.54,-10.29,-71.26,-9.7,-71.29,
+    -9.1,-71.32,-8.61,-71.66,-8.02,-71.68,-7.42,-71.7,-7.38,-71.32,-6.87,-70.93,-6.33,-70.98,
+    -5.79,-71.03,-5.54,-71.4,-4.94,-71.43,-4.34,-71.46,-3.7,-71.37,-3.05,-71.28,-2.42,-71.23,
+    -1.79,-71.17,-1.23,-71.2,-0.66,-71.23,-0.23,-71.64,0.32,-71.47,0.87,-71.31,1.38,-71.22,1.89,
+    -71.13,2.46,-71.06,3.02,-70.99,3.58,-70.92,4.14,-70.85,4.65,-70.74,5.16,-70.62,5.72,-70.54,
+    6.27,-70.46,7.14,-70.25,7.74,-69.89,8.49,-70.15,9.01,-70.08,9.52,-70.01,10.25,-70.48,10.82,
+    -70.83,11.39,-70.74,11.95,-70.64,12.4,-70.25,12.91,-70.11,13.42,-69.97,14.08,-70,14.74,-70.03,
+    15.13,-70.4,15.95,-70.03,16.49,-69.97,17.03,-69.91,17.61,-69.89,18.2,-69.88,18.73,-69.88,
+    19.26,-69.89,19.82,-69.95,20.37,-70.01,20.91,-70.04,21.45,-70.07,21.92,-70.4,22.57,-70.7,
+    23.12,-70.61,23.66,-70.52,24.25,-70.5,24.84,-70.48,25.41,-70.48,25.98,-70.48,26.53,-70.47,
+    27.09,-70.46,27.59,-70.39,28.09,-70.33,28.62,-70.27,29.15,-70.21,30.03,-69.93,30.97,-69.76,
+    31.48,-69.71,31.99,-69.66,32.75,-69.38,33.3,-68.84,33.87,-68.5,34.39,-68.58,34.91,-68.66,35.3,
+    -69.01,36.16,-69.25,36.68,-69.21,37.2,-69.17,37.91,-69.52,38.65,-69.78,39.16,-69.66,39.67,
+    -69.54,40.02,-69.11,40.92,-68.93,41.44,-68.77,41.96,-68.6,42.94,-68.46,43.53,-68.37,44.11,
+    -68.27,44.9,-68.05,45.72,-67.82,46.5,-67.6,47.44,-67.72,48.34,-67.37,48.99,-67.09,49.93,
+    -67.11,50.76,-66.88,50.95,-66.52,51.79,-66.25,52.61,-66.05,53.11,-65.97,53.61,-65.9,54.54,
+    -65.82,55.41,-65.88,56.36,-65.98,57.16,-66.25,57.26,-66.68,58.14,-67.01,58.74,-67.29,59.34,
+    -67.35,59.94,-67.41,60.6,-67.68,61.43,-67.95,62.39,-68.01,63.19,-67.82,64.05,-67.41,64.99,
+    -67.62,65.97,-67.74,66.91,-67.86,67.89,-67.93,68.89,-67.93,69.3,-68.45,69.71,-68.97,69.67,
+    -69.23,69.55,-69.68,68.6,-69.93,67.81,-70.3,67.95,-70.7,68.51,-70.69,69.06,-70.68,68.93,
+    -71.07,68.42,-71.44,67.95,-71.85,68.71,-72.17,69.29,-72.22,69.87,-72.26,70.45,-72.18,71.02,
+    -72.09,71.57,-71.7,71.91,-71.32,72.46,-71.01,73.08,-70.72,73.33,-70.36,73.86,-69.88,74.49,
+    -69.78,75.06,-69.76,75.63,-69.74,76.62,-69.62,77.13,-69.54,77.64,-69.46,78.13,-69.07,78.43,
+    -68.7,79.11,-68.33,80.09,-68.07,80.93,-67.88,81.49,-67.54,82.05,-67.37,82.78,-67.21,83.77,
+    -67.31,84.67,-67.21,85.65,-67.09,86.2,-67.12,86.75,-67.15,87.48,-66.88,87.99,-66.21,88.36,
+    -66.48,88.83,-66.96,89.67,-67.15,90.63,-67.23,91.59,-67.11,92.1,-67.15,92.61,-67.19,93.55,
+    -67.21,94.18,-67.11,95.02,-67.17,95.78,-67.39,96.68,-67.25,97.22,-67.25,97.76,-67.25,98.68,
+    -67.11,99.2,-67.18,99.72,-67.25,100.39,-66.91,100.89,-66.58,101.58,-66.31,102.21,-65.94,
+    102.83,-65.56,103.48,-65.7,104.24,-65.98,104.91,-66.33,105.54,-66.63,106.18,-66.94,107.16,
+    -66.96,108.08,-66.96,108.62,-66.9,109.16,-66.84,109.7,-66.77,110.23,-66.7,111.06,-66.43,
+    111.74,-66.13,112.3,-66.11,112.86,-66.09,113.6,-65.88,114.39,-66.07,114.9,-66.39,115.6,-66.7,
+    116.15,-66.68,116.7,-66.66,117.38,-66.91,117.98,-67.04,118.58,-67.17,119.21,-67.22,119.83,
+    -67.27,120.35,-67.23,120.87,-67.19,121.65,-66.88,122.32,-66.56,123.22,-66.48,124.12,-66.62,
+    124.64,-66.67,125.16,-66.72,126.1,-66.56,127,-66.56,127.88,-66.66,128.8,-66.76,129.7,-66.58,
+    130.24,-66.5,130.78,-66.43,131.29,-66.41,131.8,-66.39,132.37,-66.39,132.94,-66.39,133.85,
+    -66.29,134.76,-66.21,135.03,-65.72,135.07,-65.31,135.7,-65.58,135.87,-66.03,136.21,-66.45,
+    136.62,-66.78,137.46,-66.96,138.03,-66.93,138.6,-66.9,139.25,-66.89,139.91,-66.88,140.81,
+    -66.82,141.47,-66.82,142.12,-66.82,143.06,-66.8,143.72,-66.82,144.37,-66.84,144.93,-66.88,
+    145.49,-66.91,146.2,-67.23,146,-67.6,146.65,-67.89,147.18,-68.01,147.72,-68.13,148.28,-68.26,
+    148.84,-68.39,149.49,-68.47,150.13,-68.56,150.81,-68.64,151.48,-68.72,151.99,-68.8,152.5,
+    -68.87,153.07,-68.88,153.64,-68.9,154.28,-68.56,155.17,-68.84,155.93,-69.15,156.81,-69.38,
+    157.42,-69.43,158.03,-69.48,158.6,-69.54,159.18,-69.6,159.67,-69.99,160.24,-70.11,160.81,
+    -70.23,161.57,-70.58,162.13,-70.66,162.69,-70.74,163.27,-70.73,163.84,-70.72,164.38,-70.75,
+    164.92,-70.78,165.52,-70.77,166.11,-70.76,166.71,-70.79,167.31,-70.83,167.87,-70.9,168.43,
+    -70.97,168.94,-71.09,169.46,-71.21,169.98,-71.31,170.5,-71.4,171.21,-71.7,171.09,-72.09,
+    170.56,-72.44,170.11,-72.89,169.76,-73.24,169.29,-73.66,168.63,-73.73,167.98,-73.81,167.39,
+    -74.17,166.74,-74.27,166.09,-74.38,165.64,-74.77,164.96,-75.15,164.24,-75.46,163.82,-75.87,
+    163.57,-76.24,163.47,-76.69,163.49,-77.07,164.06,-77.46,164.28,-77.83,164.74,-78.18,165.67,
+    -78.25,166.6,-78.32,167,-78.75,166.09,-78.83,165.19,-78.91,164.43,-79.02,163.67,-79.12,162.72,
+    -79.14,161.77,-79.16,160.92,-79.73,160.75,-80.2,160.32,-80.57,159.79,-80.95,160.46,-81.11,
+    161.12,-81.28,161.63,-81.69,162.49,-82.06,163.1,-82.23,163.71,-82.39,164.4,-82.55,165.1,
+    -82.71,165.85,-82.87,166.6,-83.02,167.37,-83.13,168.13,-83.23,168.89,-83.34,169.41,-83.83,
+    170.37,-83.9,171.33,-83.97,172.29,-84.04,172.48,-84.12,173.22,-84.41,174.15,-84.33,175.07,
+    -84.24,175.99,-84.16,176.75,-84.26,177.51,-84.37,178.28,-84.47,179.14,-84.59,180,-84.71]]]],
+  ['Argentina', 'AR', 'ARG', '032',
+    [[[-68.63,-52.64,-68.25,-53.1,-67.75,-53.85,-67.1,-54.15,-66.45,-54.45,-65.75,-54.58,-65.05,
+    -54.7,-65.5,-55.2,-66.45,-55.25,-66.96,-54.9,-67.56,-54.87,-68.1,-54.87,-68.63,-54.87,-68.63,
+    -54.12,-68.63,-53.38]],[[-57.62,-30.22,-57.88,-31.02,-58.01,-31.53,-58.14,-32.04,-58.13,
+    -33.04,-58.35,-33.26,-58.43,-33.91,-58.5,-34.43,-57.86,-34.86,-57.22,-35.29,-57.36,-35.98,
+    -56.74,-36.41,-56.79,-36.9,-57.27,-37.54,-57.75,-38.18,-58.49,-38.45,-59.23,-38.72,-59.9,
+    -38.79,-60.57,-38.86,-61.24,-38.93,-61.79,-38.88,-62.34,-38.83,-62.12,-39.42,-62.33,-40.17,
+    -62.15,-40.68,-62.75,-41.03,-63.26,-41.1,-63.77,-41.17,-64.73,-40.8,-65.12,-41.06,-64.98,
+    -42.06,-64.3,-42.36,-63.75,-42.04,-63.46,-42.56,-64.38,-42.87,-65.18,-43.49,-65.25,-44,-65.33,
+    -44.5,-65.57,-45.04,-66.51,-45.04,-67.29,-45.55,-67.58,-46.3,-66.6,-47.03,-65.64,-47.24,
+    -65.99,-48.13,-66.58,-48.42,-67.17,-48.7,-67.49,-49.28,-67.82,-49.87,-68.73,-50.27,-69.14,
+    -50.73,-68.98,-51.25,-68.82,-51.77,-68.15,-52.35,-68.57,-52.3,-69.5,-52.14,-70.3,-52.1,-71.11,
+    -52.05,-71.92,-52.01,-72.33,-51.43,-72.31,-50.68,-72.97,-50.74,-73.33,-50.38,-73.37,-49.85,
+    -73.41,-49.32,-72.65,-48.88,-72.33,-48.24,-72.45,-47.74,-71.92,-46.88,-71.73,-46.22,-71.55,
+    -45.56,-71.66,-44.97,-71.22,-44.78,-71.33,-44.41,-71.79,-44.21,-71.46,-43.79,-71.92,-43.41,
+    -72.03,-42.83,-72.15,-42.25,-71.75,-42.05,-71.83,-41.44,-71.92,-40.83,-71.8,-40.32,-71.68,
+    -39.81,-71.41,-38.92,-70.81,-38.55,-71.12,-37.58,-71.12,-36.66,-70.36,-36.01,-70.39,-35.17,
+    -69.82,-34.19,-69.81,-33.27,-70.07,-33.09,-70.3,-32.23,-70.53,-31.36,-70.23,-30.85,-69.92,
+    -30.34,-70.02,-29.37,-69.66,-28.46,-69,-27.52,-68.29,-26.9,-68.59,-26.51,-68.38,-26.18,-68.4,
+    -25.35,-68.42,-24.52,-67.87,-24.27,-67.33,-24.03,-67.16,-23.51,-66.98,-22.99,-67.11,-22.74,
+    -66.27,-21.83,-65.62,-21.95,-64.96,-22.08,-64.38,-22.8,-63.99,-21.99,-63.42,-22.01,-62.85,
+    -22.03,-62.69,-22.25,-61.77,-23.07,-60.85,-23.88,-60.03,-24.03,-59.42,-24.4,-58.81,-24.77,
+    -58.29,-24.97,-57.78,-25.16,-57.63,-25.6,-58.13,-26.36,-58.62,-27.12,-58.11,-27.26,-57.61,
+    -27.4,-57.05,-27.47,-56.49,-27.55,-55.69,-27.39,-54.79,-26.62,-54.63,-25.74,-54.13,-25.55,
+    -53.63,-26.12,-53.65,-26.92,-54.49,-27.47,-55.16,-27.88,-55.73,-28.37,-56.29,-28.85,-56.96,
+    -29.53]]]],
+  ['Armenia', 'AM', 'ARM', '051',
+    [[[46.51,38.77,46.14,38.74,45.74,39.32,45.74,39.47,45.3,39.47,45,39.74,44.79,39.71,44.4,40,
+    43.66,40.25,43.75,40.74,43.58,41.09,44.28,41.17,44.97,41.25,45.18,40.99,45.56,40.81,45.36,
+    40.56,45.89,40.22,45.61,39.9,46.04,39.63,46.48,39.46]]]],
+  ['Australia', 'AU', 'AUS', '036',
+    [[[147.69,-40.81,148.29,-40.87,148.32,-41.47,148.36,-42.06,148.02,-42.41,147.91,-43.21,147.56,
+    -42.94,146.87,-43.64,146.66,-43.58,146.05,-43.55,145.43,-42.69,145.3,-42.03,144.72,-41.16,
+    144.74,-40.7,145.4,-40.79,146.36,-41.14,146.91,-41]],[[126.15,-32.22,125.62,-32.47,125.09,
+    -32.73,124.22,-32.96,124.03,-33.48,123.66,-33.89,122.81,-33.91,122.18,-34,121.3,-33.82,120.58,
+    -33.93,119.89,-33.98,119.3,-34.51,119.01,-34.46,118.5,-34.75,118.03,-35.06,117.29,-35.03,
+    116.62,-35.03,116.09,-34.71,115.56,-34.39,115.03,-34.2,115.05,-33.62,115.54,-33.49,115.71,
+    -33.26,115.68,-32.9,115.8,-32.21,115.69,-31.61,115.42,-31.11,115.16,-30.6,115,-30.03,115.04,
+    -29.46,114.64,-28.81,114.62,-28.52,114.17,-28.12,114.05,-27.33,113.48,-26.54,113.34,-26.12,
+    113.78,-26.55,113.44,-25.62,113.94,-25.91,114.23,-26.3,114.22,-25.79,113.72,-25,113.63,-24.68,
+    113.39,-24.38,113.5,-23.81,113.71,-23.56,113.84,-23.06,113.74,-22.47,114.15,-21.76,114.22,
+    -22.52,114.65,-21.83,115.46,-21.49,115.95,-21.07,116.71,-20.7,117.16,-20.62,117.44,-20.75,
+    118.23,-20.37,118.84,-20.26,118.99,-20.04,119.25,-19.95,119.8,-19.98,120.33,-19.83,120.86,
+    -19.68,121.4,-19.24,121.65,-18.71,122.24,-18.2,122.29,-17.8,122.31,-17.26,123.01,-16.41,
+    123.43,-17.27,123.86,-17.07,123.5,-16.6,123.82,-16.11,124.26,-16.33,124.38,-15.57,124.93,
+    -15.08,125.17,-14.68,125.67,-14.51,125.69,-14.23,126.13,-14.35,126.14,-14.1,126.58,-13.95,
+    127.07,-13.82,127.8,-14.28,128.36,-14.87,128.98,-14.88,129.62,-14.97,129.41,-14.42,129.89,
+    -13.62,130.34,-13.36,130.18,-13.11,130.62,-12.54,131.22,-12.18,131.73,-12.3,132.58,-12.11,
+    132.56,-11.6,131.82,-11.27,132.36,-11.13,133.02,-11.38,133.55,-11.79,134.39,-12.04,134.68,
+    -11.94,135.3,-12.25,135.88,-11.96,136.26,-12.05,136.49,-11.86,136.95,-12.35,136.68,-12.89,
+    136.31,-13.29,135.96,-13.32,136.08,-13.72,135.78,-14.22,135.43,-14.72,135.5,-15,136.3,-15.55,
+    137.07,-15.87,137.58,-16.22,138.3,-16.81,138.59,-16.81,139.11,-17.06,139.26,-17.37,140.22,
+    -17.71,140.87,-17.37,141.07,-16.83,141.27,-16.39,141.4,-15.84,141.7,-15.04,141.56,-14.56,
+    141.63,-14.27,141.52,-13.7,141.65,-12.94,141.84,-12.74,141.69,-12.41,141.93,-11.88,142.12,
+    -11.33,142.14,-11.04,142.52,-10.67,142.8,-11.16,142.87,-11.78,143.12,-11.9,143.16,-12.33,
+    143.52,-12.83,143.6,-13.4,143.56,-13.76,143.92,-14.55,144.56,-14.17,144.9,-14.59,145.37,
+    -14.99,145.27,-15.43,145.49,-16.29,145.64,-16.78,145.89,-16.91,146.16,-17.76,146.06,-18.28,
+    146.39,-18.96,146.93,-19.22,147.47,-19.48,148.18,-19.96,148.85,-20.39,148.72,-20.63,149.29,
+    -21.26,149.48,-21.8,149.68,-22.34,150.08,-22.12,150.48,-22.56,150.73,-22.4,150.81,-22.93,
+    150.9,-23.46,151.61,-24.08,152.07,-24.46,152.86,-25.27,153.14,-26.07,153.16,-26.64,153.09,
+    -27.26,153.57,-28.11,153.51,-28.99,153.34,-29.46,153.07,-30.35,153.09,-30.92,152.89,-31.64,
+    152.45,-32.55,151.71,-33.04,151.34,-33.82,151.01,-34.31,150.71,-35.17,150.33,-35.67,150.08,
+    -36.42,149.95,-37.11,150,-37.43,149.42,-37.77,148.87,-37.79,148.31,-37.81,147.38,-38.22,
+    146.92,-38.61,146.32,-39.04,145.49,-38.59,144.88,-38.42,145.03,-37.9,144.49,-38.09,143.61,
+    -38.81,142.75,-38.54,142.18,-38.38,141.61,-38.31,140.64,-38.02,139.99,-37.4,139.81,-36.64,
+    139.58,-36.14,139.08,-35.73,138.12,-35.61,138.45,-35.13,138.21,-34.39,137.72,-35.08,136.83,
+    -35.26,137.35,-34.71,137.51,-34.13,137.89,-33.64,137.81,-32.9,137,-33.75,136.37,-34.09,135.99,
+    -34.89,135.21,-34.48,135.24,-33.95,134.61,-33.22,134.09,-32.85,134.27,-32.62,133.63,-32.31,
+    132.99,-32.01,132.29,-31.98,131.33,-31.5,130.43,-31.54,129.53,-31.59,128.89,-31.77,128.24,
+    -31.95,127.67,-32.11,127.1,-32.28]]]],
+  ['Austria', 'AT', 'AUT', '040',
+    [[[16.98,48.12,16.9,47.72,16.34,47.71,16.53,47.5,16.2,46.85,16.01,46.68,15.14,46.66,14.63,
+    46.43,13.81,46.51,13.09,46.64,12.38,46.77,12.15,47.11,11.17,46.94,11.05,46.75,10.44,46.89,
+    9.93,46.92,9.48,47.1,9.63,47.35,9.6,47.52,9.89,47.58,10.4,47.3,10.54,47.57,11.42,47.52,12.14,
+    47.7,12.62,47.67,12.93,47.47,13.03,47.64,12.88,48.29,13.24,48.42,13.6,48.88,14.34,48.56,14.9,
+    48.96,15.26,49.04,16.03,48.73,16.5,48.79,16.96,48.6,16.88,48.47]]]],
+  ['Azerbaijan', 'AZ', 'AZE', '031',
+    [[[46.41,41.86,46.69,41.83,47.37,41.22,47.81,41.15,47.99,41.41,48.58,41.81,49.11,41.28,49.62,
+    40.57,50.09,40.53,50.39,40.26,49.57,40.18,49.39,39.4,49.22,39.05,48.86,38.82,48.88,38.32,
+    48.63,38.27,48.01,38.79,48.35,39.29,48.06,39.58,47.68,39.51,47.1,39.14,46.51,38.77,46.48,
+    39.46,46.04,39.63,45.61,39.9,45.89,40.22,45.36,40.56,45.56,40.81,45.18,40.99,44.97,41.25,
+    45.22,41.41,45.96,41.12,46.5,41.06,46.64,41.18,46.15,41.72]],[[46.14,38.74,45.46,38.87,44.95,
+    39.34,44.79,39.71,45,39.74,45.3,39.47,45.74,39.47,45.74,39.32]]]],
+  ['Bahamas', 'BS', 'BHS', '044',
+    [[[-78.98,26.79,-78.51,26.87,-77.85,26.84,-77.82,26.58,-78.37,26.5,-78.91,26.42]],[[-77.79,
+    27.04,-77,26.59,-77.17,25.88,-77.36,26.01,-77.34,26.53,-77.79,26.93]],[[-78.19,25.21,-77.89,
+    25.17,-77.54,24.34,-77.54,23.76,-77.78,23.71,-78.03,24.29,-78.41,24.57]]]],
+  ['Bangladesh', 'BD', 'BGD', '050',
+    [[[92.67,22.04,92.65,21.32,92.3,21.48,92.37,20.67,92.08,21.19,92.03,21.7,91.84,22.18,91.42,
+    22.77,90.5,22.8,90.59,22.39,90.27,21.84,89.85,22.04,89.7,21.86,89.42,21.97,89.03,22.06,88.88,
+    22.88,88.53,23.63,88.7,24.23,88.08,24.5,88.31,24.87,88.93,25.24,88.21,25.77,88.56,26.45,89.35,
+    26.02,89.83,25.96,89.92,25.27,90.87,25.13,91.8,25.15,92.38,24.98,91.91,24.13,91.47,24.07,
+    91.16,23.5,91.71,22.99,91.87,23.62,92.14,23.63,92.41,22.83]]]],
+  ['Belarus', 'BY', 'BLR', '112',
+    [[[28.18,56.17,28.7,56.04,29.23,55.92,29.37,55.67,29.9,55.79,30.88,55.55,30.97,55.08,30.76,
+    54.81,31.38,54.16,31.79,53.97,31.73,53.79,32.41,53.62,32.69,53.35,32.3,53.13,31.5,53.17,31.3,
+    53.07,31.54,52.74,31.79,52.1,30.93,52.04,30.62,51.82,30.56,51.32,30.16,51.42,29.26,51.37,
+    28.99,51.6,28.62,51.43,28.24,51.57,27.46,51.59,26.9,51.71,26.34,51.83,25.83,51.87,25.33,51.91,
+    24.55,51.89,24.01,51.62,23.53,51.58,23.51,52.02,23.2,52.49,23.8,52.69,23.81,53.09,23.53,53.47,
+    23.48,53.91,24.45,53.91,24.99,54.09,25.54,54.28,25.77,54.85,26.59,55.17,26.49,55.61,27.1,
+    55.78,27.64,55.98]]]],
+  ['Belgium', 'BE', 'BEL', '056',
+    [[[6.16,50.8,6.04,50.13,5.78,50.09,5.68,49.53,4.8,49.99,4.29,49.91,3.59,50.38,3.12,50.78,2.66,
+    50.8,2.51,51.15,3.31,51.35,4.05,51.27,4.97,51.47,5.61,51.04]]]],
+  ['Belize', 'BZ', 'BLZ', '084',
+    [[[-89.14,17.81,-89.15,17.96,-89.03,18,-88.85,17.88,-88.49,18.49,-88.3,18.5,-88.3,18.35,
+    -88.11,18.35,-88.12,18.08,-88.29,17.64,-88.2,17.49,-88.3,17.13,-88.24,17.04,-88.35,16.53,
+    -88.55,16.27,-88.73,16.23,-88.93,15.89,-89.23,15.89,-89.19,16.45,-89.15,17.02]]]],
+  ['Benin', 'BJ', 'BEN', '204',
+    [[[2.69,6.26,1.87,6.14,1.62,6.83,1.63,7.6,1.65,8.36,1.67,9.13,1.46,9.34,1.42,9.83,1.08,10.18,
+    0.77,10.47,0.9,11,1.24,11.11,1.45,11.55,1.94,11.64,2.15,11.94,2.49,12.23,2.85,12.24,3.61,
+    11.66,3.57,11.33,3.8,10.73,3.6,10.33,3.71,10.06,3.22,9.44,2.91,9.14,2.72,8.51,2.75,7.87,2.72,
+    7.07]]]],
+  ['Bhutan', 'BT', 'BTN', '064',
+    [[[91.7,27.77,92.11,27.45,92.03,26.84,91.22,26.81,90.37,26.88,89.74,26.72,88.84,27.1,88.81,
+    27.3,89.48,28.04,90.02,28.3,90.73,28.06,91.26,28.04]]]],
+  ['Bolivia', 'BO', 'BOL', '068',
+    [[[-69.53,-10.95,-68.79,-11.04,-68.27,-11.01,-68.05,-10.71,-67.17,-10.31,-66.65,-9.93,-65.99,
+    -9.85,-65.34,-9.76,-65.44,-10.51,-65.32,-10.9,-65.4,-11.57,-64.86,-12.01,-64.32,-12.46,-63.76,
+    -12.54,-63.2,-12.63,-62.8,-13,-62.13,-13.2,-61.71,-13.49,-61.08,-13.48,-60.5,-13.78,-60.46,
+    -14.35,-60.26,-14.65,-60.25,-15.08,-60.54,-15.09,-60.35,-15.68,-60.16,-16.26,-59.2,-16.28,
+    -58.24,-16.3,-58.39,-16.88,-58.28,-17.27,-57.74,-17.55,-57.5,-18.17,-57.67,-18.96,-57.95,
+    -19.4,-57.85,-19.97,-58.17,-20.18,-58.18,-19.87,-59.11,-19.36,-60.04,-19.34,-60.91,-19.49,
+    -61.79,-19.63,-62.26,-20.51,-62.29,-21.05,-62.49,-21.65,-62.69,-22.25,-62.85,-22.03,-63.42,
+    -22.01,-63.99,-21.99,-64.38,-22.8,-64.96,-22.08,-65.62,-21.95,-66.27,-21.83,-67.11,-22.74,
+    -67.83,-22.87,-68.02,-22.18,-68.22,-21.49,-68.49,-20.93,-68.76,-20.37,-68.44,-19.4,-68.97,
+    -18.98,-69.1,-18.26,-69.59,-17.58,-69.28,-17.04,-68.96,-16.5,-69.39,-15.66,-69.16,-15.32,
+    -69.34,-14.95,-68.95,-14.45,-68.93,-13.6,-68.88,-12.9,-68.67,-12.56,-69.1,-11.76]]]],
+  ['Bosnia and Herz.', 'BA', 'BIH', '070',
+    [[[18.56,42.65,17.67,43.03,17.3,43.45,16.91,43.67,16.46,44.04,16.24,44.35,15.75,44.82,15.96,
+    45.23,16.32,45,16.53,45.21,17,45.23,17.86,45.07,18.55,45.08,19.01,44.86,19.37,44.86,19.12,
+    44.42,19.6,44.04,19.45,43.57,19.22,43.52,19.03,43.43,18.71,43.2]]]],
+  ['Botswana', 'BW', 'BWA', '072',
+    [[[29.43,-22.09,28.72,-22.46,28.02,-22.83,27.12,-23.58,26.79,-24.24,26.49,-24.62,25.94,-24.7,
+    25.77,-25.17,25.67,-25.49,25.03,-25.72,24.21,-25.67,23.73,-25.39,23.31,-25.27,22.83,-25.5,
+    22.58,-25.98,22.11,-26.28,21.61,-26.73,20.89,-26.83,20.67,-26.48,20.76,-25.87,20.17,-24.92,
+    19.9,-24.77,19.9,-23.8,19.9,-22.82,19.9,-21.85,20.88,-21.81,20.89,-20.92,20.9,-20.03,20.9,
+    -19.14,20.91,-18.25,21.66,-18.22,22.43,-18.04,23.2,-17.87,23.58,-18.28,24.22,-17.89,24.52,
+    -17.89,25.08,-17.66,25.26,-17.74,25.65,-18.54,25.85,-18.71,26.16,-19.29,26.73,-19.84,27.3,
+    -20.39,27.73,-20.5,27.73,-20.85,28.02,-21.49,28.79,-21.64]]]],
+  ['Brazil', 'BR', 'BRA', '076',
+    [[[-53.37,-33.77,-53.65,-33.2,-53.21,-32.73,-53.79,-32.05,-54.57,-31.49,-55.09,-31.17,-55.6,
+    -30.85,-55.97,-30.88,-56.47,-30.5,-56.98,-30.11,-57.62,-30.22,-56.96,-29.53,-56.29,-28.85,
+    -55.73,-28.37,-55.16,-27.88,-54.49,-27.47,-53.65,-26.92,-53.63,-26.12,-54.13,-25.55,-54.63,
+    -25.74,-54.43,-25.16,-54.29,-24.57,-54.29,-24.02,-54.65,-23.84,-55.03,-24,-55.4,-23.96,-55.52,
+    -23.57,-55.61,-22.66,-55.8,-22.36,-56.47,-22.09,-56.88,-22.28,-57.41,-22.19,-57.94,-22.09,
+    -57.9,-21.41,-57.87,-20.73,-58.17,-20.18,-57.85,-19.97,-57.95,-19.4,-57.67,-18.96,-57.5,
+    -18.17,-57.74,-17.55,-58.28,-17.27,-58.39,-16.88,-58.24,-16.3,-59.2,-16.28,-60.16,-16.26,
+    -60.35,-15.68,-60.54,-15.09,-60.25,-15.08,-60.26,-14.65,-60.46,-14.35,-60.5,-13.78,-61.08,
+    -13.48,-61.71,-13.49,-62.13,-13.2,-62.8,-13,-63.2,-12.63,-63.76,-12.54,-64.32,-12.46,-64.86,
+    -12.01,-65.4,-11.57,-65.32,-10.9,-65.44,-10.51,-65.34,-9.76,-65.99,-9.85,-66.65,-9.93,-67.17,
+    -10.31,-68.05,-10.71,-68.27,-11.01,-68.79,-11.04,-69.53,-10.95,-70.09,-11.12,-70.55,-11.01,
+    -70.52,-10.25,-70.48,-9.49,-71.3,-10.08,-72.19,-10.05,-72.56,-9.52,-73.23,-9.46,-73.01,-9.03,
+    -73.57,-8.42,-73.99,-7.52,-73.72,-7.34,-73.72,-6.92,-73.12,-6.63,-73.22,-6.09,-72.96,-5.74,
+    -72.89,-5.28,-72.32,-4.93,-71.75,-4.59,-70.93,-4.4,-70.8,-4.25,-69.89,-4.3,-69.74,-3.38,
+    -69.59,-2.47,-69.44,-1.56,-69.42,-1.12,-69.58,-0.55,-70.02,-0.19,-70.02,0.54,-69.45,0.71,
+    -69.25,0.6,-69.22,0.99,-69.8,1.09,-69.82,1.72,-68.84,1.7,-67.87,1.69,-67.54,2.04,-67.26,1.72,
+    -67.06,1.13,-66.88,1.25,-66.33,0.72,-65.55,0.79,-65.35,1.1,-64.61,1.33,-64.2,1.49,-64.08,1.92,
+    -63.37,2.2,-63.42,2.41,-64.27,2.5,-64.41,3.13,-64.37,3.8,-64.82,4.06,-64.63,4.15,-63.89,4.02,
+    -63.09,3.77,-62.8,4.01,-62.08,4.16,-61.53,4.35,-60.97,4.54,-60.6,4.92,-60.73,5.2,-60.21,5.24,
+    -59.98,5.01,-60.11,4.58,-59.77,4.42,-59.54,3.96,-59.82,3.61,-59.97,2.76,-59.72,2.25,-59.65,
+    1.79,-59.03,1.32,-58.54,1.27,-58.43,1.46,-58.11,1.51,-57.66,1.68,-57.34,1.95,-56.78,1.86,
+    -56.54,1.9,-56,1.82,-55.91,2.02,-56.07,2.22,-55.97,2.51,-55.57,2.42,-55.1,2.52,-54.52,2.31,
+    -54.09,2.11,-53.78,2.38,-53.56,2.33,-53.42,2.05,-52.94,2.12,-52.56,2.5,-52.25,3.24,-51.66,
+    4.16,-51.32,4.2,-51.07,3.65,-50.79,2.78,-50.51,1.9,-49.97,1.74,-49.95,1.05,-50.7,0.22,-50.39,
+    -0.08,-49.5,-0.16,-48.62,-0.23,-48.6,-0.74,-48.58,-1.24,-47.82,-0.58,-47.2,-0.76,-46.57,-0.94,
+    -45.74,-1.25,-44.91,-1.55,-44.42,-2.14,-44.58,-2.69,-44,-2.54,-43.42,-2.38,-42.45,-2.65,
+    -41.47,-2.91,-40.73,-2.89,-39.98,-2.87,-39.24,-3.29,-38.5,-3.7,-37.86,-4.26,-37.22,-4.82,
+    -36.45,-5.11,-35.6,-5.15,-35.24,-5.46,-35.07,-6.1,-34.9,-6.74,-34.73,-7.34,-34.93,-8.17,
+    -35.13,-9,-35.64,-9.65,-36.34,-10.34,-37.05,-11.04,-37.36,-11.61,-37.68,-12.17,-38.42,-13.04,
+    -38.67,-13.06,-38.95,-13.79,-38.92,-14.73,-38.88,-15.67,-39.02,-16.44,-39.16,-17.21,-39.27,
+    -17.87,-39.58,-18.26,-39.67,-18.93,-39.76,-19.6,-40.27,-20.25,-40.78,-20.9,-40.86,-21.42,
+    -40.95,-21.94,-41.76,-22.37,-41.99,-22.97,-42.53,-22.97,-43.08,-22.97,-43.86,-23.16,-44.65,
+    -23.35,-45.35,-23.8,-45.91,-23.94,-46.47,-24.09,-47.06,-24.49,-47.65,-24.89,-48.49,-25.88,
+    -48.64,-26.62,-48.48,-27.18,-48.57,-27.68,-48.66,-28.19,-48.89,-28.67,-49.59,-29.22,-50.14,
+    -30.1,-50.7,-30.99,-51.58,-31.78,-52.26,-32.25,-52.71,-33.2]]]],
+  ['Brunei', 'BN', 'BRN', '096',
+    [[[115.45,5.45,115.4,4.95,115.35,4.32,114.87,4.35,114.66,4.01,114.21,4.53,114.6,4.9]]]],
+  ['Bulgaria', 'BG', 'BGR', '100',
+    [[[22.66,44.24,22.94,43.82,23.33,43.9,24.1,43.74,24.83,43.72,25.57,43.69,26.07,43.94,26.65,
+    44.06,27.24,44.18,27.97,43.81,28.56,43.71,28.04,43.29,27.68,42.58,28,42.01,27.14,42.14,26.63,
+    41.98,26.12,41.83,26.11,41.33,25.2,41.23,24.49,41.58,23.69,41.31,22.95,41.34,22.88,42,22.38,
+    42.32,22.55,42.46,22.44,42.58,22.61,42.9,22.98,43.21,22.5,43.64,22.41,44.01]]]],
+  ['Burkina Faso', 'BF', 'BFA', '854',
+    [[[-5.41,10.37,-5.47,10.95,-5.2,11.37,-5.22,11.71,-4.43,12.54,-4.28,13.23,-4.01,13.47,-3.52,
+    13.34,-3.11,13.54,-2.97,13.8,-2.19,14.25,-2,14.56,-1.07,14.97,-0.52,15.12,-0.26,14.92,0.38,
+    14.93,0.3,14.44,0.43,13.99,0.99,13.34,1.02,12.85,1.6,12.74,2.18,12.63,2.15,11.94,1.94,11.64,
+    1.45,11.55,1.24,11.11,0.9,11,0.02,11.02,-0.44,11.1,-0.76,10.94,-1.2,11.01,-2.07,10.99,-2.94,
+    10.96,-2.96,10.39,-2.83,9.64,-3.51,9.9,-3.98,9.86,-4.33,9.61,-4.78,9.82,-4.96,10.15]]]],
+  ['Burundi', 'BI', 'BDI', '108',
+    [[[30.47,-2.41,30.53,-2.81,30.74,-3.03,30.75,-3.36,30.5,-3.57,30.12,-4.09,29.75,-4.45,29.34,
+    -4.5,29.31,-3.9,29.28,-3.29,29.03,-2.84,29.63,-2.92,29.94,-2.35]]]],
+  ['Cambodia', 'KH', 'KHM', '116',
+    [[[102.58,12.19,102.47,12.79,102.35,13.39,102.99,14.23,103.63,14.32,104.28,14.42,105.22,14.27,
+    106.04,13.88,106.5,14.57,107.38,14.2,107.61,13.54,107.55,12.94,107.49,12.34,106.65,11.95,
+    105.81,11.57,106.25,10.96,105.72,10.93,105.2,10.89,104.33,10.49,103.5,10.63,103.09,11.15,
+    102.84,11.67]]]],
+  ['Cameroon', 'CM', 'CMR', '120',
+    [[[14.5,12.86,14.9,12.22,14.96,11.56,14.92,10.89,15.47,9.98,14.91,9.99,14.63,9.92,14.17,10.02,
+    13.96,9.55,14.55,8.97,14.98,8.8,15.12,8.38,15.44,7.69,15.28,7.42,15.03,6.92,14.78,6.41,14.54,
+    6.23,14.46,5.45,14.56,5.03,14.48,4.73,14.95,4.21,15.04,3.85,15.41,3.33,15.86,3.01,15.91,2.56,
+    16.01,2.27,15.94,1.73,15.15,1.96,14.34,2.23,13.71,2.25,13.08,2.27,12.95,2.32,12.36,2.19,11.75,
+    2.33,11.28,2.26,10.46,2.27,9.65,2.28,9.79,3.07,9.41,3.73,8.95,3.9,8.75,4.35,8.49,4.5,8.5,4.77,
+    8.76,5.48,9.23,6.44,9.52,6.45,10.12,7.04,10.5,7.06,11.06,6.64,11.75,6.98,11.84,7.4,12.07,7.8,
+    12.22,8.31,12.75,8.72,12.95,9.42,13.17,9.64,13.31,10.16,13.57,10.8,14.42,11.57,14.47,11.9,
+    14.58,12.09,14.18,12.48,14.21,12.8]]]],
+  ['Canada', 'CA', 'CAN', '124',
+    [[[-122.84,49,-122.98,49,-123.94,49.49,-124.91,49.99,-125.63,50.42,-126.53,50.62,-127.44,
+    50.83,-127.99,51.72,-127.85,52.33,-128.49,52.54,-129.13,52.76,-129.3,53.56,-129.91,53.92,
+    -130.51,54.29,-130.54,54.8,-129.98,55.28,-130.01,55.92,-130.86,56.23,-131.71,56.55,-132.22,
+    57.12,-132.73,57.69,-133.35,58.41,-134.27,58.86,-134.95,59.27,-135.47,59.79,-135.98,59.63,
+    -136.48,59.46,-137.45,58.91,-138.34,59.56,-139.04,60,-140.01,60.28,-141,60.31,-141,61.26,-141,
+    62.2,-141,63.15,-140.99,64.1,-140.99,65.05,-140.99,66,-140.99,66.93,-140.99,67.86,-140.99,
+    68.78,-140.99,69.71,-140.05,69.59,-139.12,69.47,-138.33,69.23,-137.54,68.99,-137.02,68.94,
+    -136.5,68.9,-135.63,69.32,-135.02,69.47,-134.42,69.63,-133.67,69.57,-132.93,69.51,-132.18,
+    69.72,-131.43,69.94,-130.61,70.07,-129.79,70.19,-129.11,69.78,-128.36,70.01,-128.14,70.48,
+    -127.45,70.38,-126.6,69.93,-125.75,69.48,-125.09,69.82,-124.43,70.16,-124.29,69.4,-123.68,
+    69.48,-123.06,69.56,-122.68,69.86,-122.08,69.83,-121.47,69.8,-120.71,69.59,-119.94,69.38,
+    -119.16,69.26,-118.38,69.13,-117.6,69.01,-116.91,68.93,-116.23,68.84,-115.25,68.91,-114.57,
+    68.65,-113.9,68.4,-114.6,68.15,-115.3,67.9,-114.4,67.8,-113.5,67.69,-112.6,67.73,-111.7,67.77,
+    -110.8,67.81,-109.95,67.98,-109.41,67.68,-108.88,67.38,-108.34,67.63,-107.79,67.89,-108.3,
+    68.1,-108.81,68.31,-108.17,68.65,-107.56,68.68,-106.95,68.7,-106.15,68.8,-105.34,68.56,
+    -104.84,68.29,-104.34,68.02,-103.78,68.06,-103.22,68.1,-102.34,67.87,-101.45,67.65,-100.68,
+    67.73,-99.9,67.81,-99.17,67.79,-98.44,67.78,-98.56,68.4,-97.67,68.58,-96.89,68.41,-96.12,
+    68.24,-96.13,67.29,-95.49,68.09,-94.69,68.06,-94.46,68.57,-94.23,69.07,-94.77,69.38,-95.31,
+    69.68,-95.89,69.89,-96.47,70.09,-96.43,70.64,-96.39,71.19,-95.8,71.56,-95.21,71.92,-94.55,
+    71.84,-93.89,71.76,-93.38,71.54,-92.88,71.32,-92.2,70.75,-91.52,70.19,-92.41,69.7,-91.48,69.6,
+    -90.55,69.5,-90.55,68.99,-90.55,68.47,-89.88,68.87,-89.21,69.26,-88.62,68.94,-88.02,68.62,
+    -88.32,67.87,-87.35,67.2,-86.83,67.56,-86.31,67.92,-85.58,68.78,-85.55,69.33,-85.52,69.88,
+    -84.81,69.84,-84.1,69.81,-83.36,69.73,-82.62,69.66,-81.95,69.41,-81.28,69.16,-81.22,68.67,
+    -81.96,68.13,-81.26,67.6,-81.39,67.11,-82.37,66.76,-83.35,66.41,-84.04,66.33,-84.74,66.26,
+    -85.25,66.41,-85.77,66.56,-86.07,66.06,-87.03,65.21,-87.32,64.77,-87.9,64.44,-88.48,64.1,
+    -89.2,64.07,-89.91,64.03,-90.7,63.61,-90.77,62.96,-91.35,62.9,-91.93,62.84,-92.54,62.43,
+    -93.16,62.02,-93.7,61.46,-94.24,60.9,-94.63,60.11,-94.66,59.53,-94.69,58.95,-93.95,58.87,
+    -93.21,58.78,-92.76,57.85,-92.3,57.09,-91.6,57.19,-90.9,57.29,-89.97,57.07,-89.04,56.85,
+    -88.04,56.47,-87.32,56,-86.7,55.86,-86.07,55.72,-85.54,55.51,-85.01,55.3,-84.19,55.27,-83.36,
+    55.25,-82.82,55.2,-82.27,55.15,-82.44,54.28,-82.28,53.78,-82.13,53.28,-81.76,52.72,-81.4,
+    52.16,-80.66,51.68,-79.91,51.21,-79.14,51.53,-78.87,52.05,-78.6,52.56,-78.86,53.35,-79.12,
+    54.14,-79.83,54.67,-79.03,54.9,-78.23,55.14,-77.66,55.49,-77.1,55.84,-76.54,56.53,-76.62,57.2,
+    -77.3,58.05,-77.91,58.43,-78.52,58.81,-77.93,59.33,-77.34,59.85,-77.77,60.76,-77.94,61.54,
+    -78.11,62.32,-77.41,62.55,-76.55,62.41,-75.7,62.28,-75.18,62.23,-74.67,62.18,-73.84,62.44,
+    -72.91,62.11,-72.29,61.82,-71.68,61.53,-71.37,61.14,-70.48,61.1,-69.59,61.06,-69.62,60.22,
+    -69.45,59.59,-69.29,58.96,-68.37,58.8,-67.65,58.21,-66.93,58.49,-66.2,58.77,-65.72,59.32,
+    -65.25,59.87,-64.58,60.34,-63.81,59.44,-63.15,58.81,-62.5,58.17,-61.95,57.57,-61.4,56.97,
+    -61.8,56.34,-61.13,56.06,-60.47,55.78,-59.57,55.2,-58.77,55.07,-57.98,54.95,-57.33,54.63,
+    -56.94,53.78,-56.16,53.65,-55.76,53.27,-55.72,52.71,-55.68,52.15,-56.41,51.77,-57.13,51.42,
+    -57.95,51.24,-58.78,51.07,-59.4,50.65,-60.03,50.24,-60.88,50.16,-61.72,50.08,-62.44,50.15,
+    -63.15,50.22,-63.86,50.29,-64.61,50.29,-65.36,50.3,-65.88,50.26,-66.4,50.23,-67.24,49.51,
+    -67.87,49.29,-68.51,49.07,-69.23,48.41,-69.95,47.74,-70.53,47.28,-71.11,46.82,-70.26,46.99,
+    -69.45,47.64,-68.65,48.3,-67.95,48.58,-67.25,48.86,-66.55,49.13,-65.81,49.18,-65.06,49.23,
+    -64.17,48.74,-65.12,48.07,-64.96,47.53,-64.8,46.99,-64.47,46.24,-63.82,45.99,-63.17,45.74,
+    -62.35,45.81,-61.52,45.88,-61.02,46.45,-60.52,47.01,-60.45,46.28,-59.8,45.92,-60.42,45.59,
+    -61.04,45.26,-61.78,45.07,-62.52,44.87,-63.25,44.67,-64.25,44.27,-64.81,43.91,-65.36,43.55,
+    -66.12,43.62,-66.16,44.47,-65.29,44.88,-64.42,45.29,-65.23,45.28,-66.03,45.26,-66.58,45.2,
+    -67.14,45.14,-67.79,45.7,-67.79,46.38,-67.79,47.07,-68.23,47.35,-68.91,47.19,-69.24,47.45,-70,
+    46.69,-70.3,45.91,-70.66,45.46,-71.08,45.31,-71.4,45.25,-71.51,45.01,-72.43,45.01,-73.35,
+    45.01,-74.11,45,-74.87,45,-75.32,44.82,-75.85,44.46,-76.38,44.1,-76.5,44.02,-76.82,43.63,
+    -77.74,43.63,-78.72,43.62,-79.17,43.47,-79.01,43.27,-78.92,42.96,-78.94,42.86,-79.59,42.61,
+    -80.25,42.37,-80.76,42.29,-81.28,42.21,-81.86,41.94,-82.44,41.67,-82.69,41.67,-83.03,41.83,
+    -83.14,41.98,-83.12,42.08,-82.9,42.43,-82.43,42.98,-82.14,43.57,-82.34,44.44,-82.55,45.35,
+    -83.07,45.58,-83.59,45.82,-83.47,45.99,-83.62,46.12,-83.89,46.12,-84.09,46.28,-84.14,46.51,
+    -84.34,46.41,-84.61,46.44,-84.55,46.54,-84.78,46.64,-84.88,46.9,-85.65,47.22,-86.46,47.55,
+    -87.44,47.94,-88.38,48.3,-89.27,48.02,-89.6,48.01,-90.22,48.14,-90.83,48.27,-91.64,48.14,
+    -92.61,48.45,-93.12,48.53,-93.63,48.61,-94.33,48.67,-94.64,48.84,-94.82,49.39,-95.15,49.38,
+    -95.16,49,-95.85,49,-96.54,49,-97.23,49,-98.08,49,-98.94,49,-99.8,49,-100.65,49,-101.5,49,
+    -102.35,49,-103.2,49,-104.05,49,-105.05,49,-106.05,49,-107.05,49,-107.8,49,-108.55,49,-109.3,
+    49,-110.05,49,-111.03,49,-112.02,49,-113,49,-113.76,49,-114.52,49,-115.29,49,-116.05,49,
+    -117.03,49,-118.02,49,-119.01,49,-120,49,-120.95,49,-121.89,49]],[[-83.99,62.45,-83.25,62.91,
+    -82.56,62.91,-81.88,62.9,-81.9,62.71,-82.48,62.44,-83.07,62.16,-83.77,62.18]],[[-79.77,72.8,
+    -80.33,73.07,-80.88,73.33,-80.83,73.69,-80.35,73.76,-79.59,73.72,-78.83,73.69,-78.06,73.65,
+    -77.2,73.38,-76.34,73.1,-76.25,72.83,-76.78,72.84,-77.32,72.86,-77.85,72.87,-78.39,72.88,
+    -78.94,72.81,-79.49,72.74]],[[-80.32,62.09,-79.93,62.38,-79.52,62.36,-79.27,62.16,-79.66,
+    61.63,-80.1,61.72,-80.36,62.02]],[[-93.61,74.98,-94.16,74.59,-94.88,74.63,-95.61,74.67,-96.21,
+    74.8,-96.82,74.93,-96.29,75.38,-95.57,75.51,-94.85,75.65,-93.98,75.3]],[[-93.84,77.52,-94.29,
+    77.49,-95.23,77.52,-96.17,77.56,-96.44,77.83,-95.77,77.83,-95.09,77.82,-94.42,77.82,-93.72,
+    77.63]],[[-96.75,78.77,-96.16,78.59,-95.56,78.42,-95.83,78.06,-96.57,77.95,-97.31,77.85,
+    -98.12,78.08,-98.55,78.46,-98.63,78.87,-97.98,78.85,-97.34,78.83]],[[-88.15,74.39,-88.96,
+    74.45,-89.77,74.52,-90.65,74.62,-91.54,74.73,-92.42,74.84,-92.77,75.39,-92.89,75.88,-93.39,
+    76.1,-93.89,76.32,-94.58,76.36,-95.27,76.4,-95.96,76.44,-96.54,76.6,-97.12,76.75,-96.75,77.16,
+    -96.06,77.14,-95.37,77.12,-94.68,77.1,-94.13,76.94,-93.57,76.78,-92.59,76.78,-91.6,76.78,
+    -90.74,76.45,-90.97,76.07,-90.4,75.96,-89.82,75.85,-89.19,75.61,-88.51,75.59,-87.84,75.57,
+    -87.11,75.52,-86.38,75.48,-85.58,75.59,-84.79,75.7,-84.11,75.73,-83.43,75.76,-82.75,75.78,
+    -81.94,75.75,-81.13,75.71,-80.59,75.53,-80.06,75.34,-79.83,74.92,-80.46,74.66,-81.2,74.55,
+    -81.95,74.44,-82.59,74.5,-83.23,74.56,-84.18,74.51,-85.14,74.46,-86.1,74.41,-86.78,74.4,
+    -87.46,74.4]],[[-111.26,78.15,-110.56,78.07,-109.85,78,-110.19,77.7,-111.12,77.55,-112.05,
+    77.41,-112.79,77.57,-113.53,77.73,-112.73,78.05,-112,78.1]],[[-110.96,78.8,-110.31,78.7,
+    -109.66,78.6,-110.27,78.5,-110.88,78.41,-111.71,78.41,-112.54,78.41,-112.52,78.55,-112.01,
+    78.7,-111.5,78.85]],[[-55.6,51.32,-56.13,50.69,-56.8,49.81,-56.14,50.15,-55.47,49.94,-55.82,
+    49.59,-54.93,49.31,-54.47,49.56,-53.48,49.25,-53.79,48.52,-53.09,48.69,-52.96,48.16,-52.65,
+    47.54,-53.07,46.66,-53.52,46.62,-54.18,46.81,-53.96,47.63,-54.24,47.75,-54.82,47.32,-55.4,
+    46.88,-56,46.92,-55.29,47.39,-56.25,47.63,-56.79,47.6,-57.33,47.57,-58.3,47.59,-59.27,47.6,
+    -59.42,47.9,-58.8,48.25,-59.23,48.52,-58.39,49.13,-57.87,49.92,-57.36,50.72,-56.74,51.29,
+    -55.87,51.63,-55.41,51.59]],[[-83.88,65.11,-83.34,64.94,-82.79,64.77,-82.22,64.61,-81.64,
+    64.45,-81.55,63.98,-80.82,64.06,-80.1,63.73,-80.99,63.41,-81.77,63.53,-82.55,63.65,-83.11,
+    64.1,-84.1,63.57,-84.81,63.31,-85.52,63.05,-85.87,63.64,-86.54,63.59,-87.22,63.54,-86.35,
+    64.04,-86.23,64.82,-85.88,65.74,-85.16,65.66,-84.98,65.22,-84.46,65.37]],[[-78.77,72.35,
+    -77.82,72.75,-77.08,72.58,-76.35,72.41,-75.61,72.24,-74.92,72.01,-74.23,71.77,-74.1,71.33,
+    -73.17,71.44,-72.24,71.56,-71.72,71.24,-71.2,70.92,-70.4,70.79,-69.59,70.66,-68.79,70.52,
+    -67.92,70.12,-66.97,69.19,-67.89,68.95,-68.81,68.72,-68.02,68.5,-67.24,68.28,-66.45,68.07,
+    -65.66,67.96,-64.86,67.85,-64.14,67.39,-63.42,66.93,-62.64,66.89,-61.85,66.86,-62.16,66.16,
+    -63.04,65.58,-63.92,65,-64.53,65.21,-65.15,65.43,-65.93,65.91,-66.72,66.39,-67.37,66.33,
+    -68.01,66.26,-68.14,65.69,-67.61,65.4,-67.09,65.11,-66.41,64.88,-65.73,64.65,-65.32,64.38,
+    -64.67,63.39,-65.01,62.67,-65.64,62.81,-66.27,62.95,-67.11,63.21,-67.95,63.48,-68.78,63.75,
+    -68.08,63.31,-67.37,62.88,-66.85,62.58,-66.33,62.28,-66.17,61.93,-67.07,62.06,-67.97,62.2,
+    -68.88,62.33,-69.59,62.52,-70.31,62.72,-71.02,62.91,-71.63,63.15,-72.24,63.4,-71.89,63.68,
+    -72.63,63.94,-73.38,64.19,-74.11,64.44,-74.84,64.68,-74.82,64.39,-75.78,64.34,-76.74,64.28,
+    -77.71,64.23,-78.55,64.57,-77.9,65.31,-76.96,65.32,-76.02,65.33,-75.33,65.37,-74.65,65.41,
+    -73.96,65.46,-74.29,65.81,-73.95,66.31,-73.3,66.8,-72.65,67.28,-72.93,67.73,-73.31,68.07,
+    -74.08,68.31,-74.84,68.55,-75.52,68.67,-76.19,68.78,-76.87,68.89,-76.23,69.15,-76.76,69.46,
+    -77.29,69.77,-78.17,69.83,-78.96,70.17,-79.49,69.87,-80.4,69.81,-81.31,69.74,-82.21,69.8,
+    -83.12,69.85,-84.03,69.91,-84.94,69.97,-85.65,70.06,-86.36,70.16,-87.06,70.26,-87.87,70.34,
+    -88.68,70.41,-89.51,70.76,-88.99,70.99,-88.47,71.22,-89.18,71.22,-89.89,71.22,-90.05,71.73,
+    -90.2,72.24,-89.44,73.13,-88.92,73.33,-88.41,73.54,-87.55,73.63,-86.69,73.72,-85.83,73.8,
+    -86.56,73.16,-85.77,72.53,-84.85,73.34,-84.01,73.48,-83.16,73.61,-82.32,73.75,-81.46,73.23,
+    -80.6,72.72,-80.75,72.06,-79.76,72.21]],[[-94.5,74.13,-93.81,74.12,-93.11,74.11,-92.42,74.1,
+    -91.46,73.98,-90.51,73.86,-91.26,73.41,-92,72.97,-92.6,72.87,-93.2,72.77,-93.73,72.4,-94.27,
+    72.02,-94.84,72.04,-95.41,72.06,-96.03,72.94,-96.02,73.44,-95.5,73.86]],[[-122.86,76.12,
+    -122.01,76.49,-121.16,76.86,-120.47,77.08,-119.79,77.3,-119.11,77.51,-118.34,77.51,-117.57,
+    77.5,-116.89,77.57,-116.2,77.65,-116.34,76.88,-117.11,76.53,-118.04,76.48,-118.97,76.27,
+    -119.9,76.05,-120.7,75.98,-121.5,75.9,-122.18,76.01]],[[-132.71,54.04,-131.75,54.12,-131.9,
+    53.55,-132.05,52.98,-131.18,52.18,-131.58,52.18,-132.18,52.64,-132.55,53.1,-133.06,53.41,
+    -133.24,53.85,-133.18,54.17]],[[-105.49,79.3,-104.51,79.23,-103.53,79.16,-102.63,79.04,
+    -101.73,78.92,-100.82,78.8,-100.06,78.33,-99.67,77.91,-100.49,77.96,-101.3,78.02,-102.13,
+    78.18,-102.95,78.34,-103.69,78.36,-104.43,78.37,-105.18,78.38,-104.21,78.68,-104.82,78.8,
+    -105.42,78.92]],[[-123.51,48.51,-124.01,48.37,-124.83,48.6,-125.65,48.83,-125.96,49.18,
+    -126.85,49.53,-127.03,49.81,-127.54,49.9,-128.06,50,-128.44,50.54,-128.36,50.77,-127.83,50.66,
+    -127.31,50.55,-126.69,50.4,-125.75,50.29,-125.42,49.95,-124.92,49.48,-123.92,49.06]],
+    [[-121.54,74.45,-120.82,74.35,-120.11,74.24,-119.26,74.22,-118.41,74.2,-117.56,74.19,-116.59,
+    73.9,-116.05,73.69,-115.51,73.47,-116.14,73.35,-116.77,73.22,-117.59,72.99,-118.4,72.75,
+    -119.22,72.52,-119.84,72.17,-120.46,71.82,-120.46,71.38,-121.34,71.22,-122.21,71.06,-123.09,
+    70.9,-123.62,71.34,-124.39,71.52,-125.16,71.69,-125.93,71.87,-125.5,72.29,-124.81,73.02,
+    -123.94,73.68,-124.92,74.29,-124.07,74.33,-123.23,74.37,-122.38,74.41]],[[-107.82,75.85,
+    -106.93,76.01,-106.41,75.99,-105.88,75.97,-105.71,75.48,-106.31,75,-107.16,74.97,-108.01,
+    74.93,-108.85,74.89,-109.7,74.85,-110.54,74.71,-111.38,74.56,-112.22,74.42,-112.98,74.41,
+    -113.74,74.39,-113.87,74.72,-113.18,74.87,-112.49,75.01,-111.79,75.16,-112.7,75.14,-113.6,
+    75.11,-114.5,75.09,-115.41,75.07,-116.31,75.04,-117.01,75.13,-117.71,75.22,-117.03,75.71,
+    -116.35,76.2,-115.4,76.48,-114.47,76.37,-113.53,76.25,-112.59,76.14,-111.7,75.85,-110.81,
+    75.55,-109.94,75.51,-109.07,75.47,-109.78,75.95,-110.5,76.43,-109.58,76.79,-109.06,76.74,
+    -108.55,76.68,-108.21,76.2]],[[-106.52,73.08,-105.96,72.87,-105.4,72.67,-104.77,71.7,-104.46,
+    70.99,-103.63,70.75,-102.79,70.5,-101.88,70.26,-100.98,70.03,-101.09,69.59,-101.91,69.54,
+    -102.73,69.5,-102.09,69.12,-102.43,68.75,-103.34,68.83,-104.24,68.91,-105.1,69.05,-105.96,
+    69.18,-106.54,69.15,-107.12,69.12,-108.06,68.95,-109,68.78,-109.84,68.73,-110.69,68.68,
+    -111.53,68.63,-112.42,68.58,-113.31,68.54,-113.86,69.01,-114.54,69.14,-115.22,69.28,-116.11,
+    69.17,-116.72,69.56,-117.34,69.96,-116.68,70.07,-115.9,70.15,-115.13,70.24,-114.43,70.21,
+    -113.72,70.19,-113.07,70.28,-112.42,70.37,-113.38,70.48,-114.35,70.6,-115.06,70.57,-115.78,
+    70.55,-116.49,70.52,-117.2,70.53,-117.91,70.54,-118.43,70.91,-117.66,71.04,-116.89,71.18,
+    -116.11,71.31,-116.88,71.3,-117.65,71.29,-118.53,71.43,-119.4,71.56,-118.56,72.31,-117.87,
+    72.71,-116.97,72.91,-116.08,73.11,-115.19,73.31,-114.68,73.22,-114.17,73.12,-114.67,72.65,
+    -113.92,72.75,-113.18,72.85,-112.44,72.95,-111.75,72.7,-111.05,72.45,-110.49,72.71,-109.92,
+    72.96,-109.01,72.63,-108.19,71.65,-107.69,72.06,-108.04,72.58,-108.4,73.09,-107.52,73.24]],
+    [[-100.44,72.71,-100.99,73.03,-101.54,73.36,-100.95,73.6,-100.36,73.84,-99.76,73.74,-99.16,
+    73.63,-98.27,73.7,-97.38,73.76,-97.12,73.47,-98.05,72.99,-97.3,72.78,-96.54,72.56,-96.72,
+    71.66,-97.54,71.47,-98.36,71.27,-99.32,71.36,-100.01,71.74,-100.84,72,-101.67,72.25,-102.5,
+    72.51,-102.48,72.83,-101.8,72.79,-101.12,72.75]],[[-106.6,73.6,-105.93,73.62,-105.26,73.64,
+    -104.5,73.42,-105.38,72.76,-106.16,73.11,-106.94,73.46]],[[-98.5,76.72,-97.74,76.26,-97.7,
+    75.74,-98.16,75,-98.98,74.95,-99.81,74.9,-100.35,74.98,-100.88,75.06,-100.86,75.64,-101.68,
+    75.6,-102.5,75.56,-102.57,76.34,-102.03,76.32,-101.49,76.31,-100.74,76.48,-99.98,76.65,-99.28,
+    76.62,-98.58,76.59]],[[-96.01,80.6,-95.32,80.91,-94.81,80.94,-94.3,80.98,-94.74,81.21,-93.96,
+    81.22,-93.19,81.24,-92.41,81.26,-91.77,80.99,-91.13,80.72,-90.29,80.62,-89.45,80.51,-88.63,
+    80.41,-87.81,80.32,-87.02,79.66,-86.42,79.5,-85.82,79.34,-86.5,79.19,-87.19,79.04,-88.11,
+    78.66,-89.03,78.29,-89.92,78.25,-90.81,78.22,-91.5,78.26,-92.19,78.3,-92.88,78.34,-93.41,
+    78.55,-93.95,78.75,-93.94,79.11,-93.15,79.38,-94.06,79.38,-94.97,79.37,-95.53,79.54,-96.08,
+    79.7,-96.71,80.16]],[[-91.59,81.9,-90.84,81.99,-90.1,82.08,-89.52,82.1,-88.93,82.12,-87.95,
+    82.2,-86.97,82.28,-86.24,82.47,-85.5,82.65,-84.88,82.63,-84.26,82.6,-83.72,82.46,-83.18,82.32,
+    -82.42,82.86,-81.76,82.94,-81.1,83.02,-80.2,83.08,-79.31,83.13,-78.54,83.14,-77.78,83.15,
+    -77.01,83.16,-76.25,83.17,-75.72,83.06,-74.76,83.12,-73.79,83.18,-72.83,83.23,-72.11,83.21,
+    -71.39,83.19,-70.67,83.17,-69.94,83.15,-69.22,83.13,-68.5,83.11,-67.61,83.08,-66.72,83.05,
+    -65.83,83.03,-65.11,82.99,-64.4,82.94,-63.68,82.9,-62.76,82.76,-61.85,82.63,-61.89,82.36,
+    -62.71,82.22,-63.52,82.07,-64.33,81.93,-65.14,81.86,-65.95,81.79,-66.75,81.73,-67.66,81.5,
+    -66.93,81.5,-66.21,81.5,-65.48,81.51,-66.27,81.3,-67.05,81.1,-67.84,80.9,-68.65,80.76,-69.47,
+    80.62,-70.32,80.21,-71.18,79.8,-71.87,79.74,-72.56,79.69,-73.24,79.63,-73.88,79.43,-74.64,
+    79.4,-75.4,79.38,-76.15,79.35,-76.91,79.32,-76.22,79.26,-75.53,79.2,-76.22,79.02,-75.39,78.53,
+    -76.34,78.18,-77.12,78.04,-77.89,77.9,-78.36,77.51,-79.06,77.36,-79.76,77.21,-79.62,76.98,
+    -78.77,77,-77.91,77.02,-77.89,76.78,-78.78,76.58,-79.67,76.38,-80.56,76.18,-81.43,76.27,-82.3,
+    76.36,-83.17,76.45,-84.15,76.4,-85.13,76.35,-86.11,76.3,-86.86,76.36,-87.6,76.42,-88.55,76.45,
+    -89.49,76.47,-89.62,76.95,-88.69,77.07,-87.77,77.18,-88.26,77.9,-87.65,77.97,-86.76,77.83,
+    -85.87,77.68,-84.98,77.54,-85.66,77.86,-86.34,78.18,-87.15,78.28,-87.96,78.37,-87.15,78.76,
+    -86.27,78.88,-85.38,79,-85.1,79.35,-85.8,79.54,-86.51,79.74,-86.93,80.25,-86.02,80.24,-85.11,
+    80.22,-84.2,80.21,-83.41,80.1,-82.63,80.28,-81.85,80.46,-82.6,80.5,-83.35,80.54,-84.1,80.58,
+    -84.97,80.56,-85.85,80.55,-86.72,80.53,-87.6,80.52,-88.48,80.69,-89.37,80.86,-90.2,81.26,
+    -90.78,81.41,-91.37,81.55]],[[-75.22,67.44,-75.87,67.15,-76.43,67.12,-76.99,67.1,-77.24,67.59,
+    -76.81,68.15,-75.89,68.29,-75.11,68.01,-75.1,67.58]],[[-96.26,69.49,-95.65,69.11,-96.27,68.76,
+    -96.94,68.91,-97.62,69.06,-98.43,68.95,-99.11,69.18,-99.8,69.4,-98.92,69.71,-98.22,70.14,
+    -97.69,70,-97.16,69.86,-96.56,69.68]],[[-64.52,49.87,-64.17,49.96,-63.52,49.83,-62.86,49.71,
+    -62.35,49.5,-61.84,49.29,-61.81,49.11,-62.29,49.09,-62.94,49.24,-63.59,49.4]],[[-64.01,47.04,
+    -63.66,46.55,-62.94,46.42,-62.01,46.44,-62.51,46.03,-62.87,45.97,-63.51,46.18,-64.14,46.39,
+    -64.39,46.73]]]],
+  ['Central African Rep.', 'CF', 'CAF', '140',
+    [[[27.37,5.23,27.05,5.13,26.4,5.15,25.65,5.26,25.28,5.17,25.13,4.93,24.81,4.9,24.41,5.11,
+    23.85,4.86,23.3,4.61,22.84,4.71,22.7,4.63,22.4,4.03,21.66,4.22,20.93,4.32,20.29,4.69,19.47,
+    5.03,18.93,4.71,18.54,4.2,18.45,3.5,17.81,3.56,17.13,3.73,16.54,3.2,16.01,2.27,15.91,2.56,
+    15.86,3.01,15.41,3.33,15.04,3.85,14.95,4.21,14.48,4.73,14.56,5.03,14.46,5.45,14.54,6.23,14.78,
+    6.41,15.03,6.92,15.28,7.42,16.1,7.5,16.29,7.75,16.46,7.74,16.71,7.51,17.34,7.7,17.97,7.89,
+    18.39,8.28,18.91,8.63,18.81,8.98,19.09,9.07,20.06,9.01,21,9.48,21.36,10.02,21.72,10.57,22.23,
+    10.97,22.87,11.14,22.98,10.71,23.55,10.09,23.56,9.68,23.39,9.27,23.46,8.95,23.81,8.67,24.57,
+    8.23,25.12,7.83,25.12,7.5,25.8,6.98,26.21,6.55,26.47,5.95,27.21,5.55]]]],
+  ['Chad', 'TD', 'TCD', '148',
+    [[[23.84,19.58,23.85,18.59,23.86,17.6,23.88,16.6,23.89,15.61,23.02,15.68,22.57,14.94,22.3,
+    14.33,22.51,14.09,22.18,13.79,22.3,13.37,22.04,12.96,21.94,12.59,22.29,12.65,22.5,12.26,22.51,
+    11.68,22.88,11.38,22.87,11.14,22.23,10.97,21.72,10.57,21.36,10.02,21,9.48,20.06,9.01,19.09,
+    9.07,18.81,8.98,18.91,8.63,18.39,8.28,17.97,7.89,17.34,7.7,16.71,7.51,16.46,7.74,16.29,7.75,
+    16.1,7.5,15.28,7.42,15.44,7.69,15.12,8.38,14.98,8.8,14.55,8.97,13.96,9.55,14.17,10.02,14.63,
+    9.92,14.91,9.99,15.47,9.98,14.92,10.89,14.96,11.56,14.9,12.22,14.5,12.86,14.6,13.33,13.96,
+    13.35,13.96,14,13.54,14.37,13.76,15.03,13.97,15.68,14.61,16.16,15.25,16.63,15.27,17.28,15.3,
+    17.93,15.43,18.6,15.56,19.28,15.69,19.96,15.9,20.39,15.49,20.73,15.47,21.05,15.1,21.31,14.97,
+    22.09,14.85,22.86,15.36,23.14,15.86,23.41,16.86,22.93,17.85,22.45,18.85,21.97,19.85,21.49,
+    20.85,21.02,21.84,20.54,22.84,20.06]]]],
+  ['Chile', 'CL', 'CHL', '152',
+    [[[-68.63,-52.64,-68.63,-53.38,-68.63,-54.12,-68.63,-54.87,-68.1,-54.87,-67.56,-54.87,-66.96,
+    -54.9,-67.29,-55.3,-68.15,-55.61,-68.64,-55.58,-69.23,-55.5,-69.96,-55.2,-70.48,-55.13,-71.01,
+    -55.05,-71.64,-54.77,-72.27,-54.49,-72.77,-54.23,-73.28,-53.96,-73.97,-53.4,-74.66,-52.84,
+    -73.84,-53.05,-73.14,-53.38,-72.43,-53.72,-71.77,-53.9,-71.11,-54.07,-70.59,-53.62,-70.27,
+    -52.93,-69.35,-52.52]],[[-69.59,-17.58,-69.1,-18.26,-68.97,-18.98,-68.44,-19.4,-68.76,-20.37,
+    -68.49,-20.93,-68.22,-21.49,-68.02,-22.18,-67.83,-22.87,-67.11,-22.74,-66.98,-22.99,-67.16,
+    -23.51,-67.33,-24.03,-67.87,-24.27,-68.42,-24.52,-68.4,-25.35,-68.38,-26.18,-68.59,-26.51,
+    -68.29,-26.9,-69,-27.52,-69.66,-28.46,-70.02,-29.37,-69.92,-30.34,-70.23,-30.85,-70.53,-31.36,
+    -70.3,-32.23,-70.07,-33.09,-69.81,-33.27,-69.82,-34.19,-70.39,-35.17,-70.36,-36.01,-71.12,
+    -36.66,-71.12,-37.58,-70.81,-38.55,-71.41,-38.92,-71.68,-39.81,-71.8,-40.32,-71.92,-40.83,
+    -71.83,-41.44,-71.75,-42.05,-72.15,-42.25,-72.03,-42.83,-71.92,-43.41,-71.46,-43.79,-71.79,
+    -44.21,-71.33,-44.41,-71.22,-44.78,-71.66,-44.97,-71.55,-45.56,-71.73,-46.22,-71.92,-46.88,
+    -72.45,-47.74,-72.33,-48.24,-72.65,-48.88,-73.41,-49.32,-73.37,-49.85,-73.33,-50.38,-72.97,
+    -50.74,-72.31,-50.68,-72.33,-51.43,-71.92,-52.01,-71.11,-52.05,-70.3,-52.1,-69.5,-52.14,
+    -68.57,-52.3,-69.46,-52.29,-69.94,-52.54,-70.84,-52.9,-71.01,-53.83,-71.43,-53.86,-71.99,
+    -53.69,-72.56,-53.53,-73.13,-53.18,-73.7,-52.83,-74.32,-52.55,-74.95,-52.26,-75.26,-51.63,
+    -74.98,-51.04,-75.48,-50.38,-75.54,-49.53,-75.61,-48.67,-75.18,-47.71,-74.65,-47.33,-74.13,
+    -46.94,-74.89,-46.79,-75.65,-46.65,-74.69,-45.76,-74.52,-44.93,-74.35,-44.1,-73.8,-44.28,
+    -73.24,-44.45,-73.07,-43.76,-72.89,-43.07,-72.72,-42.38,-73.39,-42.12,-73.55,-42.74,-73.7,
+    -43.37,-74.33,-43.23,-74.18,-42.51,-74.02,-41.8,-73.85,-40.87,-73.68,-39.94,-73.22,-39.26,
+    -73.51,-38.28,-73.55,-37.72,-73.59,-37.16,-73.17,-37.12,-72.86,-36.32,-72.55,-35.51,-72.21,
+    -34.71,-71.86,-33.91,-71.65,-33.16,-71.44,-32.42,-71.55,-31.67,-71.67,-30.92,-71.37,-30.1,
+    -71.43,-29.48,-71.49,-28.86,-71.2,-28.25,-70.9,-27.64,-70.81,-26.67,-70.72,-25.71,-70.62,
+    -25.01,-70.51,-24.32,-70.4,-23.63,-70.3,-22.88,-70.2,-22.14,-70.09,-21.39,-70.13,-20.58,
+    -70.16,-19.76,-70.27,-19.05,-70.37,-18.35,-69.86,-18.09]]]],
+  ['China', 'CN', 'CHN', '156',
+    [[[109.48,18.2,108.65,18.51,108.63,19.37,109.12,19.82,109.67,19.96,110.21,20.1,110.79,20.08,
+    111.01,19.7,110.57,19.26,110.34,18.68]],[[80.26,42.35,80.18,42.92,80.87,43.18,80.42,44.05,
+    79.97,44.92,80.96,45.12,81.95,45.32,82.46,45.54,82.82,46.43,83.18,47.33,84.17,47.17,85.16,47,
+    85.72,47.45,85.75,47.95,85.77,48.46,86.6,48.55,87.36,49.22,87.75,49.3,88.02,48.6,88.85,48.07,
+    89.57,47.88,90.28,47.69,90.97,46.89,90.78,46.3,90.59,45.72,90.95,45.29,91.54,45.2,92.13,45.12,
+    92.81,45.05,93.48,44.98,94.09,44.66,94.69,44.35,95.31,44.24,95.76,43.32,96.35,42.73,96.9,
+    42.74,97.45,42.75,98.14,42.67,98.83,42.6,99.52,42.52,100.18,42.59,100.85,42.66,101.83,42.51,
+    102.57,42.21,103.31,41.91,103.92,41.91,104.52,41.91,104.96,41.6,105.55,41.87,106.13,42.14,
+    106.94,42.31,107.74,42.48,108.49,42.5,109.24,42.52,109.83,42.7,110.41,42.87,111.13,43.41,
+    111.83,43.74,111.67,44.07,111.35,44.46,111.87,45.1,112.43,45.01,112.95,44.91,113.46,44.81,
+    114.46,45.34,115.22,45.53,115.98,45.73,116.72,46.39,117.42,46.67,118.15,46.74,118.87,46.8,
+    119.66,46.69,119.77,47.05,118.87,47.75,118.06,48.07,117.29,47.7,116.31,47.85,115.74,47.73,
+    115.48,48.14,116.19,49.13,116.68,49.89,117.28,49.7,117.88,49.51,118.58,49.83,119.29,50.14,
+    119.28,50.58,119.73,51.11,120.18,51.64,120.74,51.96,120.73,52.52,120.18,52.75,121,53.25,
+    121.62,53.34,122.24,53.43,122.91,53.44,123.57,53.46,124.32,53.31,125.07,53.16,125.95,52.79,
+    126.26,52.29,126.56,51.78,126.94,51.35,127.29,50.74,127.66,49.76,128.53,49.6,129.4,49.44,
+    129.99,49.08,130.58,48.73,130.99,47.79,131.75,47.79,132.51,47.79,133.37,48.18,134.2,48.33,
+    135.02,48.48,134.5,47.58,134.11,47.21,133.94,46.67,133.77,46.12,133.1,45.14,132.49,45.23,
+    131.88,45.32,131.03,44.97,131.29,44.11,131.22,43.52,131.14,42.93,130.63,42.9,130.64,42.4,130,
+    42.98,129.6,42.42,128.82,42.21,128.05,41.99,128.21,41.47,127.34,41.5,126.87,41.82,126.18,
+    41.11,125.63,40.84,125.08,40.57,124.26,39.93,123.57,39.78,122.87,39.64,122.13,39.17,121.59,
+    39.03,121.05,38.9,121.59,39.36,121.38,39.75,122.17,40.42,121.64,40.95,120.77,40.59,120.2,
+    40.25,119.64,39.9,119.02,39.25,118.04,39.2,117.53,38.74,118.06,38.06,118.88,37.9,118.91,37.45,
+    119.7,37.16,120.26,37.51,120.82,37.87,121.71,37.48,122.36,37.46,122.52,36.93,121.81,36.79,
+    121.1,36.65,120.64,36.11,119.66,35.61,119.15,34.91,119.69,34.63,120.23,34.36,120.62,33.38,
+    121.23,32.46,121.91,31.69,121.89,30.95,121.27,30.68,121.5,30.14,122.09,29.83,121.94,29.02,
+    121.68,28.23,121.13,28.14,120.76,27.59,120.39,27.05,119.99,26.4,119.58,25.74,119.12,25.14,
+    118.66,24.55,117.97,24.09,117.28,23.63,116.59,23.2,115.89,22.78,115.33,22.72,114.76,22.67,
+    114.15,22.22,113.81,22.55,113.24,22.05,112.54,21.8,111.84,21.55,111.31,21.47,110.79,21.4,
+    110.61,20.87,110.44,20.34,109.89,20.28,109.63,21.01,109.86,21.39,109.19,21.55,108.52,21.71,
+    108.05,21.55,107.55,21.68,107.04,21.81,106.57,22.22,106.72,22.79,105.81,22.98,105.33,23.35,
+    104.48,22.82,103.5,22.7,102.71,22.71,102.17,22.46,101.65,22.32,101.73,21.75,101.8,21.17,
+    101.27,21.2,101.18,21.44,101.15,21.85,100.42,21.56,99.98,21.74,99.24,22.12,99.53,22.95,98.9,
+    23.14,98.66,24.06,98.13,23.98,97.61,23.9,97.67,24.49,97.72,25.08,98.67,25.92,98.71,26.74,
+    98.68,27.51,98.25,27.75,97.91,28.34,97.33,28.26,96.79,28.34,96.25,28.41,96.59,28.83,96.12,
+    29.45,95.41,29.03,94.57,29.28,93.99,28.96,93.41,28.64,92.5,27.9,91.7,27.77,91.26,28.04,90.73,
+    28.06,90.02,28.3,89.48,28.04,88.81,27.3,88.73,28.09,88.12,27.88,87.54,27.93,86.95,27.97,86.39,
+    28.09,85.82,28.2,85.01,28.64,84.24,28.84,83.9,29.32,83.34,29.46,82.83,29.79,82.33,30.11,81.52,
+    30.42,81.11,30.18,80.42,30.53,79.72,30.88,78.74,31.52,78.6,32.07,78.46,32.62,79.18,32.48,
+    79.21,32.99,78.81,33.51,78.91,34.32,78.37,34.91,77.84,35.49,77.02,35.7,76.19,35.9,75.9,36.67,
+    75.16,37.13,74.98,37.42,74.83,37.99,74.86,38.38,74.26,38.61,73.93,38.51,73.68,39.43,73.96,
+    39.66,73.82,39.89,74.78,40.37,75.47,40.56,76,40.5,76.53,40.43,76.91,41.07,77.55,41.13,78.19,
+    41.19,78.54,41.58,79.33,41.85,80.12,42.12]]]],
+  ['Colombia', 'CO', 'COL', '170',
+    [[[-66.88,1.25,-67.06,1.13,-67.26,1.72,-67.54,2.04,-67.87,1.69,-68.84,1.7,-69.82,1.72,-69.8,
+    1.09,-69.22,0.99,-69.25,0.6,-69.45,0.71,-70.02,0.54,-70.02,-0.19,-69.58,-0.55,-69.42,-1.12,
+    -69.44,-1.56,-69.59,-2.47,-69.74,-3.38,-69.89,-4.3,-70.39,-3.77,-70.69,-3.74,-70.37,-3.23,
+    -70.05,-2.72,-70.81,-2.26,-71.41,-2.34,-71.78,-2.17,-72.33,-2.44,-73.07,-2.31,-73.37,-1.79,
+    -73.66,-1.26,-74.12,-1,-74.44,-0.53,-75.11,-0.06,-75.37,-0.15,-75.8,0.09,-76.29,0.42,-76.58,
+    0.26,-77.42,0.39,-77.67,0.83,-77.86,0.81,-78.36,1.1,-78.86,1.38,-78.99,1.69,-78.62,1.77,
+    -78.66,2.27,-78.43,2.63,-77.93,2.7,-77.51,3.32,-77.13,3.85,-77.5,4.09,-77.31,4.67,-77.53,5.58,
+    -77.32,5.84,-77.48,6.69,-77.88,7.22,-77.75,7.71,-77.43,7.64,-77.24,7.94,-77.47,8.52,-77.35,
+    8.67,-76.84,8.64,-76.08,9.34,-75.67,9.44,-75.66,9.77,-75.48,10.62,-74.91,11.08,-74.28,11.1,
+    -74.2,11.31,-73.41,11.23,-72.63,11.73,-72.24,11.96,-71.75,12.44,-71.4,12.38,-71.14,12.11,
+    -71.33,11.78,-71.97,11.61,-72.23,11.11,-72.61,10.82,-72.91,10.45,-73.03,9.74,-73.31,9.15,
+    -72.79,9.08,-72.66,8.63,-72.44,8.41,-72.36,8,-72.48,7.63,-72.45,7.42,-72.2,7.34,-71.96,6.99,
+    -71.32,7.04,-70.67,7.09,-70.09,6.96,-69.39,6.1,-68.99,6.21,-68.27,6.15,-67.7,6.27,-67.34,6.1,
+    -67.52,5.56,-67.74,5.22,-67.82,4.5,-67.62,3.84,-67.34,3.54,-67.3,3.32,-67.81,2.82,-67.45,2.6,
+    -67.18,2.25]]]],
+  ['Congo', 'CG', 'COG', '178',
+    [[[18.45,3.5,18.39,2.9,18.1,2.37,17.9,1.74,17.78,0.86,17.83,0.29,17.66,-0.06,17.64,-0.42,
+    17.52,-0.74,16.86,-1.23,16.41,-1.74,15.97,-2.71,16.01,-3.54,15.75,-3.86,15.17,-4.34,14.58,
+    -4.97,14.21,-4.79,14.15,-4.51,13.6,-4.5,13.26,-4.88,12.99,-4.78,12.62,-4.44,12.32,-4.61,11.91,
+    -5.04,11.5,-4.51,11.09,-3.98,11.86,-3.43,11.48,-2.77,11.82,-2.51,12.49,-2.39,12.58,-1.95,
+    13.11,-2.43,13.99,-2.47,14.3,-2,14.43,-1.33,14.32,-0.55,13.84,0.04,14.06,0.62,14.28,1.2,14.03,
+    1.4,13.28,1.31,13,1.83,13.08,2.27,13.71,2.25,14.34,2.23,15.15,1.96,15.94,1.73,16.01,2.27,
+    16.54,3.2,17.13,3.73,17.81,3.56]]]],
+  ['Costa Rica', 'CR', 'CRI', '188',
+    [[[-82.55,9.57,-82.93,9.48,-82.93,9.07,-82.72,8.93,-82.87,8.81,-82.83,8.63,-82.91,8.42,-82.96,
+    8.22,-83.51,8.45,-83.71,8.66,-83.59,8.83,-83.63,9.05,-83.91,9.29,-84.3,9.49,-84.65,9.62,
+    -84.71,9.91,-84.98,10.09,-84.91,9.8,-85.11,9.56,-85.34,9.83,-85.66,9.93,-85.8,10.14,-85.79,
+    10.44,-85.66,10.76,-85.94,10.9,-85.71,11.09,-85.56,11.22,-84.9,10.95,-84.67,11.08,-84.35,11,
+    -84.19,10.79,-83.89,10.73,-83.66,10.94,-83.4,10.4,-83.02,9.99]]]],
+  ['Côte d\'Ivoire', 'CI', 'CIV', '384',
+    [[[-8.03,10.21,-7.9,10.3,-7.62,10.15,-6.85,10.14,-6.67,10.43,-6.49,10.41,-6.2,10.52,-6.05,
+    10.1,-5.82,10.22,-5.41,10.37,-4.96,10.15,-4.78,9.82,-4.33,9.61,-3.98,9.86,-3.51,9.9,-2.83,
+    9.64,-2.69,8.93,-2.56,8.22,-2.98,7.38,-3.11,6.82,-3.25,6.25,-2.81,5.39,-2.86,5,-3.31,4.98,
+    -4.01,5.18,-4.65,5.17,-5.24,5.08,-5.83,4.99,-6.53,4.71,-7.52,4.34,-7.71,4.36,-7.63,5.19,-7.54,
+    5.31,-7.57,5.71,-7.99,6.13,-8.31,6.19,-8.6,6.47,-8.39,6.91,-8.49,7.4,-8.44,7.69,-8.28,7.69,
+    -8.22,8.12,-8.3,8.32,-8.2,8.45,-7.83,8.58,-8.08,9.38,-8.31,9.79,-8.23,10.13]]]],
+  ['Croatia', 'HR', 'HRV', '191',
+    [[[16.57,46.5,16.88,46.38,17.63,45.95,18.46,45.76,18.83,45.91,19.07,45.52,19.39,45.24,19.01,
+    44.86,18.55,45.08,17.86,45.07,17,45.23,16.53,45.21,16.32,45,15.96,45.23,15.75,44.82,16.24,
+    44.35,16.46,44.04,16.91,43.67,17.3,43.45,17.67,43.03,18.56,42.65,18.45,42.48,17.51,42.85,
+    16.93,43.21,16.01,43.51,15.18,44.24,15.38,44.32,14.92,44.74,14.9,45.08,14.26,45.23,13.95,44.8,
+    13.66,45.14,13.68,45.48,13.71,45.5,14.41,45.47,14.6,45.64,14.93,45.47,15.33,45.45,15.32,45.73,
+    15.67,45.83,15.77,46.24]]]],
+  ['Cuba', 'CU', 'CUB', '192',
+    [[[-82.27,23.19,-81.41,23.12,-80.62,23.11,-79.68,22.77,-79.28,22.4,-78.35,22.51,-77.99,22.28,
+    -77.15,21.66,-76.52,21.21,-76.19,21.22,-75.6,21.02,-75.67,20.73,-74.93,20.69,-74.18,20.28,
+    -74.3,20.05,-74.96,19.92,-75.63,19.87,-76.32,19.95,-77.04,19.9,-77.76,19.86,-77.09,20.41,
+    -77.49,20.67,-78.14,20.74,-78.48,21.03,-78.72,21.6,-79.29,21.56,-80.22,21.83,-80.52,22.04,
+    -81.17,22.11,-81.82,22.19,-82.17,22.39,-81.79,22.64,-82.78,22.69,-83.49,22.17,-83.91,22.15,
+    -84.05,21.91,-84.55,21.8,-84.97,21.9,-84.45,22.21,-84.23,22.57,-83.78,22.79,-83.27,22.98,
+    -82.51,23.08]]]],
+  ['Cyprus', 'CY', 'CYP', '196',
+    [[[32.73,35.14,32.92,35.09,33.19,35.17,33.38,35.16,33.46,35.1,33.47,35,33.53,35.04,33.68,
+    35.02,33.87,35.09,33.98,35.06,34,34.98,33.49,34.77,32.98,34.57,32.49,34.7,32.26,35.1]]]],
+  ['Czechia', 'CZ', 'CZE', '203',
+    [[[15.02,51.11,15.49,50.78,16.24,50.7,16.18,50.42,16.72,50.22,16.87,50.47,17.56,50.36,17.65,
+    50.05,18.39,49.99,18.85,49.5,18.56,49.49,18.4,49.31,18.17,49.27,18.11,49.04,17.91,49,17.89,
+    48.9,17.54,48.8,17.1,48.82,16.96,48.6,16.5,48.79,16.03,48.73,15.26,49.04,14.9,48.96,14.34,
+    48.56,13.6,48.88,13.03,49.31,12.52,49.55,12.41,49.97,12.24,50.27,12.97,50.48,13.34,50.73,
+    14.06,50.93,14.31,51.12,14.57,51]]]],
+  ['Dem. Rep. Congo', 'CD', 'COD', '180',
+    [[[29.34,-4.5,29.52,-5.42,29.42,-5.94,29.62,-6.52,30.2,-7.08,30.47,-7.71,30.74,-8.34,30.35,
+    -8.24,29.68,-8.32,29,-8.41,28.73,-8.53,28.45,-9.16,28.67,-9.61,28.58,-10.2,28.5,-10.79,28.43,
+    -11.29,28.37,-11.79,28.64,-11.97,29.34,-12.36,29.62,-12.18,29.66,-12.72,29.7,-13.26,28.94,
+    -13.25,28.52,-12.7,28.15,-12.27,27.39,-12.13,27.16,-11.61,26.55,-11.93,25.75,-11.78,25.42,
+    -11.33,24.78,-11.24,24.31,-11.26,24.26,-10.95,23.91,-10.93,23.46,-10.87,22.84,-11.02,22.4,
+    -10.99,22.16,-11.08,22.18,-10.49,22.21,-9.89,21.88,-9.52,21.8,-8.91,21.95,-8.31,21.75,-7.92,
+    21.73,-7.29,21.12,-7.3,20.51,-7.3,20.6,-6.94,20.09,-6.94,20.04,-7.12,19.42,-7.16,19.17,-7.74,
+    19.02,-7.99,18.46,-7.85,18.14,-7.99,17.47,-8.07,17.09,-7.54,16.86,-7.22,16.57,-6.62,16.33,
+    -5.88,15.34,-5.87,14.36,-5.87,13.38,-5.86,13.02,-5.98,12.74,-5.97,12.32,-6.1,12.18,-5.79,
+    12.44,-5.68,12.47,-5.25,12.63,-4.99,12.99,-4.78,13.26,-4.88,13.6,-4.5,14.15,-4.51,14.21,-4.79,
+    14.58,-4.97,15.17,-4.34,15.75,-3.86,16.01,-3.54,15.97,-2.71,16.41,-1.74,16.86,-1.23,17.52,
+    -0.74,17.64,-0.42,17.66,-0.06,17.83,0.29,17.78,0.86,17.9,1.74,18.1,2.37,18.39,2.9,18.45,3.5,
+    18.54,4.2,18.93,4.71,19.47,5.03,20.29,4.69,20.93,4.32,21.66,4.22,22.4,4.03,22.7,4.63,22.84,
+    4.71,23.3,4.61,23.85,4.86,24.41,5.11,24.81,4.9,25.13,4.93,25.28,5.17,25.65,5.26,26.4,5.15,
+    27.05,5.13,27.37,5.23,27.98,4.41,28.43,4.29,28.7,4.46,29.16,4.39,29.72,4.6,29.95,4.17,30.83,
+    3.51,30.8,2.92,30.77,2.34,31.17,2.2,30.85,1.85,30.47,1.58,30.09,1.06,29.87,0.6,29.82,-0.21,
+    29.59,-0.59,29.58,-1.34,29.29,-1.62,29.26,-2.21,29.12,-2.29,29.03,-2.84,29.28,-3.29,29.31,
+    -3.9]]]],
+  ['Denmark', 'DK', 'DNK', '208',
+    [[[9.92,54.98,9.28,54.83,8.53,54.96,8.12,55.52,8.11,56.03,8.09,56.54,8.26,56.81,8.54,57.11,
+    9.42,57.17,9.78,57.45,10.58,57.73,10.55,57.22,10.25,56.89,10.37,56.61,10.91,56.46,10.67,56.08,
+    10.37,56.19,9.65,55.47]],[[12.37,56.11,12.69,55.61,12.09,54.8,11.57,55.08,11.04,55.36,10.9,
+    55.78,11.64,55.95]]]],
+  ['Djibouti', 'DJ', 'DJI', '262',
+    [[[42.35,12.54,42.78,12.46,43.08,12.7,43.32,12.39,43.29,11.98,42.72,11.74,43.14,11.46,42.78,
+    10.93,42.55,11.11,42.31,11.03,41.76,11.05,41.74,11.36,41.66,11.63,42,12.1]]]],
+  ['Dominican Rep.', 'DO', 'DOM', '214',
+    [[[-71.71,18.04,-71.69,18.32,-71.94,18.62,-71.7,18.78,-71.62,19.17,-71.71,19.71,-71.59,19.88,
+    -70.81,19.88,-70.21,19.62,-69.95,19.65,-69.77,19.29,-69.22,19.31,-69.26,19.01,-68.81,18.98,
+    -68.32,18.61,-68.69,18.21,-69.17,18.42,-69.62,18.38,-69.95,18.43,-70.13,18.25,-70.52,18.18,
+    -70.67,18.43,-71,18.28,-71.4,17.6,-71.66,17.76]]]],
+  ['Ecuador', 'EC', 'ECU', '218',
+    [[[-75.37,-0.15,-75.24,-0.91,-75.54,-1.56,-76.09,-2.09,-76.64,-2.61,-77.24,-2.81,-77.84,-3,
+    -78.45,-3.87,-78.64,-4.55,-79.21,-4.96,-79.62,-4.45,-80.03,-4.35,-80.44,-4.43,-80.47,-4.06,
+    -80.19,-3.82,-80.3,-3.4,-79.77,-2.66,-79.99,-2.22,-80.37,-2.69,-80.97,-2.25,-80.77,-1.96,
+    -80.93,-1.06,-80.59,-0.91,-80.4,-0.28,-80.02,0.36,-80.09,0.77,-79.54,0.98,-78.86,1.38,-78.36,
+    1.1,-77.86,0.81,-77.67,0.83,-77.42,0.39,-76.58,0.26,-76.29,0.42,-75.8,0.09]]]],
+  ['Egypt', 'EG', 'EGY', '818',
+    [[[36.87,22,35.87,22,34.88,22,33.89,22,32.9,22,31.93,22,30.96,22,29.99,22,29.02,22,28.22,22,
+    27.41,22,26.61,22,25.8,22,25,22,25,22.92,25,23.84,25,24.76,25,25.68,25,26.57,25,27.46,25,
+    28.35,25,29.24,24.7,30.04,24.96,30.66,24.8,31.09,25.17,31.57,25.83,31.58,26.49,31.59,27.46,
+    31.32,28.45,31.03,28.91,30.87,29.68,31.19,30.09,31.47,30.98,31.56,31.69,31.43,31.96,30.93,
+    32.19,31.26,32.99,31.02,33.77,30.97,34.27,31.22,34.55,30.49,34.82,29.76,34.92,29.5,34.64,29.1,
+    34.43,28.34,34.16,27.82,33.92,27.65,33.59,27.97,33.14,28.42,32.78,29.13,32.42,29.85,32.32,
+    29.76,32.53,29.23,32.73,28.7,33.04,28.2,33.35,27.7,33.73,26.92,34.1,26.14,34.47,25.6,34.8,
+    25.03,35.24,24.48,35.69,23.93,35.49,23.75,35.53,23.1,36.11,22.65,36.69,22.21]]]],
+  ['El Salvador', 'SV', 'SLV', '222',
+    [[[-89.35,14.42,-89.06,14.34,-88.84,14.14,-88.54,13.98,-88.51,13.85,-88.07,13.96,-87.86,13.89,
+    -87.72,13.78,-87.79,13.38,-87.9,13.15,-88.48,13.16,-88.84,13.26,-89.26,13.46,-89.81,13.52,
+    -90.1,13.74,-90.06,13.88,-89.72,14.13,-89.53,14.25,-89.59,14.36]]]],
+  ['Eq. Guinea', 'GQ', 'GNQ', '226',
+    [[[9.65,2.28,10.46,2.27,11.28,2.26,11.28,1.66,11.28,1.06,10.56,1.06,9.83,1.07,9.49,1.01,9.3,
+    1.16,9.48,1.72]]]],
+  ['Eritrea', 'ER', 'ERI', '232',
+    [[[36.43,14.42,36.32,14.82,36.54,15.56,36.75,16.29,36.85,16.96,37.17,17.26,37.9,17.43,38.41,
+    18,38.7,17.42,38.99,16.84,39.27,15.92,39.81,15.44,40.5,14.96,41.18,14.49,41.73,13.92,42.28,
+    13.34,42.59,13,43.08,12.7,42.78,12.46,42.35,12.54,42.01,12.87,41.6,13.45,41.15,13.77,40.9,
+    14.12,40.03,14.52,39.34,14.53,39.1,14.74,38.51,14.51,37.91,14.96,37.59,14.21,37.01,14.32]]]],
+  ['Estonia', 'EE', 'EST', '233',
+    [[[27.98,59.48,28.13,59.3,27.42,58.72,27.72,57.79,27.29,57.47,26.46,57.48,25.6,57.85,25.17,
+    57.97,24.31,57.79,24.43,58.38,24.06,58.26,23.43,58.61,23.34,59.19,23.97,59.33,24.6,59.47,
+    25.23,59.54,25.86,59.61,26.41,59.53,26.95,59.45,27.46,59.46]]]],
+  ['eSwatini', 'SZ', 'SWZ', '748',
+    [[[32.07,-26.73,31.87,-27.18,31.28,-27.29,30.68,-26.74,30.68,-26.4,30.95,-26.02,31.04,-25.73,
+    31.33,-25.66,31.84,-25.84,31.98,-26.29]]]],
+  ['Ethiopia', 'ET', 'ETH', '231',
+    [[[47.79,8,47.08,7.25,46.38,6.5,45.67,5.75,44.96,5,44.31,4.98,43.66,4.96,42.77,4.25,42.13,
+    4.23,41.86,3.92,41.17,3.92,40.77,4.26,39.85,3.84,39.56,3.42,38.89,3.5,38.67,3.62,38.44,3.59,
+    38.12,3.6,37.49,4.02,36.86,4.45,36.16,4.45,35.82,4.78,35.82,5.34,35.3,5.51,35,6.05,34.71,6.59,
+    34.25,6.83,34.08,7.23,33.57,7.71,32.95,7.78,33.29,8.36,33.82,8.38,33.98,8.69,33.96,9.58,34.11,
+    10.11,34.26,10.63,34.73,10.91,34.83,11.32,35.26,12.08,35.87,12.58,36.27,13.56,36.43,14.42,
+    37.01,14.32,37.59,14.21,37.91,14.96,38.51,14.51,39.1,14.74,39.34,14.53,40.03,14.52,40.9,14.12,
+    41.15,13.77,41.6,13.45,42.01,12.87,42.35,12.54,42,12.1,41.66,11.63,41.74,11.36,41.76,11.05,
+    42.31,11.03,42.55,11.11,42.78,10.93,42.56,10.57,42.93,10.02,43.3,9.54,43.68,9.18,44.5,8.89,
+    45.31,8.59,46.13,8.29,46.95,8]]]],
+  ['Falkland Is.', 'FK', 'FLK', '238',
+    [[[-61.2,-51.85,-60.6,-51.55,-60,-51.25,-59.15,-51.5,-58.55,-51.1,-57.75,-51.55,-58.05,-51.9,
+    -58.72,-52.05,-59.4,-52.2,-59.85,-51.85,-60.7,-52.3]]]],
+  ['Fiji', 'FJ', 'FJI', '242',
+    [[[178.12,-17.51,178.37,-17.34,178.72,-17.63,178.55,-18.15,177.93,-18.29,177.38,-18.16,177.29,
+    -17.72,177.67,-17.38]],[[-180,-16.07,-179.79,-16.02,-179.92,-16.5,-180,-16.56,179.36,-16.8,
+    178.73,-17.01,178.6,-16.64,179.1,-16.43,179.41,-16.38,180,-16.07]]]],
+  ['Finland', 'FI', 'FIN', '246',
+    [[[28.59,69.07,28.45,68.36,29.21,68.03,29.98,67.7,29.05,66.94,29.64,66.38,30.22,65.81,29.54,
+    64.95,30.44,64.2,30.04,63.55,30.78,63.21,31.52,62.87,31.14,62.36,30.21,61.78,29.5,61.35,28.78,
+    60.93,28.07,60.5,27.16,60.46,26.26,60.42,25.38,60.24,24.5,60.06,23.68,59.95,22.87,59.85,22.29,
+    60.39,21.32,60.72,21.54,61.7,21.06,62.61,21.54,63.19,22.44,63.82,23.21,64.18,23.97,64.54,
+    24.73,64.9,25.4,65.11,25.3,65.53,24.6,65.77,23.9,66.01,23.57,66.4,23.55,67.17,23.54,67.94,
+    22.76,68.28,21.98,68.62,21.31,68.86,20.64,69.11,21.25,69.37,21.8,69.11,22.36,68.84,23.01,
+    68.87,23.66,68.89,24.2,68.77,24.73,68.65,25.69,69.09,26.18,69.83,26.96,69.99,27.73,70.16,
+    28.37,69.97,29.01,69.77]]]],
+  ['Fr. S. Antarctic Lands', 'TF', 'ATF', '260',
+    [[[68.94,-48.62,69.58,-48.94,70.53,-49.07,70.56,-49.25,70.28,-49.71,69.51,-49.74,68.74,-49.77,
+    68.72,-49.24,68.87,-48.83]]]],
+  ['France', 'FR', 'FRA', '250',
+    [[[-51.66,4.16,-52.25,3.24,-52.56,2.5,-52.94,2.12,-53.42,2.05,-53.56,2.33,-53.78,2.38,-54.09,
+    2.11,-54.52,2.31,-54.27,2.73,-54.18,3.19,-54.01,3.62,-54.4,4.21,-54.48,4.9,-53.96,5.76,-53.62,
+    5.65,-52.88,5.41,-52.35,4.99,-51.82,4.57]],[[6.19,49.46,6.66,49.2,7.38,49.11,8.1,49.02,7.59,
+    48.33,7.47,47.62,7.19,47.45,6.74,47.54,6.77,47.29,6.04,46.73,6.02,46.27,6.5,46.43,6.84,45.99,
+    6.8,45.71,7.1,45.33,6.75,45.03,7.01,44.25,7.55,44.13,7.44,43.69,6.53,43.13,5.54,43.26,4.56,
+    43.4,3.83,43.24,3.1,43.07,2.99,42.47,2.41,42.41,1.83,42.34,1.26,42.57,0.7,42.8,0.34,42.58,
+    -0.58,42.81,-1.5,43.03,-1.9,43.42,-1.38,44.02,-1.29,45.02,-1.19,46.01,-1.71,46.54,-2.23,47.06,
+    -2.96,47.57,-3.73,47.76,-4.49,47.95,-4.59,48.68,-3.94,48.79,-3.3,48.9,-2.46,48.77,-1.62,48.64,
+    -1.78,49.21,-1.94,49.78,-0.99,49.35,-0.21,49.61,0.56,49.87,1.34,50.13,1.64,50.95,2.51,51.15,
+    2.66,50.8,3.12,50.78,3.59,50.38,4.29,49.91,4.8,49.99,5.68,49.53,5.9,49.44]],[[8.75,42.63,9.39,
+    43.01,9.56,42.15,9.23,41.38,8.78,41.58,8.54,42.26]]]],
+  ['Gabon', 'GA', 'GAB', '266',
+    [[[11.28,2.26,11.75,2.33,12.36,2.19,12.95,2.32,13.08,2.27,13,1.83,13.28,1.31,14.03,1.4,14.28,
+    1.2,14.06,0.62,13.84,0.04,14.32,-0.55,14.43,-1.33,14.3,-2,13.99,-2.47,13.11,-2.43,12.58,-1.95,
+    12.49,-2.39,11.82,-2.51,11.48,-2.77,11.86,-3.43,11.09,-3.98,10.58,-3.47,10.07,-2.97,9.41,
+    -2.14,9.1,-1.63,8.8,-1.11,8.83,-0.78,9.05,-0.46,9.29,0.27,9.49,1.01,9.83,1.07,10.56,1.06,
+    11.28,1.06,11.28,1.66]]]],
+  ['Gambia', 'GM', 'GMB', '270',
+    [[[-16.71,13.6,-16.17,13.61,-15.63,13.62,-15.4,13.86,-15.08,13.88,-14.69,13.63,-14.38,13.63,
+    -14.05,13.79,-13.84,13.51,-14.28,13.28,-14.71,13.3,-15.14,13.51,-15.51,13.28,-15.69,13.27,
+    -15.93,13.13,-16.84,13.15]]]],
+  ['Georgia', 'GE', 'GEO', '268',
+    [[[39.95,43.44,40.08,43.55,40.92,43.38,41.66,43.3,42.4,43.22,43.08,42.98,43.76,42.74,43.93,
+    42.55,44.54,42.71,45.47,42.5,45.78,42.09,46.41,41.86,46.15,41.72,46.64,41.18,46.5,41.06,45.96,
+    41.12,45.22,41.41,44.97,41.25,44.28,41.17,43.58,41.09,42.62,41.58,42.09,41.56,41.55,41.54,
+    41.7,41.96,41.45,42.64,40.88,43.01,40.32,43.13]]]],
+  ['Germany', 'DE', 'DEU', '276',
+    [[[14.12,53.76,14.35,53.25,14.07,52.98,14.44,52.63,14.69,52.09,14.61,51.75,15.02,51.11,14.57,
+    51,14.31,51.12,14.06,50.93,13.34,50.73,12.97,50.48,12.24,50.27,12.41,49.97,12.52,49.55,13.03,
+    49.31,13.6,48.88,13.24,48.42,12.88,48.29,13.03,47.64,12.93,47.47,12.62,47.67,12.14,47.7,11.42,
+    47.52,10.54,47.57,10.4,47.3,9.89,47.58,9.6,47.52,9.06,47.68,8.52,47.83,8.32,47.61,7.47,47.62,
+    7.59,48.33,8.1,49.02,7.38,49.11,6.66,49.2,6.19,49.46,6.24,49.9,6.04,50.13,6.16,50.8,6.07,
+    51.33,5.99,51.85,6.59,51.85,6.84,52.23,7.09,53.14,6.91,53.48,7.1,53.69,7.94,53.75,8.12,53.53,
+    8.8,54.02,8.57,54.4,8.53,54.96,9.28,54.83,9.92,54.98,9.94,54.6,10.44,54.48,10.95,54.36,10.94,
+    54.01,11.45,54.1,11.96,54.2,12.52,54.47,13.08,54.27,13.65,54.08]]]],
+  ['Ghana', 'GH', 'GHA', '288',
+    [[[0.02,11.02,-0.05,10.71,0.37,10.19,0.37,9.47,0.46,8.68,0.71,8.31,0.49,7.41,0.57,6.91,0.84,
+    6.28,1.06,5.93,0.28,5.64,-0.51,5.34,-1.06,5,-1.96,4.71,-2.86,5,-2.81,5.39,-3.25,6.25,-3.11,
+    6.82,-2.98,7.38,-2.56,8.22,-2.69,8.93,-2.83,9.64,-2.96,10.39,-2.94,10.96,-2.07,10.99,-1.2,
+    11.01,-0.76,10.94,-0.44,11.1]]]],
+  ['Greece', 'GR', 'GRC', '300',
+    [[[26.29,35.3,26.16,35,25.44,34.96,24.72,34.92,24.73,35.09,24.12,35.18,23.51,35.28,23.7,35.71,
+    24.25,35.37,25.03,35.43,25.77,35.35,25.75,35.18]],[[22.95,41.34,23.69,41.31,24.49,41.58,25.2,
+    41.23,26.11,41.33,26.12,41.83,26.6,41.56,26.29,40.94,26.06,40.82,25.45,40.85,24.92,40.95,
+    24.32,40.82,23.72,40.69,24.41,40.12,23.9,39.96,23.34,39.96,22.82,40.48,22.63,40.26,22.85,
+    39.66,23.35,39.19,22.97,38.97,23.53,38.51,24.02,38.22,24.04,37.65,23.11,37.92,23.41,37.41,
+    22.78,37.3,23.15,36.42,22.49,36.41,21.67,36.84,21.3,37.64,21.12,38.31,20.73,38.77,20.22,39.34,
+    20.15,39.63,20.62,40.11,20.67,40.44,21,40.58,21.02,40.84,21.67,40.93,22.06,41.15,22.6,41.13,
+    22.76,41.3]]]],
+  ['Greenland', 'GL', 'GRL', '304',
+    [[[-46.76,82.63,-45.92,82.78,-45.09,82.93,-44.25,83.08,-43.41,83.23,-42.53,83.21,-41.65,83.2,
+    -40.77,83.19,-39.9,83.18,-39.26,83.36,-38.62,83.55,-37.74,83.57,-36.86,83.6,-35.97,83.62,
+    -35.09,83.65,-34.09,83.63,-33.09,83.61,-32.09,83.6,-31.09,83.58,-30.09,83.57,-29.1,83.55,
+    -28.1,83.54,-27.1,83.52,-26.21,83.41,-25.31,83.29,-24.42,83.18,-23.53,83.07,-22.63,82.95,
+    -21.74,82.84,-20.85,82.73,-21.77,82.53,-22.69,82.34,-23.65,82.33,-24.6,82.32,-25.56,82.31,
+    -26.52,82.3,-27.41,82.28,-28.31,82.27,-29.21,82.25,-30.11,82.23,-31,82.22,-31.9,82.2,-31.4,
+    82.02,-30.51,82.05,-29.63,82.08,-28.74,82.1,-27.86,82.13,-27.1,82.05,-26.35,81.96,-25.6,81.87,
+    -24.85,81.79,-23.87,81.94,-22.9,82.09,-22.07,81.73,-22.62,81.44,-23.17,81.15,-22.32,81.28,
+    -21.47,81.4,-20.62,81.52,-19.65,81.6,-18.68,81.68,-17.71,81.76,-16.74,81.83,-15.77,81.91,
+    -14.77,81.85,-13.77,81.78,-12.77,81.72,-12.21,81.29,-13.02,81.15,-13.84,81.01,-14.65,80.86,
+    -15.47,80.72,-16.28,80.58,-16.85,80.35,-17.65,80.31,-18.45,80.26,-19.25,80.22,-20.05,80.18,
+    -19.28,80.16,-18.5,80.15,-17.73,80.13,-18.32,79.76,-18.9,79.4,-19.7,78.75,-19.69,78.2,-19.67,
+    77.64,-19.07,77.31,-18.47,76.98,-19.25,76.96,-20.04,76.94,-20.86,76.79,-21.68,76.63,-20.76,
+    76.36,-19.83,76.1,-19.6,75.25,-20.14,75.2,-20.67,75.16,-20.02,74.73,-19.37,74.3,-20.11,74.27,
+    -20.85,74.25,-21.59,74.22,-21.02,74.02,-20.44,73.82,-20.76,73.46,-21.47,73.39,-22.17,73.31,
+    -22.87,73.31,-23.57,73.31,-22.94,72.97,-22.31,72.63,-22.3,72.18,-23.29,72.39,-24.28,72.6,
+    -24.79,72.33,-24.12,72.21,-23.44,72.08,-22.79,71.77,-22.13,71.47,-21.75,70.66,-22.64,70.57,
+    -23.54,70.47,-24.31,70.86,-24.92,71.14,-25.54,71.43,-25.2,70.75,-25.78,70.49,-26.36,70.23,
+    -25.48,70.21,-24.6,70.2,-23.73,70.18,-23.04,70.16,-22.35,70.13,-23.24,69.84,-24.14,69.55,
+    -25.03,69.26,-25.94,69,-26.84,68.73,-27.75,68.47,-28.72,68.35,-29.7,68.24,-30.67,68.12,-31.22,
+    68.12,-31.78,68.12,-32.29,67.93,-32.81,67.74,-33.51,67.21,-34.2,66.68,-34.92,66.45,-35.63,
+    66.21,-36.35,65.98,-37.04,65.94,-37.71,65.81,-38.37,65.69,-39.09,65.58,-39.81,65.46,-40.67,
+    64.84,-40.68,64.14,-41.19,63.48,-42.01,63.08,-42.82,62.68,-42.42,61.9,-42.87,61.07,-43.38,
+    60.1,-44.08,60.07,-44.79,60.04,-45.52,60.45,-46.26,60.85,-46.93,60.85,-47.6,60.86,-48.26,
+    60.86,-49.23,61.41,-49.9,62.38,-50.77,63.01,-51.63,63.63,-52.14,64.28,-52.28,65.18,-52.97,
+    65.64,-53.66,66.1,-53.3,66.84,-53.97,67.19,-53.47,67.77,-52.98,68.36,-52.23,68.54,-51.48,
+    68.73,-51.08,69.15,-50.87,69.93,-51.44,69.75,-52.02,69.57,-52.56,69.43,-53.46,69.28,-54.07,
+    69.45,-54.68,69.61,-54.75,70.29,-54.36,70.82,-53.43,70.84,-52.75,70.75,-52.07,70.66,-51.39,
+    70.57,-52.25,70.89,-53.11,71.2,-54.01,71.55,-55,71.41,-55.83,71.66,-55.28,72.12,-54.72,72.59,
+    -55.33,72.96,-56.12,73.65,-56.72,74.18,-57.33,74.71,-57.96,74.9,-58.6,75.1,-58.59,75.52,
+    -59.48,75.71,-60.37,75.91,-61.27,76.1,-61.98,76.13,-62.68,76.15,-63.39,76.18,-64.28,76.16,
+    -65.17,76.15,-66.07,76.14,-66.88,76.11,-67.69,76.09,-68.5,76.06,-69.08,76.22,-69.67,76.38,
+    -70.53,76.69,-71.4,77.01,-70.53,77.11,-69.65,77.22,-68.78,77.32,-68.11,77.34,-67.44,77.36,
+    -66.76,77.38,-67.62,77.43,-68.48,77.48,-69.33,77.53,-70.19,77.58,-71.04,77.64,-71.79,77.77,
+    -72.55,77.91,-73.3,78.04,-73.16,78.43,-72.21,78.55,-71.27,78.67,-70.32,78.79,-69.37,78.91,
+    -68.46,79.03,-67.54,79.15,-66.63,79.27,-65.71,79.4,-65.32,79.76,-66.22,79.88,-67.12,80,-68.02,
+    80.12,-67.15,80.52,-66.28,80.69,-65.42,80.87,-64.55,81.04,-63.69,81.21,-62.96,81.27,-62.24,
+    81.32,-62.65,81.77,-61.86,81.86,-61.07,81.95,-60.28,82.03,-59.51,82.07,-58.74,82.11,-57.97,
+    82.15,-57.21,82.19,-56.44,82.19,-55.67,82.2,-54.9,82.2,-54.14,82.2,-53.59,82.04,-53.04,81.89,
+    -52.16,82.07,-51.28,82.25,-50.39,82.44,-49.6,82.31,-48.8,82.19,-48,82.06,-47.3,82.03,-46.6,
+    81.99,-45.91,81.88,-45.22,81.77,-44.52,81.66,-45.32,81.84,-46.11,82.02,-46.9,82.2]]]],
+  ['Guatemala', 'GT', 'GTM', '320',
+    [[[-92.23,14.54,-92.2,14.83,-92.09,15.06,-92.23,15.25,-91.75,16.07,-91.11,16.07,-90.46,16.07,
+    -90.44,16.41,-90.6,16.47,-90.71,16.69,-91.08,16.92,-91.45,17.25,-91,17.25,-91,17.82,-90.07,
+    17.82,-89.14,17.81,-89.15,17.02,-89.19,16.45,-89.23,15.89,-88.93,15.89,-88.61,15.71,-88.52,
+    15.85,-88.22,15.73,-88.68,15.35,-89.15,15.07,-89.23,14.87,-89.15,14.68,-89.35,14.42,-89.59,
+    14.36,-89.53,14.25,-89.72,14.13,-90.06,13.88,-90.1,13.74,-90.61,13.91,-91.23,13.93,-91.69,
+    14.13]]]],
+  ['Guinea', 'GN', 'GIN', '324',
+    [[[-13.7,12.59,-13.22,12.58,-12.5,12.33,-12.28,12.35,-12.2,12.47,-11.66,12.39,-11.51,12.44,
+    -11.46,12.08,-11.3,12.08,-11.04,12.21,-10.87,12.18,-10.59,11.92,-10.16,11.84,-9.89,12.06,
+    -9.57,12.19,-9.33,12.33,-9.13,12.31,-8.9,12.09,-8.79,11.81,-8.38,11.39,-8.58,11.14,-8.62,
+    10.81,-8.41,10.91,-8.28,10.79,-8.34,10.49,-8.03,10.21,-8.23,10.13,-8.31,9.79,-8.08,9.38,-7.83,
+    8.58,-8.2,8.45,-8.3,8.32,-8.22,8.12,-8.28,7.69,-8.44,7.69,-8.72,7.71,-8.93,7.31,-9.21,7.31,
+    -9.41,7.53,-9.34,7.93,-9.75,8.54,-10.02,8.43,-10.23,8.41,-10.51,8.35,-10.5,8.72,-10.65,8.98,
+    -10.62,9.27,-10.84,9.69,-11.12,10.05,-11.92,10.05,-12.15,9.86,-12.43,9.84,-12.6,9.62,-12.71,
+    9.34,-13.25,8.9,-13.69,9.49,-14.07,9.89,-14.33,10.02,-14.58,10.22,-14.69,10.66,-14.84,10.88,
+    -15.13,11.04,-14.69,11.53,-14.38,11.51,-14.12,11.68,-13.9,11.68,-13.74,11.81,-13.83,12.14,
+    -13.72,12.25]]]],
+  ['Guinea-Bissau', 'GW', 'GNB', '624',
+    [[[-16.68,12.39,-16.15,12.55,-15.82,12.52,-15.55,12.63,-14.62,12.61,-13.7,12.59,-13.72,12.25,
+    -13.83,12.14,-13.74,11.81,-13.9,11.68,-14.12,11.68,-14.38,11.51,-14.69,11.53,-15.13,11.04,
+    -15.67,11.46,-16.09,11.53,-16.31,11.81,-16.31,11.96,-16.61,12.17]]]],
+  ['Guyana', 'GY', 'GUY', '328',
+    [[[-56.54,1.9,-56.78,1.86,-57.34,1.95,-57.66,1.68,-58.11,1.51,-58.43,1.46,-58.54,1.27,-59.03,
+    1.32,-59.65,1.79,-59.72,2.25,-59.97,2.76,-59.82,3.61,-59.54,3.96,-59.77,4.42,-60.11,4.58,
+    -59.98,5.01,-60.21,5.24,-60.73,5.2,-61.41,5.96,-61.14,6.23,-61.16,6.7,-60.54,6.86,-60.3,7.04,
+    -60.64,7.42,-60.55,7.78,-59.76,8.37,-59.1,8,-58.48,7.35,-58.46,6.83,-58.08,6.81,-57.54,6.32,
+    -57.15,5.97,-57.31,5.07,-57.92,4.81,-57.86,4.58,-58.05,4.06,-57.6,3.33,-57.28,3.33,-57.15,
+    2.77]]]],
+  ['Haiti', 'HT', 'HTI', '332',
+    [[[-71.71,19.71,-71.62,19.17,-71.7,18.78,-71.94,18.62,-71.69,18.32,-71.71,18.04,-72.37,18.21,
+    -72.84,18.14,-73.45,18.22,-73.92,18.03,-74.46,18.34,-74.37,18.66,-73.45,18.53,-72.69,18.45,
+    -72.33,18.67,-72.79,19.1,-72.78,19.48,-73.41,19.64,-73.19,19.92,-72.58,19.87]]]],
+  ['Honduras', 'HN', 'HND', '340',
+    [[[-83.15,15,-83.49,15.02,-83.63,14.88,-83.98,14.75,-84.23,14.75,-84.45,14.62,-84.65,14.67,
+    -84.82,14.82,-84.92,14.79,-85.05,14.55,-85.15,14.56,-85.16,14.36,-85.51,14.08,-85.7,13.96,
+    -85.8,13.84,-86.1,14.04,-86.31,13.77,-86.52,13.78,-86.76,13.75,-86.73,13.26,-86.88,13.26,
+    -87.01,13.03,-87.32,12.98,-87.49,13.3,-87.79,13.38,-87.72,13.78,-87.86,13.89,-88.07,13.96,
+    -88.51,13.85,-88.54,13.98,-88.84,14.14,-89.06,14.34,-89.35,14.42,-89.15,14.68,-89.23,14.87,
+    -89.15,15.07,-88.68,15.35,-88.22,15.73,-88.12,15.69,-87.9,15.86,-87.62,15.88,-87.52,15.8,
+    -87.37,15.85,-86.9,15.76,-86.44,15.78,-86.12,15.89,-86,16.01,-85.68,15.95,-85.45,15.89,-85.18,
+    15.91,-84.98,16,-84.53,15.86,-84.37,15.83,-84.06,15.65,-83.77,15.42,-83.41,15.27]]]],
+  ['Hungary', 'HU', 'HUN', '348',
+    [[[22.08,48.42,22.64,48.15,22.71,47.88,22.1,47.67,21.63,46.99,21.02,46.32,20.22,46.13,19.6,
+    46.17,18.83,45.91,18.46,45.76,17.63,45.95,16.88,46.38,16.57,46.5,16.37,46.84,16.2,46.85,16.53,
+    47.5,16.34,47.71,16.9,47.72,16.98,48.12,17.49,47.87,17.86,47.76,18.7,47.88,18.78,48.08,19.18,
+    48.11,19.66,48.27,19.77,48.2,20.24,48.33,20.48,48.56,20.8,48.62,21.34,48.47,21.87,48.32]]]],
+  ['Iceland', 'IS', 'ISL', '352',
+    [[[-14.51,66.46,-14.74,65.81,-14.18,65.47,-13.61,65.13,-14.26,64.75,-14.91,64.36,-15.87,64.14,
+    -16.83,63.91,-17.79,63.68,-18.66,63.5,-19.31,63.57,-19.97,63.64,-20.9,63.75,-21.83,63.86,
+    -22.76,63.96,-21.78,64.4,-22.5,64.57,-23.23,64.73,-23.96,64.89,-23.07,64.99,-22.19,65.08,
+    -22.23,65.38,-22.93,65.46,-23.63,65.53,-24.33,65.61,-23.65,66.26,-22.89,66.34,-22.13,66.41,
+    -21.36,66.07,-20.58,65.73,-19.82,66,-19.06,66.28,-18.43,66.13,-17.8,65.99,-16.98,66.26,-16.17,
+    66.53,-15.34,66.49]]]],
+  ['India', 'IN', 'IND', '356',
+    [[[97.33,28.26,97.4,27.88,97.05,27.7,97.13,27.08,96.42,27.26,95.77,26.92,95.13,26.57,95.15,26,
+    94.6,25.16,94.55,24.67,94.11,23.85,93.33,24.08,93.31,23.56,93.29,23.04,93.06,22.7,93.17,22.28,
+    92.67,22.04,92.41,22.83,92.14,23.63,91.87,23.62,91.71,22.99,91.16,23.5,91.47,24.07,91.91,
+    24.13,92.38,24.98,91.8,25.15,90.87,25.13,89.92,25.27,89.83,25.96,89.35,26.02,88.56,26.45,
+    88.21,25.77,88.93,25.24,88.31,24.87,88.08,24.5,88.7,24.23,88.53,23.63,88.88,22.88,89.03,22.06,
+    88.89,21.69,88.21,21.7,87.59,21.6,86.98,21.5,87.03,20.74,86.5,20.15,85.78,19.82,85.06,19.48,
+    84.5,18.89,83.94,18.3,83.19,17.67,82.19,17.02,82.19,16.56,81.69,16.31,80.79,15.95,80.33,15.9,
+    80.02,15.14,80.13,14.49,80.23,13.84,80.29,13.01,79.86,12.06,79.86,11.21,79.86,10.36,79.34,
+    10.31,78.89,9.55,79.19,9.22,78.28,8.93,77.94,8.25,77.54,7.97,76.59,8.9,76.36,9.6,76.13,10.3,
+    75.94,10.8,75.75,11.31,75.4,11.78,74.86,12.74,74.74,13.37,74.62,13.99,74.44,14.62,73.99,15.3,
+    73.53,15.99,73.33,16.96,73.12,17.93,72.97,18.57,72.82,19.21,72.82,19.81,72.82,20.42,72.63,
+    21.36,71.9,21.06,71.17,20.76,70.47,20.88,69.82,21.48,69.17,22.09,69.64,22.45,69.35,22.84,
+    68.76,23.27,68.18,23.69,68.84,24.36,69.58,24.36,70.31,24.36,71.04,24.36,70.84,25.21,70.28,
+    25.72,70.17,26.49,69.51,26.94,70.07,27.46,70.62,27.99,71.2,27.95,71.78,27.91,72.3,28.44,72.82,
+    28.96,73.14,29.47,73.45,29.98,73.94,30.48,74.42,30.98,74.41,31.69,75.26,32.27,74.45,32.77,
+    74.1,33.44,73.75,34.32,74.24,34.75,75,34.63,75.76,34.51,76.32,34.58,76.87,34.65,77.84,35.49,
+    78.37,34.91,78.91,34.32,78.81,33.51,79.21,32.99,79.18,32.48,78.46,32.62,78.6,32.07,78.74,
+    31.52,79.72,30.88,80.42,30.53,81.11,30.18,80.48,29.73,80.09,28.79,81.06,28.42,82,27.93,82.65,
+    27.65,83.3,27.36,83.99,27.3,84.67,27.24,85.25,26.73,86.02,26.63,86.63,26.51,87.23,26.4,88.06,
+    26.41,88.17,26.81,88.04,27.45,88.12,27.88,88.73,28.09,88.81,27.3,88.84,27.1,89.74,26.72,90.37,
+    26.88,91.22,26.81,92.03,26.84,92.11,27.45,91.7,27.77,92.5,27.9,93.41,28.64,93.99,28.96,94.57,
+    29.28,95.41,29.03,96.12,29.45,96.59,28.83,96.25,28.41,96.79,28.34]]]],
+  ['Indonesia', 'ID', 'IDN', '360',
+    [[[141,-2.6,141.01,-3.42,141.01,-4.23,141.01,-5.04,141.02,-5.86,141.02,-6.67,141.03,-7.49,
+    141.03,-8.3,141.03,-9.12,140.14,-8.3,139.64,-8.2,139.13,-8.1,138.88,-8.38,138.25,-8.4,137.61,
+    -8.41,138.04,-7.6,138.67,-7.32,138.54,-6.78,138.41,-6.23,137.93,-5.39,136.96,-4.97,135.99,
+    -4.55,135.17,-4.46,134.41,-4,133.66,-3.54,133.37,-4.02,132.98,-4.11,132.76,-3.75,132.75,-3.31,
+    131.99,-2.82,132.53,-2.64,133.07,-2.46,133.78,-2.48,133.7,-2.21,132.96,-2.21,132.23,-2.21,
+    131.84,-1.62,130.94,-1.43,130.52,-0.94,131.19,-0.82,131.87,-0.7,132.38,-0.37,133.18,-0.57,
+    133.98,-0.78,134.14,-1.15,134.28,-1.96,134.42,-2.77,134.94,-3.07,135.46,-3.37,135.87,-2.84,
+    136.29,-2.31,136.87,-2.01,137.44,-1.7,138.33,-1.7,139.19,-2.05,139.93,-2.41,140.46,-2.51]],
+    [[124.97,-8.89,125.07,-9.09,125.09,-9.39,124.44,-10.14,123.58,-10.36,123.46,-10.24,123.55,
+    -9.9,123.98,-9.29]],[[134.21,-6.89,134.11,-6.14,134.29,-5.78,134.5,-5.44,134.73,-5.74,134.73,
+    -6.21]],[[117.88,4.14,117.31,3.24,118.05,2.29,117.87,1.83,118.44,1.36,119,0.9,118.41,0.84,
+    117.81,0.78,117.48,0.1,117.52,-0.8,116.56,-1.49,116.53,-2.48,116.34,-3.25,116.15,-4.01,116,
+    -3.66,115.43,-3.88,114.86,-4.11,114.47,-3.5,113.76,-3.44,113.26,-3.12,112.66,-3.3,112.07,
+    -3.48,111.7,-3,111.05,-3.05,110.22,-2.93,110.15,-2.26,110.07,-1.59,109.57,-1.31,109.09,-0.46,
+    108.95,0.42,109.07,1.34,109.66,2.01,109.83,1.34,110.52,0.77,111.16,0.98,111.8,0.9,112.38,1.41,
+    112.86,1.5,113.81,1.22,114.62,1.43,114.88,2.13,115.13,2.82,115.52,3.17,115.69,3.74,115.87,
+    4.31,116.44,4.31,117.01,4.31]],[[129.37,-2.8,129.92,-2.95,130.47,-3.09,130.83,-3.86,129.99,
+    -3.45,129.16,-3.36,128.59,-3.43,127.9,-3.39,128.13,-2.84,128.75,-2.82]],[[126.87,-3.79,126.18,
+    -3.61,125.99,-3.18,126.49,-3.15,127,-3.13,127.25,-3.46]],[[127.93,2.17,128,1.63,128.6,1.54,
+    128.69,1.13,128.63,0.26,128.12,0.36,127.97,-0.25,128.38,-0.78,128.1,-0.9,127.7,-0.27,127.55,
+    0.37,127.4,1.01,127.6,1.81]],[[122.93,0.88,123.5,0.9,124.08,0.92,125.07,1.64,125.24,1.42,
+    124.44,0.43,123.68,0.24,122.72,0.43,121.89,0.41,121.06,0.38,120.18,0.24,120.04,-0.52,120.93,
+    -1.41,121.47,-0.96,122.41,-0.79,123.34,-0.62,123.26,-1.08,122.82,-0.93,122.39,-1.52,121.51,
+    -1.91,121.98,-2.55,122.45,-3.19,122.27,-3.53,122.72,-4.11,123.17,-4.68,123.16,-5.34,122.63,
+    -5.63,122.24,-5.28,122.72,-4.46,121.74,-4.85,121.49,-4.57,121.62,-4.19,120.9,-3.6,120.97,
+    -2.63,120.3,-2.93,120.35,-3.51,120.39,-4.1,120.41,-4.81,120.43,-5.53,119.8,-5.67,119.37,-5.38,
+    119.65,-4.46,119.5,-3.49,119.08,-3.49,118.77,-2.8,119.18,-2.15,119.32,-1.35,119.58,-0.6,
+    119.83,0.15,120.03,0.57,120.89,1.31,121.67,1.01,122.3,0.95]],[[120.29,-10.26,119.63,-9.91,
+    118.97,-9.56,119.9,-9.36,120.43,-9.67,120.78,-9.97,120.71,-10.24]],[[121.34,-8.54,122.01,
+    -8.46,122.9,-8.09,122.76,-8.65,122.01,-8.79,121.25,-8.93,120.59,-8.87,119.92,-8.81,119.92,
+    -8.45,120.71,-8.24]],[[118.26,-8.36,118.88,-8.28,119.13,-8.71,118.55,-8.81,117.97,-8.91,
+    117.28,-9.04,116.74,-9.03,117.08,-8.46,117.63,-8.45,117.9,-8.09]],[[108.49,-6.42,108.62,-6.78,
+    109.58,-6.83,110.54,-6.88,110.76,-6.46,111.69,-6.71,112.61,-6.95,112.98,-7.59,113.73,-7.69,
+    114.48,-7.78,115.09,-8.07,115.71,-8.37,115.14,-8.56,114.57,-8.75,114.01,-8.55,113.46,-8.35,
+    112.56,-8.38,112.04,-8.34,111.52,-8.3,110.59,-8.12,110.01,-7.93,109.43,-7.74,108.69,-7.64,
+    108.28,-7.77,107.37,-7.56,106.45,-7.36,106.28,-6.93,105.36,-6.85,106.05,-5.9,106.66,-5.93,
+    107.26,-5.96,108.07,-6.35]],[[104.37,-1.08,104.54,-1.78,104.89,-2.34,105.62,-2.43,106.11,
+    -3.06,105.98,-3.68,105.86,-4.31,105.84,-5.08,105.82,-5.85,105.26,-5.86,104.71,-5.87,103.87,
+    -5.04,103.23,-4.63,102.58,-4.22,102.16,-3.61,101.4,-2.8,100.9,-2.05,100.52,-1.35,100.14,-0.65,
+    99.26,0.18,98.97,1.04,98.6,1.82,97.7,2.45,97.18,3.31,96.43,3.87,95.9,4.42,95.38,4.97,95.29,
+    5.48,95.94,5.44,96.71,5.34,97.48,5.25,98.37,4.27,99.14,3.59,99.69,3.17,100.17,2.64,100.64,2.1,
+    101.15,2.09,101.66,2.08,102.5,1.4,103.08,0.56,103.84,0.1,103.44,-0.71,104.01,-1.06]]]],
+  ['Iran', 'IR', 'IRN', '364',
+    [[[48.57,29.93,48.02,30.45,48,30.98,47.68,30.98,47.85,31.71,47.34,32.47,46.72,32.74,46.11,
+    33.02,45.42,33.97,45.65,34.75,46.15,35.09,46.08,35.68,45.42,35.98,45.1,36.57,44.77,37.17,
+    44.22,37.97,44.42,38.28,44.27,38.85,44.11,39.43,44.79,39.71,44.95,39.34,45.46,38.87,46.14,
+    38.74,46.51,38.77,47.1,39.14,47.68,39.51,48.06,39.58,48.35,39.29,48.01,38.79,48.63,38.27,
+    48.88,38.32,49.2,37.58,50.15,37.37,50.84,36.87,51.55,36.79,52.26,36.7,53.04,36.83,53.83,36.96,
+    53.92,37.2,54.8,37.39,55.51,37.96,56.18,37.94,56.62,38.12,57.33,38.03,57.88,37.78,58.44,37.52,
+    59.23,37.41,59.81,36.97,60.38,36.53,61.12,36.49,61.21,35.65,61.01,35.03,60.8,34.4,60.53,33.68,
+    60.96,33.53,60.54,32.98,60.86,32.18,60.94,31.55,61.7,31.38,61.78,30.74,60.87,29.83,61.37,29.3,
+    61.77,28.7,62.73,28.26,62.75,27.38,63.23,27.22,63.32,26.76,62.6,26.5,61.88,26.24,61.69,25.66,
+    61.5,25.08,60.56,25.23,59.61,25.38,59.07,25.5,58.52,25.61,57.96,25.67,57.4,25.74,57.18,26.35,
+    56.97,26.97,56.49,27.14,55.72,26.96,55.22,26.72,54.72,26.48,54.1,26.65,53.49,26.81,52.99,27.2,
+    52.48,27.58,51.52,27.87,50.85,28.81,50.48,29.48,50.11,30.15,49.58,29.99,48.94,30.32]]]],
+  ['Iraq', 'IQ', 'IRQ', '368',
+    [[[39.2,32.16,38.99,32.77,38.79,33.38,39.53,33.73,40.27,34.07,41.01,34.42,41.2,35.02,41.38,
+    35.63,41.29,36.36,41.84,36.61,42.35,37.23,42.78,37.39,43.36,37.32,43.94,37.26,44.29,37,44.77,
+    37.17,45.1,36.57,45.42,35.98,46.08,35.68,46.15,35.09,45.65,34.75,45.42,33.97,46.11,33.02,
+    46.72,32.74,47.34,32.47,47.85,31.71,47.68,30.98,48,30.98,48.02,30.45,48.57,29.93,47.98,29.98,
+    47.3,30.06,46.57,29.1,45.64,29.14,44.71,29.18,43.77,29.85,42.83,30.52,41.89,31.19,41.14,31.54,
+    40.4,31.89,39.8,32.03]]]],
+  ['Ireland', 'IE', 'IRL', '372',
+    [[[-6.2,53.87,-6.03,53.15,-6.79,52.26,-7.68,51.96,-8.56,51.67,-9.27,51.74,-9.98,51.82,-9.57,
+    52.34,-9.17,52.86,-9.43,53.37,-9.69,53.88,-9.01,54.27,-8.33,54.67,-7.57,55.13,-7.37,54.6,
+    -7.57,54.06,-6.95,54.07]]]],
+  ['Israel', 'IL', 'ISR', '376',
+    [[[35.72,32.71,35.54,32.39,35.18,32.53,34.98,31.87,35.22,31.75,34.97,31.62,34.93,31.35,35.4,
+    31.49,35.42,31.1,35.17,30.3,34.92,29.5,34.82,29.76,34.55,30.49,34.27,31.22,34.55,31.55,34.49,
+    31.61,34.75,32.07,34.95,32.83,35.1,33.08,35.13,33.09,35.46,33.09,35.55,33.26,35.82,33.28,
+    35.84,32.87,35.7,32.72]]]],
+  ['Italy', 'IT', 'ITA', '380',
+    [[[10.44,46.89,11.05,46.75,11.17,46.94,12.15,47.11,12.38,46.77,13.09,46.64,13.81,46.51,13.7,
+    46.02,13.94,45.59,13.14,45.74,12.33,45.38,12.38,44.89,12.26,44.6,12.59,44.09,13.53,43.59,
+    14.03,42.76,14.59,42.36,15.14,41.96,15.92,41.96,16.17,41.74,15.89,41.54,16.79,41.18,17.52,
+    40.88,18.38,40.36,18.48,40.17,18.29,39.81,17.74,40.28,16.87,40.44,16.45,39.8,17.17,39.43,
+    17.05,38.9,16.63,38.84,16.1,37.99,15.68,37.91,15.69,38.22,15.89,38.75,16.11,38.96,15.72,39.54,
+    15.41,40.05,15,40.17,14.7,40.61,14.06,40.79,13.63,41.19,12.89,41.25,12.11,41.71,11.19,42.36,
+    10.51,42.93,10.2,43.92,9.7,44.04,8.89,44.37,8.43,44.23,7.85,43.77,7.44,43.69,7.55,44.13,7.01,
+    44.25,6.75,45.03,7.1,45.33,6.8,45.71,6.84,45.99,7.27,45.78,7.76,45.82,8.32,46.16,8.49,46,8.97,
+    46.04,9.18,46.44,9.92,46.31,10.36,46.48]],[[14.76,38.14,15.52,38.23,15.16,37.44,15.31,37.13,
+    15.1,36.62,14.33,37,13.83,37.1,13.13,37.36,12.43,37.61,12.57,38.13,13.15,38.08,13.74,38.04,
+    14.25,38.09]],[[8.71,40.9,9.21,41.21,9.81,40.5,9.74,39.84,9.67,39.18,9.21,39.24,8.81,38.91,
+    8.43,39.17,8.41,39.77,8.39,40.38,8.16,40.95]]]],
+  ['Jamaica', 'JM', 'JAM', '388',
+    [[[-77.57,18.49,-76.89,18.4,-76.37,18.16,-76.2,17.89,-76.9,17.87,-77.2,17.7,-77.77,17.86,
+    -78.34,18.23,-78.22,18.45,-77.8,18.52]]]],
+  ['Japan', 'JP', 'JPN', '392',
+    [[[141.88,39.18,141.42,38.68,140.96,38.17,140.97,37.66,140.98,37.14,140.6,36.34,140.77,35.84,
+    140.25,35.14,139.61,34.9,138.97,34.67,138.1,34.64,137.22,34.61,136.5,34.04,135.79,33.46,
+    135.12,33.85,135.08,34.6,134.21,34.49,133.34,34.38,132.75,34.14,132.16,33.9,131.57,33.89,
+    130.99,33.89,131.49,33.52,132,33.15,131.67,32.3,131.33,31.45,130.69,31.03,130.2,31.42,130.45,
+    32.32,129.82,32.61,129.41,33.3,130.36,33.6,130.88,34.23,131.38,34.49,131.89,34.75,132.62,
+    35.43,133.61,35.58,134.61,35.73,135.14,35.63,135.68,35.53,136.2,36.42,136.72,37.3,137.39,
+    36.83,138.12,37.33,138.86,37.83,139.43,38.22,139.74,38.83,140.05,39.44,139.97,40,139.88,40.56,
+    140.31,41.2,140.84,41.29,141.37,41.38,141.64,40.69,141.92,39.99]],[[144.61,43.96,145.32,44.38,
+    145.43,43.82,145.54,43.26,144.8,43.13,144.06,42.99,143.18,41.99,142.4,42.34,141.61,42.68,
+    141.34,42.13,141.07,41.59,140.51,41.58,139.96,41.57,139.82,42.56,140.31,43.33,140.85,43.36,
+    141.38,43.39,141.52,44.08,141.67,44.77,141.97,45.55,142.56,45.03,143.14,44.51,143.91,44.17]],
+    [[132.37,33.46,132.93,34.06,133.49,33.94,133.91,34.36,134.64,34.15,134.77,33.81,134.2,33.2,
+    133.79,33.52,133.28,33.29,133.02,32.7,132.36,32.99]]]],
+  ['Jordan', 'JO', 'JOR', '400',
+    [[[35.54,32.39,35.72,32.71,36.28,32.51,36.83,32.31,37.81,32.85,38.79,33.38,38.99,32.77,39.2,
+    32.16,39,32.01,38.34,31.84,37.67,31.68,37,31.51,37.5,31.01,38,30.51,37.67,30.34,37.5,30,36.74,
+    29.87,36.5,29.51,36.07,29.2,35.51,29.28,34.95,29.36,34.92,29.5,35.17,30.3,35.42,31.1,35.4,
+    31.49,35.54,31.78]]]],
+  ['Kazakhstan', 'KZ', 'KAZ', '398',
+    [[[87.36,49.22,86.6,48.55,85.77,48.46,85.75,47.95,85.72,47.45,85.16,47,84.17,47.17,83.18,
+    47.33,82.82,46.43,82.46,45.54,81.95,45.32,80.96,45.12,79.97,44.92,80.42,44.05,80.87,43.18,
+    80.18,42.92,80.26,42.35,79.65,42.5,79.14,42.86,78.4,42.91,77.66,42.96,76.83,42.97,76,42.99,
+    75.64,42.88,74.93,43.09,74.21,43.3,73.64,43.09,73.49,42.5,72.67,42.67,71.84,42.85,71.19,42.7,
+    70.96,42.27,70.39,42.08,69.73,41.73,69.07,41.38,68.63,40.67,68.26,40.66,67.98,41.14,67.35,
+    41.15,66.71,41.17,66.51,41.99,66.02,41.99,66.06,42.5,66.1,43,65.5,43.36,64.9,43.73,64.04,
+    43.69,63.19,43.65,62.6,43.58,62.01,43.5,61.06,44.41,60.24,44.78,59.47,45.14,58.69,45.5,58.5,
+    45.59,57.64,45.39,56.79,45.19,55.93,45,55.94,44.07,55.95,43.15,55.96,42.23,55.97,41.31,55.46,
+    41.26,54.75,42.04,54.08,42.32,53.51,42.22,52.94,42.12,52.5,41.78,52.45,42.03,52.69,42.44,52.5,
+    42.79,51.92,42.96,51.34,43.13,50.89,44.03,50.34,44.28,50.31,44.61,51.28,44.51,51.32,45.25,
+    52.17,45.41,53.04,45.26,53.22,46.23,53.04,46.85,52.54,46.83,52.04,46.8,51.19,47.05,50.61,
+    46.83,50.04,46.61,49.1,46.4,48.59,46.56,48.7,47.08,48.06,47.74,47.31,47.72,46.47,48.39,47.04,
+    49.15,46.75,49.36,47.15,49.9,47.55,50.45,48.06,50.16,48.58,49.88,48.7,50.6,49.39,50.97,50.08,
+    51.33,50.77,51.69,51.55,51.71,52.33,51.72,53.06,51.49,53.8,51.26,54.53,51.03,55.12,50.82,
+    55.72,50.62,56.25,50.83,56.78,51.04,57.57,51.05,58.36,51.06,59,50.8,59.64,50.55,59.93,50.84,
+    60.64,50.82,61.34,50.8,61.59,51.27,60.78,51.62,59.97,51.96,60.93,52.45,60.74,52.72,61.7,52.98,
+    60.98,53.66,61.44,54.01,62.37,54.09,63.31,54.18,64.24,54.27,65.18,54.35,65.67,54.6,66.5,54.72,
+    67.33,54.85,68.17,54.97,69.07,55.38,69.97,55.28,70.86,55.17,71.02,54.65,71.18,54.13,71.7,
+    54.26,72.23,54.38,72.87,54.21,73.51,54.04,73.42,53.49,74.39,53.55,75.22,53.86,76.06,54.18,
+    76.89,54.49,76.52,54.18,77.16,53.79,77.8,53.4,78.55,52.56,79.29,51.71,80.03,50.87,80.57,51.39,
+    81.26,51.1,81.95,50.81,82.66,50.94,83.38,51.07,83.94,50.89,84.42,50.31,85.11,50.12,85.54,
+    49.69,86.19,49.76,86.83,49.83]]]],
+  ['Kenya', 'KE', 'KEN', '404',
+    [[[39.2,-4.68,38.48,-4.18,37.77,-3.68,37.7,-3.1,36.79,-2.59,35.89,-2.08,34.98,-1.57,34.07,
+    -1.06,33.9,-0.95,33.9,-0.42,33.89,0.11,34.18,0.52,34.67,1.18,35.04,1.91,34.82,2.48,34.59,3.05,
+    34.48,3.55,34,4.25,34.62,4.85,35.3,5.51,35.82,5.34,35.82,4.78,36.16,4.45,36.86,4.45,37.49,
+    4.02,38.12,3.6,38.44,3.59,38.67,3.62,38.89,3.5,39.56,3.42,39.85,3.84,40.77,4.26,41.17,3.92,
+    41.86,3.92,41.42,3.35,40.98,2.78,40.98,1.87,40.99,0.96,40.99,0.05,40.99,-0.86,41.59,-1.68,
+    40.88,-2.08,40.64,-2.5,40.26,-2.57,40.12,-3.28,39.8,-3.68,39.61,-4.35]]]],
+  ['Kosovo', null, null, null,
+    [[[20.59,41.86,20.52,42.22,20.28,42.32,20.07,42.59,20.26,42.81,20.5,42.88,20.63,43.22,20.81,
+    43.27,20.96,43.13,21.14,43.07,21.27,42.91,21.44,42.86,21.63,42.68,21.77,42.68,21.66,42.44,
+    21.54,42.32,21.58,42.25,21.35,42.21,20.76,42.05,20.72,41.85]]]],
+  ['Kuwait', 'KW', 'KWT', '414',
+    [[[47.98,29.98,48.18,29.53,48.09,29.31,48.42,28.55,47.71,28.53,47.46,29,46.57,29.1,47.3,
+    30.06]]]],
+  ['Kyrgyzstan', 'KG', 'KGZ', '417',
+    [[[70.96,42.27,71.19,42.7,71.84,42.85,72.67,42.67,73.49,42.5,73.64,43.09,74.21,43.3,74.93,
+    43.09,75.64,42.88,76,42.99,76.83,42.97,77.66,42.96,78.4,42.91,79.14,42.86,79.65,42.5,80.26,
+    42.35,80.12,42.12,79.33,41.85,78.54,41.58,78.19,41.19,77.55,41.13,76.91,41.07,76.53,40.43,76,
+    40.5,75.47,40.56,74.78,40.37,73.82,39.89,73.96,39.66,73.68,39.43,72.73,39.36,71.78,39.28,
+    71.17,39.44,70.55,39.6,70.01,39.57,69.46,39.53,69.56,40.1,70.1,40.02,70.65,39.94,71.01,40.24,
+    71.78,40.15,72.41,40.51,73.05,40.87,72.46,41.13,71.87,41.39,71.16,41.14,70.42,41.52,71.26,
+    42.17]]]],
+  ['Laos', 'LA', 'LAO', '418',
+    [[[107.38,14.2,106.5,14.57,106.04,13.88,105.22,14.27,105.54,14.72,105.59,15.57,104.78,16.44,
+    104.72,17.43,103.96,18.24,103.2,18.31,103,17.96,102.41,17.93,102.11,18.11,101.59,17.81,101.06,
+    17.51,101.04,18.41,101.16,18.94,101.28,19.46,100.6,19.51,100.55,20.11,100.12,20.42,100.33,
+    20.79,101.18,21.44,101.27,21.2,101.8,21.17,101.73,21.75,101.65,22.32,102.17,22.46,102.75,
+    21.68,103.2,20.77,103.82,20.76,104.44,20.76,104.82,19.89,104.18,19.62,103.9,19.27,104.49,
+    18.97,105.09,18.67,105.51,18.08,105.93,17.48,106.56,16.6,107.31,15.91,107.56,15.2]]]],
+  ['Latvia', 'LV', 'LVA', '428',
+    [[[27.29,57.47,27.77,57.24,27.86,56.76,28.18,56.17,27.64,55.98,27.1,55.78,26.49,55.61,25.53,
+    56.1,25,56.16,24.86,56.37,23.88,56.27,23.04,56.31,22.2,56.34,21.63,56.18,21.05,56.03,21.09,
+    56.78,21.58,57.41,22.52,57.75,23.32,57.01,24.12,57.03,24.31,57.79,25.17,57.97,25.6,57.85,
+    26.46,57.48]]]],
+  ['Lebanon', 'LB', 'LBN', '422',
+    [[[35.82,33.28,35.55,33.26,35.46,33.09,35.13,33.09,35.48,33.91,35.98,34.61,36,34.65,36.45,
+    34.59,36.61,34.2,36.07,33.82]]]],
+  ['Lesotho', 'LS', 'LSO', '426',
+    [[[28.98,-28.96,29.32,-29.26,29.02,-29.74,28.85,-30.07,28.29,-30.23,28.11,-30.55,27.75,-30.64,
+    27,-29.88,27.53,-29.24,28.07,-28.85,28.54,-28.65]]]],
+  ['Liberia', 'LR', 'LBR', '430',
+    [[[-8.44,7.69,-8.49,7.4,-8.39,6.91,-8.6,6.47,-8.31,6.19,-7.99,6.13,-7.57,5.71,-7.54,5.31,
+    -7.63,5.19,-7.71,4.36,-7.98,4.36,-8.49,4.59,-9.01,4.83,-9.91,5.59,-10.77,6.14,-11.44,6.79,
+    -11.2,7.11,-11.15,7.4,-10.69,7.94,-10.23,8.41,-10.02,8.43,-9.75,8.54,-9.34,7.93,-9.41,7.53,
+    -9.21,7.31,-8.93,7.31,-8.72,7.71]]]],
+  ['Libya', 'LY', 'LBY', '434',
+    [[[25,22,25,21,25,20,24.42,20,23.85,20,23.84,19.58,22.84,20.06,21.84,20.54,20.85,21.02,19.85,
+    21.49,18.85,21.97,17.85,22.45,16.86,22.93,15.86,23.41,15.36,23.14,14.85,22.86,14.14,22.49,
+    13.58,23.04,12.79,23.26,12,23.47,11.56,24.1,10.77,24.56,10.31,24.38,9.95,24.94,9.91,25.37,
+    9.32,26.09,9.71,26.51,9.63,27.14,9.76,27.69,9.68,28.14,9.86,28.96,9.8,29.42,9.48,30.31,9.97,
+    30.54,10.06,30.96,9.95,31.38,10.64,31.76,10.95,32.08,11.43,32.37,11.49,33.14,12.08,32.96,
+    12.66,32.79,13.08,32.88,13.92,32.71,14.58,32.49,15.24,32.27,15.71,31.38,16.61,31.18,17.32,
+    30.97,18.02,30.76,18.55,30.51,19.09,30.27,19.58,30.53,20.05,30.99,19.82,31.75,20.13,32.24,
+    20.85,32.71,21.54,32.84,22.22,32.74,22.89,32.64,23.24,32.19,23.61,32.19,23.93,32.02,24.92,
+    31.9,25.17,31.57,24.8,31.09,24.96,30.66,24.7,30.04,25,29.24,25,28.35,25,27.46,25,26.57,25,
+    25.68,25,24.76,25,23.84,25,22.92]]]],
+  ['Lithuania', 'LT', 'LTU', '440',
+    [[[26.49,55.61,26.59,55.17,25.77,54.85,25.54,54.28,24.99,54.09,24.45,53.91,23.48,53.91,23.24,
+    54.22,22.73,54.33,22.65,54.58,22.76,54.86,22.31,55.02,21.79,55.1,21.27,55.19,21.05,56.03,
+    21.63,56.18,22.2,56.34,23.04,56.31,23.88,56.27,24.86,56.37,25,56.16,25.53,56.1]]]],
+  ['Luxembourg', 'LU', 'LUX', '442',
+    [[[6.04,50.13,6.24,49.9,6.19,49.46,5.9,49.44,5.68,49.53,5.78,50.09]]]],
+  ['Macedonia', 'MK', 'MKD', '807',
+    [[[22.38,42.32,22.88,42,22.95,41.34,22.76,41.3,22.6,41.13,22.06,41.15,21.67,40.93,21.02,40.84,
+    20.6,41.09,20.46,41.52,20.59,41.86,20.72,41.85,20.76,42.05,21.35,42.21,21.58,42.25,21.92,
+    42.3]]]],
+  ['Madagascar', 'MG', 'MDG', '450',
+    [[[49.54,-12.47,49.81,-12.9,50.06,-13.56,50.14,-14.16,50.22,-14.76,50.48,-15.23,50.38,-15.71,
+    50.2,-16,49.86,-15.41,49.67,-15.71,49.86,-16.45,49.78,-16.87,49.5,-17.11,49.43,-17.95,49.24,
+    -18.54,49.04,-19.12,48.79,-19.81,48.55,-20.5,48.24,-21.44,47.93,-22.39,47.74,-23.09,47.55,
+    -23.78,47.32,-24.36,47.1,-24.94,46.28,-25.18,45.41,-25.6,44.83,-25.35,44.04,-24.99,43.76,
+    -24.46,43.7,-23.57,43.35,-22.78,43.25,-22.06,43.43,-21.34,43.89,-21.16,43.9,-20.83,44.38,
+    -20.07,44.47,-19.44,44.23,-18.96,44.04,-18.33,43.96,-17.41,44.31,-16.85,44.45,-16.22,44.94,
+    -16.18,45.5,-15.97,45.87,-15.79,46.31,-15.78,46.88,-15.21,47.71,-14.59,48,-14.09,47.87,-13.66,
+    48.29,-13.78,48.84,-13.09,48.87,-12.49,49.2,-12.04]]]],
+  ['Malawi', 'MW', 'MWI', '454',
+    [[[32.76,-9.23,33.74,-9.42,33.94,-9.69,34.28,-10.16,34.42,-10.84,34.56,-11.52,34.28,-12.28,
+    34.42,-12.93,34.56,-13.58,34.91,-13.57,35.27,-13.89,35.69,-14.61,35.73,-15.25,35.77,-15.9,
+    35.34,-16.11,35.03,-16.8,34.38,-16.18,34.31,-15.48,34.52,-15.01,34.46,-14.61,34.07,-14.36,
+    33.79,-14.45,33.22,-13.97,32.69,-13.71,32.99,-12.78,33.31,-12.44,33.11,-11.61,33.32,-10.8,
+    33.49,-10.53,33.23,-9.68]]]],
+  ['Malaysia', 'MY', 'MYS', '458',
+    [[[100.09,6.46,100.26,6.64,101.08,6.21,101.16,5.69,101.81,5.81,102.14,6.22,102.37,6.13,102.96,
+    5.53,103.38,4.85,103.44,4.18,103.33,3.73,103.43,3.38,103.5,2.79,103.86,2.52,104.25,1.63,
+    104.23,1.29,103.52,1.23,102.57,1.97,101.98,2.36,101.39,2.76,101.27,3.27,100.69,3.94,100.56,
+    4.77,100.2,5.31,100.31,6.04]],[[117.88,4.14,117.01,4.31,116.44,4.31,115.87,4.31,115.69,3.74,
+    115.52,3.17,115.13,2.82,114.88,2.13,114.62,1.43,113.81,1.22,112.86,1.5,112.38,1.41,111.8,0.9,
+    111.16,0.98,110.52,0.77,109.83,1.34,109.66,2.01,110.4,1.66,111.17,1.85,111.37,2.7,111.8,2.89,
+    112.4,2.99,113,3.1,113.71,3.89,114.21,4.53,114.66,4.01,114.87,4.35,115.35,4.32,115.4,4.95,
+    115.45,5.45,116.22,6.14,116.73,6.92,117.13,6.93,117.64,6.42,117.69,5.99,118.35,5.71,119.18,
+    5.41,119.11,5.02,118.44,4.97,118.62,4.48]]]],
+  ['Mali', 'ML', 'MLI', '466',
+    [[[-11.51,12.44,-11.47,12.75,-11.55,13.14,-11.93,13.42,-12.12,13.99,-12.17,14.62,-11.84,14.8,
+    -11.67,15.39,-11.35,15.41,-10.65,15.13,-10.09,15.33,-9.7,15.26,-9.55,15.49,-8.75,15.49,-7.94,
+    15.49,-7.14,15.49,-6.34,15.5,-5.54,15.5,-5.32,16.2,-5.49,16.33,-5.58,17.19,-5.68,18.05,-5.78,
+    18.91,-5.87,19.78,-5.97,20.64,-6.07,21.5,-6.16,22.37,-6.26,23.23,-6.36,24.09,-6.45,24.96,
+    -5.69,24.97,-4.92,24.97,-4.08,24.43,-3.24,23.88,-2.39,23.34,-1.55,22.79,-0.71,22.25,0.14,21.7,
+    0.98,21.16,1.82,20.61,2.06,20.14,2.68,19.86,3.15,19.69,3.16,19.06,3.71,19.11,4.27,19.16,4.27,
+    18.39,4.27,17.62,4.27,16.85,3.72,16.18,3.64,15.57,2.75,15.41,2.07,15.37,1.38,15.32,1.02,14.97,
+    0.38,14.93,-0.26,14.92,-0.52,15.12,-1.07,14.97,-2,14.56,-2.19,14.25,-2.97,13.8,-3.11,13.54,
+    -3.52,13.34,-4.01,13.47,-4.28,13.23,-4.43,12.54,-5.22,11.71,-5.2,11.37,-5.47,10.95,-5.41,
+    10.37,-5.82,10.22,-6.05,10.1,-6.2,10.52,-6.49,10.41,-6.67,10.43,-6.85,10.14,-7.62,10.15,-7.9,
+    10.3,-8.03,10.21,-8.34,10.49,-8.28,10.79,-8.41,10.91,-8.62,10.81,-8.58,11.14,-8.38,11.39,
+    -8.79,11.81,-8.9,12.09,-9.13,12.31,-9.33,12.33,-9.57,12.19,-9.89,12.06,-10.16,11.84,-10.59,
+    11.92,-10.87,12.18,-11.04,12.21,-11.3,12.08,-11.46,12.08]]]],
+  ['Mauritania', 'MR', 'MRT', '478',
+    [[[-17.06,21,-16.85,21.33,-15.87,21.33,-14.89,21.33,-13.91,21.33,-12.93,21.33,-13.02,22.05,
+    -13.12,22.77,-12.88,23.29,-11.94,23.37,-11.95,24.23,-11.96,25.08,-11.97,25.93,-11.15,25.92,
+    -10.33,25.91,-9.51,25.89,-8.69,25.88,-8.69,26.64,-8.69,27.4,-7.74,26.79,-6.8,26.19,-5.86,
+    25.58,-4.92,24.97,-5.69,24.97,-6.45,24.96,-6.36,24.09,-6.26,23.23,-6.16,22.37,-6.07,21.5,
+    -5.97,20.64,-5.87,19.78,-5.78,18.91,-5.68,18.05,-5.58,17.19,-5.49,16.33,-5.32,16.2,-5.54,15.5,
+    -6.34,15.5,-7.14,15.49,-7.94,15.49,-8.75,15.49,-9.55,15.49,-9.7,15.26,-10.09,15.33,-10.65,
+    15.13,-11.35,15.41,-11.67,15.39,-11.84,14.8,-12.17,14.62,-12.83,15.3,-13.44,16.04,-14.1,16.3,
+    -14.58,16.6,-15.14,16.59,-15.62,16.37,-16.12,16.46,-16.46,16.14,-16.55,16.67,-16.27,17.17,
+    -16.15,18.11,-16.26,19.1,-16.38,19.59,-16.28,20.09,-16.54,20.57]]]],
+  ['Mexico', 'MX', 'MEX', '484',
+    [[[-117.13,32.53,-116.56,32.57,-115.99,32.61,-115.36,32.67,-114.72,32.72,-114.81,32.52,
+    -114.06,32.28,-113.31,32.04,-112.54,31.8,-111.78,31.57,-111.02,31.33,-110.03,31.34,-109.04,
+    31.34,-108.24,31.34,-108.24,31.75,-107.37,31.75,-106.51,31.75,-106.14,31.4,-105.63,31.08,
+    -105.04,30.64,-104.71,30.12,-104.46,29.57,-103.94,29.27,-103.11,28.97,-102.48,29.76,-101.66,
+    29.78,-100.96,29.38,-100.46,28.7,-100.11,28.11,-99.52,27.54,-99.3,26.84,-99.02,26.37,-98.24,
+    26.06,-97.53,25.84,-97.14,25.87,-97.53,24.99,-97.7,24.27,-97.74,23.6,-97.78,22.93,-97.87,
+    22.44,-97.7,21.9,-97.39,21.41,-97.19,20.64,-96.53,19.89,-96.29,19.32,-95.9,18.83,-95.37,18.7,
+    -94.84,18.56,-94.43,18.14,-93.55,18.42,-92.79,18.53,-92.04,18.71,-91.41,18.88,-90.77,19.28,
+    -90.53,19.87,-90.45,20.71,-90.28,21,-89.6,21.26,-89.07,21.38,-88.54,21.49,-87.66,21.46,-87.05,
+    21.54,-86.81,21.33,-86.85,20.85,-87.38,20.26,-87.62,19.65,-87.44,19.47,-87.59,19.04,-87.84,
+    18.26,-88.09,18.52,-88.3,18.5,-88.49,18.49,-88.85,17.88,-89.03,18,-89.15,17.96,-89.14,17.81,
+    -90.07,17.82,-91,17.82,-91,17.25,-91.45,17.25,-91.08,16.92,-90.71,16.69,-90.6,16.47,-90.44,
+    16.41,-90.46,16.07,-91.11,16.07,-91.75,16.07,-92.23,15.25,-92.09,15.06,-92.2,14.83,-92.23,
+    14.54,-92.79,15.08,-93.36,15.62,-93.88,15.94,-94.69,16.2,-95.25,16.13,-96.05,15.75,-96.56,
+    15.65,-97.26,15.92,-98.01,16.11,-98.95,16.57,-99.7,16.71,-100.26,16.94,-100.83,17.17,-101.67,
+    17.65,-101.92,17.92,-102.48,17.98,-102.99,18.13,-103.5,18.29,-103.92,18.75,-104.46,19.03,
+    -104.99,19.32,-105.49,19.95,-105.73,20.43,-105.4,20.53,-105.5,20.82,-105.27,21.08,-105.27,
+    21.42,-105.6,21.87,-105.69,22.27,-106.03,22.77,-106.91,23.77,-107.41,24.16,-107.92,24.55,
+    -108.4,25.17,-109.26,25.58,-109.44,25.83,-109.29,26.44,-109.8,26.68,-110.39,27.16,-110.64,
+    27.86,-111.18,27.94,-111.76,28.47,-112.23,28.96,-112.27,29.27,-112.81,30.02,-113.17,30.79,
+    -113.15,31.17,-113.87,31.57,-114.21,31.52,-114.78,31.8,-114.94,31.39,-114.77,30.91,-114.67,
+    30.16,-114.33,29.75,-113.59,29.06,-113.42,28.83,-113.27,28.76,-113.14,28.41,-112.96,28.43,
+    -112.76,27.78,-112.46,27.53,-112.24,27.17,-111.62,26.66,-111.29,25.73,-110.99,25.29,-110.71,
+    24.83,-110.66,24.3,-110.17,24.27,-109.77,23.81,-109.41,23.36,-109.43,23.19,-109.85,22.82,
+    -110.03,22.82,-110.3,23.43,-110.95,24,-111.67,24.49,-112.18,24.74,-112.15,25.47,-112.3,26.01,
+    -112.78,26.32,-113.46,26.77,-113.6,26.64,-113.85,26.9,-114.46,27.14,-115.06,27.72,-114.98,
+    27.8,-114.57,27.74,-114.2,28.12,-114.16,28.57,-114.93,29.28,-115.52,29.56,-115.89,30.18,
+    -116.26,30.84,-116.72,31.64]]]],
+  ['Moldova', 'MD', 'MDA', '498',
+    [[[26.62,48.22,26.86,48.37,27.52,48.47,28.26,48.16,28.67,48.12,29.12,47.85,29.05,47.51,29.41,
+    47.35,29.56,46.93,29.91,46.67,29.84,46.53,30.03,46.42,29.76,46.35,29.17,46.38,29.07,46.52,
+    28.86,46.44,28.94,46.26,28.66,45.94,28.49,45.6,28.23,45.49,28.05,45.95,28.16,46.37,28.13,
+    46.81,27.55,47.41,27.23,47.83,26.92,48.12]]]],
+  ['Mongolia', 'MN', 'MNG', '496',
+    [[[87.75,49.3,88.28,49.38,88.8,49.47,89.76,49.9,90.71,50.33,91.47,50.57,92.23,50.8,93.11,
+    50.49,93.63,50.49,94.15,50.48,94.82,50.01,95.81,49.98,96.54,49.85,97.26,49.73,98.23,50.42,
+    97.83,51.01,98.34,51.53,98.86,52.05,99.42,51.84,99.98,51.63,100.89,51.52,101.48,51.39,102.07,
+    51.26,102.26,50.51,102.97,50.3,103.68,50.09,104.62,50.27,105.25,50.34,105.89,50.41,106.39,
+    50.34,106.89,50.27,107.87,49.79,108.47,49.28,109.4,49.29,110.03,49.21,110.66,49.13,111.58,
+    49.38,112.24,49.46,112.9,49.54,113.63,49.9,114.36,50.25,114.96,50.14,115.49,49.81,116.08,
+    49.85,116.68,49.89,116.19,49.13,115.48,48.14,115.74,47.73,116.31,47.85,117.29,47.7,118.06,
+    48.07,118.87,47.75,119.77,47.05,119.66,46.69,118.87,46.8,118.15,46.74,117.42,46.67,116.72,
+    46.39,115.98,45.73,115.22,45.53,114.46,45.34,113.46,44.81,112.95,44.91,112.43,45.01,111.87,
+    45.1,111.35,44.46,111.67,44.07,111.83,43.74,111.13,43.41,110.41,42.87,109.83,42.7,109.24,
+    42.52,108.49,42.5,107.74,42.48,106.94,42.31,106.13,42.14,105.55,41.87,104.96,41.6,104.52,
+    41.91,103.92,41.91,103.31,41.91,102.57,42.21,101.83,42.51,100.85,42.66,100.18,42.59,99.52,
+    42.52,98.83,42.6,98.14,42.67,97.45,42.75,96.9,42.74,96.35,42.73,95.76,43.32,95.31,44.24,94.69,
+    44.35,94.09,44.66,93.48,44.98,92.81,45.05,92.13,45.12,91.54,45.2,90.95,45.29,90.59,45.72,
+    90.78,46.3,90.97,46.89,90.28,47.69,89.57,47.88,88.85,48.07,88.02,48.6]]]],
+  ['Montenegro', 'ME', 'MNE', '499',
+    [[[20.07,42.59,19.8,42.5,19.74,42.69,19.31,42.2,19.37,41.88,19.16,41.96,18.88,42.28,18.45,
+    42.48,18.56,42.65,18.71,43.2,19.03,43.43,19.22,43.52,19.49,43.35,19.63,43.21,19.96,43.11,
+    20.34,42.9,20.26,42.81]]]],
+  ['Morocco', 'MA', 'MAR', '504',
+    [[[-2.17,35.17,-1.79,34.53,-1.73,33.92,-1.56,33.39,-1.39,32.86,-1.13,32.65,-1.31,32.26,-1.96,
+    32.18,-2.62,32.09,-3.07,31.72,-3.65,31.64,-3.69,30.9,-4.28,30.7,-4.86,30.5,-5.24,30,-6.06,
+    29.73,-7.06,29.58,-7.87,29.21,-8.67,28.84,-8.67,28.25,-8.67,27.66,-8.82,27.66,-8.79,27.12,
+    -9.41,27.09,-9.74,26.86,-10.19,26.86,-10.55,26.99,-11.39,26.88,-11.72,26.1,-12.03,26.03,
+    -12.27,25.4,-12.5,24.77,-13.2,24.23,-13.89,23.69,-14.06,23,-14.22,22.31,-14.63,21.86,-14.75,
+    21.5,-15.5,21.47,-16.25,21.45,-17,21.42,-17.02,21.42,-16.97,21.89,-16.59,22.16,-16.26,22.68,
+    -16.33,23.02,-15.98,23.72,-15.42,24.36,-15.09,24.52,-14.82,25.1,-14.8,25.64,-14.44,26.25,
+    -13.78,26.62,-13.46,27.13,-13.14,27.64,-13.12,27.65,-12.62,28.04,-11.69,28.15,-10.9,28.83,
+    -10.4,29.1,-9.56,29.93,-9.69,30.56,-9.82,31.18,-9.43,32.04,-9.3,32.57,-8.66,33.24,-8.16,33.47,
+    -7.66,33.7,-6.91,34.11,-6.58,34.63,-6.24,35.15,-5.93,35.76,-5.19,35.76,-4.59,35.33,-3.64,35.4,
+    -3.12,35.29,-2.6,35.18]]]],
+  ['Mozambique', 'MZ', 'MOZ', '508',
+    [[[34.56,-11.52,35.31,-11.44,35.91,-11.58,36.51,-11.72,36.78,-11.6,37.47,-11.57,37.83,-11.27,
+    38.43,-11.29,38.97,-11.09,39.52,-10.9,40.32,-10.32,40.48,-10.77,40.44,-11.76,40.56,-12.64,
+    40.58,-13.42,40.6,-14.2,40.78,-14.69,40.48,-15.41,40.09,-16.1,39.45,-16.72,38.54,-17.1,37.97,
+    -17.34,37.41,-17.59,36.85,-18.12,36.28,-18.66,35.9,-18.84,35.2,-19.55,34.79,-19.78,34.7,-20.5,
+    35.18,-21.25,35.37,-21.84,35.39,-22.14,35.56,-22.09,35.53,-23.07,35.37,-23.54,35.61,-23.71,
+    35.46,-24.12,35.04,-24.48,34.22,-24.82,33.62,-25.09,33.01,-25.36,32.57,-25.73,32.66,-26.15,
+    32.92,-26.22,32.83,-26.74,32.07,-26.73,31.98,-26.29,31.84,-25.84,31.75,-25.48,31.84,-24.93,
+    31.93,-24.37,31.67,-23.66,31.43,-22.96,31.19,-22.25,31.72,-21.68,32.24,-21.12,32.51,-20.39,
+    32.66,-20.31,32.77,-19.72,32.61,-19.42,32.65,-18.67,32.85,-17.98,32.85,-17.35,32.85,-16.71,
+    32.33,-16.39,31.85,-16.32,31.64,-16.07,31.17,-15.86,30.34,-15.88,30.27,-15.51,30.18,-14.8,
+    30.94,-14.59,31.7,-14.38,32.46,-14.18,33.22,-13.97,33.79,-14.45,34.07,-14.36,34.46,-14.61,
+    34.52,-15.01,34.31,-15.48,34.38,-16.18,35.03,-16.8,35.34,-16.11,35.77,-15.9,35.73,-15.25,
+    35.69,-14.61,35.27,-13.89,34.91,-13.57,34.56,-13.58,34.42,-12.93,34.28,-12.28]]]],
+  ['Myanmar', 'MM', 'MMR', '104',
+    [[[100.12,20.42,99.54,20.19,98.96,19.75,98.25,19.71,98.03,19.17,97.8,18.63,97.38,18.45,97.86,
+    17.57,98.5,16.84,98.9,16.18,98.54,15.31,98.19,15.12,98.43,14.62,99.1,13.83,99.21,13.27,99.2,
+    12.8,99.59,11.89,99.04,10.96,98.8,10.45,98.55,9.93,98.46,10.68,98.77,11.44,98.43,12.03,98.47,
+    12.58,98.51,13.12,98.1,13.64,97.94,14.24,97.78,14.84,97.69,15.47,97.6,16.1,97.16,16.93,96.5,
+    16.43,95.94,16.07,95.37,15.71,94.81,15.8,94.19,16.04,94.36,16.66,94.54,17.28,94.33,18.21,
+    93.93,18.79,93.54,19.37,93.66,19.73,93.08,19.86,92.37,20.67,92.3,21.48,92.65,21.32,92.67,
+    22.04,93.17,22.28,93.06,22.7,93.29,23.04,93.31,23.56,93.33,24.08,94.11,23.85,94.55,24.67,94.6,
+    25.16,95.15,26,95.13,26.57,95.77,26.92,96.42,27.26,97.13,27.08,97.05,27.7,97.4,27.88,97.33,
+    28.26,97.91,28.34,98.25,27.75,98.68,27.51,98.71,26.74,98.67,25.92,97.72,25.08,97.67,24.49,
+    97.61,23.9,98.13,23.98,98.66,24.06,98.9,23.14,99.53,22.95,99.24,22.12,99.98,21.74,100.42,
+    21.56,101.15,21.85,101.18,21.44,100.33,20.79]]]],
+  ['N. Cyprus', null, null, null,
+    [[[32.73,35.14,32.8,35.14,32.95,35.39,33.67,35.37,34.58,35.67,33.9,35.25,33.98,35.06,33.87,
+    35.09,33.68,35.02,33.53,35.04,33.47,35,33.46,35.1,33.38,35.16,33.19,35.17,32.92,35.09]]]],
+  ['Namibia', 'NA', 'NAM', '516',
+    [[[19.9,-24.77,19.9,-25.69,19.9,-26.61,19.9,-27.54,19.9,-28.46,19,-28.97,18.47,-29.05,17.84,
+    -28.86,17.39,-28.78,17.22,-28.36,16.82,-28.08,16.35,-28.58,15.6,-27.82,15.21,-27.09,14.99,
+    -26.12,14.74,-25.39,14.58,-24.62,14.41,-23.85,14.4,-23.25,14.38,-22.66,14.26,-22.11,13.87,
+    -21.7,13.35,-20.87,13.09,-20.27,12.83,-19.67,12.61,-19.05,11.8,-18.07,11.73,-17.3,12.22,
+    -17.11,12.81,-16.94,13.46,-16.97,14.06,-17.42,14.21,-17.35,15.02,-17.34,15.83,-17.34,16.64,
+    -17.33,17.45,-17.32,18.26,-17.31,18.96,-17.79,19.76,-17.84,20.57,-17.88,21.38,-17.93,22.3,
+    -17.73,23.21,-17.52,24.04,-17.3,24.68,-17.35,25.08,-17.58,25.08,-17.66,24.52,-17.89,24.22,
+    -17.89,23.58,-18.28,23.2,-17.87,22.43,-18.04,21.66,-18.22,20.91,-18.25,20.9,-19.14,20.9,
+    -20.03,20.89,-20.92,20.88,-21.81,19.9,-21.85,19.9,-22.82,19.9,-23.8]]]],
+  ['Nepal', 'NP', 'NPL', '524',
+    [[[88.12,27.88,88.04,27.45,88.17,26.81,88.06,26.41,87.23,26.4,86.63,26.51,86.02,26.63,85.25,
+    26.73,84.67,27.24,83.99,27.3,83.3,27.36,82.65,27.65,82,27.93,81.06,28.42,80.09,28.79,80.48,
+    29.73,81.11,30.18,81.52,30.42,82.33,30.11,82.83,29.79,83.34,29.46,83.9,29.32,84.24,28.84,
+    85.01,28.64,85.82,28.2,86.39,28.09,86.95,27.97,87.54,27.93]]]],
+  ['Netherlands', 'NL', 'NLD', '528',
+    [[[6.91,53.48,7.09,53.14,6.84,52.23,6.59,51.85,5.99,51.85,6.07,51.33,6.16,50.8,5.61,51.04,
+    4.97,51.47,4.05,51.27,3.31,51.35,3.83,51.62,4.27,52.36,4.71,53.09,5.39,53.3,6.08,53.51]]]],
+  ['New Caledonia', 'NC', 'NCL', '540',
+    [[[165.78,-21.08,166.6,-21.7,167.12,-22.16,166.74,-22.4,166.19,-22.13,165.47,-21.68,164.83,
+    -21.15,164.17,-20.45,164.03,-20.11,164.46,-20.12,165.02,-20.46,165.46,-20.8]]]],
+  ['New Zealand', 'NZ', 'NZL', '554',
+    [[[176.89,-40.07,176.51,-40.61,176.01,-41.29,175.24,-41.69,175.07,-41.43,174.65,-41.28,175.23,
+    -40.46,174.9,-39.91,174.36,-39.71,173.82,-39.51,173.85,-39.15,174.57,-38.8,174.74,-38.03,
+    174.7,-37.38,174.29,-36.71,174.32,-36.53,173.84,-36.12,173.06,-35.24,172.63,-34.53,173.01,
+    -34.45,173.55,-35.01,174.33,-35.27,174.61,-36.16,174.97,-36.68,175.34,-37.21,175.36,-36.53,
+    175.81,-36.8,175.96,-37.56,176.76,-37.88,177.44,-37.96,178.01,-37.58,178.52,-37.7,178.28,
+    -38.58,177.97,-39.17,177.21,-39.15,176.94,-39.45,177.03,-39.88]],[[169.67,-43.56,170.52,
+    -43.03,171.13,-42.51,171.57,-41.77,171.95,-41.51,172.1,-40.96,172.8,-40.49,173.02,-40.92,
+    173.25,-41.33,173.96,-40.93,174.25,-41.35,174.25,-41.77,173.88,-42.23,173.22,-42.97,172.71,
+    -43.37,173.08,-43.85,172.31,-43.87,171.45,-44.24,171.18,-44.9,170.9,-45.4,170.62,-45.91,
+    169.83,-46.36,169.33,-46.64,168.41,-46.62,167.76,-46.29,167.22,-46.26,166.68,-46.22,166.51,
+    -45.85,167.05,-45.11,167.68,-44.62,168.3,-44.12,168.95,-43.94]]]],
+  ['Nicaragua', 'NI', 'NIC', '558',
+    [[[-83.66,10.94,-83.89,10.73,-84.19,10.79,-84.35,11,-84.67,11.08,-84.9,10.95,-85.56,11.22,
+    -85.71,11.09,-86.06,11.4,-86.53,11.81,-86.74,12.14,-87.17,12.46,-87.67,12.91,-87.56,13.06,
+    -87.39,12.91,-87.32,12.98,-87.01,13.03,-86.88,13.26,-86.73,13.26,-86.76,13.75,-86.52,13.78,
+    -86.31,13.77,-86.1,14.04,-85.8,13.84,-85.7,13.96,-85.51,14.08,-85.16,14.36,-85.15,14.56,
+    -85.05,14.55,-84.92,14.79,-84.82,14.82,-84.65,14.67,-84.45,14.62,-84.23,14.75,-83.98,14.75,
+    -83.63,14.88,-83.49,15.02,-83.15,15,-83.23,14.9,-83.29,14.68,-83.18,14.31,-83.41,13.97,-83.52,
+    13.57,-83.55,13.13,-83.5,12.87,-83.47,12.42,-83.63,12.32,-83.72,11.89,-83.65,11.63,-83.85,
+    11.37,-83.81,11.1]]]],
+  ['Niger', 'NE', 'NER', '562',
+    [[[14.85,22.86,14.97,22.09,15.1,21.31,15.47,21.05,15.49,20.73,15.9,20.39,15.69,19.96,15.56,
+    19.28,15.43,18.6,15.3,17.93,15.27,17.28,15.25,16.63,14.61,16.16,13.97,15.68,13.76,15.03,13.54,
+    14.37,13.96,14,13.96,13.35,14.6,13.33,14.5,12.86,14.21,12.8,14.18,12.48,14,12.46,13.66,13.01,
+    13.32,13.56,13.08,13.6,12.3,13.04,11.53,13.33,10.99,13.39,10.7,13.25,10.11,13.28,9.52,12.85,
+    9.02,12.83,8.41,13.08,7.8,13.34,7.33,13.1,6.82,13.11,6.45,13.49,5.94,13.68,5.44,13.87,4.91,
+    13.81,4.37,13.75,4.11,13.53,3.97,12.96,3.68,12.55,3.61,11.66,2.85,12.24,2.49,12.23,2.15,11.94,
+    2.18,12.63,1.6,12.74,1.02,12.85,0.99,13.34,0.43,13.99,0.3,14.44,0.38,14.93,1.02,14.97,1.38,
+    15.32,2.07,15.37,2.75,15.41,3.64,15.57,3.72,16.18,4.27,16.85,4.27,17.62,4.27,18.39,4.27,19.16,
+    4.97,19.38,5.68,19.6,6.64,20.26,7.61,20.91,8.57,21.57,9.43,22.04,10.29,22.52,11.14,22.99,12,
+    23.47,12.79,23.26,13.58,23.04,14.14,22.49]]]],
+  ['Nigeria', 'NG', 'NGA', '566',
+    [[[2.69,6.26,2.72,7.07,2.75,7.87,2.72,8.51,2.91,9.14,3.22,9.44,3.71,10.06,3.6,10.33,3.8,10.73,
+    3.57,11.33,3.61,11.66,3.68,12.55,3.97,12.96,4.11,13.53,4.37,13.75,4.91,13.81,5.44,13.87,5.94,
+    13.68,6.45,13.49,6.82,13.11,7.33,13.1,7.8,13.34,8.41,13.08,9.02,12.83,9.52,12.85,10.11,13.28,
+    10.7,13.25,10.99,13.39,11.53,13.33,12.3,13.04,13.08,13.6,13.32,13.56,13.66,13.01,14,12.46,
+    14.18,12.48,14.58,12.09,14.47,11.9,14.42,11.57,13.57,10.8,13.31,10.16,13.17,9.64,12.95,9.42,
+    12.75,8.72,12.22,8.31,12.07,7.8,11.84,7.4,11.75,6.98,11.06,6.64,10.5,7.06,10.12,7.04,9.52,
+    6.45,9.23,6.44,8.76,5.48,8.5,4.77,7.98,4.59,7.46,4.41,7.08,4.46,6.7,4.24,5.9,4.26,5.36,4.89,
+    5.03,5.61,4.33,6.27,3.57,6.26]]]],
+  ['North Korea', 'KP', 'PRK', '408',
+    [[[130.78,42.22]],[[130.64,42.4,130.78,42.22,130.4,42.28,129.97,41.94,129.67,41.6,129.7,40.88,
+    129.19,40.66,129.01,40.48,128.63,40.19,127.97,40.03,127.53,39.76,127.5,39.32,127.39,39.21,
+    127.79,39.05,128.35,38.61,128.21,38.37,127.78,38.3,127.07,38.26,126.68,37.81,126.24,37.84,
+    126.18,37.75,125.69,37.94,125.57,37.75,125.28,37.67,125.24,37.86,124.98,37.95,124.71,38.11,
+    124.98,38.55,125.22,38.67,125.13,38.85,125.39,39.39,125.32,39.55,124.74,39.66,124.26,39.93,
+    125.08,40.57,125.63,40.84,126.18,41.11,126.87,41.82,127.34,41.5,128.21,41.47,128.05,41.99,
+    128.82,42.21,129.6,42.42,130,42.98]]]],
+  ['Norway', 'NO', 'NOR', '578',
+    [[[15.14,79.67,15.52,80.02,16.26,80.03,16.99,80.05,17.62,79.88,18.25,79.7,19.07,79.52,19.9,
+    79.33,20.72,79.14,21.54,78.96,20.71,78.83,19.87,78.69,19.03,78.56,18.47,77.83,17.6,77.64,
+    17.12,76.81,16.52,76.79,15.91,76.77,15.2,76.97,14.48,77.18,13.76,77.38,14.67,77.74,13.92,
+    77.88,13.17,78.02,12.2,78.45,11.22,78.87,10.45,79.65,11.35,79.77,12.26,79.89,13.17,80.01,
+    13.72,79.66,14.43,79.67]],[[31.1,69.56,30.25,69.36,29.4,69.16,28.59,69.07,29.01,69.77,28.37,
+    69.97,27.73,70.16,26.96,69.99,26.18,69.83,25.69,69.09,24.73,68.65,24.2,68.77,23.66,68.89,
+    23.01,68.87,22.36,68.84,21.8,69.11,21.25,69.37,20.64,69.11,20.03,69.07,19.88,68.41,18.94,
+    68.49,17.99,68.57,17.73,68.01,16.77,68.01,16.11,67.3,15.61,66.75,15.11,66.19,14.33,65.49,
+    13.56,64.79,13.92,64.44,13.57,64.05,12.58,64.07,11.93,63.13,11.96,62.46,11.99,61.8,12.63,
+    61.29,12.47,60.71,12.3,60.12,11.47,59.43,11.03,58.86,10.36,59.47,9.37,58.89,8.38,58.31,7.71,
+    58.2,7.05,58.08,6.36,58.33,5.66,58.59,5.49,59.13,5.31,59.66,5.2,60.43,5.1,61.2,4.99,61.97,
+    5.91,62.62,6.79,62.89,7.67,63.17,8.55,63.45,9.54,63.97,10.53,64.49,11.44,65.18,12.36,65.88,
+    13.16,66.52,13.96,67.17,14.76,67.81,15.6,68.19,16.44,68.56,17.35,68.98,18.27,69.4,19.18,69.82,
+    19.91,69.96,20.65,70.11,21.38,70.26,22.2,70.23,23.02,70.2,23.79,70.62,24.55,71.03,25.46,71.01,
+    26.37,70.99,27.27,71.09,28.16,71.19,28.95,71,29.73,70.82,30.51,70.64,31.29,70.45,30.65,70.32,
+    30,70.19,30.55,69.87]],[[27.41,80.06,26.67,79.79,25.93,79.52,24.96,79.48,23.99,79.44,23.02,
+    79.4,22.04,79.46,21.06,79.51,20.08,79.57,19.9,79.84,19.18,79.85,18.46,79.86,17.92,80.09,17.37,
+    80.32,18.14,80.39,18.91,80.46,19.68,80.53,20.46,80.6,21.18,80.48,21.91,80.36,22.41,80.51,
+    22.92,80.66,23.76,80.57,24.6,80.49,25.45,80.41,26.43,80.23]],[[24.72,77.85,23.98,77.72,23.24,
+    77.58,22.49,77.45,21.61,77.56,20.73,77.68,21.41,77.93,20.81,78.25,21.5,78.32,22.19,78.39,
+    22.88,78.46,23.28,78.08,24,77.97]]]],
+  ['Oman', 'OM', 'OMN', '512',
+    [[[55.21,22.71,55.23,23.11,55.53,23.53,55.53,23.93,55.98,24.13,55.8,24.27,55.89,24.92,56.4,
+    24.93,56.85,24.24,57.4,23.88,58.14,23.75,58.73,23.57,59.18,22.99,59.45,22.66,59.81,22.53,
+    59.81,22.31,59.44,21.71,59.28,21.43,58.86,21.11,58.49,20.43,58.03,20.48,57.83,20.24,57.67,
+    19.74,57.79,19.07,57.7,18.95,57.24,18.95,56.61,18.57,56.51,18.09,56.28,17.88,55.66,17.88,
+    55.27,17.63,55.27,17.23,54.79,16.95,54.24,17.04,53.57,16.71,53.11,16.65,52.78,17.35,52.39,
+    18.17,52,19,53,19.33,54,19.67,55,20,55.22,20.67,55.44,21.33,55.67,22]],[[56.26,25.71,56.07,
+    26.06,56.36,26.4,56.49,26.31,56.39,25.9]]]],
+  ['Pakistan', 'PK', 'PAK', '586',
+    [[[77.84,35.49,76.87,34.65,76.32,34.58,75.76,34.51,75,34.63,74.24,34.75,73.75,34.32,74.1,
+    33.44,74.45,32.77,75.26,32.27,74.41,31.69,74.42,30.98,73.94,30.48,73.45,29.98,73.14,29.47,
+    72.82,28.96,72.3,28.44,71.78,27.91,71.2,27.95,70.62,27.99,70.07,27.46,69.51,26.94,70.17,26.49,
+    70.28,25.72,70.84,25.21,71.04,24.36,70.31,24.36,69.58,24.36,68.84,24.36,68.18,23.69,67.44,
+    23.95,67.15,24.66,66.37,25.42,65.45,25.33,64.53,25.24,63.72,25.23,62.91,25.22,62.2,25.15,61.5,
+    25.08,61.69,25.66,61.88,26.24,62.6,26.5,63.32,26.76,63.23,27.22,62.75,27.38,62.73,28.26,61.77,
+    28.7,61.37,29.3,60.87,29.83,61.71,29.57,62.55,29.32,63.05,29.39,63.55,29.47,64.15,29.34,64.35,
+    29.56,65.05,29.47,65.7,29.68,66.35,29.89,66.38,30.74,66.94,31.3,67.68,31.3,67.79,31.58,68.56,
+    31.71,68.93,31.62,69.32,31.9,69.26,32.5,69.69,33.11,70.32,33.36,69.93,34.02,70.88,33.99,71.16,
+    34.35,71.11,34.73,71.61,35.15,71.5,35.65,71.26,36.07,71.85,36.51,72.38,36.62,72.92,36.72,
+    73.49,36.78,74.07,36.84,74.58,37.02,75.16,37.13,75.9,36.67,76.19,35.9,77.02,35.7]]]],
+  ['Palestine', 'PS', 'PSE', '275',
+    [[[35.4,31.49,34.93,31.35,34.97,31.62,35.22,31.75,34.98,31.87,35.18,32.53,35.54,32.39,35.54,
+    31.78]]]],
+  ['Panama', 'PA', 'PAN', '591',
+    [[[-77.35,8.67,-77.47,8.52,-77.24,7.94,-77.43,7.64,-77.75,7.71,-77.88,7.22,-78.22,7.51,-78.43,
+    8.05,-78.18,8.32,-78.44,8.39,-78.62,8.72,-79.12,9,-79.56,8.93,-79.76,8.59,-80.16,8.33,-80.38,
+    8.3,-80.48,8.09,-80.01,7.55,-80.28,7.42,-80.42,7.27,-80.89,7.22,-81.06,7.82,-81.19,7.65,
+    -81.52,7.71,-81.72,8.11,-82.13,8.18,-82.39,8.29,-82.82,8.29,-82.85,8.07,-82.96,8.22,-82.91,
+    8.42,-82.83,8.63,-82.87,8.81,-82.72,8.93,-82.93,9.07,-82.93,9.48,-82.55,9.57,-82.19,9.21,
+    -82.21,8.99,-81.81,8.95,-81.72,9.03,-81.44,8.79,-80.95,8.86,-80.52,9.11,-79.92,9.31,-79.57,
+    9.61,-79.02,9.55,-79.06,9.46,-78.5,9.42,-78.05,9.25,-77.73,8.95]]]],
+  ['Papua New Guinea', 'PG', 'PNG', '598',
+    [[[141,-2.6,141.87,-2.95,142.74,-3.29,143.66,-3.58,144.58,-3.86,145.27,-4.37,145.83,-4.88,
+    145.98,-5.47,146.81,-5.78,147.65,-6.08,147.89,-6.61,146.97,-6.72,147.19,-7.39,148.09,-8.04,
+    148.41,-8.57,148.73,-9.11,149.31,-9.07,149.27,-9.51,150.04,-9.68,149.74,-9.87,150.27,-10.08,
+    150.8,-10.29,150.69,-10.58,150.03,-10.65,149.78,-10.39,148.92,-10.28,148.42,-10.21,147.91,
+    -10.13,147.14,-9.49,146.57,-8.94,146.05,-8.07,145.4,-7.85,144.74,-7.63,143.9,-7.92,143.29,
+    -8.25,143.41,-8.98,142.63,-9.33,142.07,-9.16,141.55,-9.14,141.03,-9.12,141.03,-8.3,141.03,
+    -7.49,141.02,-6.67,141.02,-5.86,141.01,-5.04,141.01,-4.23,141.01,-3.42]],[[152.64,-3.66,
+    153.02,-3.98,153.14,-4.5,152.83,-4.77,152.64,-4.18,152.41,-3.79,151.95,-3.46,151.38,-3.04,
+    150.66,-2.74,150.94,-2.5,151.48,-2.78,151.82,-3,152.24,-3.24]],[[151.3,-5.84,150.75,-6.08,
+    150.24,-6.32,149.71,-6.32,148.89,-6.03,148.32,-5.75,148.4,-5.44,149.3,-5.58,149.85,-5.51,150,
+    -5.03,150.14,-5,150.24,-5.53,150.81,-5.46,151.09,-5.11,151.65,-4.76,151.54,-4.17,152.14,-4.15,
+    152.34,-4.31,152.32,-4.87,151.98,-5.48,151.46,-5.56]],[[154.76,-5.34,155.06,-5.57,155.55,-6.2,
+    156.02,-6.54,155.88,-6.82,155.6,-6.92,155.17,-6.54,154.73,-5.9,154.52,-5.14,154.65,-5.04]]]],
+  ['Paraguay', 'PY', 'PRY', '600',
+    [[[-58.17,-20.18,-57.87,-20.73,-57.9,-21.41,-57.94,-22.09,-57.41,-22.19,-56.88,-22.28,-56.47,
+    -22.09,-55.8,-22.36,-55.61,-22.66,-55.52,-23.57,-55.4,-23.96,-55.03,-24,-54.65,-23.84,-54.29,
+    -24.02,-54.29,-24.57,-54.43,-25.16,-54.63,-25.74,-54.79,-26.62,-55.69,-27.39,-56.49,-27.55,
+    -57.05,-27.47,-57.61,-27.4,-58.11,-27.26,-58.62,-27.12,-58.13,-26.36,-57.63,-25.6,-57.78,
+    -25.16,-58.29,-24.97,-58.81,-24.77,-59.42,-24.4,-60.03,-24.03,-60.85,-23.88,-61.77,-23.07,
+    -62.69,-22.25,-62.49,-21.65,-62.29,-21.05,-62.26,-20.51,-61.79,-19.63,-60.91,-19.49,-60.04,
+    -19.34,-59.11,-19.36,-58.18,-19.87]]]],
+  ['Peru', 'PE', 'PER', '604',
+    [[[-69.89,-4.3,-70.8,-4.25,-70.93,-4.4,-71.75,-4.59,-72.32,-4.93,-72.89,-5.28,-72.96,-5.74,
+    -73.22,-6.09,-73.12,-6.63,-73.72,-6.92,-73.72,-7.34,-73.99,-7.52,-73.57,-8.42,-73.01,-9.03,
+    -73.23,-9.46,-72.56,-9.52,-72.19,-10.05,-71.3,-10.08,-70.48,-9.49,-70.52,-10.25,-70.55,-11.01,
+    -70.09,-11.12,-69.53,-10.95,-69.1,-11.76,-68.67,-12.56,-68.88,-12.9,-68.93,-13.6,-68.95,
+    -14.45,-69.34,-14.95,-69.16,-15.32,-69.39,-15.66,-68.96,-16.5,-69.28,-17.04,-69.59,-17.58,
+    -69.86,-18.09,-70.37,-18.35,-70.87,-18.06,-71.38,-17.77,-71.46,-17.36,-72.45,-16.86,-73.45,
+    -16.36,-74.34,-15.81,-75.24,-15.27,-76.01,-14.65,-76.42,-13.82,-76.26,-13.53,-76.68,-12.88,
+    -77.11,-12.22,-77.6,-11.3,-78.09,-10.38,-78.57,-9.38,-79.04,-8.39,-79.45,-7.93,-79.76,-7.19,
+    -80.54,-6.54,-81.25,-6.14,-80.93,-5.69,-81.41,-4.74,-81.1,-4.04,-80.3,-3.4,-80.19,-3.82,
+    -80.47,-4.06,-80.44,-4.43,-80.03,-4.35,-79.62,-4.45,-79.21,-4.96,-78.64,-4.55,-78.45,-3.87,
+    -77.84,-3,-77.24,-2.81,-76.64,-2.61,-76.09,-2.09,-75.54,-1.56,-75.24,-0.91,-75.37,-0.15,
+    -75.11,-0.06,-74.44,-0.53,-74.12,-1,-73.66,-1.26,-73.37,-1.79,-73.07,-2.31,-72.33,-2.44,
+    -71.78,-2.17,-71.41,-2.34,-70.81,-2.26,-70.05,-2.72,-70.37,-3.23,-70.69,-3.74,-70.39,-3.77]]]],
+  ['Philippines', 'PH', 'PHL', '608',
+    [[[120.83,12.7,120.32,13.47,121.18,13.43,121.53,13.07,121.26,12.21]],[[122.59,9.98,122.84,
+    10.26,122.95,10.88,123.5,10.94,123.34,10.27,124.08,11.23,123.98,10.28,123.62,9.95,123.31,9.32,
+    123,9.02,122.38,9.71]],[[126.38,8.41,126.48,7.75,126.54,7.19,126.2,6.27,126.01,6.78,125.83,
+    7.29,125.36,6.79,125.68,6.05,125.4,5.58,124.81,5.87,124.22,6.16,123.94,6.89,124.24,7.36,
+    123.61,7.83,123.3,7.42,122.82,7.46,122.09,6.9,121.92,7.19,122.31,8.04,122.94,8.32,123.49,8.69,
+    123.84,8.24,124.6,8.51,124.76,8.96,125.47,8.99,125.41,9.76,126.22,9.29,126.31,8.78]],[[118.5,
+    9.32,117.84,8.84,117.18,8.37,117.67,9.07,118.39,9.68,118.99,10.38,119.51,11.37,119.69,10.55,
+    119.03,10]],[[122.34,18.22,122.17,17.81,122.51,17.09,122.25,16.26,121.66,15.93,121.51,15.13,
+    121.73,14.33,122.26,14.22,122.7,14.34,123.33,14.06,123.95,13.78,123.85,13.24,124.18,13,124.08,
+    12.54,123.3,13.03,122.93,13.55,122.67,13.19,122.04,13.78,121.13,13.64,120.63,13.86,120.68,
+    14.27,120.99,14.53,120.69,14.76,120.56,14.4,120.07,14.97,119.92,15.41,119.88,16.36,120.29,
+    16.03,120.34,16.82,120.39,17.6,120.71,18.51,121.32,18.5,121.94,18.22,122.24,18.48]],[[122.04,
+    11.42,121.88,11.89,122.48,11.58,123.12,11.58,123.1,11.17,122.64,10.74,122,10.44,121.97,
+    10.91]],[[125.5,12.16,125.64,11.6,125.78,11.05,125.01,11.31,125.03,10.98,125.28,10.36,124.8,
+    10.13,124.76,10.84,124.46,10.89,124.3,11.49,124.89,11.42,124.88,11.79,124.27,12.56,125.23,
+    12.54]]]],
+  ['Poland', 'PL', 'POL', '616',
+    [[[23.48,53.91,23.53,53.47,23.81,53.09,23.8,52.69,23.2,52.49,23.51,52.02,23.53,51.58,24.03,
+    50.71,23.92,50.43,23.43,50.31,22.52,49.48,22.78,49.03,22.56,49.09,21.61,49.47,20.89,49.33,
+    20.42,49.43,19.82,49.22,19.32,49.57,18.91,49.44,18.85,49.5,18.39,49.99,17.65,50.05,17.56,
+    50.36,16.87,50.47,16.72,50.22,16.18,50.42,16.24,50.7,15.49,50.78,15.02,51.11,14.61,51.75,
+    14.69,52.09,14.44,52.63,14.07,52.98,14.35,53.25,14.12,53.76,14.8,54.05,15.58,54.28,16.36,
+    54.51,16.99,54.68,17.62,54.85,18.62,54.68,18.7,54.44,19.66,54.43,20.28,54.37,20.89,54.31,
+    21.81,54.32,22.73,54.33,23.24,54.22]]]],
+  ['Portugal', 'PT', 'PRT', '620',
+    [[[-9.03,41.88,-8.67,42.14,-8.26,42.28,-8.01,41.79,-7.42,41.79,-7.25,41.92,-6.67,41.88,-6.39,
+    41.38,-6.85,41.11,-6.86,40.33,-7.03,40.19,-7.07,39.71,-7.5,39.63,-7.1,39.03,-7.37,38.37,-7.03,
+    38.08,-7.17,37.8,-7.54,37.43,-7.45,37.1,-7.86,36.84,-8.38,36.98,-8.9,36.87,-8.75,37.65,-8.84,
+    38.27,-9.29,38.36,-9.53,38.74,-9.45,39.39,-9.05,39.76,-8.98,40.16,-8.77,40.76,-8.79,41.18,
+    -8.99,41.54]]]],
+  ['Puerto Rico', 'PR', 'PRI', '630',
+    [[[-66.28,18.52,-65.77,18.43,-65.59,18.23,-65.85,17.98,-66.6,17.98,-67.19,17.95,-67.24,18.37,
+    -67.1,18.52]]]],
+  ['Qatar', 'QA', 'QAT', '634',
+    [[[50.81,24.75,50.74,25.48,51.01,26.01,51.29,26.12,51.59,25.8,51.61,25.22,51.39,24.63,51.11,
+    24.56]]]],
+  ['Romania', 'RO', 'ROU', '642',
+    [[[28.23,45.49,28.68,45.3,29.15,45.46,29.6,45.29,29.63,45.04,29.14,44.82,28.84,44.91,28.7,
+    44.31,28.56,43.71,27.97,43.81,27.24,44.18,26.65,44.06,26.07,43.94,25.57,43.69,24.83,43.72,
+    24.1,43.74,23.33,43.9,22.94,43.82,22.66,44.24,22.47,44.41,22.71,44.58,22.46,44.7,22.15,44.48,
+    21.56,44.77,21.48,45.18,20.87,45.42,20.76,45.74,20.22,46.13,21.02,46.32,21.63,46.99,22.1,
+    47.67,22.71,47.88,23.14,48.1,23.76,47.99,24.4,47.98,24.87,47.74,25.21,47.89,25.95,47.99,26.2,
+    48.22,26.62,48.22,26.92,48.12,27.23,47.83,27.55,47.41,28.13,46.81,28.16,46.37,28.05,45.95]]]],
+  ['Russia', 'RU', 'RUS', '643',
+    [[[93.78,81.03,94.5,81.1,95.22,81.18,95.94,81.25,96.91,81,97.88,80.75,98.65,80.42,99.42,80.1,
+    100.19,79.78,99.94,78.88,99.21,78.84,98.48,78.8,97.76,78.76,96.83,78.85,95.9,78.95,94.97,
+    79.04,94.14,79.24,93.31,79.43,92.54,80.14,91.86,80.24,91.18,80.34,92.05,80.57,92.91,80.8]],
+    [[102.84,79.28,103.68,79.09,104.53,78.9,105.37,78.71,105.08,78.31,104.14,78.24,103.2,78.18,
+    102.26,78.11,101.32,78.05,100.38,77.99,99.44,77.92,100.35,78.58,101.26,79.23,102.09,79.35]],
+    [[138.83,76.14,139.71,76.12,140.59,76.11,141.47,76.09,142.38,75.96,143.28,75.83,144.18,75.7,
+    145.09,75.56,144.3,74.82,143.38,74.83,142.46,74.83,141.54,74.84,140.62,74.85,139.79,74.73,
+    138.96,74.61,137.97,74.94,136.98,75.26,137.51,75.95,138.17,76.04]],[[148.22,75.35,149.06,
+    75.26,149.9,75.17,150.73,75.08,150.15,74.89,149.58,74.69,148.78,74.73,147.98,74.78,147.05,
+    74.97,146.12,75.17,146.36,75.5,147.29,75.42]],[[139.86,73.37,140.81,73.77,141.44,73.81,142.06,
+    73.86,142.77,73.67,143.48,73.47,143.6,73.21,142.85,73.21,142.09,73.21,141.41,73.24,140.72,
+    73.28,140.04,73.32]],[[44.85,80.59,45.82,80.68,46.8,80.77,47.56,80.78,48.32,80.78,48.52,80.51,
+    49.1,80.75,50.04,80.92,50.78,80.81,51.52,80.7,51.14,80.55,50.47,80.48,49.79,80.42,48.89,80.34,
+    48.75,80.18,48.17,80.09,47.59,80.01,47.05,80.13,46.5,80.25,47.07,80.56,46.33,80.57,45.59,
+    80.58]],[[22.73,54.33,21.81,54.32,20.89,54.31,20.28,54.37,19.66,54.43,19.89,54.87,20.58,55.03,
+    21.27,55.19,21.79,55.1,22.31,55.02,22.76,54.86,22.65,54.58]],[[53.51,73.75,54.31,74.04,55.11,
+    74.33,55.9,74.63,55.63,75.08,56.38,75.26,57.12,75.43,57.87,75.61,58.69,75.77,59.52,75.93,
+    60.34,76.09,61.17,76.25,62,76.3,62.84,76.35,63.67,76.39,64.5,76.44,65.36,76.62,66.21,76.81,
+    67.18,76.87,68.16,76.94,68.85,76.54,68.18,76.23,67.29,76.11,66.41,75.99,65.52,75.86,64.64,
+    75.74,63.87,75.62,63.11,75.5,62.35,75.38,61.58,75.26,60.81,75.02,60.03,74.78,59.25,74.55,
+    58.48,74.31,57.73,73.82,56.99,73.33,56.2,72.85,55.42,72.37,55.62,71.54,56.58,71.13,57.53,
+    70.72,56.94,70.63,56.13,70.67,55.31,70.7,54.49,70.73,53.68,70.76,53.41,71.21,52.51,71.34,51.6,
+    71.47,51.46,72.02,51.97,72.12,52.48,72.23,52.44,72.78,53.44,73.2,54.43,73.63]],[[142.92,53.7,
+    143.26,52.74,143.24,51.76,143.44,51.25,143.65,50.75,144.15,49.86,144.65,48.98,143.92,49.14,
+    143.18,49.31,142.87,48.58,142.56,47.86,143.05,47.35,143.54,46.84,143.51,46.14,142.75,46.74,
+    142.09,45.97,141.91,46.81,142.02,47.78,141.96,48.32,141.9,48.86,142.13,49.61,142.16,50.28,
+    142.18,50.95,141.59,51.94,141.64,52.62,141.68,53.3,142.61,53.76,142.21,54.23,142.65,54.37]],
+    [[130.78,42.22,130.64,42.4,130.63,42.9,131.14,42.93,131.22,43.52,131.29,44.11,131.03,44.97,
+    131.88,45.32,132.49,45.23,133.1,45.14,133.77,46.12,133.94,46.67,134.11,47.21,134.5,47.58,
+    135.02,48.48,134.2,48.33,133.37,48.18,132.51,47.79,131.75,47.79,130.99,47.79,130.58,48.73,
+    129.99,49.08,129.4,49.44,128.53,49.6,127.66,49.76,127.29,50.74,126.94,51.35,126.56,51.78,
+    126.26,52.29,125.95,52.79,125.07,53.16,124.32,53.31,123.57,53.46,122.91,53.44,122.24,53.43,
+    121.62,53.34,121,53.25,120.18,52.75,120.73,52.52,120.74,51.96,120.18,51.64,119.73,51.11,
+    119.28,50.58,119.29,50.14,118.58,49.83,117.88,49.51,117.28,49.7,116.68,49.89,116.08,49.85,
+    115.49,49.81,114.96,50.14,114.36,50.25,113.63,49.9,112.9,49.54,112.24,49.46,111.58,49.38,
+    110.66,49.13,110.03,49.21,109.4,49.29,108.47,49.28,107.87,49.79,106.89,50.27,106.39,50.34,
+    105.89,50.41,105.25,50.34,104.62,50.27,103.68,50.09,102.97,50.3,102.26,50.51,102.07,51.26,
+    101.48,51.39,100.89,51.52,99.98,51.63,99.42,51.84,98.86,52.05,98.34,51.53,97.83,51.01,98.23,
+    50.42,97.26,49.73,96.54,49.85,95.81,49.98,94.82,50.01,94.15,50.48,93.63,50.49,93.11,50.49,
+    92.23,50.8,91.47,50.57,90.71,50.33,89.76,49.9,88.8,49.47,88.28,49.38,87.75,49.3,87.36,49.22,
+    86.83,49.83,86.19,49.76,85.54,49.69,85.11,50.12,84.42,50.31,83.94,50.89,83.38,51.07,82.66,
+    50.94,81.95,50.81,81.26,51.1,80.57,51.39,80.03,50.87,79.29,51.71,78.55,52.56,77.8,53.4,77.16,
+    53.79,76.52,54.18,76.89,54.49,76.06,54.18,75.22,53.86,74.39,53.55,73.42,53.49,73.51,54.04,
+    72.87,54.21,72.23,54.38,71.7,54.26,71.18,54.13,71.02,54.65,70.86,55.17,69.97,55.28,69.07,
+    55.38,68.17,54.97,67.33,54.85,66.5,54.72,65.67,54.6,65.18,54.35,64.24,54.27,63.31,54.18,62.37,
+    54.09,61.44,54.01,60.98,53.66,61.7,52.98,60.74,52.72,60.93,52.45,59.97,51.96,60.78,51.62,
+    61.59,51.27,61.34,50.8,60.64,50.82,59.93,50.84,59.64,50.55,59,50.8,58.36,51.06,57.57,51.05,
+    56.78,51.04,56.25,50.83,55.72,50.62,55.12,50.82,54.53,51.03,53.8,51.26,53.06,51.49,52.33,
+    51.72,51.55,51.71,50.77,51.69,50.08,51.33,49.39,50.97,48.7,50.6,48.58,49.88,48.06,50.16,47.55,
+    50.45,47.15,49.9,46.75,49.36,47.04,49.15,46.47,48.39,47.31,47.72,48.06,47.74,48.7,47.08,48.59,
+    46.56,49.1,46.4,48.65,45.81,47.68,45.64,47.18,45.13,46.68,44.61,47.59,43.66,47.49,42.99,48.04,
+    42.4,48.58,41.81,47.99,41.41,47.81,41.15,47.37,41.22,46.69,41.83,46.41,41.86,45.78,42.09,
+    45.47,42.5,44.54,42.71,43.93,42.55,43.76,42.74,43.08,42.98,42.4,43.22,41.66,43.3,40.92,43.38,
+    40.08,43.55,39.95,43.44,39.32,43.86,38.68,44.28,38.11,44.47,37.54,44.66,36.68,45.24,37.4,
+    45.41,38.23,46.24,37.67,46.64,38.41,46.84,39.15,47.05,39.12,47.26,38.22,47.1,38.26,47.55,
+    38.77,47.83,39.74,47.9,39.9,48.23,39.67,48.78,40.08,49.31,40.07,49.6,39.33,49.76,38.59,49.93,
+    38.01,49.92,37.39,50.38,36.62,50.23,35.99,50.4,35.36,50.58,35.38,50.77,35.02,51.21,34.22,
+    51.26,34.14,51.57,34.39,51.77,33.75,52.33,33.23,52.29,32.72,52.24,32.41,52.29,32.16,52.06,
+    31.79,52.1,31.54,52.74,31.3,53.07,31.5,53.17,32.3,53.13,32.69,53.35,32.41,53.62,31.73,53.79,
+    31.79,53.97,31.38,54.16,30.76,54.81,30.97,55.08,30.88,55.55,29.9,55.79,29.37,55.67,29.23,
+    55.92,28.7,56.04,28.18,56.17,27.86,56.76,27.77,57.24,27.29,57.47,27.72,57.79,27.42,58.72,
+    28.13,59.3,27.98,59.48,28.55,59.75,29.12,60.03,28.6,60.27,28.07,60.5,28.78,60.93,29.5,61.35,
+    30.21,61.78,31.14,62.36,31.52,62.87,30.78,63.21,30.04,63.55,30.44,64.2,29.54,64.95,30.22,
+    65.81,29.64,66.38,29.05,66.94,29.98,67.7,29.21,68.03,28.45,68.36,28.59,69.07,29.4,69.16,30.25,
+    69.36,31.1,69.56,31.62,69.73,32.13,69.91,32.95,69.6,33.77,69.3,34.69,69.22,35.6,69.14,36.51,
+    69.06,37.46,68.78,38.4,68.5,39.35,68.22,40.29,67.93,41.06,67.46,41.13,66.79,40.57,66.53,40.02,
+    66.27,39.2,66.13,38.38,66,37.49,66.15,36.6,66.3,35.7,66.46,34.81,66.61,33.92,66.76,33.18,
+    66.63,34,66.27,34.81,65.9,34.88,65.44,34.91,64.93,34.94,64.41,35.59,64.26,36.23,64.11,37.01,
+    63.85,37.14,64.33,36.54,64.76,37.18,65.14,37.98,64.94,38.79,64.73,39.59,64.52,40.43,64.76,
+    39.76,65.5,40.54,65.82,41.32,66.15,42.09,66.48,43.02,66.42,43.95,66.07,44.53,66.76,43.7,67.35,
+    44.19,67.95,43.45,68.57,44.39,68.46,45.32,68.36,46.25,68.25,46.82,67.69,46.19,67.63,45.56,
+    67.57,45.56,67.01,46.35,66.67,47.12,66.78,47.89,66.88,48.14,67.52,48.83,67.68,49.53,67.84,
+    50.23,68,51.1,68.21,51.97,68.43,52.84,68.64,53.72,68.86,54.47,68.81,53.49,68.2,54.11,68.15,
+    54.73,68.1,55.44,68.44,56.38,68.45,57.32,68.47,58.06,68.67,58.8,68.88,59.37,68.58,59.94,68.28,
+    60.51,68.61,61.08,68.94,60.55,69.23,60.03,69.52,60.55,69.85,61.53,69.75,62.52,69.65,63.5,
+    69.55,64.2,69.39,64.89,69.23,65.79,68.95,66.7,68.66,67.61,68.38,68.51,68.09,69.18,68.62,68.67,
+    68.88,68.16,69.14,68.14,69.36,67.53,69.41,66.93,69.45,67.26,69.93,66.72,70.71,66.7,71.03,
+    67.62,71.48,68.54,71.93,69.2,72.84,69.94,73.04,70.82,72.95,71.71,72.86,72.59,72.78,72.79,
+    72.22,71.85,71.41,72.47,71.09,72.79,70.39,72.68,69.71,72.56,69.02,73.12,68.72,73.67,68.41,
+    73.24,67.74,72.26,67.03,71.28,66.32,71.85,66.25,72.42,66.17,72.82,66.53,73.37,66.66,73.92,
+    66.79,74.19,67.28,75.05,67.76,74.47,68.33,74.94,68.99,74.39,69.03,73.84,69.07,73.6,69.63,74,
+    70.13,74.4,70.63,73.75,71.04,73.1,71.45,74,71.78,74.89,72.12,74.66,72.83,75.16,72.86,75.68,
+    72.3,75.29,71.34,75.82,71.24,76.36,71.15,75.9,71.87,76.74,72.07,77.58,72.27,78.27,72.29,78.96,
+    72.3,79.65,72.32,80.58,72.04,81.5,71.75,80.61,72.58,80.56,73.12,80.51,73.65,81.38,73.75,82.25,
+    73.85,83.05,73.84,83.85,73.82,84.66,73.81,85.38,73.85,86.1,73.89,86.82,73.94,86.01,74.46,
+    86.59,74.79,87.17,75.12,87.74,75.13,88.31,75.14,89.29,75.39,90.26,75.64,91.14,75.68,92.02,
+    75.73,92.9,75.77,93.24,76.05,94.11,76.08,94.99,76.11,95.86,76.14,96.68,75.92,97.43,76.09,
+    98.17,76.27,98.92,76.45,99.84,76.44,100.76,76.43,101.04,76.86,101.99,77.29,102.78,77.42,
+    103.57,77.56,104.35,77.7,105.21,77.54,106.07,77.37,105.39,77.25,104.71,77.13,105.46,77.08,
+    106.21,77.03,106.97,76.97,107.24,76.48,108.15,76.72,109.13,76.72,110.1,76.71,111.08,76.71,
+    111.83,76.55,112.58,76.38,113.33,76.22,114.13,75.85,113.89,75.33,113.33,75.18,112.78,75.03,
+    111.9,74.85,111.03,74.66,110.15,74.48,109.4,74.18,110.02,74.11,110.64,74.04,111.38,73.91,
+    112.12,73.79,113.02,73.98,113.53,73.34,113.97,73.59,114.77,73.67,115.57,73.75,116.37,73.71,
+    117.17,73.67,117.97,73.63,118.78,73.59,119.02,73.12,119.86,73.09,120.69,73.06,121.53,73.03,
+    122.37,73,123.2,72.97,123.26,73.74,123.96,73.68,124.67,73.62,125.38,73.56,126.18,73.56,126.98,
+    73.57,127.78,73.3,128.59,73.04,129.05,72.4,128.46,71.98,129.09,71.59,129.71,71.19,130.5,70.99,
+    131.29,70.79,131.77,71.31,132.25,71.84,133.06,71.61,133.86,71.39,134.71,71.52,135.56,71.66,
+    136.53,71.5,137.5,71.35,138.23,71.63,139.05,71.56,139.87,71.49,139.15,72.42,139.81,72.63,
+    140.47,72.85,141.37,72.78,142.27,72.72,143.18,72.66,144.08,72.59,144.98,72.53,145.89,72.46,
+    146.79,72.4,147.69,72.33,148.6,72.27,149.5,72.2,150.35,71.61,151.22,71.35,152.09,71.1,152.97,
+    70.84,153.78,70.88,154.58,70.92,155.39,70.96,156.2,70.99,157.01,71.03,158,70.95,159,70.87,
+    159.83,70.45,159.71,69.72,160.33,69.58,160.94,69.44,161.61,69.54,162.28,69.64,163.17,69.66,
+    164.05,69.67,165,69.57,165.94,69.47,166.89,69.53,167.84,69.58,168.71,69.14,169.58,68.69,170.2,
+    68.85,170.82,69.01,170.01,69.65,170.45,70.1,171.25,70.03,172.05,69.96,172.84,69.89,173.64,
+    69.82,174.34,69.84,175.03,69.86,175.72,69.88,176.68,69.72,177.64,69.56,178.6,69.4,-180,68.96,
+    -179.18,68.71,-178.37,68.45,-177.55,68.2,-176.67,67.87,-175.8,67.54,-174.93,67.21,-175.01,
+    66.58,-174.34,66.34,-174.57,67.06,-173.67,67.01,-172.76,66.96,-171.86,66.91,-170.88,66.44,
+    -169.9,65.98,-170.89,65.54,-171.71,65.49,-172.53,65.44,-172.56,64.46,-172.95,64.25,-173.89,
+    64.28,-174.65,64.63,-175.32,64.78,-175.98,64.92,-176.21,65.36,-176.71,65.44,-177.22,65.52,
+    -177.79,65.46,-178.36,65.39,-178.9,65.74,-178.69,66.11,-179.29,65.99,-179.88,65.87,-179.43,
+    65.4,-180,64.98,179.99,64.97,179.35,64.75,178.71,64.53,178.06,64.57,177.41,64.61,178.31,64.08,
+    178.91,63.25,179.37,62.98,179.49,62.57,179.23,62.3,178.3,62.41,177.36,62.52,176.43,62.27,
+    175.5,62.02,174.57,61.77,173.68,61.65,172.91,61.3,172.15,60.95,171.42,60.64,170.7,60.34,
+    170.33,59.88,169.62,60.23,168.9,60.57,168.03,60.31,167.16,60.05,166.29,59.79,165.84,60.16,
+    164.88,59.73,164.21,59.8,163.54,59.87,163.22,59.21,162.62,58.73,162.02,58.24,162.05,57.84,
+    162.62,57.73,163.19,57.62,163.12,56.89,163.06,56.16,162.13,56.12,161.7,55.29,162.12,54.85,
+    161.24,54.6,160.37,54.34,160.2,53.77,160.02,53.2,159.28,53.08,158.53,52.96,158.38,52.45,
+    158.23,51.94,157.51,51.48,156.79,51.01,156.42,51.7,156.21,52.43,155.99,53.16,155.81,53.9,
+    155.62,54.64,155.43,55.38,155.67,56.07,155.92,56.77,156.76,57.36,156.81,57.83,157.59,57.94,
+    158.36,58.06,159.26,58.68,160.15,59.31,161.01,59.83,161.87,60.34,162.77,60.74,163.67,61.14,
+    164.07,61.85,164.47,62.55,163.87,62.51,163.26,62.47,162.66,61.64,161.81,61.28,160.97,60.91,
+    160.12,60.54,159.71,61.16,159.3,61.77,158.44,61.66,157.58,61.55,156.72,61.43,155.89,60.88,
+    155.05,60.32,154.22,59.76,155.04,59.15,154.3,59.06,153.56,58.97,152.81,58.88,152.04,58.83,
+    151.26,58.78,151.34,59.5,150.56,59.58,149.78,59.66,149.17,59.41,148.55,59.16,147.78,59.21,
+    147.02,59.25,146.25,59.29,145.49,59.34,144.66,59.26,143.84,59.19,143.02,59.11,142.2,59.04,
+    141.39,58.55,140.58,58.06,139.77,57.58,138.96,57.09,138,56.5,137.04,55.91,136.08,55.32,135.13,
+    54.73,135.91,54.67,136.7,54.6,137.19,53.98,138.16,53.75,138.8,54.25,139.35,54.22,139.9,54.19,
+    140.62,53.64,141.35,53.09,141.38,52.24,140.6,51.24,140.56,50.64,140.51,50.05,140.29,49.25,
+    140.06,48.45,139.31,47.72,138.56,47,138.22,46.31,137.54,45.73,136.86,45.14,136.19,44.57,
+    135.51,43.99,134.87,43.4,134.2,43.1,133.54,42.81,132.91,42.8,132.28,43.28,131.61,42.92,130.94,
+    42.55]],[[-180,71.52,-179.87,71.56,-179.02,71.56,-178.3,71.41,-177.58,71.27,-177.66,71.13,
+    -178.18,71.01,-178.69,70.89,-179.35,70.86,-180,70.83,178.9,70.78,178.73,71.1]],[[33.44,45.97,
+    33.7,46.22,34.41,46,34.73,45.97,34.86,45.77,35.01,45.74,35.02,45.65,35.51,45.41,36.02,45.44,
+    36.53,45.47,36.33,45.11,35.79,45.03,35.24,44.94,34.56,44.65,33.88,44.36,33.33,44.57,33.55,
+    45.03,33,45.18,32.45,45.33,32.63,45.52,33.59,45.85]]]],
+  ['Rwanda', 'RW', 'RWA', '646',
+    [[[30.42,-1.14,30.81,-1.7,30.76,-2.29,30.47,-2.41,29.94,-2.35,29.63,-2.92,29.03,-2.84,29.12,
+    -2.29,29.26,-2.21,29.29,-1.62,29.58,-1.34,29.82,-1.44]]]],
+  ['S. Sudan', 'SS', 'SSD', '728',
+    [[[30.83,3.51,29.95,4.17,29.72,4.6,29.16,4.39,28.7,4.46,28.43,4.29,27.98,4.41,27.37,5.23,
+    27.21,5.55,26.47,5.95,26.21,6.55,25.8,6.98,25.12,7.5,25.12,7.83,24.57,8.23,23.89,8.62,24.19,
+    8.73,24.54,8.92,24.8,9.81,25.07,10.27,25.79,10.41,25.96,10.14,26.48,9.55,26.75,9.47,27.11,
+    9.64,27.83,9.6,27.97,9.4,28.97,9.4,29,9.6,29.51,9.79,29.62,10.08,30,10.29,30.84,9.71,31.35,
+    9.81,31.85,10.53,32.4,11.08,32.32,11.68,32.07,11.97,32.68,12.02,32.74,12.25,33.21,12.18,33.09,
+    11.44,33.21,10.72,33.72,10.33,33.84,9.98,33.82,9.48,33.96,9.46,33.98,8.69,33.82,8.38,33.29,
+    8.36,32.95,7.78,33.57,7.71,34.08,7.23,34.25,6.83,34.71,6.59,35,6.05,35.3,5.51,34.62,4.85,34,
+    4.25,33.39,3.79,32.69,3.79,31.88,3.56,31.25,3.78]]]],
+  ['Saudi Arabia', 'SA', 'SAU', '682',
+    [[[34.95,29.36,35.51,29.28,36.07,29.2,36.5,29.51,36.74,29.87,37.5,30,37.67,30.34,38,30.51,
+    37.5,31.01,37,31.51,37.67,31.68,38.34,31.84,39,32.01,39.2,32.16,39.8,32.03,40.4,31.89,41.14,
+    31.54,41.89,31.19,42.83,30.52,43.77,29.85,44.71,29.18,45.64,29.14,46.57,29.1,47.46,29,47.71,
+    28.53,48.42,28.55,48.81,27.69,49.3,27.46,49.47,27.11,50.15,26.69,50.21,26.28,50.11,25.94,
+    50.24,25.61,50.53,25.33,50.66,25,50.81,24.75,51.11,24.56,51.39,24.63,51.58,24.24,51.62,24.01,
+    51.81,23.51,52,23,52.75,22.87,53.5,22.75,54.26,22.62,55.01,22.5,55.21,22.71,55.67,22,55.44,
+    21.33,55.22,20.67,55,20,54,19.67,53,19.33,52,19,51.04,18.87,50.08,18.74,49.12,18.62,48.18,
+    18.17,47.83,17.64,47.47,17.12,47,16.95,46.75,17.28,46.37,17.23,45.4,17.33,45.22,17.43,44.64,
+    17.42,44.06,17.41,43.79,17.32,43.38,17.58,43.12,17.09,43.22,16.67,42.78,16.35,42.65,16.77,
+    42.35,17.08,42.27,17.47,41.76,17.83,41.22,18.67,40.94,19.49,40.25,20.17,39.8,20.34,39.14,
+    21.29,39.02,21.99,39.07,22.58,38.78,23.13,38.49,23.69,38.03,24.08,37.49,24.29,37.15,24.86,
+    37.21,25.08,36.93,25.6,36.64,25.83,36.25,26.57,35.64,27.38,35.13,28.06,34.63,28.06,34.79,
+    28.61,34.83,28.96]]]],
+  ['Senegal', 'SN', 'SEN', '686',
+    [[[-16.71,13.6,-17.13,14.37,-17.62,14.73,-17.18,14.92,-16.7,15.62,-16.46,16.14,-16.12,16.46,
+    -15.62,16.37,-15.14,16.59,-14.58,16.6,-14.1,16.3,-13.44,16.04,-12.83,15.3,-12.17,14.62,-12.12,
+    13.99,-11.93,13.42,-11.55,13.14,-11.47,12.75,-11.51,12.44,-11.66,12.39,-12.2,12.47,-12.28,
+    12.35,-12.5,12.33,-13.22,12.58,-13.7,12.59,-14.62,12.61,-15.55,12.63,-15.82,12.52,-16.15,
+    12.55,-16.68,12.39,-16.84,13.15,-15.93,13.13,-15.69,13.27,-15.51,13.28,-15.14,13.51,-14.71,
+    13.3,-14.28,13.28,-13.84,13.51,-14.05,13.79,-14.38,13.63,-14.69,13.63,-15.08,13.88,-15.4,
+    13.86,-15.63,13.62,-16.17,13.61]]]],
+  ['Serbia', 'RS', 'SRB', '688',
+    [[[18.83,45.91,19.6,46.17,20.22,46.13,20.76,45.74,20.87,45.42,21.48,45.18,21.56,44.77,22.15,
+    44.48,22.46,44.7,22.71,44.58,22.47,44.41,22.66,44.24,22.41,44.01,22.5,43.64,22.98,43.21,22.61,
+    42.9,22.44,42.58,22.55,42.46,22.38,42.32,21.92,42.3,21.58,42.25,21.54,42.32,21.66,42.44,21.77,
+    42.68,21.63,42.68,21.44,42.86,21.27,42.91,21.14,43.07,20.96,43.13,20.81,43.27,20.63,43.22,
+    20.5,42.88,20.26,42.81,20.34,42.9,19.96,43.11,19.63,43.21,19.49,43.35,19.22,43.52,19.45,43.57,
+    19.6,44.04,19.12,44.42,19.37,44.86,19.01,44.86,19.39,45.24,19.07,45.52]]]],
+  ['Sierra Leone', 'SL', 'SLE', '694',
+    [[[-13.25,8.9,-12.71,9.34,-12.6,9.62,-12.43,9.84,-12.15,9.86,-11.92,10.05,-11.12,10.05,-10.84,
+    9.69,-10.62,9.27,-10.65,8.98,-10.5,8.72,-10.51,8.35,-10.23,8.41,-10.69,7.94,-11.15,7.4,-11.2,
+    7.11,-11.44,6.79,-11.71,6.86,-12.43,7.26,-12.95,7.8,-13.12,8.16]]]],
+  ['Slovakia', 'SK', 'SVK', '703',
+    [[[22.56,49.09,22.28,48.83,22.08,48.42,21.87,48.32,21.34,48.47,20.8,48.62,20.48,48.56,20.24,
+    48.33,19.77,48.2,19.66,48.27,19.18,48.11,18.78,48.08,18.7,47.88,17.86,47.76,17.49,47.87,16.98,
+    48.12,16.88,48.47,16.96,48.6,17.1,48.82,17.54,48.8,17.89,48.9,17.91,49,18.11,49.04,18.17,
+    49.27,18.4,49.31,18.56,49.49,18.85,49.5,18.91,49.44,19.32,49.57,19.82,49.22,20.42,49.43,20.89,
+    49.33,21.61,49.47]]]],
+  ['Slovenia', 'SI', 'SVN', '705',
+    [[[13.81,46.51,14.63,46.43,15.14,46.66,16.01,46.68,16.2,46.85,16.37,46.84,16.57,46.5,15.77,
+    46.24,15.67,45.83,15.32,45.73,15.33,45.45,14.93,45.47,14.6,45.64,14.41,45.47,13.71,45.5,13.94,
+    45.59,13.7,46.02]]]],
+  ['Solomon Is.', 'SB', 'SLB', '090',
+    [[[162.12,-10.48,162.4,-10.83,161.7,-10.82,161.32,-10.21,161.92,-10.45]],[[161.68,-9.6,161.53,
+    -9.78,160.79,-8.92,160.58,-8.32,160.92,-8.32,161.28,-9.12]],[[160.85,-9.87,160.46,-9.9,159.85,
+    -9.79,159.64,-9.64,159.7,-9.24,160.36,-9.4,160.69,-9.61]],[[159.64,-8.02,159.88,-8.34,159.92,
+    -8.54,159.13,-8.11,158.59,-7.75,158.21,-7.42,158.36,-7.32,158.82,-7.56]],[[157.14,-7.02,
+    157.54,-7.35,157.34,-7.4,156.9,-7.18,156.49,-6.77,156.54,-6.6]]]],
+  ['Somalia', 'SO', 'SOM', '706',
+    [[[41.59,-1.68,40.99,-0.86,40.99,0.05,40.99,0.96,40.98,1.87,40.98,2.78,41.42,3.35,41.86,3.92,
+    42.13,4.23,42.77,4.25,43.66,4.96,44.31,4.98,44.96,5,45.67,5.75,46.38,6.5,47.08,7.25,47.79,8,
+    48.49,8.84,48.94,9.45,48.94,9.97,48.94,10.48,48.94,10.98,48.94,11.39,48.95,11.41,49.27,11.43,
+    49.73,11.58,50.26,11.68,50.73,12.02,51.11,12.02,51.13,11.75,51.04,11.17,51.05,10.64,50.83,
+    10.28,50.69,9.74,50.55,9.2,50.31,8.64,50.07,8.08,49.76,7.44,49.45,6.8,49.02,6.07,48.6,5.34,
+    48.17,4.78,47.74,4.22,47.15,3.54,46.56,2.86,46.06,2.45,45.56,2.05,44.82,1.55,44.07,1.05,43.14,
+    0.29,42.59,-0.31,42.04,-0.92,41.81,-1.45]]]],
+  ['Somaliland', null, null, null,
+    [[[48.95,11.41,48.94,11.39,48.94,10.98,48.94,10.48,48.94,9.97,48.94,9.45,48.49,8.84,47.79,8,
+    46.95,8,46.13,8.29,45.31,8.59,44.5,8.89,43.68,9.18,43.3,9.54,42.93,10.02,42.56,10.57,42.78,
+    10.93,43.14,11.46,43.47,11.28,43.67,10.86,44.12,10.45,44.61,10.44,45.56,10.7,46.1,10.76,46.64,
+    10.82,47.53,11.13,48.02,11.19,48.38,11.38]]]],
+  ['South Africa', 'ZA', 'ZAF', '710',
+    [[[16.35,-28.58,16.82,-28.08,17.22,-28.36,17.39,-28.78,17.84,-28.86,18.47,-29.05,19,-28.97,
+    19.9,-28.46,19.9,-27.54,19.9,-26.61,19.9,-25.69,19.9,-24.77,20.17,-24.92,20.76,-25.87,20.67,
+    -26.48,20.89,-26.83,21.61,-26.73,22.11,-26.28,22.58,-25.98,22.83,-25.5,23.31,-25.27,23.73,
+    -25.39,24.21,-25.67,25.03,-25.72,25.67,-25.49,25.77,-25.17,25.94,-24.7,26.49,-24.62,26.79,
+    -24.24,27.12,-23.58,28.02,-22.83,28.72,-22.46,29.43,-22.09,29.84,-22.1,30.32,-22.27,30.66,
+    -22.15,31.19,-22.25,31.43,-22.96,31.67,-23.66,31.93,-24.37,31.84,-24.93,31.75,-25.48,31.84,
+    -25.84,31.33,-25.66,31.04,-25.73,30.95,-26.02,30.68,-26.4,30.68,-26.74,31.28,-27.29,31.87,
+    -27.18,32.07,-26.73,32.83,-26.74,32.58,-27.47,32.46,-28.3,32.2,-28.75,31.52,-29.26,31.33,
+    -29.4,30.9,-29.91,30.62,-30.42,30.05,-31.14,29.49,-31.66,28.92,-32.17,28.22,-32.77,27.46,
+    -33.23,26.94,-33.42,26.42,-33.62,25.91,-33.67,25.78,-33.95,25.17,-33.8,24.68,-33.99,24.13,
+    -33.89,23.59,-33.79,22.99,-33.92,22.57,-33.86,22.06,-34.06,21.54,-34.26,20.69,-34.42,20.07,
+    -34.8,19.61,-34.82,19.19,-34.46,18.86,-34.44,18.42,-34,18.38,-34.14,18.24,-33.87,18.25,-33.28,
+    17.93,-32.61,18.25,-32.43,18.22,-31.66,17.57,-30.73,17.07,-29.88,17.06,-29.88,16.7,-29.23],
+    [28.98,-28.96,28.54,-28.65,28.07,-28.85,27.53,-29.24,27,-29.88,27.75,-30.64,28.11,-30.55,
+    28.29,-30.23,28.85,-30.07,29.02,-29.74,29.32,-29.26]]]],
+  ['South Korea', 'KR', 'KOR', '410',
+    [[[126.18,37.75,126.24,37.84,126.68,37.81,127.07,38.26,127.78,38.3,128.21,38.37,128.35,38.61,
+    128.78,38.02,129.21,37.43,129.46,36.78,129.46,36.21,129.47,35.63,129.09,35.08,128.18,34.89,
+    127.39,34.48,126.49,34.39,126.37,34.93,126.56,35.68,126.34,36.21,126.12,36.73,126.86,36.89]]]],
+  ['Spain', 'ES', 'ESP', '724',
+    [[[-7.45,37.1,-7.54,37.43,-7.17,37.8,-7.03,38.08,-7.37,38.37,-7.1,39.03,-7.5,39.63,-7.07,
+    39.71,-7.03,40.19,-6.86,40.33,-6.85,41.11,-6.39,41.38,-6.67,41.88,-7.25,41.92,-7.42,41.79,
+    -8.01,41.79,-8.26,42.28,-8.67,42.14,-9.03,41.88,-8.98,42.59,-9.39,43.03,-8.69,43.39,-7.98,
+    43.75,-7.37,43.66,-6.76,43.57,-6.08,43.57,-5.41,43.57,-4.88,43.49,-4.35,43.4,-3.52,43.46,
+    -2.71,43.44,-1.9,43.42,-1.5,43.03,-0.58,42.81,0.34,42.58,0.7,42.8,1.26,42.57,1.83,42.34,2.41,
+    42.41,2.99,42.47,3.04,41.89,2.09,41.23,1.45,41.12,0.81,41.01,0.72,40.68,0.11,40.12,-0.28,
+    39.31,0.11,38.74,-0.47,38.29,-0.68,37.64,-1.44,37.44,-2.15,36.67,-2.78,36.67,-3.41,36.66,
+    -4.37,36.68,-5,36.32,-5.38,35.95,-5.87,36.03,-6.24,36.37,-6.52,36.94]]]],
+  ['Sri Lanka', 'LK', 'LKA', '144',
+    [[[81.79,7.52,81.71,7,81.64,6.48,81.22,6.2,80.35,5.97,79.87,6.76,79.78,7.48,79.7,8.2,79.92,
+    9.01,80.15,9.82,80.84,9.27,81.31,8.56,81.55,8.04]]]],
+  ['Sudan', 'SD', 'SDN', '729',
+    [[[24.57,8.23,23.81,8.67,23.46,8.95,23.39,9.27,23.56,9.68,23.55,10.09,22.98,10.71,22.87,11.14,
+    22.88,11.38,22.51,11.68,22.5,12.26,22.29,12.65,21.94,12.59,22.04,12.96,22.3,13.37,22.18,13.79,
+    22.51,14.09,22.3,14.33,22.57,14.94,23.02,15.68,23.89,15.61,23.88,16.6,23.86,17.6,23.85,18.59,
+    23.84,19.58,23.85,20,24.42,20,25,20,25,21,25,22,25.8,22,26.61,22,27.41,22,28.22,22,29.02,22,
+    29.99,22,30.96,22,31.93,22,32.9,22,33.89,22,34.88,22,35.87,22,36.87,22,37.19,21.02,36.97,
+    20.84,37.04,20.32,37.11,19.81,37.3,19.21,37.48,18.61,37.86,18.37,38.41,18,37.9,17.43,37.17,
+    17.26,36.85,16.96,36.75,16.29,36.54,15.56,36.32,14.82,36.43,14.42,36.27,13.56,35.87,12.58,
+    35.26,12.08,34.83,11.32,34.73,10.91,34.26,10.63,34.11,10.11,33.96,9.58,33.98,8.69,33.96,9.46,
+    33.82,9.48,33.84,9.98,33.72,10.33,33.21,10.72,33.09,11.44,33.21,12.18,32.74,12.25,32.68,12.02,
+    32.07,11.97,32.32,11.68,32.4,11.08,31.85,10.53,31.35,9.81,30.84,9.71,30,10.29,29.62,10.08,
+    29.51,9.79,29,9.6,28.97,9.4,27.97,9.4,27.83,9.6,27.11,9.64,26.75,9.47,26.48,9.55,25.96,10.14,
+    25.79,10.41,25.07,10.27,24.8,9.81,24.54,8.92,24.19,8.73,23.89,8.62]]]],
+  ['Suriname', 'SR', 'SUR', '740',
+    [[[-54.52,2.31,-55.1,2.52,-55.57,2.42,-55.97,2.51,-56.07,2.22,-55.91,2.02,-56,1.82,-56.54,1.9,
+    -57.15,2.77,-57.28,3.33,-57.6,3.33,-58.05,4.06,-57.86,4.58,-57.92,4.81,-57.31,5.07,-57.15,
+    5.97,-56.55,5.87,-55.95,5.77,-55.84,5.95,-55.03,6.03,-54.5,5.89,-53.96,5.76,-54.48,4.9,-54.4,
+    4.21,-54.01,3.62,-54.18,3.19,-54.27,2.73]]]],
+  ['Sweden', 'SE', 'SWE', '752',
+    [[[11.03,58.86,11.47,59.43,12.3,60.12,12.47,60.71,12.63,61.29,11.99,61.8,11.96,62.46,11.93,
+    63.13,12.58,64.07,13.57,64.05,13.92,64.44,13.56,64.79,14.33,65.49,15.11,66.19,15.61,66.75,
+    16.11,67.3,16.77,68.01,17.73,68.01,17.99,68.57,18.94,68.49,19.88,68.41,20.03,69.07,20.64,
+    69.11,21.31,68.86,21.98,68.62,22.76,68.28,23.54,67.94,23.55,67.17,23.57,66.4,23.9,66.01,23.04,
+    65.87,22.18,65.72,21.21,65.03,21.37,64.41,20.57,64.01,19.78,63.61,18.81,63.18,17.85,62.75,
+    17.48,62.04,17.12,61.34,17.83,60.64,18.79,60.08,18.33,59.52,17.87,58.95,17.35,58.84,16.83,
+    58.72,16.64,57.88,16.45,57.04,15.88,56.1,15.27,56.15,14.67,56.2,14.1,55.41,13.52,55.39,12.94,
+    55.36,12.62,56.31,12.21,56.87,11.79,57.44,11.41,58.15]]]],
+  ['Switzerland', 'CH', 'CHE', '756',
+    [[[9.6,47.52,9.63,47.35,9.48,47.1,9.93,46.92,10.44,46.89,10.36,46.48,9.92,46.31,9.18,46.44,
+    8.97,46.04,8.49,46,8.32,46.16,7.76,45.82,7.27,45.78,6.84,45.99,6.5,46.43,6.02,46.27,6.04,
+    46.73,6.77,47.29,6.74,47.54,7.19,47.45,7.47,47.62,8.32,47.61,8.52,47.83,9.06,47.68]]]],
+  ['Syria', 'SY', 'SYR', '760',
+    [[[35.72,32.71,35.7,32.72,35.84,32.87,35.82,33.28,36.07,33.82,36.61,34.2,36.45,34.59,36,34.65,
+    35.9,35.41,36.15,35.82,36.42,36.04,36.69,36.26,36.74,36.82,37.07,36.62,37.62,36.76,38.17,36.9,
+    38.7,36.71,39.52,36.72,40.1,36.9,40.68,37.09,41.21,37.07,41.78,37.15,42.35,37.23,41.84,36.61,
+    41.29,36.36,41.38,35.63,41.2,35.02,41.01,34.42,40.27,34.07,39.53,33.73,38.79,33.38,37.81,
+    32.85,36.83,32.31,36.28,32.51]]]],
+  ['Taiwan', 'TW', 'TWN', '158',
+    [[[121.78,24.39,121.48,23.59,121.18,22.79,120.75,21.97,120.22,22.81,120.11,23.56,120.69,24.54,
+    121.5,25.3,121.95,25]]]],
+  ['Tajikistan', 'TJ', 'TJK', '762',
+    [[[67.83,37.15,68.11,37.65,68.39,38.16,68.18,38.9,67.44,39.14,67.7,39.58,68.54,39.53,69.01,
+    40.09,69.33,40.73,70,40.84,70.67,40.96,70.46,40.5,70.6,40.22,71.01,40.24,70.65,39.94,70.1,
+    40.02,69.56,40.1,69.46,39.53,70.01,39.57,70.55,39.6,71.17,39.44,71.78,39.28,72.73,39.36,73.68,
+    39.43,73.93,38.51,74.26,38.61,74.86,38.38,74.83,37.99,74.98,37.42,74.46,37.42,73.95,37.42,
+    73.26,37.5,72.64,37.05,72.19,36.95,71.84,36.74,71.45,37.07,71.54,37.91,71.24,37.95,71.35,
+    38.26,70.81,38.49,70.38,38.14,70.27,37.73,70.12,37.59,69.52,37.61,69.19,37.15,68.86,37.34,
+    68.14,37.02]]]],
+  ['Tanzania', 'TZ', 'TZA', '834',
+    [[[33.9,-0.95,34.07,-1.06,34.98,-1.57,35.89,-2.08,36.79,-2.59,37.7,-3.1,37.77,-3.68,38.48,
+    -4.18,39.2,-4.68,38.97,-5.29,38.74,-5.91,38.8,-6.48,39.44,-6.84,39.47,-7.1,39.2,-7.7,39.25,
+    -8.01,39.19,-8.49,39.54,-9.11,39.95,-10.1,40.32,-10.32,39.52,-10.9,38.97,-11.09,38.43,-11.29,
+    37.83,-11.27,37.47,-11.57,36.78,-11.6,36.51,-11.72,35.91,-11.58,35.31,-11.44,34.56,-11.52,
+    34.42,-10.84,34.28,-10.16,33.94,-9.69,33.74,-9.42,32.76,-9.23,32.19,-8.93,31.56,-8.76,31.16,
+    -8.59,30.74,-8.34,30.47,-7.71,30.2,-7.08,29.62,-6.52,29.42,-5.94,29.52,-5.42,29.34,-4.5,29.75,
+    -4.45,30.12,-4.09,30.5,-3.57,30.75,-3.36,30.74,-3.03,30.53,-2.81,30.47,-2.41,30.76,-2.29,
+    30.81,-1.7,30.42,-1.14,30.77,-1.01,31.32,-1.02,31.87,-1.03,32.54,-1,33.22,-0.98]]]],
+  ['Thailand', 'TH', 'THA', '764',
+    [[[105.22,14.27,104.28,14.42,103.63,14.32,102.99,14.23,102.35,13.39,102.47,12.79,102.58,12.19,
+    101.69,12.65,100.83,12.63,100.98,13.41,100.1,13.41,100.06,12.86,100.02,12.31,99.75,11.58,
+    99.48,10.85,99.15,9.96,99.22,9.24,99.87,9.21,100.28,8.3,100.46,7.43,101.02,6.86,101.62,6.74,
+    102.14,6.22,101.81,5.81,101.16,5.69,101.08,6.21,100.26,6.64,100.09,6.46,99.69,6.85,99.52,7.34,
+    98.99,7.91,98.5,8.38,98.34,7.79,98.15,8.35,98.26,8.97,98.55,9.93,98.8,10.45,99.04,10.96,99.59,
+    11.89,99.2,12.8,99.21,13.27,99.1,13.83,98.43,14.62,98.19,15.12,98.54,15.31,98.9,16.18,98.5,
+    16.84,97.86,17.57,97.38,18.45,97.8,18.63,98.03,19.17,98.25,19.71,98.96,19.75,99.54,20.19,
+    100.12,20.42,100.55,20.11,100.6,19.51,101.28,19.46,101.16,18.94,101.04,18.41,101.06,17.51,
+    101.59,17.81,102.11,18.11,102.41,17.93,103,17.96,103.2,18.31,103.96,18.24,104.72,17.43,104.78,
+    16.44,105.59,15.57,105.54,14.72]]]],
+  ['Timor-Leste', 'TL', 'TLS', '626',
+    [[[124.97,-8.89,125.09,-8.66,125.95,-8.43,126.64,-8.4,126.96,-8.27,127.34,-8.4,126.97,-8.67,
+    126.45,-8.89,125.93,-9.11,125.09,-9.39,125.07,-9.09]]]],
+  ['Togo', 'TG', 'TGO', '768',
+    [[[0.9,11,0.77,10.47,1.08,10.18,1.42,9.83,1.46,9.34,1.67,9.13,1.65,8.36,1.63,7.6,1.62,6.83,
+    1.87,6.14,1.06,5.93,0.84,6.28,0.57,6.91,0.49,7.41,0.71,8.31,0.46,8.68,0.37,9.47,0.37,10.19,
+    -0.05,10.71,0.02,11.02]]]],
+  ['Trinidad and Tobago', 'TT', 'TTO', '780',
+    [[[-61.68,10.76,-61.11,10.89,-60.9,10.85,-60.94,10.11,-61.77,10,-61.95,10.09,-61.66,10.37]]]],
+  ['Tunisia', 'TN', 'TUN', '788',
+    [[[9.48,30.31,9.27,31.21,9.06,32.1,8.44,32.51,8.43,32.75,7.61,33.34,7.53,34.1,8.14,34.66,8.38,
+    35.48,8.22,36.43,8.42,36.95,8.97,37.15,9.51,37.35,10.21,37.23,10.18,36.72,11.03,37.09,11.1,
+    36.9,10.6,36.41,10.59,35.95,10.94,35.7,10.81,34.83,10.15,34.33,10.34,33.79,10.86,33.77,11.11,
+    33.29,11.49,33.14,11.43,32.37,10.95,32.08,10.64,31.76,9.95,31.38,10.06,30.96,9.97,30.54]]]],
+  ['Turkey', 'TR', 'TUR', '792',
+    [[[44.77,37.17,44.29,37,43.94,37.26,43.36,37.32,42.78,37.39,42.35,37.23,41.78,37.15,41.21,
+    37.07,40.68,37.09,40.1,36.9,39.52,36.72,38.7,36.71,38.17,36.9,37.62,36.76,37.07,36.62,36.74,
+    36.82,36.69,36.26,36.42,36.04,36.15,35.82,35.78,36.28,36.16,36.65,35.55,36.56,34.71,36.8,
+    34.03,36.22,33.27,36.16,32.51,36.11,31.7,36.64,31.16,36.66,30.62,36.68,30.39,36.26,29.7,36.15,
+    28.73,36.68,28.19,36.67,27.64,36.66,27.05,37.65,26.32,38.21,26.8,38.99,26.17,39.46,26.72,
+    39.94,27.28,40.42,28.05,40.44,28.82,40.46,29.24,41.22,30.19,41.15,31.15,41.09,31.75,41.41,
+    32.35,41.74,32.93,41.88,33.51,42.02,34.34,42.03,35.17,42.04,36.04,41.69,36.91,41.33,37.63,
+    41.14,38.35,40.95,38.93,41.03,39.51,41.1,40.37,41.01,40.96,41.27,41.55,41.54,42.09,41.56,
+    42.62,41.58,43.58,41.09,43.75,40.74,43.66,40.25,44.4,40,44.79,39.71,44.11,39.43,44.27,38.85,
+    44.42,38.28,44.22,37.97]],[[26.12,41.83,26.63,41.98,27.14,42.14,28,42.01,28.11,41.62,28.99,
+    41.3,28.81,41.06,28.21,41.03,27.62,41,27.19,40.69,26.36,40.15,26.04,40.62,26.06,40.82,26.29,
+    40.94,26.6,41.56]]]],
+  ['Turkmenistan', 'TM', 'TKM', '795',
+    [[[52.5,41.78,52.94,42.12,53.51,42.22,54.08,42.32,54.75,42.04,55.46,41.26,55.97,41.31,56.53,
+    41.32,57.09,41.32,56.93,41.83,57.79,42.17,58.63,42.75,59.3,42.49,59.97,42.22,60.08,41.43,
+    60.46,41.22,61.01,41.24,61.55,41.27,61.88,41.08,62.13,40.57,62.38,40.05,62.95,39.71,63.52,
+    39.36,64.17,38.89,64.69,38.65,65.22,38.4,65.88,38.19,66.54,37.97,66.52,37.36,66.22,37.39,
+    65.75,37.66,65.59,37.3,64.74,37.11,64.55,36.31,63.98,36.01,63.19,35.86,62.98,35.4,62.23,35.27,
+    61.72,35.46,61.21,35.65,61.12,36.49,60.38,36.53,59.81,36.97,59.23,37.41,58.44,37.52,57.88,
+    37.78,57.33,38.03,56.62,38.12,56.18,37.94,55.51,37.96,54.8,37.39,53.92,37.2,53.74,37.91,53.81,
+    38.43,53.88,38.95,53.1,39.29,53.36,39.98,52.7,40.03,52.92,40.88,53.86,40.63,54.74,40.95,54.01,
+    41.55,53.72,42.12,52.92,41.87,52.81,41.13]]]],
+  ['Uganda', 'UG', 'UGA', '800',
+    [[[33.9,-0.95,33.22,-0.98,32.54,-1,31.87,-1.03,31.32,-1.02,30.77,-1.01,30.42,-1.14,29.82,
+    -1.44,29.58,-1.34,29.59,-0.59,29.82,-0.21,29.87,0.6,30.09,1.06,30.47,1.58,30.85,1.85,31.17,
+    2.2,30.77,2.34,30.8,2.92,30.83,3.51,31.25,3.78,31.88,3.56,32.69,3.79,33.39,3.79,34,4.25,34.48,
+    3.55,34.59,3.05,34.82,2.48,35.04,1.91,34.67,1.18,34.18,0.52,33.89,0.11,33.9,-0.42]]]],
+  ['Ukraine', 'UA', 'UKR', '804',
+    [[[31.79,52.1,32.16,52.06,32.41,52.29,32.72,52.24,33.23,52.29,33.75,52.33,34.39,51.77,34.14,
+    51.57,34.22,51.26,35.02,51.21,35.38,50.77,35.36,50.58,35.99,50.4,36.62,50.23,37.39,50.38,
+    38.01,49.92,38.59,49.93,39.33,49.76,40.07,49.6,40.08,49.31,39.67,48.78,39.9,48.23,39.74,47.9,
+    38.77,47.83,38.26,47.55,38.22,47.1,37.42,47.02,36.76,46.7,35.82,46.65,34.96,46.27,35.01,45.74,
+    34.86,45.77,34.73,45.97,34.41,46,33.7,46.22,33.44,45.97,33.3,46.08,32.52,46.21,31.74,46.33,
+    31.67,46.71,30.75,46.58,30.38,46.03,29.6,45.29,29.15,45.46,28.68,45.3,28.23,45.49,28.49,45.6,
+    28.66,45.94,28.94,46.26,28.86,46.44,29.07,46.52,29.17,46.38,29.76,46.35,30.03,46.42,29.84,
+    46.53,29.91,46.67,29.56,46.93,29.41,47.35,29.05,47.51,29.12,47.85,28.67,48.12,28.26,48.16,
+    27.52,48.47,26.86,48.37,26.62,48.22,26.2,48.22,25.95,47.99,25.21,47.89,24.87,47.74,24.4,47.98,
+    23.76,47.99,23.14,48.1,22.71,47.88,22.64,48.15,22.08,48.42,22.28,48.83,22.56,49.09,22.78,
+    49.03,22.52,49.48,23.43,50.31,23.92,50.43,24.03,50.71,23.53,51.58,24.01,51.62,24.55,51.89,
+    25.33,51.91,25.83,51.87,26.34,51.83,26.9,51.71,27.46,51.59,28.24,51.57,28.62,51.43,28.99,51.6,
+    29.26,51.37,30.16,51.42,30.56,51.32,30.62,51.82,30.93,52.04]]]],
+  ['United Arab Emirates', 'AE', 'ARE', '784',
+    [[[51.58,24.24,51.76,24.29,51.8,24.02,52.58,24.18,53.4,24.15,54.01,24.12,54.69,24.8,55.44,
+    25.44,56.07,26.06,56.26,25.71,56.4,24.93,55.89,24.92,55.8,24.27,55.98,24.13,55.53,23.93,55.53,
+    23.53,55.23,23.11,55.21,22.71,55.01,22.5,54.26,22.62,53.5,22.75,52.75,22.87,52,23,51.81,23.51,
+    51.62,24.01]]]],
+  ['United Kingdom', 'GB', 'GBR', '826',
+    [[[-6.2,53.87,-6.95,54.07,-7.57,54.06,-7.37,54.6,-7.57,55.13,-6.73,55.17,-6.2,54.86,-5.66,
+    54.56]],[[-3.09,53.4,-2.95,53.98,-3.62,54.6,-3.63,54.61,-4.24,54.7,-4.84,54.79,-5.08,55.06,
+    -4.72,55.51,-5.05,55.78,-5.59,55.31,-5.65,56.27,-6.15,56.78,-5.97,57.3,-5.79,57.82,-5.01,
+    58.63,-4.21,58.55,-3.61,58.59,-3,58.63,-3.54,58.09,-4.07,57.55,-3.56,57.62,-3.05,57.69,-2.51,
+    57.69,-1.96,57.68,-2.22,56.87,-3.12,55.97,-2.6,55.94,-2.09,55.91,-2.01,55.8,-1.56,55.21,-1.11,
+    54.62,-0.43,54.46,-0.12,53.89,0.19,53.32,0.47,52.93,1.08,52.83,1.68,52.74,1.56,52.1,1.05,
+    51.81,1.45,51.29,0.55,50.77,-0.12,50.77,-0.79,50.78,-1.64,50.64,-2.49,50.5,-2.96,50.7,-3.62,
+    50.23,-4.54,50.34,-5.24,49.96,-5.78,50.16,-5.04,50.69,-4.31,51.21,-3.41,51.43,-3.42,51.43,
+    -4.2,51.51,-4.98,51.59,-5.27,51.99,-4.74,52.15,-4.22,52.3,-4.77,52.84,-4.58,53.5,-3.84,
+    53.45]]]],
+  ['United States of America', 'US', 'USA', '840',
+    [[[-122.84,49,-121.89,49,-120.95,49,-120,49,-119.01,49,-118.02,49,-117.03,49,-116.05,49,
+    -115.29,49,-114.52,49,-113.76,49,-113,49,-112.02,49,-111.03,49,-110.05,49,-109.3,49,-108.55,
+    49,-107.8,49,-107.05,49,-106.05,49,-105.05,49,-104.05,49,-103.2,49,-102.35,49,-101.5,49,
+    -100.65,49,-99.8,49,-98.94,49,-98.08,49,-97.23,49,-96.54,49,-95.85,49,-95.16,49,-95.15,49.38,
+    -94.82,49.39,-94.64,48.84,-94.33,48.67,-93.63,48.61,-93.12,48.53,-92.61,48.45,-91.64,48.14,
+    -90.83,48.27,-90.22,48.14,-89.6,48.01,-89.27,48.02,-88.38,48.3,-87.44,47.94,-86.46,47.55,
+    -85.65,47.22,-84.88,46.9,-84.78,46.64,-84.55,46.54,-84.61,46.44,-84.34,46.41,-84.14,46.51,
+    -84.09,46.28,-83.89,46.12,-83.62,46.12,-83.47,45.99,-83.59,45.82,-83.07,45.58,-82.55,45.35,
+    -82.34,44.44,-82.14,43.57,-82.43,42.98,-82.9,42.43,-83.12,42.08,-83.14,41.98,-83.03,41.83,
+    -82.69,41.67,-82.44,41.67,-81.86,41.94,-81.28,42.21,-80.76,42.29,-80.25,42.37,-79.59,42.61,
+    -78.94,42.86,-78.92,42.96,-79.01,43.27,-79.17,43.47,-78.72,43.62,-77.74,43.63,-76.82,43.63,
+    -76.5,44.02,-76.38,44.1,-75.85,44.46,-75.32,44.82,-74.87,45,-74.11,45,-73.35,45.01,-72.43,
+    45.01,-71.51,45.01,-71.4,45.25,-71.08,45.31,-70.66,45.46,-70.3,45.91,-70,46.69,-69.24,47.45,
+    -68.91,47.19,-68.23,47.35,-67.79,47.07,-67.79,46.38,-67.79,45.7,-67.14,45.14,-66.97,44.81,
+    -67.5,44.57,-68.03,44.33,-68.55,44.15,-69.06,43.98,-69.59,43.83,-70.12,43.68,-70.65,43.09,
+    -70.81,42.86,-70.83,42.33,-70.49,41.81,-70.08,41.78,-70.18,42.15,-69.89,41.92,-69.96,41.64,
+    -70.64,41.48,-71.12,41.49,-71.86,41.32,-72.29,41.27,-72.88,41.22,-73.71,40.93,-72.97,41.03,
+    -72.24,41.12,-71.94,40.93,-72.65,40.78,-73.35,40.63,-73.98,40.63,-73.95,40.75,-74.26,40.47,
+    -73.96,40.43,-74.18,39.71,-74.91,38.94,-74.98,39.2,-75.2,39.25,-75.53,39.5,-75.32,38.96,
+    -75.07,38.78,-75.06,38.4,-75.38,38.02,-75.94,37.22,-76.03,37.26,-75.72,37.94,-76.23,38.32,
+    -76.35,39.15,-76.54,38.72,-76.33,38.08,-76.99,38.24,-76.3,37.92,-76.26,36.97,-75.97,36.9,
+    -75.87,36.55,-75.8,36.05,-75.73,35.55,-76.36,34.81,-76.88,34.66,-77.4,34.51,-78.05,33.93,
+    -78.55,33.86,-79.06,33.49,-79.2,33.16,-79.75,32.83,-80.3,32.51,-80.87,32.03,-81.34,31.44,
+    -81.49,30.73,-81.31,30.04,-80.98,29.18,-80.53,28.47,-80.53,28.04,-80.29,27.46,-80.06,26.88,
+    -80.09,26.21,-80.13,25.82,-80.38,25.21,-80.68,25.08,-81.17,25.2,-81.33,25.64,-81.71,25.87,
+    -82.24,26.73,-82.71,27.49,-82.86,27.89,-82.65,28.55,-82.93,29.1,-83.71,29.94,-84.1,30.09,
+    -84.6,29.86,-85.11,29.64,-85.29,29.69,-85.77,30.15,-86.4,30.4,-86.96,30.34,-87.53,30.27,
+    -88.42,30.39,-89.18,30.32,-89.59,30.16,-89.41,29.89,-89.43,29.49,-89.22,29.29,-89.41,29.16,
+    -89.78,29.31,-90.15,29.12,-90.88,29.15,-91.63,29.68,-92.5,29.55,-93.22,29.78,-93.85,29.71,
+    -94.69,29.48,-95.6,28.74,-96.59,28.31,-97.14,27.83,-97.37,27.38,-97.38,26.69,-97.33,26.21,
+    -97.14,25.87,-97.53,25.84,-98.24,26.06,-99.02,26.37,-99.3,26.84,-99.52,27.54,-100.11,28.11,
+    -100.46,28.7,-100.96,29.38,-101.66,29.78,-102.48,29.76,-103.11,28.97,-103.94,29.27,-104.46,
+    29.57,-104.71,30.12,-105.04,30.64,-105.63,31.08,-106.14,31.4,-106.51,31.75,-107.37,31.75,
+    -108.24,31.75,-108.24,31.34,-109.04,31.34,-110.03,31.34,-111.02,31.33,-111.78,31.57,-112.54,
+    31.8,-113.31,32.04,-114.06,32.28,-114.81,32.52,-114.72,32.72,-115.36,32.67,-115.99,32.61,
+    -116.56,32.57,-117.13,32.53,-117.29,33.05,-117.94,33.62,-118.41,33.74,-118.52,34.03,-119.08,
+    34.08,-119.44,34.35,-120.37,34.45,-120.62,34.61,-120.74,35.16,-121.23,35.66,-121.72,36.16,
+    -122.13,36.86,-122.55,37.55,-122.51,37.78,-122.95,38.11,-123.73,38.95,-123.86,39.77,-124.4,
+    40.31,-124.18,41.14,-124.21,42,-124.53,42.77,-124.14,43.71,-124.02,44.62,-123.9,45.52,-123.99,
+    46.19,-124.08,46.86,-124.4,47.72,-124.69,48.18,-124.57,48.38,-123.84,48.21,-123.12,48.04,
+    -122.59,47.1,-122.34,47.36,-122.5,48.18]],[[-155.4,20.08,-155.22,19.99,-155.06,19.86,-154.81,
+    19.51,-154.83,19.45,-155.22,19.24,-155.54,19.08,-155.69,18.92,-155.94,19.06,-155.91,19.34,
+    -156.07,19.7,-156.02,19.81,-155.85,19.98,-155.92,20.17,-155.86,20.27,-155.79,20.25]],
+    [[-155.99,20.76,-156.08,20.64,-156.42,20.57,-156.59,20.78,-156.7,20.86,-156.71,20.93,-156.61,
+    21.01,-156.26,20.92]],[[-156.76,21.18,-156.79,21.07,-157.33,21.1,-157.25,21.22]],[[-158.03,
+    21.72,-157.94,21.65,-157.65,21.32,-157.71,21.26,-157.78,21.28,-158.13,21.31,-158.25,21.54,
+    -158.29,21.58]],[[-159.36,22.22,-159.35,21.98,-159.47,21.88,-159.8,22.06,-159.75,22.14,
+    -159.59,22.24]],[[-166.47,60.38,-165.68,60.29,-165.58,59.91,-166.19,59.75,-166.85,59.94,
+    -167.45,60.21]],[[-153.23,57.97,-152.56,57.9,-152.14,57.59,-153.01,57.12,-154,56.74,-154.52,
+    56.99,-154.67,57.46,-153.76,57.82]],[[-140.99,69.71,-140.99,68.78,-140.99,67.86,-140.99,66.93,
+    -140.99,66,-140.99,65.05,-140.99,64.1,-141,63.15,-141,62.2,-141,61.26,-141,60.31,-140.01,
+    60.28,-139.04,60,-138.34,59.56,-137.45,58.91,-136.48,59.46,-135.98,59.63,-135.47,59.79,
+    -134.95,59.27,-134.27,58.86,-133.35,58.41,-132.73,57.69,-132.22,57.12,-131.71,56.55,-130.86,
+    56.23,-130.01,55.92,-129.98,55.28,-130.54,54.8,-131.09,55.18,-131.97,55.5,-132.25,56.37,
+    -132.89,56.77,-133.54,57.18,-134.08,58.12,-135.04,58.19,-135.83,58.2,-136.63,58.21,-137.21,
+    58.36,-137.8,58.5,-138.49,58.85,-139.18,59.19,-139.87,59.54,-140.82,59.73,-141.7,59.91,
+    -142.57,60.08,-143.27,60.04,-143.96,60,-144.94,60.23,-145.93,60.46,-146.52,60.67,-147.11,
+    60.89,-147.67,60.78,-148.23,60.67,-148.02,59.98,-148.57,59.91,-149.15,59.81,-149.73,59.71,
+    -150.61,59.37,-151.16,59.26,-151.72,59.16,-151.86,59.74,-151.41,60.73,-150.88,60.88,-150.35,
+    61.03,-150.62,61.28,-151.26,61.01,-151.89,60.73,-152.58,60.06,-153.3,59.71,-154.02,59.35,
+    -153.29,58.86,-154.23,58.15,-154.77,57.94,-155.31,57.73,-155.81,57.57,-156.31,57.42,-156.56,
+    56.98,-157.34,56.72,-158.12,56.46,-158.43,55.99,-159.02,55.78,-159.6,55.57,-160.29,55.64,
+    -161.22,55.36,-161.73,55.19,-162.24,55.02,-163.07,54.69,-163.93,54.55,-164.79,54.4,-164.94,
+    54.57,-164.39,54.81,-163.85,55.04,-162.87,55.35,-162.34,55.62,-161.81,55.9,-161.18,55.95,
+    -160.56,56.01,-160.07,56.42,-159.38,56.72,-158.68,57.02,-158.46,57.22,-157.72,57.57,-157.55,
+    58.33,-157.04,58.92,-157.62,58.77,-158.19,58.62,-158.52,58.79,-159.06,58.42,-159.71,58.93,
+    -159.98,58.57,-160.35,59.07,-160.86,58.87,-161.36,58.67,-161.97,58.67,-162.05,59.27,-161.87,
+    59.63,-162.52,59.99,-163.17,59.89,-163.82,59.8,-164.66,60.27,-165.35,60.51,-165.35,61.07,
+    -166.12,61.5,-165.73,62.08,-164.92,62.63,-164.56,63.15,-163.75,63.22,-163.07,63.06,-162.26,
+    63.54,-161.54,63.46,-160.77,63.77,-160.96,64.22,-161.52,64.4,-160.78,64.79,-161.39,64.78,
+    -161.92,64.67,-162.45,64.56,-162.76,64.34,-163.55,64.56,-164.25,64.5,-164.96,64.45,-165.69,
+    64.57,-166.42,64.69,-166.85,65.09,-167.48,65.38,-168.11,65.67,-167.41,65.88,-166.71,66.09,
+    -165.96,66.25,-165.22,66.41,-164.47,66.58,-163.65,66.58,-163.79,66.08,-163.09,66.09,-162.38,
+    66.1,-161.68,66.12,-162.49,66.73,-163.11,66.93,-163.72,67.12,-164.43,67.62,-165.39,68.04,
+    -166.08,68.2,-166.76,68.36,-166.2,68.88,-165.32,68.9,-164.43,68.91,-163.8,69.14,-163.17,69.37,
+    -162.93,69.86,-162.42,70.1,-161.91,70.33,-160.93,70.45,-159.99,70.67,-159.04,70.89,-158.12,
+    70.82,-157.35,71.09,-156.58,71.36,-155.82,71.25,-155.07,71.15,-154.34,70.7,-153.9,70.89,
+    -153.06,70.86,-152.21,70.83,-152.27,70.6,-151.5,70.52,-150.74,70.43,-150.23,70.48,-149.72,
+    70.53,-149.02,70.42,-148.32,70.32,-147.61,70.21,-146.65,70.17,-145.69,70.12,-144.92,69.99,
+    -144.26,70.07,-143.59,70.15,-142.83,70,-142.07,69.85,-141.53,69.78]],[[-171.73,63.78,-171.12,
+    63.59,-170.49,63.69,-169.68,63.43,-168.69,63.3,-168.77,63.19,-169.53,62.98,-170.29,63.19,
+    -170.67,63.38,-171.55,63.32,-171.79,63.41]]]],
+  ['Uruguay', 'UY', 'URY', '858',
+    [[[-57.62,-30.22,-56.98,-30.11,-56.47,-30.5,-55.97,-30.88,-55.6,-30.85,-55.09,-31.17,-54.57,
+    -31.49,-53.79,-32.05,-53.21,-32.73,-53.65,-33.2,-53.37,-33.77,-53.81,-34.4,-54.37,-34.67,
+    -54.93,-34.95,-55.67,-34.75,-56.22,-34.86,-57.14,-34.43,-57.82,-34.46,-58.43,-33.91,-58.35,
+    -33.26,-58.13,-33.04,-58.14,-32.04,-58.01,-31.53,-57.88,-31.02]]]],
+  ['Uzbekistan', 'UZ', 'UZB', '860',
+    [[[55.97,41.31,55.96,42.23,55.95,43.15,55.94,44.07,55.93,45,56.79,45.19,57.64,45.39,58.5,
+    45.59,58.69,45.5,59.47,45.14,60.24,44.78,61.06,44.41,62.01,43.5,62.6,43.58,63.19,43.65,64.04,
+    43.69,64.9,43.73,65.5,43.36,66.1,43,66.06,42.5,66.02,41.99,66.51,41.99,66.71,41.17,67.35,
+    41.15,67.98,41.14,68.26,40.66,68.63,40.67,69.07,41.38,69.73,41.73,70.39,42.08,70.96,42.27,
+    71.26,42.17,70.42,41.52,71.16,41.14,71.87,41.39,72.46,41.13,73.05,40.87,72.41,40.51,71.78,
+    40.15,71.01,40.24,70.6,40.22,70.46,40.5,70.67,40.96,70,40.84,69.33,40.73,69.01,40.09,68.54,
+    39.53,67.7,39.58,67.44,39.14,68.18,38.9,68.39,38.16,68.11,37.65,67.83,37.15,67.07,37.36,66.52,
+    37.36,66.54,37.97,65.88,38.19,65.22,38.4,64.69,38.65,64.17,38.89,63.52,39.36,62.95,39.71,
+    62.38,40.05,62.13,40.57,61.88,41.08,61.55,41.27,61.01,41.24,60.46,41.22,60.08,41.43,59.97,
+    42.22,59.3,42.49,58.63,42.75,57.79,42.17,56.93,41.83,57.09,41.32,56.53,41.32]]]],
+  ['Vanuatu', 'VU', 'VUT', '548',
+    [[[167.22,-15.89,167.85,-16.47,167.52,-16.6,167.18,-16.16]],[[166.79,-15.67,166.65,-15.39,
+    166.63,-14.63,167.11,-14.93,167.27,-15.74,167,-15.61]]]],
+  ['Venezuela', 'VE', 'VEN', '862',
+    [[[-60.73,5.2,-60.6,4.92,-60.97,4.54,-61.53,4.35,-62.08,4.16,-62.8,4.01,-63.09,3.77,-63.89,
+    4.02,-64.63,4.15,-64.82,4.06,-64.37,3.8,-64.41,3.13,-64.27,2.5,-63.42,2.41,-63.37,2.2,-64.08,
+    1.92,-64.2,1.49,-64.61,1.33,-65.35,1.1,-65.55,0.79,-66.33,0.72,-66.88,1.25,-67.18,2.25,-67.45,
+    2.6,-67.81,2.82,-67.3,3.32,-67.34,3.54,-67.62,3.84,-67.82,4.5,-67.74,5.22,-67.52,5.56,-67.34,
+    6.1,-67.7,6.27,-68.27,6.15,-68.99,6.21,-69.39,6.1,-70.09,6.96,-70.67,7.09,-71.32,7.04,-71.96,
+    6.99,-72.2,7.34,-72.45,7.42,-72.48,7.63,-72.36,8,-72.44,8.41,-72.66,8.63,-72.79,9.08,-73.31,
+    9.15,-73.03,9.74,-72.91,10.45,-72.61,10.82,-72.23,11.11,-71.97,11.61,-71.33,11.78,-71.36,
+    11.54,-71.95,11.42,-71.62,10.97,-71.63,10.45,-72.07,9.86,-71.7,9.07,-71.26,9.14,-71.04,9.86,
+    -71.35,10.21,-71.4,10.97,-70.78,11.17,-70.16,11.38,-70.29,11.85,-69.94,12.16,-69.58,11.46,
+    -68.88,11.44,-68.23,10.89,-68.19,10.56,-67.3,10.55,-66.76,10.6,-66.23,10.65,-65.66,10.2,
+    -64.89,10.08,-64.33,10.39,-64.32,10.64,-63.7,10.67,-63.08,10.7,-62.48,10.71,-61.88,10.72,
+    -62.73,10.42,-62.39,9.95,-61.59,9.87,-60.83,9.38,-60.67,8.58,-60.15,8.6,-59.76,8.37,-60.55,
+    7.78,-60.64,7.42,-60.3,7.04,-60.54,6.86,-61.16,6.7,-61.14,6.23,-61.41,5.96]]]],
+  ['Vietnam', 'VN', 'VNM', '704',
+    [[[104.33,10.49,105.2,10.89,105.72,10.93,106.25,10.96,105.81,11.57,106.65,11.95,107.49,12.34,
+    107.55,12.94,107.61,13.54,107.38,14.2,107.56,15.2,107.31,15.91,106.56,16.6,105.93,17.48,
+    105.51,18.08,105.09,18.67,104.49,18.97,103.9,19.27,104.18,19.62,104.82,19.89,104.44,20.76,
+    103.82,20.76,103.2,20.77,102.75,21.68,102.17,22.46,102.71,22.71,103.5,22.7,104.48,22.82,
+    105.33,23.35,105.81,22.98,106.72,22.79,106.57,22.22,107.04,21.81,107.55,21.68,108.05,21.55,
+    107.38,21.12,106.71,20.7,105.88,19.75,105.66,19.06,106.04,18.53,106.43,18,106.89,17.35,107.36,
+    16.7,108.27,16.08,108.88,15.28,109.11,14.35,109.33,13.43,109.27,12.55,109.2,11.67,108.37,
+    11.01,107.79,10.69,107.22,10.36,106.4,9.53,105.78,9.07,105.16,8.6,104.8,9.24,105.08,9.92]]]],
+  ['W. Sahara', 'EH', 'ESH', '732',
+    [[[-8.67,27.66,-8.66,27.59,-8.69,27.4,-8.69,26.64,-8.69,25.88,-9.51,25.89,-10.33,25.91,-11.15,
+    25.92,-11.97,25.93,-11.96,25.08,-11.95,24.23,-11.94,23.37,-12.88,23.29,-13.12,22.77,-13.02,
+    22.05,-12.93,21.33,-13.91,21.33,-14.89,21.33,-15.87,21.33,-16.85,21.33,-17.06,21,-17.02,21.42,
+    -17,21.42,-16.25,21.45,-15.5,21.47,-14.75,21.5,-14.63,21.86,-14.22,22.31,-14.06,23,-13.89,
+    23.69,-13.2,24.23,-12.5,24.77,-12.27,25.4,-12.03,26.03,-11.72,26.1,-11.39,26.88,-10.55,26.99,
+    -10.19,26.86,-9.74,26.86,-9.41,27.09,-8.79,27.12,-8.82,27.66]]]],
+  ['Yemen', 'YE', 'YEM', '887',
+    [[[52,19,52.39,18.17,52.78,17.35,53.11,16.65,52.39,16.38,52.19,15.94,52.17,15.6,51.17,15.18,
+    50.37,14.94,49.57,14.71,48.68,14,48.24,13.95,47.94,14.01,47.35,13.59,46.72,13.4,45.88,13.35,
+    45.63,13.29,45.41,13.03,45.14,12.95,44.99,12.7,44.49,12.72,44.17,12.59,43.48,12.64,43.22,
+    13.22,43.25,13.77,43.09,14.06,42.89,14.8,42.6,15.21,42.81,15.26,42.7,15.72,42.82,15.91,42.78,
+    16.35,43.22,16.67,43.12,17.09,43.38,17.58,43.79,17.32,44.06,17.41,44.64,17.42,45.22,17.43,
+    45.4,17.33,46.37,17.23,46.75,17.28,47,16.95,47.47,17.12,47.83,17.64,48.18,18.17,49.12,18.62,
+    50.08,18.74,51.04,18.87]]]],
+  ['Zambia', 'ZM', 'ZMB', '894',
+    [[[30.74,-8.34,31.16,-8.59,31.56,-8.76,32.19,-8.93,32.76,-9.23,33.23,-9.68,33.49,-10.53,33.32,
+    -10.8,33.11,-11.61,33.31,-12.44,32.99,-12.78,32.69,-13.71,33.22,-13.97,32.46,-14.18,31.7,
+    -14.38,30.94,-14.59,30.18,-14.8,30.27,-15.51,29.52,-15.65,28.95,-16.04,28.83,-16.39,28.47,
+    -16.47,27.6,-17.29,27.05,-17.94,26.71,-17.96,26.38,-17.85,25.82,-17.79,25.26,-17.74,25.08,
+    -17.66,25.08,-17.58,24.68,-17.35,24.04,-17.3,23.21,-17.52,22.56,-16.9,21.89,-16.08,21.9,
+    -15.28,21.91,-14.49,21.92,-13.69,21.93,-12.9,22.63,-12.9,23.32,-12.91,24.02,-12.91,23.93,
+    -12.57,24.08,-12.19,23.9,-11.72,24.02,-11.24,23.91,-10.93,24.26,-10.95,24.31,-11.26,24.78,
+    -11.24,25.42,-11.33,25.75,-11.78,26.55,-11.93,27.16,-11.61,27.39,-12.13,28.15,-12.27,28.52,
+    -12.7,28.94,-13.25,29.7,-13.26,29.66,-12.72,29.62,-12.18,29.34,-12.36,28.64,-11.97,28.37,
+    -11.79,28.43,-11.29,28.5,-10.79,28.58,-10.2,28.67,-9.61,28.45,-9.16,28.73,-8.53,29,-8.41,
+    29.68,-8.32,30.35,-8.24]]]],
+  ['Zimbabwe', 'ZW', 'ZWE', '716',
+    [[[31.19,-22.25,30.66,-22.15,30.32,-22.27,29.84,-22.1,29.43,-22.09,28.79,-21.64,28.02,-21.49,
+    27.73,-20.85,27.73,-20.5,27.3,-20.39,26.73,-19.84,26.16,-19.29,25.85,-18.71,25.65,-18.54,
+    25.26,-17.74,25.82,-17.79,26.38,-17.85,26.71,-17.96,27.05,-17.94,27.6,-17.29,28.47,-16.47,
+    28.83,-16.39,28.95,-16.04,29.52,-15.65,30.27,-15.51,30.34,-15.88,31.17,-15.86,31.64,-16.07,
+    31.85,-16.32,32.33,-16.39,32.85,-16.71,32.85,-17.35,32.85,-17.98,32.65,-18.67,32.61,-19.42,
+    32.77,-19.72,32.66,-20.31,32.51,-20.39,32.24,-21.12,31.72,-21.68]]]]
+];
+
+/**
+ * Converts a flat coordinate list to a closed GeoJSON ring
+ * @private
+ */
+function toRing(flat) {
+  const ring = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    ring.push([flat[i], flat[i + 1]]);
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * Country boundaries as a GeoJSON FeatureCollection of MultiPolygon features
+ * with properties {name, iso2, iso3, isoNumeric}; features are identified by
+ * their alpha-3 code where they have one
+ *
+ * @type {Object}
+ *
+ * @example
+ * import { COUNTRIES } from './data/countries.js';
+ * globe.setPolygons(COUNTRIES, { fillColor: '#4B9FBF' });
+ */
+export const COUNTRIES = {
+  type: 'FeatureCollection',
+  features: COUNTRY_ROWS.map(([name, iso2, iso3, isoNumeric, polygons]) => ({
+    type: 'Feature',
+    id: iso3 || name,
+    properties: { name, iso2, iso3, isoNumeric },
+    geometry: {
+      type: 'MultiPolygon',
+      coordinates: polygons.map(rings => rings.map(toRing))
+    }
+  }))
+};
+
+/**
+ * Default export
+ */
+export default COUNTRIES;
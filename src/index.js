@@ -29,12 +29,43 @@
 // Export the main Globe class
 export { Globe, Globe as default } from './Globe.js';
 
+// Export data layers
+export { ArcLayer } from './ArcLayer.js';
+export { MarkerLayer } from './MarkerLayer.js';
+export { LabelLayer, LABEL_CLASS_NAME } from './LabelLayer.js';
+export { PolygonLayer } from './PolygonLayer.js';
+export { PathLayer } from './PathLayer.js';
+
+// Export event emitter base class
+export { EventEmitter } from './EventEmitter.js';
+
+// Export spatial index
+export { SpatialIndex } from './SpatialIndex.js';
+
+// Export offline reverse geocoding (the boundaries in ./data/countries.js are
+// loaded on demand by the globe and are not re-exported here)
+export { CountryLookup } from './CountryLookup.js';
+
+// Export offscreen snapshot rendering
+export { renderSnapshot, MAX_SNAPSHOT_SIZE } from './Snapshot.js';
+export { WebMWriter, WEBM_CODECS } from './WebMWriter.js';
+
+// Export adaptive quality
+export { QualityController, QUALITY_LEVELS } from './QualityController.js';
+
 // Export dot generation utilities
 export {
   generateFibonacciSphere,
   generateFibonacciSphereBuffer,
+  generateLatLonGridBuffer,
+  generateHexGridBuffer,
+  generateGeodesicBuffer,
+  generatePoissonDiskBuffer,
+  generateDotsBuffer,
+  DOT_DISTRIBUTIONS,
   GOLDEN_ANGLE
 } from './DotGenerator.js';
+export { buildDots } from './DotPipeline.js';
 
 // Export texture sampling utilities
 export {
@@ -47,6 +78,9 @@ export {
   batchCheckLand,
   getBrightnessAtLatLong,
   isLandAtLatLong,
+  resolveMaskClasses,
+  getClassIndexAtUV,
+  getClassAtLatLong,
   disposeTextureData,
   getTextureDebugInfo
 } from './TextureSampler.js';
@@ -61,8 +95,10 @@ export {
   uvToCartesian,
   generateFibonacciSphere as generateFibonacciSphereWithCoords,
   greatCircleDistance,
+  formatLatLon,
   normalizeVector,
-  vectorMagnitude
+  vectorMagnitude,
+  EARTH_RADIUS_KM
 } from './utils/coordinates.js';
 
 // Export color utilities
@@ -82,6 +118,28 @@ export {
   adjustBrightness,
   adjustSaturation,
   createColorPalette,
+  createColorRamp,
   blendColors,
-  COLORS
+  COLORS,
+  COLOR_RAMPS
 } from './utils/colors.js';
+
+// Export solar position utilities
+export {
+  getSunPosition,
+  getSolarElevation
+} from './utils/solar.js';
+
+// Export GeoJSON utilities
+export {
+  getFeatures,
+  getPolygons,
+  preparePolygon,
+  pointInPolygon
+} from './utils/geojson.js';
+
+// Export easing utilities
+export {
+  EASINGS,
+  resolveEasing
+} from './utils/easing.js';
@@ -0,0 +1,47 @@
+/**
+ * Arc Fragment Shader
+ *
+ * Renders animated dashes along a great-circle arc.
+ * Dashes march from the start of the arc towards its end at u_dashSpeed
+ * arc-lengths per second. With a non-zero trail opacity the gaps stay faintly
+ * visible, which turns a single short dash into a travelling pulse.
+ *
+ * Visual Effect: Solid, dashed or pulsing connection lines between locations.
+ *
+ * Used with: arc.vert.glsl
+ */
+
+precision highp float;
+
+// Varyings from vertex shader
+varying float vProgress;         // Normalized distance along the arc
+
+// Uniforms for arc appearance
+uniform vec3 u_color;            // Arc color (RGB)
+uniform float u_opacity;         // Overall arc opacity (0.0 - 1.0)
+uniform float u_time;            // Elapsed animation time in seconds
+uniform float u_dashLength;      // Dash length as a fraction of the arc (0.0 - 1.0)
+uniform float u_gapLength;       // Gap length as a fraction of the arc (0.0 - 1.0)
+uniform float u_dashSpeed;       // Dash travel speed in arc-lengths per second
+uniform float u_trailOpacity;    // Opacity of the gaps between dashes (0.0 - 1.0)
+
+void main() {
+  // Solid arcs have no gaps to animate
+  float inDash = 1.0;
+
+  if (u_gapLength > 0.0) {
+    // Shift the dash pattern along the arc over time
+    float period = u_dashLength + u_gapLength;
+    float offset = mod(vProgress - u_time * u_dashSpeed, period);
+    inDash = step(offset, u_dashLength);
+  }
+
+  float alpha = mix(u_trailOpacity, 1.0, inDash) * u_opacity;
+
+  // Skip fully transparent gap fragments
+  if (alpha < 0.01) {
+    discard;
+  }
+
+  gl_FragColor = vec4(u_color, alpha);
+}
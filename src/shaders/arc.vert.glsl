@@ -0,0 +1,22 @@
+/**
+ * Arc Vertex Shader
+ *
+ * Handles vertex transformations for great-circle arc lines between locations.
+ * Passes the normalized distance along the arc to the fragment shader so that
+ * dashes and travelling pulses can be animated without rebuilding geometry.
+ *
+ * Used with: arc.frag.glsl
+ */
+
+// Custom attributes per vertex
+attribute float arcProgress;     // Normalized distance along the arc (0.0 - 1.0)
+
+// Varyings passed to fragment shader
+varying float vProgress;         // Normalized distance along the arc
+
+void main() {
+  vProgress = arcProgress;
+
+  // Transform to clip space for final position
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
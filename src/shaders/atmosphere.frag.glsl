@@ -38,7 +38,10 @@ void main() {
   // Result ranges from:
   //   - 1.0: viewing face-on (center of globe)
   //   - 0.0: viewing at grazing angle (edge of globe)
-  float fresnel = dot(normalize(vNormal), normalize(vViewDir));
+  // The atmosphere shell is rendered from its back faces, so flip the
+  // normal to face the camera before measuring the viewing angle
+  vec3 facingNormal = gl_FrontFacing ? vNormal : -vNormal;
+  float fresnel = dot(normalize(facingNormal), normalize(vViewDir));
 
   // Clamp to prevent negative values from back-facing surfaces
   fresnel = max(0.0, fresnel);
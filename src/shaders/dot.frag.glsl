@@ -17,6 +17,8 @@ precision highp float;
 varying vec3 vNormal;            // Surface normal in view space
 varying vec3 vViewDir;           // Direction from camera to vertex
 varying vec3 vColor;             // Per-dot custom color
+varying vec3 vSurfaceNormal;     // Surface normal in globe space
+varying float vLightSeed;        // Stable per-dot random value (0.0 - 1.0)
 
 // Uniforms for glow control
 uniform vec3 u_glowColor;        // Color of the atmospheric glow (RGB)
@@ -25,6 +27,15 @@ uniform float u_minOpacity;      // Minimum opacity at edges (0.0 - 1.0)
 uniform float u_maxOpacity;      // Maximum opacity at center (0.0 - 1.0)
 uniform float u_glowFalloff;     // Controls glow gradient steepness (0.0 - 1.0)
 
+// Uniforms for day/night shading
+uniform float u_dayNight;        // 1.0 = shade the night side, 0.0 = off
+uniform vec3 u_sunDirection;     // Unit vector towards the sun in globe space
+uniform float u_twilight;        // Half-width of the terminator (sine of the sun elevation)
+uniform float u_nightBrightness; // Dot brightness multiplier on the night side
+uniform vec3 u_nightColor;       // Tint added on the night side (RGB)
+uniform float u_cityLights;      // Fraction of night-side dots lit as city lights (0.0 - 1.0)
+uniform vec3 u_cityLightsColor;  // City light color (RGB)
+
 void main() {
   // Calculate point circle shape (round dots instead of squares)
   // gl_PointCoord ranges from (0,0) to (1,1) across the point sprite
@@ -62,8 +73,26 @@ void main() {
   // Final color composition
   // ============================================
 
+  // ============================================
+  // Day/night shading
+  // ============================================
+
+  vec3 baseColor = vColor;
+
+  if (u_dayNight > 0.5) {
+    // Sine of the sun's elevation above this dot's horizon
+    float sunHeight = dot(normalize(vSurfaceNormal), u_sunDirection);
+    float night = smoothstep(u_twilight, -u_twilight, sunHeight);
+
+    vec3 nightColor = vColor * u_nightBrightness + u_nightColor;
+    float cityLight = step(1.0 - u_cityLights, vLightSeed);
+    nightColor = mix(nightColor, u_cityLightsColor, cityLight);
+
+    baseColor = mix(vColor, nightColor, night);
+  }
+
   // Blend dot color with glow color based on intensity
-  vec3 finalColor = mix(vColor, u_glowColor, u_glowIntensity * (1.0 - edgeFade));
+  vec3 finalColor = mix(baseColor, u_glowColor, u_glowIntensity * (1.0 - edgeFade));
 
   // Apply fresnel-based opacity and circular fade
   float finalOpacity = opacity * circleFade;
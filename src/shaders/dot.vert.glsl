@@ -20,6 +20,8 @@ uniform float u_scale;           // Global scale multiplier
 varying vec3 vNormal;            // Surface normal in view space
 varying vec3 vViewDir;           // Direction from camera to vertex in view space
 varying vec3 vColor;             // Per-dot color passed through
+varying vec3 vSurfaceNormal;     // Surface normal in globe space (for day/night)
+varying float vLightSeed;        // Stable per-dot random value (for city lights)
 
 void main() {
   // Pass custom color to fragment shader
@@ -29,6 +31,12 @@ void main() {
   // normalMatrix is the inverse transpose of modelViewMatrix
   vNormal = normalize(normalMatrix * normal);
 
+  // Globe-space normal, compared with the sun direction for day/night shading
+  vSurfaceNormal = normal;
+
+  // Hash of the dot position: the same dot always gets the same value
+  vLightSeed = fract(sin(dot(normal, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+
   // Transform position to view space
   vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
 
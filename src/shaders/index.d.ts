@@ -32,6 +32,13 @@ export interface DotShaderUniforms {
   u_minOpacity: UniformValue<number>;
   u_maxOpacity: UniformValue<number>;
   u_glowFalloff: UniformValue<number>;
+  u_dayNight: UniformValue<number>;
+  u_sunDirection: UniformValue<number[]>;
+  u_twilight: UniformValue<number>;
+  u_nightBrightness: UniformValue<number>;
+  u_nightColor: UniformValue<number[]>;
+  u_cityLights: UniformValue<number>;
+  u_cityLightsColor: UniformValue<number[]>;
 }
 
 /**
@@ -47,6 +54,19 @@ export interface AtmosphereShaderUniforms {
   u_power: UniformValue<number>;
 }
 
+/**
+ * Arc shader uniform types
+ */
+export interface ArcShaderUniforms {
+  u_color: UniformValue<number[]>;
+  u_opacity: UniformValue<number>;
+  u_time: UniformValue<number>;
+  u_dashLength: UniformValue<number>;
+  u_gapLength: UniformValue<number>;
+  u_dashSpeed: UniformValue<number>;
+  u_trailOpacity: UniformValue<number>;
+}
+
 /**
  * Base shader configuration
  */
@@ -75,6 +95,13 @@ export interface AtmosphereShaderConfig extends ShaderConfig<AtmosphereShaderUni
   blending: 'NormalBlending' | THREE.NormalBlending;
 }
 
+/**
+ * Arc shader configuration
+ */
+export interface ArcShaderConfig extends ShaderConfig<ArcShaderUniforms> {
+  blending: 'NormalBlending' | THREE.NormalBlending;
+}
+
 /**
  * Shader material options
  */
@@ -119,6 +146,11 @@ export const dotShader: DotShaderConfig;
  */
 export const atmosphereShader: AtmosphereShaderConfig;
 
+/**
+ * Arc shader configuration export
+ */
+export const arcShader: ArcShaderConfig;
+
 /**
  * Color utilities export
  */
@@ -153,6 +185,7 @@ export function updateUniforms(
 declare const shaderModule: {
   dotShader: DotShaderConfig;
   atmosphereShader: AtmosphereShaderConfig;
+  arcShader: ArcShaderConfig;
   createShaderMaterial: typeof createShaderMaterial;
   updateUniforms: typeof updateUniforms;
   colorUtils: ColorUtils;
@@ -9,10 +9,13 @@
  *   const material = new THREE.ShaderMaterial(dotShader);
  */
 
-import dotVertexShader from './dot.vert.glsl';
-import dotFragmentShader from './dot.frag.glsl';
-import atmosphereVertexShader from './atmosphere.vert.glsl';
-import atmosphereFragmentShader from './atmosphere.frag.glsl';
+// GLSL sources are imported as plain strings via Vite's ?raw suffix
+import dotVertexShader from './dot.vert.glsl?raw';
+import dotFragmentShader from './dot.frag.glsl?raw';
+import atmosphereVertexShader from './atmosphere.vert.glsl?raw';
+import atmosphereFragmentShader from './atmosphere.frag.glsl?raw';
+import arcVertexShader from './arc.vert.glsl?raw';
+import arcFragmentShader from './arc.frag.glsl?raw';
 
 /**
  * Dot Particle Shader Configuration
@@ -33,7 +36,16 @@ export const dotShader = {
     u_glowIntensity: { value: 0.3 },          // Glow strength (0.0 - 1.0)
     u_minOpacity: { value: 0.2 },             // Minimum opacity at edges
     u_maxOpacity: { value: 1.0 },             // Maximum opacity at center
-    u_glowFalloff: { value: 0.0 }             // Gradient steepness control
+    u_glowFalloff: { value: 0.0 },            // Gradient steepness control
+
+    // Day/night shading
+    u_dayNight: { value: 0.0 },               // 1.0 = shade the night side
+    u_sunDirection: { value: [0.0, 0.0, 1.0] }, // Unit vector towards the sun
+    u_twilight: { value: 0.1 },               // Terminator half-width (sine of elevation)
+    u_nightBrightness: { value: 0.25 },       // Night-side brightness multiplier
+    u_nightColor: { value: [0.0, 0.0, 0.0] }, // Night-side tint (added)
+    u_cityLights: { value: 0.0 },             // Fraction of night dots lit (0 = off)
+    u_cityLightsColor: { value: [1.0, 0.8, 0.4] } // City light color
   },
   transparent: true,
   depthWrite: false,
@@ -69,10 +81,36 @@ export const atmosphereShader = {
   blending: 'NormalBlending'  // Note: Use THREE.NormalBlending in actual code
 };
 
+/**
+ * Arc Line Shader Configuration
+ *
+ * Renders great-circle connection lines between locations.
+ * Supports solid lines, marching dashes and travelling pulses.
+ */
+export const arcShader = {
+  vertexShader: arcVertexShader,
+  fragmentShader: arcFragmentShader,
+  uniforms: {
+    // Arc appearance
+    u_color: { value: [1.0, 1.0, 1.0] },   // RGB arc color
+    u_opacity: { value: 1.0 },             // Overall opacity (0.0 - 1.0)
+
+    // Dash animation
+    u_time: { value: 0.0 },                // Elapsed time in seconds
+    u_dashLength: { value: 1.0 },          // Dash length (fraction of arc)
+    u_gapLength: { value: 0.0 },           // Gap length (fraction of arc, 0 = solid)
+    u_dashSpeed: { value: 0.0 },           // Arc-lengths per second
+    u_trailOpacity: { value: 0.0 }         // Opacity of gaps (pulse trail)
+  },
+  transparent: true,
+  depthWrite: false,
+  blending: 'NormalBlending'  // Note: Use THREE.NormalBlending in actual code
+};
+
 /**
  * Creates a Three.js ShaderMaterial from shader configuration
  *
- * @param {Object} shaderConfig - Shader configuration object (dotShader or atmosphereShader)
+ * @param {Object} shaderConfig - Shader configuration object (dotShader, atmosphereShader or arcShader)
  * @param {Object} customUniforms - Optional custom uniform overrides
  * @returns {THREE.ShaderMaterial} Configured shader material
  *
@@ -159,6 +197,7 @@ export const colorUtils = {
 export default {
   dotShader,
   atmosphereShader,
+  arcShader,
   createShaderMaterial,
   updateUniforms,
   colorUtils
@@ -72,6 +72,12 @@ export function parseColor(color) {
         }
       }
 
+      // Anything else must be a CSS color name or hsl(); THREE.Color
+      // turns unknown strings into white
+      if (!/^hsla?\(/i.test(color) && !(color.toLowerCase() in THREE.Color.NAMES)) {
+        return null;
+      }
+
       // Try to parse as named color or other CSS color
       return new THREE.Color(color);
     }
@@ -410,6 +416,66 @@ export function createColorPalette(baseColor, count = 5) {
   return palette;
 }
 
+/**
+ * Named color ramps for data visualization (low to high)
+ */
+export const COLOR_RAMPS = {
+  heat: ['#0d0887', '#7e03a8', '#cc4778', '#f89540', '#f0f921'],
+  viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+  blues: ['#deebf7', '#9ecae1', '#4292c6', '#2171b5', '#08306b'],
+  reds: ['#fee0d2', '#fc9272', '#ef3b2c', '#cb181d', '#67000d'],
+  diverging: ['#2166ac', '#92c5de', '#f7f7f7', '#f4a582', '#b2182b']
+};
+
+/**
+ * Creates a continuous color ramp that maps a value in 0-1 to a color
+ *
+ * The ramp can be the name of a built-in ramp, an array of color stops
+ * (evenly spaced and interpolated with lerpColor), or a single base color
+ * which is expanded into stops with createColorPalette.
+ *
+ * @param {string|Array<THREE.Color|string|number>|THREE.Color|number} [ramp='heat'] - Ramp definition
+ * @param {number} [count=5] - Number of stops generated from a single base color
+ * @returns {Function|null} Ramp function (t) => THREE.Color, or null if invalid
+ *
+ * @example
+ * const ramp = createColorRamp(['#2166ac', '#f7f7f7', '#b2182b']);
+ * const mid = ramp(0.5); // near white
+ *
+ * @example
+ * const blues = createColorRamp('#2196f3'); // light-to-dark variations of one hue
+ */
+export function createColorRamp(ramp = 'heat', count = 5) {
+  let stops;
+
+  if (typeof ramp === 'string' && COLOR_RAMPS[ramp]) {
+    stops = COLOR_RAMPS[ramp];
+  } else if (Array.isArray(ramp)) {
+    stops = ramp;
+  } else {
+    // Anything else must be a single base color, so a misspelled ramp name
+    // is rejected rather than expanded from white
+    stops = createColorPalette(ramp, count);
+  }
+
+  if (!stops || stops.length === 0) return null;
+
+  const colors = stops.map(stop => (stop instanceof THREE.Color ? stop : parseColor(stop)));
+  if (colors.some(color => !color)) return null;
+
+  return (t) => {
+    const clamped = Math.max(0, Math.min(1, t));
+
+    if (colors.length === 1) {
+      return colors[0].clone();
+    }
+
+    const scaled = clamped * (colors.length - 1);
+    const index = Math.min(Math.floor(scaled), colors.length - 2);
+    return lerpColor(colors[index], colors[index + 1], scaled - index);
+  };
+}
+
 /**
  * Blends two colors using a specified blend mode
  *
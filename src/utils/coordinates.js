@@ -9,6 +9,14 @@
  * @module utils/coordinates
  */
 
+/**
+ * Mean Earth radius in kilometres (IUGG)
+ * Used to convert between surface distances and angles on the unit sphere
+ *
+ * @constant {number}
+ */
+export const EARTH_RADIUS_KM = 6371.0088;
+
 /**
  * Converts 3D Cartesian coordinates to geographic latitude and longitude
  *
@@ -245,6 +253,78 @@ export function greatCircleDistance(lat1, lon1, lat2, lon2, radius = 1) {
   return radius * c;
 }
 
+/**
+ * Subdivides the great-circle arc between two unit vectors
+ *
+ * Points are evenly spaced by angle, from start to end inclusive. Antipodal
+ * points have no unique great circle; the arc then turns about the same axis
+ * THREE.Quaternion.setFromUnitVectors picks.
+ *
+ * @param {{x: number, y: number, z: number}} start - Start of the arc (unit vector)
+ * @param {{x: number, y: number, z: number}} end - End of the arc (unit vector)
+ * @param {number} segments - Number of segments (at least 1)
+ * @returns {Array<{x: number, y: number, z: number}>} segments + 1 unit vectors
+ *
+ * @example
+ * const points = greatCircleArc(latLonToCartesian(0, 0), latLonToCartesian(0, 90), 2);
+ * // points[1] is at 0° N, 45° E
+ */
+export function greatCircleArc(start, end, segments) {
+  const dot = Math.max(-1, Math.min(1, start.x * end.x + start.y * end.y + start.z * end.z));
+  const angle = Math.acos(dot);
+
+  // Rotation axis: the normal of the plane through start, end and the centre
+  let axis;
+  if (dot + 1 < Number.EPSILON) {
+    axis = Math.abs(start.x) > Math.abs(start.z)
+      ? normalizeVector(-start.y, start.x, 0)
+      : normalizeVector(0, -start.z, start.y);
+  } else {
+    axis = normalizeVector(
+      start.y * end.z - start.z * end.y,
+      start.z * end.x - start.x * end.z,
+      start.x * end.y - start.y * end.x
+    );
+  }
+
+  // Rotating start about the perpendicular axis (Rodrigues' formula)
+  const cross = {
+    x: axis.y * start.z - axis.z * start.y,
+    y: axis.z * start.x - axis.x * start.z,
+    z: axis.x * start.y - axis.y * start.x
+  };
+
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const step = (angle * i) / segments;
+    const cos = Math.cos(step);
+    const sin = Math.sin(step);
+    points.push({
+      x: start.x * cos + cross.x * sin,
+      y: start.y * cos + cross.y * sin,
+      z: start.z * cos + cross.z * sin
+    });
+  }
+  return points;
+}
+
+/**
+ * Formats a coordinate as readable text with hemisphere letters
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {string} Text such as "51.51° N, 0.13° W"
+ *
+ * @example
+ * formatLatLon(-33.8688, 151.2093); // "33.87° S, 151.21° E"
+ */
+export function formatLatLon(lat, lon, decimals = 2) {
+  const latText = `${Math.abs(lat).toFixed(decimals)}° ${lat < 0 ? 'S' : 'N'}`;
+  const lonText = `${Math.abs(lon).toFixed(decimals)}° ${lon < 0 ? 'W' : 'E'}`;
+  return `${latText}, ${lonText}`;
+}
+
 /**
  * Normalizes a vector to unit length
  *
@@ -0,0 +1,51 @@
+/**
+ * Easing Functions for Interactive Globe
+ *
+ * Provides timing curves used by camera transitions and layer animations.
+ * Every easing maps a normalized progress value t (0-1) to an eased value (0-1).
+ *
+ * @module utils/easing
+ */
+
+/**
+ * Built-in easing curves keyed by name
+ *
+ * @example
+ * const eased = EASINGS.easeInOutCubic(0.25);
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+/**
+ * Resolves an easing option to an easing function
+ *
+ * Accepts either the name of a built-in curve or a custom function.
+ * Unknown names fall back to easeInOutCubic.
+ *
+ * @param {string|Function} [easing='easeInOutCubic'] - Easing name or function (t) => number
+ * @returns {Function} Easing function (t) => number
+ *
+ * @example
+ * const ease = resolveEasing('easeOutQuad');
+ * const custom = resolveEasing((t) => t * t * t * t);
+ */
+export function resolveEasing(easing = 'easeInOutCubic') {
+  if (typeof easing === 'function') {
+    return easing;
+  }
+
+  if (typeof easing === 'string' && EASINGS[easing]) {
+    return EASINGS[easing];
+  }
+
+  console.warn('Unknown easing, using easeInOutCubic:', easing);
+  return EASINGS.easeInOutCubic;
+}
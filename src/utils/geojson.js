@@ -0,0 +1,335 @@
+/**
+ * GeoJSON Utilities for Interactive Globe
+ *
+ * Reads features and polygon geometry from GeoJSON and tests points against
+ * polygons on the sphere. Polygon edges are treated as great-circle arcs
+ * rather than straight lines in longitude/latitude, so polygons that cross
+ * the antimeridian or enclose a pole need no special handling.
+ *
+ * @module utils/geojson
+ */
+
+import { latLonToCartesian } from './coordinates.js';
+
+/**
+ * Polygon prepared for repeated point tests
+ * @typedef {Object} PreparedPolygon
+ * @property {Array<Float64Array>} rings - Outer ring then holes, as flat unit vectors [x1, y1, z1, ...]
+ * @property {{north: number, south: number, east: number, west: number}} bounds - Bounding box of
+ *           the outer ring (west > east when it crosses the antimeridian)
+ */
+
+/**
+ * Converts a ring of [lon, lat] positions to flat unit vectors
+ * @private
+ * @returns {Float64Array|null} Vectors, or null if the ring has fewer than three vertices
+ */
+function ringToVectors(ring) {
+  if (!Array.isArray(ring)) return null;
+
+  const positions = ring.filter(position =>
+    Array.isArray(position) &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]));
+
+  // GeoJSON rings repeat the first position at the end
+  const last = positions[positions.length - 1];
+  if (positions.length > 1 && last[0] === positions[0][0] && last[1] === positions[0][1]) {
+    positions.pop();
+  }
+  if (positions.length < 3) return null;
+
+  const vectors = new Float64Array(positions.length * 3);
+  positions.forEach(([lon, lat], i) => {
+    const { x, y, z } = latLonToCartesian(lat, lon, 1);
+    vectors[i * 3] = x;
+    vectors[i * 3 + 1] = y;
+    vectors[i * 3 + 2] = z;
+  });
+
+  return vectors;
+}
+
+/**
+ * Sums the angle a ring turns through as seen from a point on the sphere
+ *
+ * Each edge contributes the signed angle between its endpoints projected
+ * onto the plane tangent at the point. The total is ±2π when the ring
+ * separates the point from its antipode and 0 otherwise.
+ * @private
+ */
+function windingAngle(ring, px, py, pz) {
+  let total = 0;
+  const count = ring.length / 3;
+
+  let ax = ring[(count - 1) * 3];
+  let ay = ring[(count - 1) * 3 + 1];
+  let az = ring[(count - 1) * 3 + 2];
+  let pa = px * ax + py * ay + pz * az;
+
+  for (let i = 0; i < count; i++) {
+    const bx = ring[i * 3];
+    const by = ring[i * 3 + 1];
+    const bz = ring[i * 3 + 2];
+    const pb = px * bx + py * by + pz * bz;
+
+    const sin = px * (ay * bz - az * by) + py * (az * bx - ax * bz) + pz * (ax * by - ay * bx);
+    const cos = (ax * bx + ay * by + az * bz) - pa * pb;
+    total += Math.atan2(sin, cos);
+
+    ax = bx;
+    ay = by;
+    az = bz;
+    pa = pb;
+  }
+
+  return total;
+}
+
+/**
+ * Whether a ring encloses a unit vector
+ * @private
+ */
+function ringContains(ring, x, y, z) {
+  return Math.abs(windingAngle(ring, x, y, z)) > Math.PI;
+}
+
+/**
+ * Tests whether a coordinate lies within a bounding box
+ *
+ * Boxes with west > east cross the antimeridian.
+ *
+ * @param {{north: number, south: number, east: number, west: number}} bounds - Box in degrees
+ *        (see PreparedPolygon)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {boolean} True if the coordinate is inside or on the edge
+ *
+ * @example
+ * withinBounds({ north: 10, south: -10, west: 170, east: -170 }, 0, 180); // true
+ */
+export function withinBounds(bounds, lat, lon) {
+  if (lat < bounds.south || lat > bounds.north) return false;
+  return bounds.west > bounds.east
+    ? lon >= bounds.west || lon <= bounds.east
+    : lon >= bounds.west && lon <= bounds.east;
+}
+
+/**
+ * Latitude range of a ring, including the bulge of great-circle edges
+ * towards the poles between their endpoints
+ * @private
+ */
+function ringLatitudeRange(ring) {
+  const toDeg = 180 / Math.PI;
+  const count = ring.length / 3;
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < count; i++) {
+    const j = (i + 1) % count;
+    const ax = ring[i * 3];
+    const ay = ring[i * 3 + 1];
+    const az = ring[i * 3 + 2];
+    const bx = ring[j * 3];
+    const by = ring[j * 3 + 1];
+    const bz = ring[j * 3 + 2];
+
+    const lat = Math.asin(Math.max(-1, Math.min(1, ay))) * toDeg;
+    min = Math.min(min, lat);
+    max = Math.max(max, lat);
+
+    // Normal of the edge's great circle
+    const nx = ay * bz - az * by;
+    const ny = az * bx - ax * bz;
+    const nz = ax * by - ay * bx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length < 1e-12) continue;
+
+    // Northernmost point of the great circle: the pole projected onto its plane
+    const uy = ny / length;
+    const vx = -uy * (nx / length);
+    const vy = 1 - uy * uy;
+    const vz = -uy * (nz / length);
+    const vLength = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    if (vLength < 1e-12) continue;
+
+    // Check it and its antipode (the southernmost point) against the edge
+    [1, -1].forEach(sign => {
+      const x = (sign * vx) / vLength;
+      const y = (sign * vy) / vLength;
+      const z = (sign * vz) / vLength;
+      const afterStart = nx * (ay * z - az * y) + ny * (az * x - ax * z) + nz * (ax * y - ay * x);
+      const beforeEnd = nx * (y * bz - z * by) + ny * (z * bx - x * bz) + nz * (x * by - y * bx);
+      if (afterStart > 0 && beforeEnd > 0) {
+        const extreme = Math.asin(Math.max(-1, Math.min(1, y))) * toDeg;
+        min = Math.min(min, extreme);
+        max = Math.max(max, extreme);
+      }
+    });
+  }
+
+  return { min, max };
+}
+
+/**
+ * Smallest longitude interval covering a ring's vertices
+ * @private
+ * @returns {{west: number, east: number}} Interval (west > east when it crosses the antimeridian)
+ */
+function ringLongitudeRange(ring) {
+  const count = ring.length / 3;
+  const lons = new Array(count);
+  for (let i = 0; i < count; i++) {
+    lons[i] = Math.atan2(ring[i * 3], ring[i * 3 + 2]) * (180 / Math.PI);
+  }
+  lons.sort((a, b) => a - b);
+
+  // The interval is everything outside the widest gap between vertices
+  let west = lons[0];
+  let east = lons[count - 1];
+  let widest = lons[0] + 360 - lons[count - 1];
+  for (let i = 1; i < count; i++) {
+    const gap = lons[i] - lons[i - 1];
+    if (gap > widest) {
+      widest = gap;
+      west = lons[i];
+      east = lons[i - 1];
+    }
+  }
+
+  return { west, east };
+}
+
+/**
+ * Gets the features of a GeoJSON object
+ *
+ * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+ * @returns {Array<Object>|null} Features (a bare geometry is wrapped in a feature
+ *          with empty properties), or null if the object is not GeoJSON
+ *
+ * @example
+ * const features = getFeatures({ type: 'Polygon', coordinates: [...] });
+ * console.log(features[0].properties); // {}
+ */
+export function getFeatures(geojson) {
+  if (!geojson || typeof geojson.type !== 'string') return null;
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return Array.isArray(geojson.features) ? geojson.features.filter(Boolean) : null;
+    case 'Feature':
+      return [geojson];
+    case 'GeometryCollection':
+    case 'Point':
+    case 'MultiPoint':
+    case 'LineString':
+    case 'MultiLineString':
+    case 'Polygon':
+    case 'MultiPolygon':
+      return [{ type: 'Feature', geometry: geojson, properties: {} }];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Gets the polygons of a geometry
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array>|null} Polygon coordinate arrays (one for a Polygon, one per
+ *          part for a MultiPolygon), or null for other geometry types
+ *
+ * @example
+ * const polygons = getPolygons(feature.geometry);
+ */
+export function getPolygons(geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+
+  if (geometry.type === 'Polygon') {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.filter(Array.isArray);
+  }
+  return null;
+}
+
+/**
+ * Prepares polygon coordinates for repeated point tests
+ *
+ * Invalid holes are skipped; an invalid outer ring rejects the polygon.
+ *
+ * @param {Array<Array<Array<number>>>} coordinates - GeoJSON Polygon coordinates:
+ *        an outer ring then holes, each a list of [lon, lat] positions
+ * @returns {PreparedPolygon|null} Prepared polygon, or null if the outer ring has
+ *          fewer than three vertices
+ *
+ * @example
+ * const polygon = preparePolygon(feature.geometry.coordinates);
+ * dots.filter(({ lat, lon }) => pointInPolygon(lat, lon, polygon));
+ */
+export function preparePolygon(coordinates) {
+  if (!Array.isArray(coordinates)) return null;
+
+  const outer = ringToVectors(coordinates[0]);
+  if (!outer) return null;
+
+  const rings = [outer];
+  coordinates.slice(1).forEach(ring => {
+    const hole = ringToVectors(ring);
+    if (hole) rings.push(hole);
+  });
+
+  // A ring around a pole covers every longitude up to that pole. A ring
+  // separating one pole from the other encloses the one on its own side.
+  const { min, max } = ringLatitudeRange(outer);
+  const { west, east } = ringLongitudeRange(outer);
+  if (!ringContains(outer, 0, 1, 0)) {
+    return { rings, bounds: { north: max, south: min, west, east } };
+  }
+
+  let side = 0;
+  for (let i = 1; i < outer.length; i += 3) {
+    side += outer[i];
+  }
+  return {
+    rings,
+    bounds: side > 0
+      ? { north: 90, south: min, west: -180, east: 180 }
+      : { north: max, south: -90, west: -180, east: 180 }
+  };
+}
+
+/**
+ * Tests whether a coordinate lies inside a polygon on the sphere
+ *
+ * A point is inside when the outer ring encloses it and no hole does.
+ * Polygons must be smaller than a hemisphere: a ring is taken to enclose
+ * the smaller of the two regions it divides the sphere into.
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {PreparedPolygon|Array} polygon - Prepared polygon or GeoJSON Polygon coordinates
+ * @returns {boolean} True if the point is inside
+ *
+ * @example
+ * const square = [[[-10, -10], [10, -10], [10, 10], [-10, 10], [-10, -10]]];
+ * pointInPolygon(0, 0, square);  // true
+ * pointInPolygon(0, 20, square); // false
+ */
+export function pointInPolygon(lat, lon, polygon) {
+  const prepared = Array.isArray(polygon) ? preparePolygon(polygon) : polygon;
+  if (!prepared || !prepared.rings) return false;
+
+  // The bounds also reject points whose antipode the polygon encloses
+  if (!withinBounds(prepared.bounds, lat, lon)) return false;
+
+  const { x, y, z } = latLonToCartesian(lat, lon, 1);
+  if (!ringContains(prepared.rings[0], x, y, z)) return false;
+
+  for (let i = 1; i < prepared.rings.length; i++) {
+    if (ringContains(prepared.rings[i], x, y, z)) return false;
+  }
+  return true;
+}
@@ -23,8 +23,11 @@ export {
   uvToCartesian,
   generateFibonacciSphere,
   greatCircleDistance,
+  greatCircleArc,
+  formatLatLon,
   normalizeVector,
-  vectorMagnitude
+  vectorMagnitude,
+  EARTH_RADIUS_KM
 } from './coordinates.js';
 
 // Export all color utilities
@@ -44,6 +47,29 @@ export {
   adjustBrightness,
   adjustSaturation,
   createColorPalette,
+  createColorRamp,
   blendColors,
-  COLORS
+  COLORS,
+  COLOR_RAMPS
 } from './colors.js';
+
+// Export solar position utilities
+export {
+  getSunPosition,
+  getSolarElevation
+} from './solar.js';
+
+// Export GeoJSON utilities
+export {
+  getFeatures,
+  getPolygons,
+  preparePolygon,
+  pointInPolygon,
+  withinBounds
+} from './geojson.js';
+
+// Export all easing utilities
+export {
+  EASINGS,
+  resolveEasing
+} from './easing.js';
@@ -0,0 +1,103 @@
+/**
+ * Solar Position Utilities for Interactive Globe
+ *
+ * Computes where the sun is overhead (the subsolar point) for a UTC date,
+ * using the NOAA low-precision formulas for solar declination and the
+ * equation of time. Accuracy is about 0.1 degrees, well below the size of
+ * a dot on the globe.
+ *
+ * @module utils/solar
+ */
+
+import { latLonToCartesian } from './coordinates.js';
+
+/**
+ * Milliseconds in a day
+ * @private
+ */
+const MS_PER_DAY = 86400000;
+
+/**
+ * Position of the sun relative to the Earth
+ * @typedef {Object} SunPosition
+ * @property {number} lat - Latitude of the subsolar point in degrees (equals the declination)
+ * @property {number} lon - Longitude of the subsolar point in degrees (-180 to 180)
+ * @property {number} declination - Solar declination in degrees
+ * @property {number} equationOfTime - Equation of time in minutes (apparent minus mean solar time)
+ */
+
+/**
+ * Computes the subsolar point for a date
+ *
+ * @param {Date|number} [date=new Date()] - Date or timestamp in milliseconds (UTC)
+ * @returns {SunPosition|null} Sun position, or null for an invalid date
+ *
+ * @example
+ * const sun = getSunPosition(new Date('2024-06-21T12:00:00Z'));
+ * console.log(sun.lat); // ~23.4 (Tropic of Cancer)
+ */
+export function getSunPosition(date = new Date()) {
+  const time = date instanceof Date ? date.getTime() : date;
+  if (typeof time !== 'number' || !Number.isFinite(time)) {
+    return null;
+  }
+
+  const utc = new Date(time);
+  const year = utc.getUTCFullYear();
+  const startOfYear = Date.UTC(year, 0, 1);
+  const daysInYear = (Date.UTC(year + 1, 0, 1) - startOfYear) / MS_PER_DAY;
+  const hours = (time - Date.UTC(year, utc.getUTCMonth(), utc.getUTCDate())) / 3600000;
+
+  // Fractional year in radians
+  const dayOfYear = Math.floor((time - startOfYear) / MS_PER_DAY);
+  const gamma = (2 * Math.PI / daysInYear) * (dayOfYear + (hours - 12) / 24);
+
+  const equationOfTime = 229.18 * (
+    0.000075 +
+    0.001868 * Math.cos(gamma) -
+    0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) -
+    0.040849 * Math.sin(2 * gamma)
+  );
+
+  const declination = (
+    0.006918 -
+    0.399912 * Math.cos(gamma) +
+    0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) +
+    0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) +
+    0.00148 * Math.sin(3 * gamma)
+  ) * (180 / Math.PI);
+
+  // The sun is overhead where apparent solar time is noon
+  let lon = -15 * (hours - 12 + equationOfTime / 60);
+  lon = ((lon + 180) % 360 + 360) % 360 - 180;
+
+  return { lat: declination, lon, declination, equationOfTime };
+}
+
+/**
+ * Gets the height of the sun above the horizon at a location
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {SunPosition|Date|number} sun - Sun position, or a date to compute it for
+ * @returns {number} Solar elevation in degrees (negative at night)
+ *
+ * @example
+ * const sun = getSunPosition(new Date());
+ * const isNight = getSolarElevation(51.5, -0.13, sun) < 0;
+ */
+export function getSolarElevation(lat, lon, sun) {
+  const position = sun && typeof sun.lat === 'number' ? sun : getSunPosition(sun);
+  if (!position) {
+    return NaN;
+  }
+
+  const a = latLonToCartesian(lat, lon, 1);
+  const b = latLonToCartesian(position.lat, position.lon, 1);
+  const cosZenith = a.x * b.x + a.y * b.y + a.z * b.z;
+
+  return Math.asin(Math.max(-1, Math.min(1, cosZenith))) * (180 / Math.PI);
+}
@@ -297,6 +297,54 @@ test.describe('Globe - OrbitControls Responsiveness', () => {
   });
 });
 
+test.describe('Globe - Camera Fly-To', () => {
+  test('should fly to a coordinate and resolve on arrival', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const arrived = await g.flyTo({ lat: 0, lon: 90, duration: 300 });
+      const p = g.camera.position.clone().normalize();
+      return { arrived, x: p.x, y: p.y, z: p.z, autoRotate: g.controls.autoRotate };
+    });
+
+    expect(result.arrived).toBe(true);
+    // lon 90° on the equator lies on the +X axis
+    expect(result.x).toBeCloseTo(1, 1);
+    expect(result.y).toBeCloseTo(0, 1);
+    // Auto-rotation is restored after the flight
+    expect(result.autoRotate).toBe(true);
+  });
+
+  test('should cancel the flight when the user drags', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    await globe.evaluateGlobe((g) => {
+      window.__flight = g.flyTo({ lat: 35.6762, lon: 139.6503, duration: 5000 });
+    });
+
+    const dimensions = await globe.getCanvasDimensions();
+    const centerX = dimensions.width / 2;
+    const centerY = dimensions.height / 2;
+    await globe.dragGlobe({ x: centerX, y: centerY }, { x: centerX + 100, y: centerY });
+
+    const arrived = await page.evaluate(() => window.__flight);
+    expect(arrived).toBe(false);
+  });
+
+  test('should support the rotateToPoint shorthand', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const arrived = await globe.evaluateGlobe((g) => g.rotateToPoint(51.5074, -0.1278, 200));
+    expect(arrived).toBe(true);
+  });
+});
+
 test.describe('Globe - Active Dot Highlighting', () => {
   test('should highlight dots via setActiveDots', async ({ page }) => {
     const globe = new GlobePage(page);
@@ -333,6 +381,1172 @@ test.describe('Globe - Active Dot Highlighting', () => {
   });
 });
 
+test.describe('Globe - Arc Layer', () => {
+  test('should add, update and remove arcs without touching dots', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const dotGeometry = g.dotsGeometry;
+      const ids = g.setArcs([
+        { from: { lat: 40.7128, lon: -74.0060 }, to: { lat: 51.5074, lon: -0.1278 } },
+        { from: { lat: 35.6762, lon: 139.6503 }, to: { lat: -33.8688, lon: 151.2093 }, gapLength: 0.1, dashSpeed: 1 }
+      ]);
+      const updated = g.updateArc(ids[0], { color: '#00FF00' });
+      const removed = g.removeArc(ids[1]);
+      return {
+        count: ids.length,
+        updated,
+        removed,
+        remaining: g.getArcs().length,
+        sameDots: dotGeometry === g.dotsGeometry
+      };
+    });
+
+    expect(result.count).toBe(2);
+    expect(result.updated).toBe(true);
+    expect(result.removed).toBe(true);
+    expect(result.remaining).toBe(1);
+    expect(result.sameDots).toBe(true);
+  });
+
+  test('should animate arcs given only a dash speed', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      g.setArcs([
+        { from: { lat: 40.7128, lon: -74.0060 }, to: { lat: 51.5074, lon: -0.1278 }, color: '#FF6B35', altitude: 0.2, dashSpeed: 0.5 }
+      ]);
+      const [arc] = g.getArcs();
+      return { animated: g.arcLayer.isAnimated(), dashLength: arc.dashLength, gapLength: arc.gapLength };
+    });
+
+    expect(result.animated).toBe(true);
+    expect(result.gapLength).toBeGreaterThan(0);
+    expect(result.dashLength).toBeLessThan(1);
+  });
+});
+
+test.describe('Globe - Marker Layer', () => {
+  test('should keep markers when dot colours are reset', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      g.addMarker({ id: 'ocean', lat: 0, lon: -30, label: 'Mid-Atlantic', data: { value: 42 } });
+      g.addMarker({ id: 'nyc', lat: 40.7128, lon: -74.0060 });
+      g.setDotColor('#123456');
+      g.updateMarker('nyc', { color: '#00FF00' });
+      const markers = g.getMarkers();
+      return {
+        count: markers.length,
+        ocean: markers.find(m => m.id === 'ocean'),
+        removed: g.removeMarker('nyc'),
+        remaining: g.getMarkers().length
+      };
+    });
+
+    expect(result.count).toBe(2);
+    // Markers keep their exact coordinate instead of snapping to land
+    expect(result.ocean.lat).toBe(0);
+    expect(result.ocean.lon).toBe(-30);
+    expect(result.ocean.data.value).toBe(42);
+    expect(result.removed).toBe(true);
+    expect(result.remaining).toBe(1);
+  });
+
+  test('should default invalid colours and face the camera after setRotation', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      const layer = g.markerLayer;
+      for (let i = 0; i < 2000; i++) {
+        g.addMarker({ id: `bulk-${i}`, lat: (i % 160) - 80, lon: (i % 360) - 180 });
+      }
+      g.addMarker({ id: 'bad', lat: 10, lon: 10, color: 'not-a-colour' });
+      g.removeMarker('bulk-0');
+
+      const index = layer.indices.get('bad');
+      const color = layer.mesh.instanceColor.array.slice(index * 3, index * 3 + 3);
+
+      // Rotate the globe without moving the camera
+      g.configure({ autoRotate: false });
+      g.setRotation(30, 60);
+      await nextFrame();
+
+      // A marker faces the camera when its rotation, seen from the globe
+      // group, is the camera's
+      const Matrix4 = g.camera.matrix.constructor;
+      const Quaternion = g.camera.quaternion.constructor;
+      const Vector3 = g.camera.position.constructor;
+      const rotation = new Quaternion();
+      const matrix = new Matrix4();
+      layer.mesh.getMatrixAt(index, matrix);
+      matrix.decompose(new Vector3(), rotation, new Vector3());
+      const expected = layer.group.getWorldQuaternion(new Quaternion()).invert().multiply(g.camera.quaternion);
+
+      return {
+        indicesMatch: layer.order.every((id, i) => layer.indices.get(id) === i),
+        color: Array.from(color, value => Math.round(value * 255)),
+        angle: rotation.angleTo(expected)
+      };
+    });
+
+    expect(result.indicesMatch).toBe(true);
+    // Falls back to the default marker colour (#FF6B35) instead of black
+    expect(result.color).toEqual([255, 107, 53]);
+    expect(result.angle).toBeLessThan(1e-3);
+  });
+});
+
+test.describe('Globe - Spatial Queries', () => {
+  test('should find nearest dots across the antimeridian', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const east = g.getDotInfo(g.findNearestDot(0, 179.99));
+      const west = g.getDotInfo(g.findNearestDot(0, -179.99));
+      const pacific = g.findDotsInBounds({ north: 5, south: -5, west: 175, east: -175 });
+      const nearby = g.findDotsWithinRadius(0, 180, 1000);
+      return {
+        eastLon: east.lon,
+        westLon: west.lon,
+        pacificCount: pacific.length,
+        pacificLons: pacific.map(i => g.getDotInfo(i).lon),
+        nearbyCount: nearby.length
+      };
+    });
+
+    // Nearest dots must be close in great-circle terms, whichever side they fall on
+    expect(Math.abs(Math.abs(result.eastLon) - 180)).toBeLessThan(5);
+    expect(Math.abs(Math.abs(result.westLon) - 180)).toBeLessThan(5);
+    expect(result.pacificCount).toBeGreaterThan(0);
+    result.pacificLons.forEach(lon => expect(Math.abs(lon)).toBeGreaterThanOrEqual(175));
+    expect(result.nearbyCount).toBeGreaterThan(0);
+  });
+});
+
+test.describe('Globe - Events', () => {
+  test('should subscribe, emit once and unsubscribe', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const calls = [];
+      const unsubscribe = g.on('rotationend', (event) => calls.push(`on:${event.source}`));
+      g.once('rotationend', (event) => calls.push(`once:${event.source}`));
+
+      g.startRotation();
+      g.stopRotation();
+      g.startRotation();
+      g.stopRotation();
+      unsubscribe();
+      g.startRotation();
+      g.stopRotation();
+
+      const camera = g.getCameraPosition();
+      return { calls, camera };
+    });
+
+    expect(result.calls).toEqual(['on:auto', 'once:auto', 'on:auto']);
+    expect(typeof result.camera.lat).toBe('number');
+    expect(result.camera.altitude).toBeGreaterThan(0);
+  });
+
+  test('should unsubscribe only the subscription it was returned for', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const calls = [];
+      const handler = (event) => calls.push(event.source);
+      g.on('rotationend', handler);
+      const unsubscribeOnce = g.once('rotationend', handler);
+
+      unsubscribeOnce();
+      g.startRotation();
+      g.stopRotation();
+      return { calls, again: unsubscribeOnce(), count: g.listenerCount('rotationend') };
+    });
+
+    expect(result.calls).toEqual(['auto']);
+    expect(result.again).toBe(false);
+    expect(result.count).toBe(1);
+  });
+
+  test('should track listeners added and removed after init', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const handler = () => {};
+      const before = g.listenerCount('dotclick');
+      g.on('dotclick', handler);
+      const added = g.listenerCount('dotclick');
+      const removed = g.off('dotclick', handler);
+      const unknown = g.on('not-an-event', handler)();
+      return { before, added, removed, after: g.listenerCount('dotclick'), unknown };
+    });
+
+    expect(result.added).toBe(result.before + 1);
+    expect(result.removed).toBe(true);
+    expect(result.after).toBe(result.before);
+    expect(result.unknown).toBe(false);
+  });
+});
+
+test.describe('Globe - Render On Demand', () => {
+  test('should stop rendering when idle and render after requestRender', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+      const frames = () => g.renderer.info.render.frame;
+
+      g.configure({ renderMode: 'onDemand', autoRotate: false, sphereRotationSpeed: 0 });
+      // Let camera damping settle
+      await wait(1000);
+      const idleStart = frames();
+      await wait(300);
+      const idleEnd = frames();
+
+      g.requestRender();
+      await wait(100);
+      const afterRequest = frames();
+
+      g.configure({ renderMode: 'continuous' });
+      await wait(300);
+      const continuous = frames();
+
+      g.configure({ renderMode: 'sometimes', maxFps: -1 });
+      return {
+        idle: idleEnd - idleStart,
+        requested: afterRequest - idleEnd,
+        continuous: continuous - afterRequest,
+        config: { renderMode: g.config.renderMode, maxFps: g.config.maxFps }
+      };
+    });
+
+    expect(result.idle).toBe(0);
+    expect(result.requested).toBe(1);
+    expect(result.continuous).toBeGreaterThan(1);
+    expect(result.config).toEqual({ renderMode: 'continuous', maxFps: 0 });
+  });
+});
+
+test.describe('Globe - Land-Cover Classes', () => {
+  test('should style and hide dots by mask class', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const rebuilt = await g.configure({
+        texturePath: '/assets/textures/earth-mask.png',
+        maskClasses: [
+          { name: 'ocean', key: 0, visible: false },
+          { name: 'land', key: 255, color: '#00FF00', size: 2 }
+        ]
+      });
+
+      const dot = g.findNearestDot(47, 2);
+      const info = g.getDotInfo(dot);
+      const classes = g.getMaskClasses();
+
+      g.setMaskClassStyle('land', { color: '#0000FF' });
+      const restyled = g.getDotInfo(dot).color;
+
+      return {
+        rebuilt,
+        classes,
+        maskClass: info.maskClass,
+        lookedUp: g.getMaskClassAt(info.lat, info.lon),
+        ocean: g.getMaskClassAt(0, -30),
+        color: [info.color.r, info.color.g, info.color.b],
+        size: g.dotData.sizes[dot],
+        restyled: [restyled.r, restyled.g, restyled.b],
+        unknown: g.setMaskClassStyle('forest', { size: 3 })
+      };
+    });
+
+    expect(result.rebuilt).toBe(true);
+    expect(result.classes.map(({ name, visible }) => [name, visible])).toEqual([['ocean', false], ['land', true]]);
+    expect(result.classes[0].dotCount).toBe(0);
+    expect(result.classes[1].dotCount).toBeGreaterThan(0);
+    expect(result.maskClass).toBe('land');
+    expect(result.lookedUp).toBe('land');
+    expect(result.ocean).toBe('ocean');
+    expect(result.color).toEqual([0, 1, 0]);
+    expect(result.size).toBe(2);
+    expect(result.restyled).toEqual([0, 0, 1]);
+    expect(result.unknown).toBe(false);
+  });
+});
+
+test.describe('Globe - Choropleth', () => {
+  test('should colour countries by ISO code and describe the legend', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      // Loads the boundaries on demand
+      const lookupBefore = g.config.countryLookup;
+      const legend = await g.setChoropleth({
+        data: { US: 10, fra: 0, '276': 5 },
+        scale: 'quantize',
+        classes: 2,
+        ramp: ['#000000', '#FFFFFF'],
+        missingColor: '#FF0000'
+      });
+
+      const colorAt = (lat, lon) => {
+        const color = g.getDotInfo(g.findNearestDot(lat, lon)).color;
+        return [color.r, color.g, color.b].map(value => Math.round(value * 255));
+      };
+
+      const colors = {
+        us: colorAt(39, -98),
+        france: colorAt(47, 2),
+        germany: colorAt(51, 10),
+        brazil: colorAt(-10, -50),
+        ocean: colorAt(0, -30)
+      };
+      const value = g.getDotInfo(g.findNearestDot(51, 10)).choroplethValue;
+
+      g.clearChoropleth();
+      return {
+        lookupBefore,
+        lookupAfter: g.config.countryLookup,
+        legend,
+        colors,
+        value,
+        cleared: colorAt(39, -98),
+        after: g.getChoroplethLegend()
+      };
+    });
+
+    expect(result.lookupBefore).toBe(false);
+    expect(result.lookupAfter).toBe(true);
+    expect(result.legend).toEqual({
+      scale: 'quantize',
+      domain: [0, 10],
+      breaks: [0, 5, 10],
+      colors: ['#000000', '#ffffff'],
+      missingColor: '#ff0000'
+    });
+    expect(result.colors.us).toEqual([255, 255, 255]);
+    expect(result.colors.france).toEqual([0, 0, 0]);
+    expect(result.colors.germany).toEqual([255, 255, 255]);
+    expect(result.colors.brazil).toEqual([255, 0, 0]);
+    expect(result.colors.ocean).toEqual([255, 255, 255]);
+    expect(result.value).toBe(5);
+    expect(result.cleared).toEqual([255, 255, 255]);
+    expect(result.after).toBeNull();
+  });
+});
+
+test.describe('Globe - Country Lookup', () => {
+  test('should resolve coordinates and dots to countries', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      // Off by default: no boundaries are loaded until asked for
+      const before = { country: g.getDotInfo(0).country, lookup: g.countryLookup };
+      const loaded = await g.configure({ countryLookup: true });
+
+      const paris = g.findNearestDot(48.8566, 2.3522);
+      return {
+        before,
+        loaded,
+        france: g.getCountryAt(48.8566, 2.3522),
+        // Lesotho is a hole in South Africa; Fiji and Russia cross the antimeridian
+        lesotho: g.getCountryAt(-29.31, 27.48).iso3,
+        southAfrica: g.getCountryAt(-26.2, 28.04).iso3,
+        fiji: g.getCountryAt(-16.5, -179.9).iso3,
+        chukotka: g.getCountryAt(66, -175).iso3,
+        southPole: g.getCountryAt(-89.9, 0).iso3,
+        ocean: g.getCountryAt(0, -30),
+        dotCountry: g.getDotInfo(paris).country,
+        nearestLookup: g.getCountryAt(g.getDotInfo(paris).lat, g.getDotInfo(paris).lon)
+      };
+    });
+
+    expect(result.before).toEqual({ country: undefined, lookup: null });
+    expect(result.loaded).toBe(true);
+    expect(result.france).toEqual({ name: 'France', iso2: 'FR', iso3: 'FRA', isoNumeric: '250' });
+    expect(result.lesotho).toBe('LSO');
+    expect(result.southAfrica).toBe('ZAF');
+    expect(result.fiji).toBe('FJI');
+    expect(result.chukotka).toBe('RUS');
+    expect(result.southPole).toBe('ATA');
+    expect(result.ocean).toBeNull();
+    expect(result.dotCountry).toEqual(result.nearestLookup);
+  });
+});
+
+test.describe('Globe - GeoJSON Import', () => {
+  test('should load points and lines and remove them by source', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    await page.route('**/test-data/routes.geojson', route => route.fulfill({
+      contentType: 'application/json',
+      body: JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', id: 'lhr', properties: { name: 'Heathrow' }, geometry: { type: 'Point', coordinates: [-0.4543, 51.47] } },
+          { type: 'Feature', properties: { name: 'Stops' }, geometry: { type: 'MultiPoint', coordinates: [[10, 10], [20, 20]] } },
+          { type: 'Feature', properties: { delayed: true }, geometry: { type: 'LineString', coordinates: [[179, -5], [-179, 5]] } }
+        ]
+      })
+    }));
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const loaded = await g.loadGeoJSON('/test-data/routes.geojson', {
+        style: (feature) => ({ color: feature.properties.delayed ? '#FF6B35' : '#4B9FBF', size: 3, width: 2 })
+      });
+
+      const markers = g.getMarkers();
+      const [path] = g.getPaths();
+      const line = g.pathLayer.paths.get(path.id).line;
+      line.geometry.computeBoundingBox();
+
+      const beforeRemove = { markers: markers.length, paths: g.getPaths().length };
+      const removed = g.removeGeoJSON(loaded.id);
+
+      return {
+        loaded,
+        labels: markers.map(marker => marker.label),
+        data: markers[0].data,
+        pathColor: path.color,
+        pathWidth: line.material.linewidth,
+        // A short crossing of the antimeridian stays near lon 180 (x close to 0)
+        crossingWidth: line.geometry.boundingBox.max.x - line.geometry.boundingBox.min.x,
+        beforeRemove,
+        removed,
+        after: { markers: g.getMarkers().length, paths: g.getPaths().length, sources: g.getGeoJSONSources().length }
+      };
+    });
+
+    expect(result.loaded).toEqual({
+      id: '/test-data/routes.geojson',
+      markers: ['/test-data/routes.geojson/lhr', '/test-data/routes.geojson/1/0', '/test-data/routes.geojson/1/1'],
+      paths: ['/test-data/routes.geojson/2']
+    });
+    expect(result.labels).toEqual(['Heathrow', 'Stops', 'Stops']);
+    expect(result.data).toEqual({ name: 'Heathrow' });
+    expect(result.pathColor).toBe('#FF6B35');
+    expect(result.pathWidth).toBe(2);
+    expect(result.crossingWidth).toBeLessThan(10);
+    expect(result.beforeRemove).toEqual({ markers: 3, paths: 1 });
+    expect(result.removed).toBe(true);
+    expect(result.after).toEqual({ markers: 0, paths: 0, sources: 0 });
+  });
+});
+
+test.describe('Globe - Polygon Layer', () => {
+  test('should fill dots inside polygons and report clicked features', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      g.stopRotation();
+      await g.flyTo({ lat: 0, lon: 0, duration: 0 });
+
+      window.__clicked = [];
+      g.on('polygonclick', (polygon) => window.__clicked.push(polygon.properties.name));
+
+      const square = (west, south, east, north) => ({
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+      });
+      const ids = g.setPolygons({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', id: 'centre', properties: { name: 'Centre' }, geometry: square(-20, -20, 20, 20) },
+          { type: 'Feature', id: 'pacific', properties: { name: 'Pacific' }, geometry: square(170, -10, -170, 10) }
+        ]
+      }, { fillColor: '#FF0000', outline: true });
+
+      const colorAt = (lat, lon) => g.getDotInfo(g.findNearestDot(lat, lon)).color;
+      const filled = colorAt(0, 0);
+      const wrapped = colorAt(0, 180);
+      const outside = colorAt(50, 90);
+
+      g.updatePolygon('centre', { fillColor: '#0000FF' });
+      const restyled = colorAt(0, 0);
+
+      return {
+        ids,
+        dotCounts: g.getPolygons().map(polygon => polygon.dotCount > 0),
+        filled: [filled.r, filled.g, filled.b],
+        wrapped: [wrapped.r, wrapped.g, wrapped.b],
+        outside: [outside.r, outside.g, outside.b],
+        restyled: [restyled.r, restyled.g, restyled.b]
+      };
+    });
+
+    expect(result.ids).toEqual(['centre', 'pacific']);
+    expect(result.dotCounts).toEqual([true, true]);
+    expect(result.filled).toEqual([1, 0, 0]);
+    expect(result.wrapped).toEqual([1, 0, 0]);
+    expect(result.outside).toEqual([1, 1, 1]);
+    expect(result.restyled).toEqual([0, 0, 1]);
+
+    await globe.canvas.click();
+    const clicked = await globe.evaluateGlobe(() => window.__clicked);
+    expect(clicked).toEqual(['Centre']);
+
+    const cleared = await globe.evaluateGlobe((g) => {
+      g.clearPolygons();
+      const { r, g: green, b } = g.getDotInfo(g.findNearestDot(0, 0)).color;
+      return [r, green, b];
+    });
+    expect(cleared).toEqual([1, 1, 1]);
+  });
+});
+
+test.describe('Globe - Label Layer', () => {
+  test('should place labels on the near side and hide overlaps', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      g.stopRotation();
+      await g.flyTo({ lat: 0, lon: 0, duration: 0 });
+
+      g.addLabel({ id: 'front', lat: 0, lon: 0, text: 'Front', className: 'city-label', priority: 1 });
+      g.addLabel({ id: 'overlap', lat: 0, lon: 0.5, text: 'Overlap' });
+      g.addLabel({ id: 'back', lat: 0, lon: 180, text: 'Back' });
+      await nextFrame();
+
+      const visibility = (id) => g.labelLayer.labels.get(id).element.style.visibility;
+      const front = g.labelLayer.labels.get('front').element;
+      return {
+        front: visibility('front'),
+        overlap: visibility('overlap'),
+        back: visibility('back'),
+        className: front.className,
+        inside: front.getBoundingClientRect().left > g.renderer.domElement.getBoundingClientRect().left,
+        count: g.getLabels().length
+      };
+    });
+
+    expect(result).toEqual({
+      front: 'visible',
+      overlap: 'hidden',
+      back: 'hidden',
+      className: 'globe-label city-label',
+      inside: true,
+      count: 3
+    });
+  });
+});
+
+test.describe('Globe - Reduced Motion', () => {
+  test('should stop animations when the user prefers reduced motion', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+      const cameraX = () => g.camera.position.x;
+
+      const before = cameraX();
+      await wait(500);
+      const still = Math.abs(cameraX() - before) < 1e-6;
+
+      const arrivedAt = performance.now();
+      await g.flyTo({ lat: 40, lon: -74, duration: 2000 });
+      const flightTime = performance.now() - arrivedAt;
+
+      g.configure({ motion: 'full' });
+      const resumed = cameraX();
+      await wait(500);
+      const moving = Math.abs(cameraX() - resumed) > 1e-6;
+
+      return { still, flightTime, moving, damping: g.controls.enableDamping };
+    });
+
+    expect(result.still).toBe(true);
+    expect(result.flightTime).toBeLessThan(500);
+    expect(result.moving).toBe(true);
+    expect(result.damping).toBe(true);
+  });
+});
+
+test.describe('Globe - Keyboard Accessibility', () => {
+  test('should expose the canvas to keyboard and screen-reader users', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    await globe.evaluateGlobe((g) => {
+      window.__clicked = [];
+      g.on('markerclick', (marker) => window.__clicked.push(marker.id));
+      g.addMarker({ id: 'london', lat: 51.5074, lon: -0.1278, label: 'London' });
+      g.addMarker({ id: 'tokyo', lat: 35.6762, lon: 139.6503, label: 'Tokyo' });
+      g.renderer.domElement.focus();
+    });
+
+    const attributes = await globe.canvas.evaluate((canvas) => ({
+      tabIndex: canvas.tabIndex,
+      role: canvas.getAttribute('role'),
+      label: canvas.getAttribute('aria-label'),
+      description: document.getElementById(canvas.getAttribute('aria-describedby')).textContent
+    }));
+    expect(attributes).toMatchObject({ tabIndex: 0, role: 'application', label: 'Interactive globe' });
+    expect(attributes.description).toContain('2 markers');
+
+    await page.keyboard.press('Tab');
+    await page.keyboard.press('Tab');
+    await page.keyboard.press('Enter');
+
+    const result = await globe.evaluateGlobe((g) => ({
+      announcement: g._liveRegion.textContent,
+      ringVisible: g.focusRing.visible,
+      clicked: window.__clicked
+    }));
+
+    expect(result.announcement).toBe('Tokyo, 35.68° N, 139.65° E (2 of 2)');
+    expect(result.ringVisible).toBe(true);
+    expect(result.clicked).toEqual(['tokyo']);
+
+    // Tab past the last location leaves the globe
+    await page.keyboard.press('Tab');
+    const focused = await globe.evaluateGlobe((g) => document.activeElement === g.renderer.domElement);
+    expect(focused).toBe(false);
+  });
+});
+
+test.describe('Globe - Adaptive Quality', () => {
+  test('should apply quality levels and report changes', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const changes = [];
+      g.on('qualitychange', (change) => changes.push(change));
+
+      const basePixelRatio = g.renderer.getPixelRatio();
+      const canvas = g.renderer.domElement;
+      const positions = g.dotData.positions;
+      const applied = g.setQuality('low');
+      const low = {
+        ...g.getQuality(),
+        renderedPixelRatio: g.renderer.getPixelRatio() / basePixelRatio,
+        drawnDots: g.dotsGeometry.drawRange.count / g.dotData.latLongs.length,
+        sameCanvas: g.renderer.domElement === canvas,
+        sameDots: g.dotData.positions === positions
+      };
+
+      g.setQuality(0);
+      const high = g.getQuality();
+
+      g.configure({ adaptiveQuality: true });
+      const adaptive = g.getQuality().adaptive;
+
+      return { applied, low, high, adaptive, changes, unknown: g.setQuality('ultra') };
+    });
+
+    expect(result.applied).toBe(true);
+    expect(result.low).toMatchObject({ level: 2, name: 'low', renderedPixelRatio: 0.5, effects: false });
+    // Fewer dots are drawn from the same buffers, on the same canvas
+    expect(result.low.drawnDots).toBeCloseTo(0.6, 2);
+    expect(result.low.sameCanvas).toBe(true);
+    expect(result.low.sameDots).toBe(true);
+    expect(result.high).toMatchObject({ level: 0, name: 'high' });
+    expect(result.adaptive).toBe(true);
+    expect(result.changes.map(change => [change.name, change.reason])).toEqual([
+      ['low', 'manual'],
+      ['high', 'manual']
+    ]);
+    expect(result.unknown).toBe(false);
+  });
+
+  test('should spread reduced dot densities over the whole globe', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const shares = await globe.evaluateGlobe(async (g) => {
+      // Share of the drawn dots in each hemisphere quadrant, relative to all dots
+      const quadrantShares = () => {
+        const quadrant = ({ lat, lon }) => (lat >= 0 ? 0 : 2) + (lon >= 0 ? 0 : 1);
+        const all = [0, 0, 0, 0];
+        const drawn = [0, 0, 0, 0];
+        g.dotData.latLongs.forEach(coord => { all[quadrant(coord)]++; });
+        const { index, drawRange } = g.dotsGeometry;
+        for (let i = 0; i < drawRange.count; i++) {
+          drawn[quadrant(g.dotData.latLongs[index.array[i]])]++;
+        }
+        return drawn.map((count, i) => (count / drawRange.count) / (all[i] / g.dotData.latLongs.length));
+      };
+
+      const result = {};
+      for (const distribution of ['poisson', 'geodesic']) {
+        await g.configure({ dotDistribution: distribution });
+        g.setQuality('minimal');
+        result[distribution] = quadrantShares();
+        g.setQuality('high');
+      }
+      return result;
+    });
+
+    Object.values(shares).flat().forEach(share => {
+      expect(share).toBeGreaterThan(0.9);
+      expect(share).toBeLessThan(1.1);
+    });
+  });
+});
+
+test.describe('Globe - Sizing', () => {
+  test('should follow the container and honour a fixed size', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      const sizes = [];
+      g.on('resize', (size) => sizes.push(size));
+
+      g.container.style.width = '320px';
+      g.container.style.height = '240px';
+      await nextFrame();
+      const followed = { width: g.width, height: g.height };
+
+      g.resize(200, 100);
+      g.container.style.width = '400px';
+      await nextFrame();
+      const fixed = { width: g.width, height: g.height, aspect: g.camera.aspect };
+
+      g.resize();
+      const auto = { width: g.width, height: g.height };
+
+      return { followed, fixed, auto, sizes };
+    });
+
+    expect(result.followed).toEqual({ width: 320, height: 240 });
+    expect(result.fixed).toEqual({ width: 200, height: 100, aspect: 2 });
+    expect(result.auto).toEqual({ width: 400, height: 240 });
+    expect(result.sizes).toContainEqual({ width: 200, height: 100 });
+  });
+});
+
+test.describe('Globe - Context Loss', () => {
+  test('should pause on context loss and recover on restore', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const index = g.findNearestDot(0, 0);
+      g.setActiveDots([{ lat: 0, lon: 0, color: '#00FF00' }]);
+
+      const extension = g.renderer.getContext().getExtension('WEBGL_lose_context');
+      const events = [];
+      const lost = new Promise(resolve => g.once('contextlost', () => { events.push('lost'); resolve(); }));
+      const restored = new Promise(resolve => g.once('contextrestored', () => { events.push('restored'); resolve(); }));
+
+      extension.loseContext();
+      await lost;
+      const snapshotWhileLost = await g.toImage();
+      extension.restoreContext();
+      await restored;
+
+      const frames = g.renderer.info.render.frame;
+      await new Promise(resolve => setTimeout(resolve, 200));
+      return {
+        events,
+        snapshotWhileLost,
+        rendering: g.renderer.info.render.frame > frames,
+        color: g.getDotInfo(index).color
+      };
+    });
+
+    expect(result.events).toEqual(['lost', 'restored']);
+    expect(result.snapshotWhileLost).toBeNull();
+    expect(result.rendering).toBe(true);
+    expect(result.color.g).toBeCloseTo(1, 2);
+    expect(result.color.r).toBeCloseTo(0, 2);
+  });
+});
+
+test.describe('Globe - Snapshot', () => {
+  test('should render images at the requested resolution', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const blob = await g.toImage({ width: 300, height: 200, pixelRatio: 2 });
+      const bitmap = await createImageBitmap(blob);
+      const dataURL = await g.toImage({ type: 'image/jpeg', quality: 0.8, output: 'dataURL' });
+      const invalid = await g.toImage({ width: -1 });
+      return {
+        type: blob.type,
+        width: bitmap.width,
+        height: bitmap.height,
+        dataURL: dataURL.slice(0, 23),
+        invalid
+      };
+    });
+
+    expect(result.type).toBe('image/png');
+    expect(result.width).toBe(600);
+    expect(result.height).toBe(400);
+    expect(result.dataURL).toBe('data:image/jpeg;base64,');
+    expect(result.invalid).toBeNull();
+  });
+});
+
+test.describe('Globe - Recording', () => {
+  test('should step animations by a fixed amount per frame', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      g.configure({ sphereRotationSpeed: 0.5 });
+      const rotations = [];
+      const recording = await g.record({
+        frames: 4,
+        fps: 30,
+        width: 160,
+        height: 120,
+        output: 'bitmap',
+        onFrame: (bitmap) => rotations.push({ y: g.sphereMesh.rotation.y, width: bitmap.width })
+      });
+      const invalid = await g.record({ frames: 0 });
+      return { recording, rotations, invalid };
+    });
+
+    expect(result.recording.frameCount).toBe(4);
+    expect(result.recording.frames).toBeNull();
+    expect(result.recording.cancelled).toBe(false);
+    expect(result.rotations[0].width).toBe(160);
+    // 0.5 * 0.001 per 60 fps frame, doubled at 30 fps
+    for (let i = 1; i < result.rotations.length; i++) {
+      expect(result.rotations[i].y - result.rotations[i - 1].y).toBeCloseTo(0.001, 6);
+    }
+    expect(result.invalid).toBeNull();
+  });
+
+  test('should carry the sun clock on from the last recorded frame', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      // One simulated hour per second, while each frame takes 300 ms of real time
+      g.startSunClock({ from: new Date('2024-03-20T12:00:00Z'), speed: 3600 });
+      const dates = [];
+      await g.record({
+        frames: 4,
+        fps: 30,
+        width: 80,
+        height: 60,
+        output: 'bitmap',
+        onFrame: async () => {
+          dates.push(g.getSunPosition().date.getTime());
+          await new Promise(resolve => setTimeout(resolve, 300));
+        }
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const after = g.getSunPosition().date.getTime();
+      g.stopSunClock();
+      return { dates, after };
+    });
+
+    // 1/30 s per frame at 3600x is two simulated minutes
+    for (let i = 1; i < result.dates.length; i++) {
+      expect(result.dates[i] - result.dates[i - 1]).toBeCloseTo(120000, -1);
+    }
+    // Without the carry-over the sun would jump by over an hour (1.2 s x 3600)
+    const gap = result.after - result.dates[result.dates.length - 1];
+    expect(gap).toBeGreaterThanOrEqual(0);
+    expect(gap).toBeLessThan(20 * 60 * 1000);
+  });
+
+  test('should reject when the globe is disposed mid-recording', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const message = await globe.evaluateGlobe(async (g) => {
+      try {
+        await g.record({ frames: 3, width: 80, height: 60, output: 'bitmap', onFrame: () => g.dispose() });
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+
+    expect(message).toBe('Globe: disposed while recording');
+  });
+});
+
+test.describe('Globe - Day/Night', () => {
+  test('should place the sun and shade the night side', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      g.configure({ showDayNight: true, cityLights: 0.2 });
+      const sun = g.setSunPosition(new Date('2024-06-21T12:00:00Z'));
+      const noon = g.getDotInfo(g.findNearestDot(23, 0)).solarElevation;
+      const midnight = g.getDotInfo(g.findNearestDot(-23, 180)).solarElevation;
+      const invalid = g.setSunPosition('not a date');
+      return {
+        sunLat: sun.lat,
+        sunLon: sun.lon,
+        noon,
+        midnight,
+        invalid,
+        dayNight: g.dotsMaterial.uniforms.u_dayNight.value
+      };
+    });
+
+    expect(result.sunLat).toBeCloseTo(23.44, 0);
+    expect(Math.abs(result.sunLon)).toBeLessThan(1);
+    expect(result.noon).toBeGreaterThan(80);
+    expect(result.midnight).toBeLessThan(-80);
+    expect(result.invalid).toBeNull();
+    expect(result.dayNight).toBe(1);
+  });
+
+  test('should advance the sun with the live clock', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      g.startSunClock({ from: Date.UTC(2024, 0, 1), speed: 3600 });
+      const start = g.getSunPosition().date.getTime();
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const later = g.getSunPosition().date.getTime();
+      g.stopSunClock();
+      return { start, later };
+    });
+
+    expect(result.start - Date.UTC(2024, 0, 1)).toBeLessThan(60 * 1000);
+    // Half a second at 3600x is about half an hour of simulated time
+    expect(result.later - result.start).toBeGreaterThan(15 * 60 * 1000);
+  });
+});
+
+test.describe('Globe - Dot Distribution', () => {
+  test('should switch dot distribution at runtime', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      g.setActiveDots([{ lat: 0, lon: 0 }]);
+      const counts = {};
+      for (const distribution of ['grid', 'geodesic', 'hexagonal', 'poisson', 'fibonacci']) {
+        g.configure({ dotDistribution: distribution });
+        await g.rebuild();
+        counts[distribution] = g.dotData.latLongs.length;
+      }
+      const active = g.getDotInfo(g.findNearestDot(0, 0)).color;
+      return { counts, active, config: g.config.dotDistribution };
+    });
+
+    Object.values(result.counts).forEach(count => expect(count).toBeGreaterThan(0));
+    expect(result.config).toBe('fibonacci');
+    // Active highlight carried over to the regenerated dots
+    expect(result.active.g).toBeLessThan(result.active.r);
+  });
+});
+
+test.describe('Globe - Runtime Rebuild', () => {
+  test('should regenerate dots without recreating the globe', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const canvas = g.renderer.domElement;
+      const camera = g.camera;
+      g.addMarker({ id: 'm', lat: 10, lon: 20 });
+      g.configure({ dotCount: 5000, globeRadius: 120 });
+      await g.rebuild();
+      const first = g.dotData.positions.slice(0, 3);
+      return {
+        count: g.dotData.latLongs.length,
+        radius: Math.hypot(first[0], first[1], first[2]),
+        markerRadius: g.markerLayer.radius,
+        sameCanvas: g.renderer.domElement === canvas,
+        sameCamera: g.camera === camera,
+        markers: g.getMarkers().length
+      };
+    });
+
+    expect(result.count).toBeLessThanOrEqual(5000);
+    expect(result.radius).toBeCloseTo(120, 3);
+    expect(result.markerRadius).toBe(120);
+    expect(result.sameCanvas).toBe(true);
+    expect(result.sameCamera).toBe(true);
+    expect(result.markers).toBe(1);
+  });
+});
+
+test.describe('Globe - Dot Worker', () => {
+  test('should report generation progress and keep the page responsive', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const progress = [];
+      let ticks = 0;
+      const timer = setInterval(() => ticks++, 10);
+      g.config.dotCount = 60000;
+      const rebuilt = await g.rebuild({ onProgress: (event) => progress.push(event) });
+      clearInterval(timer);
+      return {
+        rebuilt,
+        ticks,
+        stages: [...new Set(progress.map(event => event.stage))],
+        last: progress[progress.length - 1].progress,
+        count: g.dotData.latLongs.length
+      };
+    });
+
+    expect(result.rebuilt).toBe(true);
+    expect(result.stages).toEqual(['dots']);
+    expect(result.last).toBe(1);
+    expect(result.count).toBeGreaterThan(0);
+    // Timers keep firing while the worker generates
+    expect(result.ticks).toBeGreaterThan(0);
+  });
+});
+
+test.describe('Globe - Heatmap', () => {
+  test('should colour dots from weighted samples and restore them on clear', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const index = g.findNearestDot(0, 0);
+      const before = g.getDotInfo(index).color;
+      const domain = g.setHeatmap(
+        [{ lat: 0, lon: 0, weight: 10 }],
+        { radiusKm: 1000, ramp: ['#000000', '#FF0000'] }
+      );
+      const value = g.getHeatmapValue(index);
+      const far = g.getHeatmapValue(g.findNearestDot(0, 180));
+      const heated = g.getDotInfo(index).color;
+      const legend = g.getHeatmapLegend(2);
+      g.clearHeatmap();
+      return { before, domain, value, far, heated, legend, after: g.getDotInfo(index).color };
+    });
+
+    expect(result.domain[0]).toBe(0);
+    expect(result.value).toBeGreaterThan(9);
+    expect(result.far).toBeNull();
+    expect(result.heated.r).toBeGreaterThan(result.heated.g);
+    expect(result.legend.map(entry => entry.color)).toEqual(['#000000', '#ff0000']);
+    expect(result.after).toEqual(result.before);
+  });
+
+  test('should keep per-dot colours and highlights above the heatmap', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const hex = (index) => {
+        const { r, g: green, b } = g.getDotInfo(index).color;
+        return '#' + [r, green, b].map(value => Math.round(value * 255).toString(16).padStart(2, '0')).join('');
+      };
+      const manual = g.findNearestDot(0, 0);
+      const active = g.findNearestDot(10, 10);
+
+      g.updateDotColor(manual, '#808080');
+      g.setActiveDots([{ lat: 10, lon: 10, color: 'not-a-colour' }]);
+      g.setHeatmap([{ lat: 5, lon: 5, weight: 1 }], { radiusKm: 3000, ramp: ['#0000FF', '#0000FF'] });
+      const heated = { manual: hex(manual), active: hex(active) };
+
+      g.updateDotColor(manual, null);
+      const removed = hex(manual);
+      g.clearHeatmap();
+
+      g.updateDotColor(manual, '#808080');
+      g.setDotColor('#0000FF');
+      const reset = { manual: hex(manual), active: hex(active) };
+
+      return {
+        heated,
+        removed,
+        reset,
+        activeDotColor: g.config.activeDotColor.toLowerCase(),
+        misspelledRamp: g.setHeatmap([{ lat: 0, lon: 0 }], { ramp: 'virdis' })
+      };
+    });
+
+    expect(result.heated.manual).toBe('#808080');
+    // An invalid highlight colour falls back to activeDotColor
+    expect(result.heated.active).toBe(result.activeDotColor);
+    // Without its own colour the dot shows the heatmap again
+    expect(result.removed).not.toBe('#808080');
+    // setDotColor removes per-dot colours but keeps highlights
+    expect(result.reset.manual).toBe('#0000ff');
+    expect(result.reset.active).toBe(result.activeDotColor);
+    expect(result.misspelledRamp).toBeNull();
+  });
+
+  test('should reject unknown heatmap kernels and aggregations', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe((g) => {
+      const points = [{ lat: 0, lon: 0, weight: 1 }];
+      return {
+        kernel: g.setHeatmap(points, { kernel: 'gausian' }),
+        aggregation: g.setHeatmap(points, { aggregation: 'closest' }),
+        heatmap: g.getHeatmapValues(),
+        valid: g.setHeatmap(points, { kernel: 'uniform', aggregation: 'nearest' })
+      };
+    });
+
+    expect(result.kernel).toBeNull();
+    expect(result.aggregation).toBeNull();
+    expect(result.heatmap).toBeNull();
+    expect(result.valid).not.toBeNull();
+  });
+});
+
 test.describe('Globe - Color Customization', () => {
   test('should update dot color via setDotColor', async ({ page }) => {
     const globe = new GlobePage(page);
@@ -510,6 +1724,56 @@ test.describe('Globe - Configuration API', () => {
   });
 });
 
+test.describe('Globe - Configure Before Init', () => {
+  test('should store options until init applies them', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const result = await globe.evaluateGlobe(async (g) => {
+      const container = document.createElement('div');
+      container.style.width = '200px';
+      container.style.height = '150px';
+      document.body.appendChild(container);
+
+      const fresh = new g.constructor({ container });
+      const configured = await fresh.configure({ backgroundColor: '#112233', dotCount: 2000 });
+      await fresh.init();
+      const background = fresh.scene.background.getHexString();
+
+      fresh.dispose();
+      container.remove();
+      return { configured, background };
+    });
+
+    expect(result.configured).toBe(true);
+    expect(result.background).toBe('112233');
+  });
+});
+
+test.describe('Globe - Glow Shaders', () => {
+  test('should drive glow uniforms from configure()', async ({ page }) => {
+    const globe = new GlobePage(page);
+    await globe.goto();
+    await globe.waitForGlobeInit();
+
+    const uniforms = await globe.evaluateGlobe((g) => {
+      g.configure({ glowColor: '#ff0000', glowIntensity: 0.8, showAtmosphere: true });
+      return {
+        dotGlow: g.dotsMaterial.uniforms.u_glowColor.value.getHexString(),
+        dotIntensity: g.dotsMaterial.uniforms.u_glowIntensity.value,
+        atmosphereColor: g.atmosphereMaterial.uniforms.u_atmosphereColor.value.getHexString(),
+        atmosphereVisible: g.atmosphereMesh.visible
+      };
+    });
+
+    expect(uniforms.dotGlow).toBe('ff0000');
+    expect(uniforms.dotIntensity).toBeCloseTo(0.8);
+    expect(uniforms.atmosphereColor).toBe('ff0000');
+    expect(uniforms.atmosphereVisible).toBe(true);
+  });
+});
+
 test.describe('Globe - Error Handling', () => {
   test('should not throw console errors during normal operation', async ({ page }) => {
     const errors = [];
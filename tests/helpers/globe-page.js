@@ -88,6 +88,22 @@ export class GlobePage {
     });
   }
 
+  /**
+   * Run a function against the page's Globe instance (exposed as window.globe)
+   * @param {Function} fn - Function receiving (globe, arg), executed in the page
+   * @param {*} [arg] - Serializable argument passed to fn
+   * @returns {Promise<*>} Serializable result of fn
+   */
+  async evaluateGlobe(fn, arg) {
+    return await this.page.evaluate(
+      ({ source, arg }) => {
+        const run = new Function(`return (${source})`)();
+        return run(window.globe, arg);
+      },
+      { source: fn.toString(), arg }
+    );
+  }
+
   /**
    * Get dot count by analyzing canvas
    * @returns {Promise<number>} Estimated number of visible dots